@@ -19,7 +19,7 @@ ssh -i $SSH_KEY $VPS "mkdir -p $REMOTE_DIR/server/routes $REMOTE_DIR/public"
 
 # 2. Copy server files
 echo "2. Uploading server files..."
-scp -i $SSH_KEY server/index.js server/db.js server/auth.js server/sse.js server/email.js server/push.js server/ocr.js server/ssrf.js server/categorize.js server/package.json server/schema.sql server/events-schema.sql server/ecosystem.config.js $VPS:$REMOTE_DIR/server/
+scp -i $SSH_KEY server/index.js server/db.js server/auth.js server/sse.js server/email.js server/push.js server/ocr.js server/ssrf.js server/categorize.js server/vcard.js server/webhooks.js server/lead-query.js server/dedupe.js server/lead-import.js server/lead-export.js server/crm.js server/pipeline.js server/tasks.js server/ical.js server/sequences.js server/tracking.js server/mailbox.js server/templates.js server/suppression.js server/outbox.js server/mail-transport.js server/sender.js server/badges.js server/badge-print.js server/registration.js server/event-payments.js server/package.json server/schema.sql server/events-schema.sql server/ecosystem.config.js $VPS:$REMOTE_DIR/server/
 scp -i $SSH_KEY server/routes/*.js $VPS:$REMOTE_DIR/server/routes/
 
 # 3. Copy .env (if exists)
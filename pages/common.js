@@ -23,7 +23,7 @@ function apiFetch(path, options) {
     options.headers = options.headers || {};
     var token = getAuthToken();
     if (token) options.headers['Authorization'] = 'Bearer ' + token;
-    if (options.body && typeof options.body === 'object' && !(options.body instanceof FormData)) {
+    if (options.body && typeof options.body === 'object' && !(options.body instanceof FormData) && !(options.body instanceof Blob)) {
         options.headers['Content-Type'] = 'application/json';
         options.body = JSON.stringify(options.body);
     }
@@ -1,8 +1,10 @@
 // CardFlow Service Worker v2
 // Strategies: app shell cached on install, network-first for navigation,
 // stale-while-revalidate for static assets, network-only for API calls.
+// The booth scanner works offline too: its page and scripts come from the cache, while scans
+// and the attendee roster live in the page's IndexedDB (never in this cache).
 
-var CACHE_VERSION = 'cardflow-v35';
+var CACHE_VERSION = 'cardflow-v36';
 var OFFLINE_URL = '/offline.html';
 
 // App shell: resources cached on install for instant loads + offline
@@ -52,6 +54,25 @@ self.addEventListener('fetch', function(e) {
 
     // Skip non-GET, cross-origin, chrome-extension, etc.
     if (e.request.method !== 'GET') return;
+
+    // Booth scanner's QR decoder: pinned version, so cache-first is safe
+    if (url.origin === 'https://cdn.jsdelivr.net' && url.pathname.indexOf('/npm/jsqr@') === 0) {
+        e.respondWith(
+            caches.match(e.request).then(function(cached) {
+                return cached || fetch(e.request).then(function(response) {
+                    if (response.ok) {
+                        var clone = response.clone();
+                        caches.open(CACHE_VERSION).then(function(cache) {
+                            cache.put(e.request, clone);
+                        });
+                    }
+                    return response;
+                });
+            })
+        );
+        return;
+    }
+
     if (url.origin !== self.location.origin) return;
 
     // API calls: network only (never cache authenticated data)
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { rateLimit } = require('express-rate-limit');
 const db = require('./db');
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -26,6 +27,72 @@ function issueSSETicket(user) {
     return ticket;
 }
 
+// ── Personal API keys ──
+// Keys look like cf_live_<48 hex>; only a SHA-256 hash is stored. A key can only reach the
+// routers listed in API_KEY_RESOURCES, and the request method decides which scope it needs
+// (GET/HEAD → <resource>:read, anything else → <resource>:write).
+var API_KEY_PREFIX = 'cf_live_';
+var API_KEY_SCOPES = ['leads:read', 'leads:write', 'cards:read', 'cards:write', 'taps:read', 'taps:write', 'events:read', 'events:write'];
+var API_KEY_RESOURCES = {
+    '/api/leads': 'leads',
+    '/api/pipeline': 'leads',
+    '/api/tasks': 'leads',
+    '/api/cards': 'cards',
+    '/api/taps': 'taps',
+    '/api/events': 'events',
+    '/api/exhibitor': 'events'
+};
+var DEFAULT_API_KEY_RATE_LIMIT = 60; // requests per minute, per key
+
+function generateApiKey() {
+    var key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    return { key: key, prefix: key.substring(0, API_KEY_PREFIX.length + 6), hash: hashApiKey(key) };
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+var apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: function (req) { return req.user.apiKey.rateLimit || DEFAULT_API_KEY_RATE_LIMIT; },
+    keyGenerator: function (req) { return 'apikey:' + req.user.apiKey.id; },
+    message: { error: 'API key rate limit exceeded' },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+function authenticateApiKey(key, req, res, next) {
+    var resource = API_KEY_RESOURCES[req.baseUrl];
+    if (!resource) return res.status(403).json({ error: 'API keys cannot access this endpoint' });
+    var scope = resource + ((req.method === 'GET' || req.method === 'HEAD') ? ':read' : ':write');
+
+    db.query(
+        'SELECT k.id, k.user_id, k.scopes, k.rate_limit, k.expires_at, u.email, u.username ' +
+        'FROM api_keys k JOIN users u ON u.id = k.user_id WHERE k.key_hash = $1 AND k.revoked_at IS NULL',
+        [hashApiKey(key)]
+    ).then(function (result) {
+        if (result.rows.length === 0) return res.status(401).json({ error: 'Invalid API key' });
+        var row = result.rows[0];
+        if (row.expires_at && new Date(row.expires_at) < new Date()) return res.status(401).json({ error: 'API key expired' });
+        if (!row.scopes.includes(scope)) return res.status(403).json({ error: 'API key missing scope: ' + scope });
+
+        req.user = {
+            uid: row.user_id, email: row.email, username: row.username,
+            apiKey: { id: row.id, scopes: row.scopes, rateLimit: row.rate_limit }
+        };
+        // Record usage at most once a minute per key
+        db.query(
+            "UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')",
+            [row.id, (req.ip || '').substring(0, 45)]
+        ).catch(function () {});
+        apiKeyLimiter(req, res, next);
+    }).catch(function (err) {
+        console.error('API key auth error:', err);
+        res.status(503).json({ error: 'Service temporarily unavailable' });
+    });
+}
+
 function verifyAuth(req, res, next) {
     // 1. Check for one-time SSE ticket (query param)
     if (req.query.ticket) {
@@ -49,6 +116,10 @@ function verifyAuth(req, res, next) {
     if (!token) {
         return res.status(401).json({ error: 'Unauthorized' });
     }
+    // 3. Personal API key
+    if (token.startsWith(API_KEY_PREFIX)) {
+        return authenticateApiKey(token, req, res, next);
+    }
     try {
         var decoded = jwt.verify(token, JWT_SECRET);
         req.user = decoded;
@@ -146,4 +217,12 @@ function blockIfImpersonating(req, res, next) {
     next();
 }
 
-module.exports = { signToken, verifyAuth, requireNotSuspended, requireSuperAdmin, requireAdminOrMonitor, requireFeatureFlag, issueSSETicket, blockIfImpersonating };
+// Block account-level endpoints when authenticated with an API key
+function blockApiKey(req, res, next) {
+    if (req.user && req.user.apiKey) {
+        return res.status(403).json({ error: 'This action is not allowed with an API key' });
+    }
+    next();
+}
+
+module.exports = { signToken, verifyAuth, requireNotSuspended, requireSuperAdmin, requireAdminOrMonitor, requireFeatureFlag, issueSSETicket, blockIfImpersonating, blockApiKey, generateApiKey, API_KEY_SCOPES, DEFAULT_API_KEY_RATE_LIMIT };
@@ -0,0 +1,358 @@
+// Printable event badges: PDF (badge printers, or sheets of badges on Letter/A4 paper to cut out)
+// and ZPL for thermal label printers at check-in kiosks.
+// A badge has a header band in the event colour with its logo and name, the attendee's name,
+// company and title, the signed badge QR (badges.js) with the printed code under it, and an
+// optional footer label ("ATTENDEE", "SPEAKER"...). The layout adapts to landscape and portrait
+// sizes. The event's template lives in events.settings.badge_template; requests can override it.
+// ZPL badges are monochrome and leave out the logo.
+// Names outside Latin-1 need a Unicode font: BADGE_FONT / BADGE_FONT_BOLD (paths to .ttf files).
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const vcard = require('./vcard');
+
+// Badge sizes in inches
+var SIZES = {
+    '4x3': { label: '4 × 3 in', width: 4, height: 3 },
+    '3x4': { label: '3 × 4 in', width: 3, height: 4 },
+    '4x6': { label: '4 × 6 in', width: 4, height: 6 },
+    'a6': { label: 'A6', width: 4.13, height: 5.83 },
+    'cr80': { label: 'ID card (CR80)', width: 3.375, height: 2.125 }
+};
+// 'badge': one badge per page at the badge size; otherwise badges tiled on the sheet
+var PAPERS = {
+    badge: { label: 'One badge per page' },
+    letter: { label: 'Letter sheets', width: 8.5, height: 11 },
+    a4: { label: 'A4 sheets', width: 8.27, height: 11.69 }
+};
+var DPIS = [203, 300];
+var BOOLEAN_FIELDS = ['show_logo', 'show_company', 'show_title', 'show_code'];
+var TEMPLATE_DEFAULTS = {
+    size: '4x3', paper: 'badge', label: 'ATTENDEE', color: null,
+    show_logo: true, show_company: true, show_title: true, show_code: true, dpi: 203
+};
+var DEFAULT_COLOR = '#4f46e5';
+var COLOR_RE = /^#[0-9a-f]{6}$/i;
+var SHEET_MARGIN = 0.25;    // inches
+var MAX_LABEL = 30;
+
+function parseBool(value) {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return null;
+}
+
+// Template fields from a request body or query string over base (the saved template) →
+// { template } or { error }
+function parseTemplate(input, base) {
+    input = input || {};
+    var t = Object.assign({}, TEMPLATE_DEFAULTS, base || {});
+    if (input.size !== undefined) {
+        if (!SIZES.hasOwnProperty(input.size)) return { error: 'size must be one of ' + Object.keys(SIZES).join(', ') };
+        t.size = input.size;
+    }
+    if (input.paper !== undefined) {
+        if (!PAPERS.hasOwnProperty(input.paper)) return { error: 'paper must be one of ' + Object.keys(PAPERS).join(', ') };
+        t.paper = input.paper;
+    }
+    if (input.label !== undefined) {
+        if (typeof input.label !== 'string' || input.label.trim().length > MAX_LABEL) return { error: 'label max ' + MAX_LABEL + ' chars' };
+        t.label = input.label.trim();
+    }
+    if (input.color !== undefined) {
+        if (input.color === null || input.color === '') t.color = null;
+        else if (typeof input.color !== 'string' || !COLOR_RE.test(input.color)) return { error: 'color must be a hex colour like #4f46e5' };
+        else t.color = input.color;
+    }
+    for (var i = 0; i < BOOLEAN_FIELDS.length; i++) {
+        var key = BOOLEAN_FIELDS[i];
+        if (input[key] === undefined) continue;
+        var value = parseBool(input[key]);
+        if (value === null) return { error: key + ' must be true or false' };
+        t[key] = value;
+    }
+    if (input.dpi !== undefined) {
+        var dpi = parseInt(input.dpi, 10);
+        if (DPIS.indexOf(dpi) === -1) return { error: 'dpi must be ' + DPIS.join(' or ') };
+        t.dpi = dpi;
+    }
+    return { template: t };
+}
+
+// The template's colour, else the event's branding colour
+function badgeColor(event, template) {
+    if (template.color) return template.color;
+    var branded = event.branding && event.branding.primaryColor;
+    return typeof branded === 'string' && COLOR_RE.test(branded) ? branded : DEFAULT_COLOR;
+}
+
+// events.logo (data URI or URL) → image Buffer pdfkit can draw (PNG or JPEG), or null
+async function loadLogo(event) {
+    try {
+        var image = await vcard.resolveImage(event.logo);
+        if (!image || !image.base64 || !/^image\/(png|jpe?g)$/.test(image.mime)) return null;
+        return Buffer.from(image.base64, 'base64');
+    } catch (err) {
+        return null;
+    }
+}
+
+// ── PDF ──
+
+function pdfFonts(doc) {
+    if (process.env.BADGE_FONT) {
+        doc.registerFont('badge', process.env.BADGE_FONT);
+        doc.registerFont('badge-bold', process.env.BADGE_FONT_BOLD || process.env.BADGE_FONT);
+        return { regular: 'badge', bold: 'badge-bold', unicode: true };
+    }
+    return { regular: 'Helvetica', bold: 'Helvetica-Bold', unicode: false };
+}
+
+// The standard PDF fonts only cover Latin-1
+function pdfText(fonts, s) {
+    s = String(s || '').replace(/[\r\n\t]+/g, ' ').trim();
+    return fonts.unicode ? s : s.replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+// Largest size from max down to min at which text fits on one line of width
+function fitSize(doc, text, font, width, max, min) {
+    doc.font(font);
+    for (var size = max; size > min; size--) {
+        doc.fontSize(size);
+        if (doc.widthOfString(text) <= width) return size;
+    }
+    return min;
+}
+
+// QR modules as filled rectangles (one per run of dark modules in a row), so it stays sharp
+function drawQr(doc, text, x, y, size) {
+    var qr = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    var n = qr.modules.size;
+    var cell = size / n;
+    doc.save();
+    for (var row = 0; row < n; row++) {
+        var col = 0;
+        while (col < n) {
+            if (!qr.modules.get(row, col)) { col++; continue; }
+            var start = col;
+            while (col < n && qr.modules.get(row, col)) col++;
+            // A hair taller than the cell so rows don't show seams when rasterised
+            doc.rect(x + start * cell, y + row * cell, (col - start) * cell, cell + 0.05);
+        }
+    }
+    doc.fill('#000000');
+    doc.restore();
+}
+
+// One badge with its top-left corner at (x, y); w and h in points
+function drawBadge(doc, fonts, item, ctx, x, y, w, h) {
+    var t = ctx.template;
+    var landscape = w > h;
+    var pad = Math.min(w, h) * 0.06;
+    var band = h * (landscape ? 0.22 : 0.16);
+    var foot = t.label ? h * (landscape ? 0.12 : 0.09) : 0;
+
+    doc.save();
+    doc.rect(x, y, w, h).fill('#ffffff');
+
+    // Header: logo and event name on the event colour
+    doc.rect(x, y, w, band).fill(ctx.color);
+    var headerX = x + pad;
+    if (ctx.logo) {
+        var logoH = band - pad;
+        try {
+            doc.image(ctx.logo, headerX, y + pad / 2, { fit: [logoH * 2, logoH], valign: 'center' });
+            headerX += logoH * 2 + pad / 2;
+        } catch (err) {
+            ctx.logo = null;   // not an image pdfkit can read: leave it out of the rest too
+        }
+    }
+    var eventName = pdfText(fonts, ctx.eventName);
+    var headerW = x + w - pad - headerX;
+    var headerSize = fitSize(doc, eventName, fonts.bold, headerW, Math.round(band * 0.4), 7);
+    doc.fillColor('#ffffff').font(fonts.bold).fontSize(headerSize)
+        .text(eventName, headerX, y + (band - headerSize * 1.15) / 2, { width: headerW, height: headerSize * 1.3, ellipsis: true, align: ctx.logo ? 'left' : 'center' });
+
+    // Footer label
+    if (foot) {
+        var label = pdfText(fonts, t.label);
+        doc.rect(x, y + h - foot, w, foot).fill(ctx.color);
+        var labelSize = fitSize(doc, label, fonts.bold, w - 2 * pad, Math.round(foot * 0.55), 6);
+        doc.fillColor('#ffffff').font(fonts.bold).fontSize(labelSize)
+            .text(label, x + pad, y + h - foot + (foot - labelSize * 1.15) / 2, { width: w - 2 * pad, height: labelSize * 1.3, ellipsis: true, align: 'center', characterSpacing: 1 });
+    }
+
+    // QR (and the printed code) to the right in landscape, at the bottom in portrait
+    var top = y + band + pad;
+    var bottom = y + h - foot - pad;
+    var codeH = item.code ? Math.max(7, h * 0.04) * 1.4 : 0;
+    var qrSize, qrX, qrY, textX, textW, textBottom;
+    if (landscape) {
+        qrSize = Math.min(bottom - top - codeH, w * 0.42);
+        qrX = x + w - pad - qrSize;
+        qrY = top + (bottom - top - codeH - qrSize) / 2;
+        textX = x + pad;
+        textW = qrX - pad - textX;
+        textBottom = bottom;
+    } else {
+        qrSize = Math.min((bottom - top) * 0.55, w - 2 * pad);
+        qrX = x + (w - qrSize) / 2;
+        qrY = bottom - codeH - qrSize;
+        textX = x + pad;
+        textW = w - 2 * pad;
+        textBottom = qrY - pad / 2;
+    }
+    drawQr(doc, item.url, qrX, qrY, qrSize);
+    if (item.code) {
+        var codeSize = Math.max(7, h * 0.04);
+        doc.fillColor('#374151').font('Courier-Bold').fontSize(codeSize)
+            .text(item.code, qrX - pad, qrY + qrSize + codeSize * 0.2, { width: qrSize + 2 * pad, align: 'center', characterSpacing: 2, lineBreak: false });
+    }
+
+    // Attendee: name (up to two lines), company, title
+    var align = landscape ? 'left' : 'center';
+    var name = pdfText(fonts, item.name);
+    var nameSize = fitSize(doc, name, fonts.bold, textW, Math.round(h * (landscape ? 0.12 : 0.08)), 10);
+    var lines = [{ text: name, font: fonts.bold, size: nameSize, color: '#111827', height: doc.widthOfString(name) > textW ? 2 : 1 }];
+    if (item.company) lines.push({ text: pdfText(fonts, item.company), font: fonts.bold, size: Math.max(7, Math.round(nameSize * 0.55)), color: '#374151', height: 1 });
+    if (item.title) lines.push({ text: pdfText(fonts, item.title), font: fonts.regular, size: Math.max(6, Math.round(nameSize * 0.45)), color: '#6b7280', height: 1 });
+    var blockH = lines.reduce(function (sum, l) { return sum + l.size * 1.2 * l.height + 2; }, 0);
+    var ty = top + Math.max(0, (textBottom - top - blockH) / (landscape ? 2 : 3));
+    lines.forEach(function (l) {
+        var lineH = l.size * 1.2 * l.height;
+        if (ty + lineH > textBottom + 1) return;
+        doc.fillColor(l.color).font(l.font).fontSize(l.size)
+            .text(l.text, textX, ty, { width: textW, height: lineH + 1, ellipsis: true, align: align, lineGap: 0 });
+        ty += lineH + 2;
+    });
+    doc.restore();
+}
+
+// Write a PDF of badges to out (a writable stream). items: [{ name, company, title, code, url }]
+// (url goes in the QR; code is printed under it when set). Resolves once the PDF is written.
+async function renderPdf(event, items, template, out) {
+    var size = SIZES[template.size];
+    var w = size.width * 72;
+    var h = size.height * 72;
+    var paper = PAPERS[template.paper];
+    var pageSize = paper.width ? [paper.width * 72, paper.height * 72] : [w, h];
+    var ctx = {
+        template: template,
+        color: badgeColor(event, template),
+        logo: template.show_logo ? await loadLogo(event) : null,
+        eventName: event.name
+    };
+
+    var doc = new PDFDocument({ size: pageSize, margin: 0, autoFirstPage: false, info: { Title: event.name + ' badges', Creator: 'CardFlow' } });
+    var done = new Promise(function (resolve, reject) {
+        out.on('finish', resolve);
+        out.on('error', reject);
+        doc.on('error', reject);
+    });
+    doc.pipe(out);
+    var fonts = pdfFonts(doc);
+
+    // Grid of badges on a sheet, centred, with light cut lines
+    var m = paper.width ? SHEET_MARGIN * 72 : 0;
+    var cols = paper.width ? Math.max(1, Math.floor((pageSize[0] - 2 * m) / w)) : 1;
+    var rows = paper.width ? Math.max(1, Math.floor((pageSize[1] - 2 * m) / h)) : 1;
+    var offsetX = (pageSize[0] - cols * w) / 2;
+    var offsetY = (pageSize[1] - rows * h) / 2;
+    var perPage = cols * rows;
+
+    if (items.length === 0) doc.addPage();
+    items.forEach(function (item, i) {
+        var slot = i % perPage;
+        if (slot === 0) doc.addPage();
+        var bx = offsetX + (slot % cols) * w;
+        var by = offsetY + Math.floor(slot / cols) * h;
+        drawBadge(doc, fonts, item, ctx, bx, by, w, h);
+        if (paper.width) doc.save().lineWidth(0.5).strokeColor('#d1d5db').rect(bx, by, w, h).stroke().restore();
+    });
+    doc.end();
+    return done;
+}
+
+// ── ZPL ──
+
+// Field data with ^FH_: _ ^ ~ and \ as hex escapes
+function zplText(s) {
+    return String(s || '').replace(/[\r\n\t]+/g, ' ').trim().replace(/[_^~\\]/g, function (c) {
+        return '_' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+// One ^XA...^XZ label per badge (UTF-8, scalable font 0)
+function renderZpl(event, items, template) {
+    var size = SIZES[template.size];
+    var dpi = template.dpi;
+    var W = Math.round(size.width * dpi);
+    var H = Math.round(size.height * dpi);
+    var landscape = W > H;
+    var pad = Math.round(Math.min(W, H) * 0.06);
+    var band = Math.round(H * (landscape ? 0.18 : 0.12));
+    var foot = template.label ? Math.round(H * (landscape ? 0.11 : 0.08)) : 0;
+
+    return items.map(function (item) {
+        var z = ['^XA', '^CI28', '^PW' + W, '^LL' + H, '^LH0,0'];
+        var headerFont = Math.round(band * 0.45);
+        z.push('^FO0,0^GB' + W + ',' + band + ',' + band + '^FS');
+        z.push('^FO' + pad + ',' + Math.round((band - headerFont) / 2) + '^A0N,' + headerFont + ',' + headerFont +
+            '^FB' + (W - 2 * pad) + ',1,0,C^FR^FH_^FD' + zplText(event.name) + '^FS');
+        if (foot) {
+            var labelFont = Math.round(foot * 0.55);
+            z.push('^FO0,' + (H - foot) + '^GB' + W + ',' + foot + ',' + foot + '^FS');
+            z.push('^FO0,' + (H - foot + Math.round((foot - labelFont) / 2)) + '^A0N,' + labelFont + ',' + labelFont +
+                '^FB' + W + ',1,0,C^FR^FH_^FD' + zplText(template.label) + '^FS');
+        }
+
+        var top = band + pad;
+        var bottom = H - foot - pad;
+        var codeFont = Math.max(18, Math.round(H * 0.04));
+        var codeH = item.code ? Math.round(codeFont * 1.3) : 0;
+        var modules = QRCode.create(item.url, { errorCorrectionLevel: 'M' }).modules.size;
+        var qrArea = landscape ? Math.min(bottom - top - codeH, Math.round(W * 0.42)) : Math.min(Math.round((bottom - top) * 0.55), W - 2 * pad);
+        var mag = Math.max(1, Math.min(10, Math.floor(qrArea / modules)));
+        var qrSize = modules * mag;
+        var qrX = landscape ? W - pad - qrSize : Math.round((W - qrSize) / 2);
+        var qrY = landscape ? top + Math.round((bottom - top - codeH - qrSize) / 2) : bottom - codeH - qrSize;
+        z.push('^FO' + qrX + ',' + qrY + '^BQN,2,' + mag + '^FH_^FDMA,' + zplText(item.url) + '^FS');
+        if (item.code) {
+            var codeW = Math.max(qrSize, codeFont * 6);
+            z.push('^FO' + Math.max(0, qrX + Math.round((qrSize - codeW) / 2)) + ',' + (qrY + qrSize + Math.round(codeFont * 0.2)) +
+                '^A0N,' + codeFont + ',' + codeFont + '^FB' + codeW + ',1,0,C^FH_^FD' + zplText(item.code) + '^FS');
+        }
+
+        var textX = pad;
+        var textW = landscape ? qrX - 2 * pad : W - 2 * pad;
+        var align = landscape ? 'L' : 'C';
+        var nameFont = Math.round(H * (landscape ? 0.1 : 0.07));
+        var y = top + (landscape ? Math.round(pad / 2) : 0);
+        z.push('^FO' + textX + ',' + y + '^A0N,' + nameFont + ',' + nameFont + '^FB' + textW + ',2,0,' + align + '^FH_^FD' + zplText(item.name) + '^FS');
+        y += Math.round(nameFont * 2.1);
+        if (item.company) {
+            var companyFont = Math.round(nameFont * 0.55);
+            z.push('^FO' + textX + ',' + y + '^A0N,' + companyFont + ',' + companyFont + '^FB' + textW + ',1,0,' + align + '^FH_^FD' + zplText(item.company) + '^FS');
+            y += Math.round(companyFont * 1.3);
+        }
+        if (item.title) {
+            var titleFont = Math.round(nameFont * 0.45);
+            z.push('^FO' + textX + ',' + y + '^A0N,' + titleFont + ',' + titleFont + '^FB' + textW + ',1,0,' + align + '^FH_^FD' + zplText(item.title) + '^FS');
+        }
+        z.push('^XZ');
+        return z.join('\n');
+    }).join('\n') + '\n';
+}
+
+module.exports = {
+    SIZES: SIZES,
+    PAPERS: PAPERS,
+    DPIS: DPIS,
+    TEMPLATE_DEFAULTS: TEMPLATE_DEFAULTS,
+    parseTemplate: parseTemplate,
+    badgeColor: badgeColor,
+    renderPdf: renderPdf,
+    renderZpl: renderZpl,
+    zplText: zplText
+};
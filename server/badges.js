@@ -0,0 +1,243 @@
+// Signed event badges
+// A badge QR carries a token: base64url(payload) + '.' + base64url(Ed25519 signature), where the
+// 39-byte payload is
+//   [0]      format (1 for a badge, 2 for a registration link)
+//   [1-16]   event id (UUID bytes)
+//   [17-32]  attendee id (UUID bytes)
+//   [33-34]  badge revision (uint16, big-endian)
+//   [35-38]  issued at (unix seconds, uint32)
+// Each event has its own key pair; the public key is published (GET /api/public/event/:slug/badge-key,
+// and in the booth roster) so scanners can check badges offline. Reissuing a badge bumps the
+// attendee's badge_revision, which invalidates every token issued before; revoking sets
+// badge_revoked_at. The 8-character badge codes still work unless the event sets
+// settings.signed_badges_only.
+// Registrations that aren't confirmed yet (waitlisted, waiting for payment) get a registration
+// link instead: the same token with format 2, which lets the attendee follow, pay for or cancel
+// their registration but is never accepted as a badge. The badge page swaps it for a badge token
+// once the registration is confirmed.
+
+const crypto = require('crypto');
+const db = require('./db');
+const mailbox = require('./mailbox');
+
+var FORMAT = 1;
+var LINK_FORMAT = 2;
+var PAYLOAD_LENGTH = 39;
+var TOKEN_RE = /^[A-Za-z0-9_-]{52}\.[A-Za-z0-9_-]{86}$/;
+var CODE_RE = /^[A-Z0-9]{4,20}$/;
+var CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no I/O/0/1 for readability
+var MAX_REVISION = 0xffff;
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Key pairs by event id (an event's keys never change once created)
+var keyCache = new Map();
+
+function uuidBytes(uuid) {
+    return Buffer.from(String(uuid).replace(/-/g, ''), 'hex');
+}
+
+function bytesUuid(buf) {
+    var hex = buf.toString('hex');
+    return [hex.substring(0, 8), hex.substring(8, 12), hex.substring(12, 16), hex.substring(16, 20), hex.substring(20)].join('-');
+}
+
+function randomCode() {
+    var code = '';
+    var bytes = crypto.randomBytes(8);
+    for (var i = 0; i < 8; i++) code += CODE_CHARS.charAt(bytes[i] % CODE_CHARS.length);
+    return code;
+}
+
+// ── Keys ──
+
+// { publicKey: KeyObject, privateKey: KeyObject, publicKeyRaw: base64url } for an event; the key
+// pair is created on first use
+async function eventKey(eventId) {
+    if (keyCache.has(eventId)) return keyCache.get(eventId);
+    var result = await db.query('SELECT public_key, private_key FROM event_badge_keys WHERE event_id = $1', [eventId]);
+    if (result.rows.length === 0) {
+        var pair = crypto.generateKeyPairSync('ed25519');
+        await db.query(
+            'INSERT INTO event_badge_keys (event_id, public_key, private_key) VALUES ($1, $2, $3) ON CONFLICT (event_id) DO NOTHING',
+            [eventId, pair.publicKey.export({ format: 'jwk' }).x, mailbox.encryptSecret(pair.privateKey.export({ type: 'pkcs8', format: 'pem' }))]
+        );
+        // Another request may have created it first: always use the stored pair
+        result = await db.query('SELECT public_key, private_key FROM event_badge_keys WHERE event_id = $1', [eventId]);
+    }
+    var row = result.rows[0];
+    var key = {
+        publicKeyRaw: row.public_key,
+        publicKey: crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: row.public_key }, format: 'jwk' }),
+        privateKey: crypto.createPrivateKey(mailbox.decryptSecret(row.private_key))
+    };
+    keyCache.set(eventId, key);
+    return key;
+}
+
+// Published form of the event's public key
+async function publicKeyInfo(eventId) {
+    var key = await eventKey(eventId);
+    return { event_id: eventId, algorithm: 'Ed25519', format: FORMAT, public_key: key.publicKeyRaw };
+}
+
+// ── Tokens ──
+
+async function signToken(attendee, format) {
+    var key = await eventKey(attendee.event_id);
+    var payload = Buffer.alloc(PAYLOAD_LENGTH);
+    payload[0] = format;
+    uuidBytes(attendee.event_id).copy(payload, 1);
+    uuidBytes(attendee.id).copy(payload, 17);
+    payload.writeUInt16BE(attendee.badge_revision || 1, 33);
+    payload.writeUInt32BE(Math.floor(Date.now() / 1000), 35);
+    return payload.toString('base64url') + '.' + crypto.sign(null, payload, key.privateKey).toString('base64url');
+}
+
+// Signed badge token for an attendee row ({ id, event_id, badge_revision })
+function issueToken(attendee) {
+    return signToken(attendee, FORMAT);
+}
+
+// Signed registration link token for an attendee row whose registration isn't confirmed yet
+function issueLinkToken(attendee) {
+    return signToken(attendee, LINK_FORMAT);
+}
+
+// Token → { eventId, attendeeId, revision, issuedAt, link, payload, signature } (not verified),
+// or null. link: a registration link rather than a badge.
+function decodeToken(token) {
+    if (typeof token !== 'string' || !TOKEN_RE.test(token)) return null;
+    var parts = token.split('.');
+    var payload = Buffer.from(parts[0], 'base64url');
+    if (payload.length !== PAYLOAD_LENGTH || (payload[0] !== FORMAT && payload[0] !== LINK_FORMAT)) return null;
+    return {
+        eventId: bytesUuid(payload.subarray(1, 17)),
+        attendeeId: bytesUuid(payload.subarray(17, 33)),
+        revision: payload.readUInt16BE(33),
+        issuedAt: new Date(payload.readUInt32BE(35) * 1000),
+        link: payload[0] === LINK_FORMAT,
+        payload: payload,
+        signature: Buffer.from(parts[1], 'base64url')
+    };
+}
+
+// What a scanner read (a badge URL, a token or a plain code) → { token } or { code }, or null
+function parseBadgeInput(raw) {
+    if (typeof raw !== 'string') return null;
+    var value = raw.trim();
+    var url = value.match(/\/b\/([^/?#\s]+)/);
+    if (url) {
+        try { value = decodeURIComponent(url[1]); } catch (e) { return null; }
+    }
+    if (value.indexOf('.') !== -1) return TOKEN_RE.test(value) ? { token: value } : null;
+    value = value.toUpperCase();
+    return CODE_RE.test(value) ? { code: value } : null;
+}
+
+function signedOnly(settings) {
+    return !!(settings && settings.signed_badges_only);
+}
+
+// Look up the attendee for a scanned badge. eventId (optional) limits it to one event;
+// opts.allowUnsigned accepts plain codes even where the event requires signed badges, and
+// opts.anyStatus finds waitlisted, unpaid and cancelled registrations too, and accepts
+// registration links (for the attendee's own badge page). → { attendee, signed, link } or
+// { status, reason, error } where reason is invalid | not_found | unsigned | revoked.
+async function resolveBadge(raw, eventId, opts) {
+    opts = opts || {};
+    var notFound = { status: 404, reason: 'not_found', error: eventId ? 'Badge not found for this event' : 'Badge not found' };
+    var parsed = parseBadgeInput(raw);
+    if (!parsed) return { status: 400, reason: 'invalid', error: 'Not a valid badge code' };
+
+    var attendee;
+    if (parsed.token) {
+        var claims = decodeToken(parsed.token);
+        if (!claims) return { status: 400, reason: 'invalid', error: 'Not a valid badge code' };
+        if (claims.link && !opts.anyStatus) return { status: 400, reason: 'invalid', error: 'This is a registration link, not a badge' };
+        if (eventId && claims.eventId !== String(eventId).toLowerCase()) return notFound;
+        var exists = await db.query('SELECT 1 FROM events WHERE id = $1', [claims.eventId]);
+        if (exists.rows.length === 0) return notFound;
+        var key = await eventKey(claims.eventId);
+        if (!crypto.verify(null, claims.payload, key.publicKey, claims.signature)) {
+            return { status: 400, reason: 'invalid', error: 'Badge signature is not valid' };
+        }
+        var byId = await db.query('SELECT * FROM event_attendees WHERE id = $1 AND event_id = $2', [claims.attendeeId, claims.eventId]);
+        if (byId.rows.length === 0) return notFound;
+        attendee = byId.rows[0];
+        if (attendee.badge_revision !== claims.revision) {
+            return { status: 403, reason: 'revoked', error: 'This badge has been replaced by a newer one' };
+        }
+    } else {
+        var byCode = eventId
+            ? await db.query('SELECT * FROM event_attendees WHERE badge_code = $1 AND event_id = $2', [parsed.code, eventId])
+            : await db.query('SELECT * FROM event_attendees WHERE badge_code = $1', [parsed.code]);
+        if (byCode.rows.length === 0) return notFound;
+        attendee = byCode.rows[0];
+        if (!opts.allowUnsigned) {
+            var ev = await db.query('SELECT settings FROM events WHERE id = $1', [attendee.event_id]);
+            if (signedOnly(ev.rows[0].settings)) {
+                return { status: 403, reason: 'unsigned', error: 'This event only accepts signed badge QR codes' };
+            }
+        }
+    }
+    if (attendee.badge_revoked_at) return { status: 403, reason: 'revoked', error: 'This badge has been revoked' };
+    if (attendee.status && attendee.status !== 'registered' && !opts.anyStatus) {
+        var why = { waitlisted: 'This registration is on the waitlist', pending_payment: 'This registration has not been paid for' };
+        return { status: 403, reason: 'revoked', error: why[attendee.status] || 'This registration has been cancelled' };
+    }
+    return { attendee: attendee, signed: !!parsed.token, link: !!(claims && claims.link) };
+}
+
+// ── Revoke / reissue ──
+
+async function revoke(eventId, attendeeId) {
+    if (!UUID_RE.test(attendeeId)) return null;
+    var result = await db.query(
+        'UPDATE event_attendees SET badge_revoked_at = COALESCE(badge_revoked_at, NOW()) WHERE id = $1 AND event_id = $2 RETURNING *',
+        [attendeeId, eventId]
+    );
+    return result.rows[0] || null;
+}
+
+// New badge code and revision (old tokens and the old code stop working); lifts a revocation.
+// Returns { attendee, token } or null.
+async function reissue(eventId, attendeeId) {
+    if (!UUID_RE.test(attendeeId)) return null;
+    for (var attempt = 0; attempt < 10; attempt++) {
+        try {
+            var result = await db.query(
+                'UPDATE event_attendees SET badge_code = $3, badge_revision = CASE WHEN badge_revision >= $4 THEN 1 ELSE badge_revision + 1 END, ' +
+                'badge_revoked_at = NULL WHERE id = $1 AND event_id = $2 RETURNING *',
+                [attendeeId, eventId, randomCode(), MAX_REVISION]
+            );
+            if (result.rows.length === 0) return null;
+            return { attendee: result.rows[0], token: await issueToken(result.rows[0]) };
+        } catch (err) {
+            // 23505 = unique_violation on badge_code — retry with new code
+            if (err.code === '23505' && err.constraint && err.constraint.includes('badge_code')) continue;
+            throw err;
+        }
+    }
+    throw new Error('Failed to generate unique badge code');
+}
+
+// Path of the badge page for a token (or a plain code)
+function badgePath(eventSlug, tokenOrCode) {
+    return '/e/' + eventSlug + '/b/' + tokenOrCode;
+}
+
+module.exports = {
+    TOKEN_RE: TOKEN_RE,
+    randomCode: randomCode,
+    eventKey: eventKey,
+    publicKeyInfo: publicKeyInfo,
+    issueToken: issueToken,
+    issueLinkToken: issueLinkToken,
+    decodeToken: decodeToken,
+    parseBadgeInput: parseBadgeInput,
+    signedOnly: signedOnly,
+    resolveBadge: resolveBadge,
+    revoke: revoke,
+    reissue: reissue,
+    badgePath: badgePath
+};
@@ -0,0 +1,541 @@
+// CRM connectors — push leads to HubSpot / Zoho CRM contacts
+// A connection (crm_connections) holds the encrypted OAuth tokens of one user, or of a whole team,
+// for one provider plus a field mapping (lead field → CRM property). Each pushed lead gets a row in
+// crm_sync_links with the CRM record id and the property values last sent, so later syncs only
+// send what changed. Failures are recorded on the link and on the lead timeline (data.actions).
+//
+// Leads are pushed right after dashboard edits (syncLead) and caught up by processPending()
+// (cron in index.js) for every other capture path.
+//
+// All HTTP goes through the transport set with setTransport(); API hosts can be pointed at a
+// local stub server with HUBSPOT_API_URL / HUBSPOT_AUTH_URL / ZOHO_API_URL / ZOHO_ACCOUNTS_URL.
+
+const db = require('./db');
+const leadExport = require('./lead-export');
+const mailbox = require('./mailbox');
+
+var REQUEST_TIMEOUT_MS = 15000;
+var MAX_ERROR_LENGTH = 500;
+var TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+var PENDING_BATCH = 50;
+var BASE_URL = process.env.BASE_URL || 'https://card.cardflow.cloud';
+
+// Lead fields that can be mapped (keys of leadExport.leadValues)
+var LEAD_FIELDS = ['firstName', 'lastName', 'name', 'email', 'phone', 'mobile', 'company', 'title', 'website',
+    'address', 'source', 'status', 'category', 'dealValue', 'notes'];
+var PROPERTY_RE = /^[A-Za-z][A-Za-z0-9_]{0,99}$/;
+
+// ── HTTP transport ──
+
+// Default transport: fetch with a timeout. A transport takes { method, url, headers, body }
+// (body already serialised) and resolves to { status, body } where body is the response text.
+async function fetchTransport(request) {
+    var controller = new AbortController();
+    var timeout = setTimeout(function () { controller.abort(); }, REQUEST_TIMEOUT_MS);
+    try {
+        var res = await fetch(request.url, { method: request.method, headers: request.headers, body: request.body, signal: controller.signal });
+        return { status: res.status, body: await res.text() };
+    } catch (err) {
+        throw new Error(err.name === 'AbortError' ? 'Timed out after ' + (REQUEST_TIMEOUT_MS / 1000) + 's' : (err.message || 'Request failed'));
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+var transport = fetchTransport;
+
+function setTransport(fn) {
+    transport = fn || fetchTransport;
+}
+
+function crmError(message, status) {
+    var err = new Error(String(message || 'CRM request failed').substring(0, MAX_ERROR_LENGTH));
+    err.status = status || null;
+    return err;
+}
+
+// JSON request → { status, json }. Non-2xx responses throw with the provider's message.
+async function request(method, url, headers, body, form) {
+    headers = Object.assign({ 'Accept': 'application/json' }, headers);
+    var payload;
+    if (form) {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        payload = new URLSearchParams(form).toString();
+    } else if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        payload = JSON.stringify(body);
+    }
+    var res = await transport({ method: method, url: url, headers: headers, body: payload });
+    var json = null;
+    try { json = res.body ? JSON.parse(res.body) : null; } catch (e) {}
+    if (res.status < 200 || res.status >= 300) {
+        var message = json && (json.message || json.error_description || json.error ||
+            (Array.isArray(json.data) && json.data[0] && json.data[0].message));
+        throw crmError((message ? String(message) : 'HTTP ' + res.status), res.status);
+    }
+    return { status: res.status, json: json };
+}
+
+// ── Providers ──
+// Adapter interface:
+//   authorizeUrl(state, redirectUri)        → URL of the provider consent screen
+//   exchangeCode(code, redirectUri, query)  → tokens { accessToken, refreshToken, expiresIn, settings }
+//   refresh(conn)                           → tokens
+//   defaultMapping(settings)                → { leadField: property }
+//   formatValue(field, value)               → value in the provider's vocabulary
+//   verify(conn) / findByEmail(conn, email) / create(conn, props) / update(conn, id, props)
+// conn is a crm_connections row: its tokens are stored encrypted (mailbox.encryptSecret).
+
+function hubspotApi() { return process.env.HUBSPOT_API_URL || 'https://api.hubapi.com'; }
+
+var hubspot = {
+    id: 'hubspot',
+    name: 'HubSpot',
+    clientId: function () { return process.env.HUBSPOT_CLIENT_ID; },
+
+    authorizeUrl: function (state, redirectUri) {
+        return (process.env.HUBSPOT_AUTH_URL || 'https://app.hubspot.com') + '/oauth/authorize?' + new URLSearchParams({
+            client_id: process.env.HUBSPOT_CLIENT_ID,
+            redirect_uri: redirectUri,
+            scope: 'crm.objects.contacts.read crm.objects.contacts.write',
+            state: state
+        }).toString();
+    },
+
+    exchangeCode: async function (code, redirectUri) {
+        var r = await request('POST', hubspotApi() + '/oauth/v1/token', {}, undefined, {
+            grant_type: 'authorization_code',
+            client_id: process.env.HUBSPOT_CLIENT_ID,
+            client_secret: process.env.HUBSPOT_CLIENT_SECRET,
+            redirect_uri: redirectUri,
+            code: code
+        });
+        return { accessToken: r.json.access_token, refreshToken: r.json.refresh_token, expiresIn: r.json.expires_in, settings: {} };
+    },
+
+    refresh: async function (conn) {
+        var refreshToken = mailbox.decryptSecret(conn.refresh_token);
+        var r = await request('POST', hubspotApi() + '/oauth/v1/token', {}, undefined, {
+            grant_type: 'refresh_token',
+            client_id: process.env.HUBSPOT_CLIENT_ID,
+            client_secret: process.env.HUBSPOT_CLIENT_SECRET,
+            refresh_token: refreshToken
+        });
+        return { accessToken: r.json.access_token, refreshToken: r.json.refresh_token || refreshToken, expiresIn: r.json.expires_in };
+    },
+
+    defaultMapping: function () {
+        return {
+            firstName: 'firstname', lastName: 'lastname', email: 'email', phone: 'phone', mobile: 'mobilephone',
+            company: 'company', title: 'jobtitle', website: 'website', address: 'address',
+            status: 'hs_lead_status', category: 'industry', notes: 'message'
+        };
+    },
+
+    formatValue: function (field, value) {
+        if (field === 'status') return leadExport.HUBSPOT_LEAD_STATUS[value] || 'NEW';
+        return value;
+    },
+
+    headers: function (conn) {
+        return { 'Authorization': 'Bearer ' + mailbox.decryptSecret(conn.access_token) };
+    },
+
+    verify: async function (conn) {
+        await request('GET', hubspotApi() + '/crm/v3/objects/contacts?limit=1', this.headers(conn));
+    },
+
+    findByEmail: async function (conn, email) {
+        var r = await request('POST', hubspotApi() + '/crm/v3/objects/contacts/search', this.headers(conn), {
+            filterGroups: [{ filters: [{ propertyName: 'email', operator: 'EQ', value: email }] }],
+            properties: ['email'],
+            limit: 1
+        });
+        var results = (r.json && r.json.results) || [];
+        return results.length ? String(results[0].id) : null;
+    },
+
+    create: async function (conn, props) {
+        var r = await request('POST', hubspotApi() + '/crm/v3/objects/contacts', this.headers(conn), { properties: props });
+        return String(r.json.id);
+    },
+
+    update: async function (conn, externalId, props) {
+        await request('PATCH', hubspotApi() + '/crm/v3/objects/contacts/' + encodeURIComponent(externalId), this.headers(conn), { properties: props });
+    }
+};
+
+var ZOHO_MODULES = ['Contacts', 'Leads'];
+var ZOHO_ACCOUNTS_RE = /^https:\/\/accounts\.zoho\.[a-z.]{2,10}$/;
+var ZOHO_API_RE = /^https:\/\/www\.zohoapis\.[a-z.]{2,10}$/;
+
+function zohoAccounts(settings) {
+    return process.env.ZOHO_ACCOUNTS_URL || (settings && settings.accountsUrl) || 'https://accounts.zoho.com';
+}
+
+function zohoApi(conn) {
+    return (process.env.ZOHO_API_URL || (conn.settings && conn.settings.apiDomain) || 'https://www.zohoapis.com') +
+        '/crm/v2/' + zohoModule(conn.settings);
+}
+
+function zohoModule(settings) {
+    return settings && ZOHO_MODULES.includes(settings.module) ? settings.module : 'Contacts';
+}
+
+// Zoho answers writes with { data: [{ status: 'success'|'error', code, message, details }] }
+function zohoResult(json) {
+    var row = json && Array.isArray(json.data) ? json.data[0] : null;
+    if (!row) throw crmError('Unexpected Zoho response');
+    if (row.status !== 'success') throw crmError(row.message || row.code || 'Zoho rejected the record');
+    return row;
+}
+
+var zoho = {
+    id: 'zoho',
+    name: 'Zoho CRM',
+    clientId: function () { return process.env.ZOHO_CLIENT_ID; },
+
+    authorizeUrl: function (state, redirectUri) {
+        return zohoAccounts() + '/oauth/v2/auth?' + new URLSearchParams({
+            scope: 'ZohoCRM.modules.contacts.ALL,ZohoCRM.modules.leads.ALL',
+            client_id: process.env.ZOHO_CLIENT_ID,
+            response_type: 'code',
+            access_type: 'offline',
+            prompt: 'consent',
+            redirect_uri: redirectUri,
+            state: state
+        }).toString();
+    },
+
+    // Zoho accounts live in regional data centres: the callback names the accounts server
+    // and the token response names the API domain for this account
+    exchangeCode: async function (code, redirectUri, query) {
+        var settings = {};
+        var accountsServer = query && query['accounts-server'];
+        if (accountsServer && ZOHO_ACCOUNTS_RE.test(accountsServer)) settings.accountsUrl = accountsServer;
+        var r = await request('POST', zohoAccounts(settings) + '/oauth/v2/token', {}, undefined, {
+            grant_type: 'authorization_code',
+            client_id: process.env.ZOHO_CLIENT_ID,
+            client_secret: process.env.ZOHO_CLIENT_SECRET,
+            redirect_uri: redirectUri,
+            code: code
+        });
+        if (r.json.error) throw crmError(r.json.error);
+        if (r.json.api_domain && ZOHO_API_RE.test(r.json.api_domain)) settings.apiDomain = r.json.api_domain;
+        return { accessToken: r.json.access_token, refreshToken: r.json.refresh_token, expiresIn: r.json.expires_in, settings: settings };
+    },
+
+    refresh: async function (conn) {
+        var refreshToken = mailbox.decryptSecret(conn.refresh_token);
+        var r = await request('POST', zohoAccounts(conn.settings) + '/oauth/v2/token', {}, undefined, {
+            grant_type: 'refresh_token',
+            client_id: process.env.ZOHO_CLIENT_ID,
+            client_secret: process.env.ZOHO_CLIENT_SECRET,
+            refresh_token: refreshToken
+        });
+        if (r.json.error) throw crmError(r.json.error, 401);
+        return { accessToken: r.json.access_token, refreshToken: refreshToken, expiresIn: r.json.expires_in };
+    },
+
+    // Zoho Contacts have no status or company text field; the Leads module has both
+    defaultMapping: function (settings) {
+        var mapping = {
+            firstName: 'First_Name', lastName: 'Last_Name', email: 'Email', phone: 'Phone', mobile: 'Mobile',
+            title: 'Title', source: 'Lead_Source', notes: 'Description', address: 'Mailing_Street'
+        };
+        if (zohoModule(settings) === 'Leads') {
+            Object.assign(mapping, { company: 'Company', website: 'Website', address: 'Street', status: 'Lead_Status', category: 'Industry' });
+        }
+        return mapping;
+    },
+
+    formatValue: function (field, value) {
+        if (field === 'status') return leadExport.ZOHO_STATUS[value] || leadExport.ZOHO_STATUS.new;
+        return value;
+    },
+
+    // Last_Name (and Company on Leads) are mandatory in Zoho
+    prepare: function (values) {
+        if (!values.lastName) values.lastName = values.name || values.email || 'Unknown';
+        if (!values.company) values.company = '[not provided]';
+        return values;
+    },
+
+    headers: function (conn) {
+        return { 'Authorization': 'Zoho-oauthtoken ' + mailbox.decryptSecret(conn.access_token) };
+    },
+
+    verify: async function (conn) {
+        await request('GET', zohoApi(conn) + '?per_page=1', this.headers(conn));
+    },
+
+    findByEmail: async function (conn, email) {
+        // 204 (empty body) when nothing matches
+        var r = await request('GET', zohoApi(conn) + '/search?email=' + encodeURIComponent(email), this.headers(conn));
+        var rows = (r.json && r.json.data) || [];
+        return rows.length ? String(rows[0].id) : null;
+    },
+
+    create: async function (conn, props) {
+        var r = await request('POST', zohoApi(conn), this.headers(conn), { data: [props], trigger: [] });
+        return String(zohoResult(r.json).details.id);
+    },
+
+    update: async function (conn, externalId, props) {
+        var r = await request('PUT', zohoApi(conn) + '/' + encodeURIComponent(externalId), this.headers(conn), { data: [props], trigger: [] });
+        zohoResult(r.json);
+    }
+};
+
+var PROVIDERS = { hubspot: hubspot, zoho: zoho };
+
+function redirectUri(provider) {
+    return BASE_URL + '/api/crm/' + provider + '/callback';
+}
+
+// ── Field mapping ──
+
+// Stored mapping holds overrides only; null disables a default
+function effectiveMapping(conn) {
+    var mapping = Object.assign({}, PROVIDERS[conn.provider].defaultMapping(conn.settings), conn.field_mapping || {});
+    Object.keys(mapping).forEach(function (k) { if (!mapping[k]) delete mapping[k]; });
+    return mapping;
+}
+
+// Returns an error message, or null when the mapping is valid
+function validateMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return 'fieldMapping must be an object';
+    var keys = Object.keys(mapping);
+    for (var i = 0; i < keys.length; i++) {
+        if (!LEAD_FIELDS.includes(keys[i])) return 'Unknown lead field: ' + keys[i].substring(0, 50);
+        var prop = mapping[keys[i]];
+        if (prop !== null && (typeof prop !== 'string' || !PROPERTY_RE.test(prop))) return 'Invalid CRM property for ' + keys[i];
+    }
+    return null;
+}
+
+// CRM properties for a lead (empty values are left out so CRM data is never blanked)
+function buildProperties(conn, data) {
+    var adapter = PROVIDERS[conn.provider];
+    var values = leadExport.leadValues(data);
+    if (adapter.prepare) values = adapter.prepare(values);
+    var mapping = effectiveMapping(conn);
+    var props = {};
+    Object.keys(mapping).forEach(function (field) {
+        var value = values[field];
+        if (value === undefined || value === null || value === '') return;
+        props[mapping[field]] = adapter.formatValue(field, String(value));
+    });
+    return props;
+}
+
+function changedProperties(props, previous) {
+    var changed = {};
+    Object.keys(props).forEach(function (k) {
+        if (!previous || previous[k] !== props[k]) changed[k] = props[k];
+    });
+    return changed;
+}
+
+// ── Tokens ──
+
+var refreshing = new Map();
+
+// Refresh the access token when it is about to expire (one refresh per connection at a time)
+async function ensureToken(conn) {
+    if (!conn.token_expires_at || new Date(conn.token_expires_at).getTime() - TOKEN_REFRESH_MARGIN_MS > Date.now()) return conn;
+    if (!conn.refresh_token) throw crmError('Access token expired — reconnect ' + PROVIDERS[conn.provider].name, 401);
+    if (!refreshing.has(conn.id)) {
+        refreshing.set(conn.id, (async function () {
+            var tokens = await PROVIDERS[conn.provider].refresh(conn);
+            var expiresAt = tokens.expiresIn ? new Date(Date.now() + tokens.expiresIn * 1000) : null;
+            var fields = { accessToken: mailbox.encryptSecret(tokens.accessToken), refreshToken: mailbox.encryptSecret(tokens.refreshToken), expiresAt: expiresAt };
+            await db.query(
+                'UPDATE crm_connections SET access_token = $1, refresh_token = $2, token_expires_at = $3, updated_at = NOW() WHERE id = $4',
+                [fields.accessToken, fields.refreshToken, expiresAt, conn.id]
+            );
+            return fields;
+        })().finally(function () { refreshing.delete(conn.id); }));
+    }
+    var fresh = await refreshing.get(conn.id);
+    conn.access_token = fresh.accessToken;
+    conn.refresh_token = fresh.refreshToken;
+    conn.token_expires_at = fresh.expiresAt;
+    return conn;
+}
+
+// ── Sync ──
+
+async function appendTimeline(userId, leadId, action) {
+    await db.query(
+        "UPDATE leads SET data = jsonb_set(COALESCE(data, '{}'), '{actions}', " +
+        "COALESCE(data->'actions', '[]'::jsonb) || $1::jsonb), updated_at = NOW() " +
+        "WHERE user_id = $2 AND id = $3",
+        [JSON.stringify([action]), userId, leadId]
+    );
+}
+
+async function saveLink(conn, userId, leadId, fields) {
+    await db.query(
+        'INSERT INTO crm_sync_links (connection_id, lead_user_id, lead_id, external_id, synced_values, last_synced_at, last_attempt_at, last_error) ' +
+        'VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7) ' +
+        'ON CONFLICT (connection_id, lead_user_id, lead_id) DO UPDATE SET external_id = EXCLUDED.external_id, ' +
+        'synced_values = EXCLUDED.synced_values, last_synced_at = EXCLUDED.last_synced_at, last_attempt_at = NOW(), last_error = EXCLUDED.last_error',
+        [conn.id, userId, leadId, fields.externalId || null, JSON.stringify(fields.values || {}), fields.syncedAt || null, fields.error || null]
+    );
+}
+
+// Push one lead to one connection. Never throws; returns { ok, externalId?, error? }.
+async function pushLead(conn, userId, leadId, data) {
+    var adapter = PROVIDERS[conn.provider];
+    var linkResult = await db.query(
+        'SELECT external_id, synced_values, last_synced_at, last_error FROM crm_sync_links WHERE connection_id = $1 AND lead_user_id = $2 AND lead_id = $3',
+        [conn.id, userId, leadId]
+    );
+    var link = linkResult.rows[0] || null;
+    var props = buildProperties(conn, data);
+    var externalId = link && link.external_id;
+
+    try {
+        if (externalId) {
+            var changed = changedProperties(props, link.synced_values);
+            if (Object.keys(changed).length === 0) {
+                await saveLink(conn, userId, leadId, { externalId: externalId, values: link.synced_values, syncedAt: link.last_synced_at });
+                return { ok: true, externalId: externalId };
+            }
+            await ensureToken(conn);
+            try {
+                await adapter.update(conn, externalId, changed);
+            } catch (err) {
+                // Record deleted in the CRM — create it again below
+                if (err.status !== 404) throw err;
+                externalId = null;
+            }
+        }
+        var created = false;
+        if (!externalId) {
+            if (Object.keys(props).length === 0) throw crmError('Nothing to sync: no mapped fields have values');
+            await ensureToken(conn);
+            var email = leadExport.leadValues(data).email;
+            externalId = email ? await adapter.findByEmail(conn, email) : null;
+            if (externalId) await adapter.update(conn, externalId, props);
+            else { externalId = await adapter.create(conn, props); created = true; }
+        }
+        if (!link || !link.external_id) {
+            await appendTimeline(userId, leadId, { type: 'system', action: 'crm_synced', ts: Date.now(), provider: conn.provider, externalId: externalId, created: created });
+        }
+        await saveLink(conn, userId, leadId, { externalId: externalId, values: props, syncedAt: new Date() });
+        return { ok: true, externalId: externalId };
+    } catch (err) {
+        var message = String(err.message || 'Sync failed').substring(0, MAX_ERROR_LENGTH);
+        try {
+            // Only log to the timeline when the error changes, so retries don't flood it
+            if (!link || link.last_error !== message) {
+                await appendTimeline(userId, leadId, { type: 'system', action: 'crm_sync_failed', ts: Date.now(), provider: conn.provider, error: message });
+            }
+            await saveLink(conn, userId, leadId, {
+                externalId: link && link.external_id, values: link && link.synced_values,
+                syncedAt: link && link.last_synced_at, error: message
+            });
+            // Revoked or expired authorization: stop syncing until the user reconnects
+            if (err.status === 401) {
+                await db.query('UPDATE crm_connections SET active = false, last_error = $1, updated_at = NOW() WHERE id = $2', [message, conn.id]);
+                conn.active = false;
+            } else {
+                await db.query('UPDATE crm_connections SET last_error = $1, updated_at = NOW() WHERE id = $2', [message, conn.id]);
+            }
+        } catch (logErr) {
+            console.error('CRM sync error logging failed:', logErr.message);
+        }
+        return { ok: false, error: message };
+    }
+}
+
+// Pushes of the same lead to the same connection run one after another, so an edit made
+// while the first push is still creating the CRM record can't create a second one
+var inFlight = new Map();
+
+function pushSerialized(conn, userId, leadId, data) {
+    var key = conn.id + ':' + userId + ':' + leadId;
+    var previous = inFlight.get(key) || Promise.resolve();
+    var next = previous.then(function () {
+        return conn.active === false ? { ok: false, error: 'Connection inactive' } : pushLead(conn, userId, leadId, data);
+    });
+    inFlight.set(key, next);
+    next.finally(function () { if (inFlight.get(key) === next) inFlight.delete(key); });
+    return next;
+}
+
+// Active connections that apply to a user's leads: their own plus their team's
+async function connectionsFor(userId) {
+    var result = await db.query(
+        'SELECT * FROM crm_connections WHERE active = true AND ' +
+        '((team_id IS NULL AND user_id = $1) OR team_id = (SELECT team_id FROM users WHERE id = $1))',
+        [userId]
+    );
+    return result.rows;
+}
+
+// Push a created or edited lead to every applicable connection. Fire-and-forget: never throws.
+async function syncLead(userId, leadId, data) {
+    try {
+        var connections = await connectionsFor(userId);
+        for (var i = 0; i < connections.length; i++) {
+            await pushSerialized(connections[i], userId, leadId, data);
+        }
+        if (connections.length) {
+            await db.query('UPDATE crm_connections SET last_sync_at = NOW() WHERE id = ANY($1)', [connections.map(function (c) { return c.id; })]);
+        }
+    } catch (err) {
+        console.error('CRM sync failed for lead ' + leadId + ':', err.message);
+    }
+}
+
+// Push leads of one connection that changed since their last attempt (oldest first)
+async function processConnection(conn, limit) {
+    var scope = conn.team_id
+        ? 'l.user_id IN (SELECT id FROM users WHERE team_id = $2)'
+        : 'l.user_id = $2';
+    var due = await db.query(
+        'SELECT l.user_id, l.id, l.data FROM leads l ' +
+        'LEFT JOIN crm_sync_links s ON s.connection_id = $1 AND s.lead_user_id = l.user_id AND s.lead_id = l.id ' +
+        'WHERE ' + scope + ' AND l.updated_at >= $3 AND (s.last_attempt_at IS NULL OR s.last_attempt_at < l.updated_at) ' +
+        'ORDER BY l.updated_at ASC LIMIT $4',
+        [conn.id, conn.team_id || conn.user_id, conn.sync_from, limit || PENDING_BATCH]
+    );
+    var pushed = 0;
+    for (var i = 0; i < due.rows.length && conn.active !== false; i++) {
+        var row = due.rows[i];
+        var result = await pushSerialized(conn, row.user_id, row.id, row.data);
+        if (result.ok) pushed++;
+    }
+    if (due.rows.length) await db.query('UPDATE crm_connections SET last_sync_at = NOW() WHERE id = $1', [conn.id]);
+    return { due: due.rows.length, pushed: pushed };
+}
+
+async function processPending() {
+    var connections = await db.query('SELECT * FROM crm_connections WHERE active = true ORDER BY last_sync_at ASC NULLS FIRST');
+    var total = 0;
+    for (var i = 0; i < connections.rows.length; i++) {
+        try {
+            total += (await processConnection(connections.rows[i])).due;
+        } catch (err) {
+            console.error('CRM sync error for connection ' + connections.rows[i].id + ':', err.message);
+        }
+    }
+    return total;
+}
+
+module.exports = {
+    PROVIDERS: PROVIDERS,
+    LEAD_FIELDS: LEAD_FIELDS,
+    ZOHO_MODULES: ZOHO_MODULES,
+    setTransport: setTransport,
+    redirectUri: redirectUri,
+    effectiveMapping: effectiveMapping,
+    validateMapping: validateMapping,
+    buildProperties: buildProperties,
+    syncLead: syncLead,
+    processConnection: processConnection,
+    processPending: processPending
+};
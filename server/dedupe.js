@@ -0,0 +1,393 @@
+// Lead duplicate detection and merging
+// Pairs are scored on normalized email, E.164 phone and fuzzy name+company. Merging folds
+// one or more duplicates into a primary lead (timeline, tasks, comments/notes, tags and
+// contact details), re-points sequence_enrollments, booth_visits and lead_tasks, then deletes the rest.
+
+const db = require('./db');
+const pipeline = require('./pipeline');
+const tasks = require('./tasks');
+
+var DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '91').replace(/\D/g, '');
+var MAX_ACTIONS = 200;
+var MAX_SCAN_LEADS = 5000;
+
+// Pipeline order used to keep the most advanced status when merging (default stages;
+// mergeLeads passes the user's configured order)
+var STATUS_ORDER = pipeline.stageOrder(pipeline.DEFAULT_STAGES);
+
+// Fields the caller may pick explicitly when merging (e.g. "keep the duplicate's title")
+var OVERRIDE_FIELDS = ['name', 'title', 'company', 'address', 'status', 'category', 'dealValue', 'phone', 'phones', 'email', 'emails'];
+
+// Fields copied from a duplicate when the primary has no value
+var FILL_FIELDS = ['name', 'email', 'phone', 'company', 'title', 'website', 'address', 'linkedin', 'twitter',
+    'instagram', 'facebook', 'youtube', 'tiktok', 'github', 'whatsapp', 'photo', 'category', 'assignedTo',
+    'dealValue', 'event_id', 'badge_code', 'booth_number'];
+
+function toList(v) {
+    if (!v) return [];
+    return (Array.isArray(v) ? v : [v]).filter(function (x) { return typeof x === 'string' && x.trim(); });
+}
+
+function normalizeEmail(email) {
+    if (!email || typeof email !== 'string') return null;
+    var e = email.trim().toLowerCase();
+    var at = e.lastIndexOf('@');
+    if (at < 1 || at === e.length - 1) return null;
+    var local = e.substring(0, at).replace(/\+.*$/, '');
+    return local + e.substring(at);
+}
+
+// Best-effort E.164: keeps explicit country codes, assumes DEFAULT_PHONE_COUNTRY_CODE for
+// national numbers (10 digits, or 11 with a trunk 0).
+function normalizePhone(phone) {
+    if (!phone || typeof phone !== 'string') return null;
+    var trimmed = phone.trim();
+    var digits = trimmed.replace(/\D/g, '');
+    if (digits.length < 7) return null;
+    if (trimmed.charAt(0) === '+') return '+' + digits;
+    if (digits.indexOf('00') === 0) return '+' + digits.substring(2);
+    if (digits.length === 11 && digits.charAt(0) === '0') return '+' + DEFAULT_COUNTRY_CODE + digits.substring(1);
+    if (digits.length === 10) return '+' + DEFAULT_COUNTRY_CODE + digits;
+    if (digits.length === DEFAULT_COUNTRY_CODE.length + 10 && digits.indexOf(DEFAULT_COUNTRY_CODE) === 0) return '+' + digits;
+    return '+' + digits;
+}
+
+var COMPANY_SUFFIXES = /\b(pvt|private|ltd|limited|llp|llc|inc|incorporated|corp|corporation|co|company|gmbh|plc)\b/g;
+
+function normalizeName(s) {
+    return String(s || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeCompany(s) {
+    return normalizeName(s).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+}
+
+// Sørensen–Dice coefficient over character bigrams (order-insensitive for name tokens)
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    a = a.split(' ').sort().join(' ');
+    b = b.split(' ').sort().join(' ');
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    var grams = {};
+    for (var i = 0; i < a.length - 1; i++) {
+        var g = a.substring(i, i + 2);
+        grams[g] = (grams[g] || 0) + 1;
+    }
+    var overlap = 0;
+    for (var j = 0; j < b.length - 1; j++) {
+        var h = b.substring(j, j + 2);
+        if (grams[h] > 0) { grams[h]--; overlap++; }
+    }
+    return (2 * overlap) / (a.length + b.length - 2);
+}
+
+// Precompute the comparison keys for a lead
+function fingerprint(id, data) {
+    data = data || {};
+    var emails = toList(data.email).concat(toList(data.emails)).map(normalizeEmail).filter(Boolean);
+    var phones = toList(data.phone).concat(toList(data.phones)).map(normalizePhone).filter(Boolean);
+    return {
+        id: id,
+        emails: emails.filter(function (e, i) { return emails.indexOf(e) === i; }),
+        phones: phones.filter(function (p, i) { return phones.indexOf(p) === i; }),
+        name: normalizeName(data.name),
+        company: normalizeCompany(data.company)
+    };
+}
+
+// Score two fingerprints in [0, 1]; reasons lists what matched
+function scorePair(a, b) {
+    var score = 0;
+    var reasons = [];
+    if (a.emails.some(function (e) { return b.emails.indexOf(e) !== -1; })) {
+        score = 1;
+        reasons.push('email');
+    }
+    if (a.phones.some(function (p) { return b.phones.indexOf(p) !== -1; })) {
+        score = Math.max(score, 0.9);
+        reasons.push('phone');
+    }
+    var nameSim = similarity(a.name, b.name);
+    if (nameSim >= 0.85) {
+        if (a.company && b.company) {
+            var companySim = similarity(a.company, b.company);
+            if (companySim >= 0.8) {
+                score = Math.max(score, 0.6 + 0.3 * ((nameSim + companySim) / 2));
+                reasons.push('name_company');
+            }
+        } else if (nameSim >= 0.95 && a.name.indexOf(' ') !== -1) {
+            // Full name match with no company on one side — weak signal on its own
+            score = Math.max(score, 0.5);
+            reasons.push('name');
+        }
+    }
+    return { score: Math.round(score * 100) / 100, reasons: reasons };
+}
+
+function blockingKeys(p) {
+    var keys = p.emails.map(function (e) { return 'e:' + e; })
+        .concat(p.phones.map(function (ph) { return 'p:' + ph; }));
+    if (p.name) keys.push('n:' + p.name.split(' ').sort()[0].substring(0, 3));
+    return keys;
+}
+
+// Index existing fingerprints; the returned function finds the best match (or null) for a
+// new fingerprint — used to flag duplicates before leads are inserted (e.g. imports).
+// match.add(print) indexes another fingerprint.
+function createMatcher(prints, minScore) {
+    var blocks = {};
+    function add(p) {
+        blockingKeys(p).forEach(function (key) { (blocks[key] = blocks[key] || []).push(p); });
+    }
+    prints.forEach(add);
+    function match(print) {
+        var best = null;
+        var compared = {};
+        blockingKeys(print).forEach(function (key) {
+            (blocks[key] || []).forEach(function (candidate) {
+                if (compared[candidate.id]) return;
+                compared[candidate.id] = true;
+                var result = scorePair(print, candidate);
+                if (result.score >= minScore && (!best || result.score > best.score)) {
+                    best = { id: candidate.id, score: result.score, reasons: result.reasons };
+                }
+            });
+        });
+        return best;
+    }
+    match.add = add;
+    return match;
+}
+
+// Find candidate pairs among fingerprints. Only leads sharing a blocking key (email, phone
+// or name prefix) are compared, so this stays near-linear for large lists.
+function findDuplicatePairs(prints, minScore) {
+    var blocks = {};
+    prints.forEach(function (p, idx) {
+        blockingKeys(p).forEach(function (key) { (blocks[key] = blocks[key] || []).push(idx); });
+    });
+
+    var seen = {};
+    var pairs = [];
+    Object.keys(blocks).forEach(function (key) {
+        var members = blocks[key];
+        if (members.length < 2 || members.length > 200) return; // skip giant blocks (e.g. "info@")
+        for (var i = 0; i < members.length; i++) {
+            for (var j = i + 1; j < members.length; j++) {
+                var pairKey = members[i] < members[j] ? members[i] + ':' + members[j] : members[j] + ':' + members[i];
+                if (seen[pairKey]) continue;
+                seen[pairKey] = true;
+                var result = scorePair(prints[members[i]], prints[members[j]]);
+                if (result.score >= minScore) {
+                    pairs.push({ a: prints[members[i]].id, b: prints[members[j]].id, score: result.score, reasons: result.reasons });
+                }
+            }
+        }
+    });
+    pairs.sort(function (x, y) { return y.score - x.score; });
+    return pairs;
+}
+
+async function findDuplicates(userId, minScore, limit) {
+    var result = await db.query(
+        "SELECT id, data - 'photo' - 'actions' AS data, created_at FROM leads WHERE user_id = $1 ORDER BY created_at DESC LIMIT " + MAX_SCAN_LEADS,
+        [userId]
+    );
+    var byId = {};
+    var prints = result.rows.map(function (row) {
+        byId[row.id] = row;
+        return fingerprint(row.id, row.data);
+    });
+    var pairs = findDuplicatePairs(prints, minScore).slice(0, limit);
+    return pairs.map(function (p) {
+        return {
+            score: p.score,
+            reasons: p.reasons,
+            leads: [p.a, p.b].map(function (id) {
+                var d = byId[id].data || {};
+                return { id: id, name: d.name || '', email: d.email || '', phone: d.phone || '', company: d.company || '', source: d.source || '', created_at: byId[id].created_at };
+            })
+        };
+    });
+}
+
+function unionBy(lists, keyFn) {
+    var seen = {};
+    var out = [];
+    lists.forEach(function (list) {
+        (Array.isArray(list) ? list : []).forEach(function (item) {
+            if (!item) return;
+            var key = keyFn(item);
+            if (seen[key]) return;
+            seen[key] = true;
+            out.push(item);
+        });
+    });
+    return out;
+}
+
+// Pure merge of lead data objects; primary wins on conflicts except status (most advanced
+// in stageOrder, default STATUS_ORDER), deal value and score (highest). overrides replaces
+// individual OVERRIDE_FIELDS afterwards.
+function mergeLeadData(primary, duplicates, ids, overrides, stageOrder) {
+    var order = stageOrder || STATUS_ORDER;
+    var merged = Object.assign({}, primary);
+    var all = [primary].concat(duplicates);
+
+    duplicates.forEach(function (d) {
+        FILL_FIELDS.forEach(function (f) {
+            var cur = merged[f];
+            if ((cur === undefined || cur === null || cur === '' || (Array.isArray(cur) && cur.length === 0)) && d[f]) merged[f] = d[f];
+        });
+    });
+
+    // Keep every distinct email/phone; the primary's stays in email/phone
+    var emails = unionBy(all.map(function (d) { return toList(d.email).concat(toList(d.emails)); }), function (e) { return normalizeEmail(e) || e; });
+    var phones = unionBy(all.map(function (d) { return toList(d.phone).concat(toList(d.phones)); }), function (p) { return normalizePhone(p) || p; });
+    if (emails.length > 1) merged.emails = emails;
+    if (phones.length > 1) merged.phones = phones;
+
+    var tags = unionBy(all.map(function (d) { return Array.isArray(d.tags) ? d.tags : (d.tags ? [d.tags] : []); }), function (t) { return String(t).toLowerCase(); });
+    if (tags.length) merged.tags = tags;
+
+    var tasks = unionBy(all.map(function (d) { return d.tasks; }), function (t) { return t.id || (t.title + '|' + t.due); });
+    if (tasks.length) merged.tasks = tasks;
+
+    var comments = unionBy(all.map(function (d) { return d.comments; }), function (c) { return c.id || (c.ts + '|' + c.text); });
+    if (comments.length) merged.comments = comments.sort(function (x, y) { return (x.ts || 0) - (y.ts || 0); });
+
+    var notes = unionBy(all.map(function (d) { return d.notes ? [String(d.notes).trim()] : []; }), function (n) { return n; });
+    if (notes.length) merged.notes = notes.join('\n\n');
+
+    var actions = unionBy(all.map(function (d) { return d.actions; }), function (a) { return (a.ts || 0) + '|' + a.action + '|' + (a.type || ''); });
+    actions.sort(function (x, y) { return (x.ts || 0) - (y.ts || 0); });
+    actions.push({ type: 'system', action: 'lead_merged', ts: Date.now(), merged: ids });
+    merged.actions = actions.slice(-MAX_ACTIONS);
+
+    duplicates.forEach(function (d) {
+        if (d.status && (order[d.status] || 0) > (order[merged.status] || 0)) merged.status = d.status;
+        if ((parseFloat(d.dealValue) || 0) > (parseFloat(merged.dealValue) || 0)) merged.dealValue = d.dealValue;
+        if ((d.score || 0) > (merged.score || 0)) merged.score = d.score;
+    });
+
+    Object.keys(overrides || {}).forEach(function (f) {
+        if (OVERRIDE_FIELDS.indexOf(f) !== -1) merged[f] = overrides[f];
+    });
+
+    merged.mergedFrom = unionBy([primary.mergedFrom, ids], function (x) { return x; });
+    return merged;
+}
+
+// Merge duplicateIds into primaryId for a user (overrides: see mergeLeadData). Returns the merged data, or null if any lead is missing.
+async function mergeLeads(userId, primaryId, duplicateIds, overrides) {
+    var client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        var ids = [primaryId].concat(duplicateIds);
+        var result = await client.query(
+            'SELECT id, data FROM leads WHERE user_id = $1 AND id = ANY($2) FOR UPDATE',
+            [userId, ids]
+        );
+        if (result.rows.length !== ids.length) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        var byId = {};
+        result.rows.forEach(function (r) { byId[r.id] = r.data || {}; });
+        var stages = (await pipeline.getPipeline(userId)).stages;
+        var merged = mergeLeadData(byId[primaryId], duplicateIds.map(function (id) { return byId[id]; }), duplicateIds, overrides, pipeline.stageOrder(stages));
+
+        await client.query(
+            'UPDATE leads SET data = $1, updated_at = NOW() WHERE user_id = $2 AND id = $3',
+            [JSON.stringify(merged), userId, primaryId]
+        );
+        // Enrollments: drop duplicates' enrollments in sequences the primary is already in, move the rest
+        await client.query(
+            'DELETE FROM sequence_enrollments e WHERE e.user_id = $1 AND e.lead_id = ANY($2) AND EXISTS (' +
+            'SELECT 1 FROM sequence_enrollments p WHERE p.user_id = e.user_id AND p.sequence_id = e.sequence_id AND p.lead_id = $3)',
+            [userId, duplicateIds, primaryId]
+        );
+        await client.query(
+            'DELETE FROM sequence_enrollments e WHERE e.user_id = $1 AND e.lead_id = ANY($2) AND e.id NOT IN (' +
+            'SELECT DISTINCT ON (sequence_id) id FROM sequence_enrollments WHERE user_id = $1 AND lead_id = ANY($2) ORDER BY sequence_id, enrolled_at ASC)',
+            [userId, duplicateIds]
+        );
+        await client.query(
+            'UPDATE sequence_enrollments SET lead_id = $3 WHERE user_id = $1 AND lead_id = ANY($2)',
+            [userId, duplicateIds, primaryId]
+        );
+        await client.query(
+            'UPDATE booth_visits SET lead_id = $3 WHERE scanned_by = $1 AND lead_id = ANY($2)',
+            [userId, duplicateIds, primaryId]
+        );
+        // The duplicates' stage history goes with them; a status taken over from one is a stage change of the primary
+        var prevStatus = byId[primaryId].status || pipeline.initialStage(stages);
+        if (merged.status && merged.status !== prevStatus) {
+            await client.query(
+                'INSERT INTO lead_stage_history (user_id, lead_id, from_stage, to_stage, changed_by) VALUES ($1, $2, $3, $4, $1)',
+                [userId, primaryId, byId[primaryId].status || null, merged.status]
+            );
+        }
+        // Tasks move to the primary (legacy ids dropped so they cannot clash with the primary's)
+        await client.query(
+            'UPDATE lead_tasks SET lead_id = $3, legacy_id = NULL WHERE user_id = $1 AND lead_id = ANY($2)',
+            [userId, duplicateIds, primaryId]
+        );
+        await client.query('DELETE FROM leads WHERE user_id = $1 AND id = ANY($2)', [userId, duplicateIds]);
+        await tasks.refreshLeadCache(client, userId, primaryId);
+        var cached = await client.query("SELECT data->'tasks' AS tasks, data->'reminder' AS reminder FROM leads WHERE user_id = $1 AND id = $2", [userId, primaryId]);
+        merged.tasks = cached.rows[0].tasks;
+        if (cached.rows[0].reminder) merged.reminder = cached.rows[0].reminder;
+        else delete merged.reminder;
+        await client.query('COMMIT');
+        return merged;
+    } catch (err) {
+        try { await client.query('ROLLBACK'); } catch (e) {}
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Auto-merge on capture: when the user enabled settings.data.autoMergeDuplicates, fold a
+// newly captured lead into the oldest existing lead with the exact same email.
+// Returns { id, data } of the surviving lead, or null when nothing was merged. Never throws.
+async function autoMergeOnCapture(userId, leadId, data) {
+    try {
+        var email = toList(data && data.email)[0];
+        if (!email) return null;
+        var settings = await db.query("SELECT data->>'autoMergeDuplicates' AS enabled FROM user_settings WHERE user_id = $1", [userId]);
+        if (settings.rows.length === 0 || settings.rows[0].enabled !== 'true') return null;
+
+        var match = await db.query(
+            "SELECT id FROM leads WHERE user_id = $1 AND id <> $2 AND (LOWER(TRIM(data->>'email')) = $3 OR " +
+            "(jsonb_typeof(data->'email') = 'array' AND EXISTS (SELECT 1 FROM jsonb_array_elements_text(data->'email') e WHERE LOWER(TRIM(e)) = $3))) " +
+            "ORDER BY created_at ASC LIMIT 1",
+            [userId, leadId, email.trim().toLowerCase()]
+        );
+        if (match.rows.length === 0) return null;
+        var primaryId = match.rows[0].id;
+        var merged = await mergeLeads(userId, primaryId, [leadId]);
+        return merged ? { id: primaryId, data: merged } : null;
+    } catch (err) {
+        console.error('Auto-merge failed for lead ' + leadId + ':', err.message);
+        return null;
+    }
+}
+
+module.exports = {
+    normalizeEmail: normalizeEmail,
+    normalizePhone: normalizePhone,
+    similarity: similarity,
+    fingerprint: fingerprint,
+    scorePair: scorePair,
+    findDuplicatePairs: findDuplicatePairs,
+    createMatcher: createMatcher,
+    findDuplicates: findDuplicates,
+    mergeLeadData: mergeLeadData,
+    mergeLeads: mergeLeads,
+    autoMergeOnCapture: autoMergeOnCapture
+};
@@ -1,20 +1,15 @@
-const nodemailer = require('nodemailer');
-
-var transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.hostinger.com',
-    port: parseInt(process.env.SMTP_PORT || '465'),
-    secure: true,
-    auth: {
-        user: process.env.SMTP_USER || 'no-reply@cardflow.cloud',
-        pass: process.env.SMTP_PASS
-    }
-});
+const suppression = require('./suppression');
+const outbox = require('./outbox');
+const sender = require('./sender');
 
-var FROM = '"CardFlow" <no-reply@cardflow.cloud>';
+var FROM = sender.DEFAULT_FROM;
 var BASE_URL = process.env.BASE_URL || 'https://card.cardflow.cloud';
 
 // ── Base HTML wrapper ──────────────────────────────────────────────
-function wrapHtml(title, bodyContent) {
+// brand (sender.formatBrand, for mail sent on a customer's behalf) replaces the CardFlow header and
+// footer with the customer's logo or name, colour, footer text and postal address.
+function wrapHtml(title, bodyContent, brand) {
+    if (brand) return wrapBrandedHtml(title, bodyContent, brand);
     return '<!DOCTYPE html>' +
     '<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">' +
     '<title>' + title + '</title></head>' +
@@ -46,9 +41,33 @@ function wrapHtml(title, bodyContent) {
     '</table></td></tr></table></body></html>';
 }
 
-function button(text, url) {
+function wrapBrandedHtml(title, bodyContent, brand) {
+    var name = escapeHtml(brand.companyName);
+    var heading = brand.logoUrl
+        ? '<img src="' + escapeHtml(brand.logoUrl) + '" alt="' + (name || 'Logo') + '" style="max-height:56px;max-width:240px;border:0">'
+        : '<h1 style="margin:0;color:#fff;font-size:28px;font-weight:700">' + (name || '&nbsp;') + '</h1>';
+    var footer = '';
+    if (name) footer += '<p style="margin:0 0 8px;color:#e5e7eb;font-size:14px;font-weight:600">' + name + '</p>';
+    if (brand.footerText) footer += '<p style="margin:0 0 8px;color:#9ca3af;font-size:13px;line-height:1.5">' + escapeHtml(brand.footerText).replace(/\n/g, '<br>') + '</p>';
+    if (brand.physicalAddress) footer += '<p style="margin:0;color:#6b7280;font-size:12px;line-height:1.5">' + escapeHtml(brand.physicalAddress).replace(/\n/g, '<br>') + '</p>';
+    return '<!DOCTYPE html>' +
+    '<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">' +
+    '<title>' + title + '</title></head>' +
+    '<body style="margin:0;padding:0;background:#111827;font-family:-apple-system,BlinkMacSystemFont,\'Segoe UI\',Roboto,sans-serif">' +
+    '<table width="100%" cellpadding="0" cellspacing="0" style="background:#111827;padding:40px 20px">' +
+    '<tr><td align="center">' +
+    '<table width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#1f2937;border-radius:12px;overflow:hidden">' +
+    '<tr><td style="background:' + (brand.primaryColor || '#4f46e5') + ';padding:28px 32px;text-align:center">' + heading + '</td></tr>' +
+    '<tr><td style="padding:32px;color:#e5e7eb;font-size:16px;line-height:1.6">' +
+    bodyContent +
+    '</td></tr>' +
+    (footer ? '<tr><td style="padding:24px 32px;border-top:1px solid #374151;text-align:center">' + footer + '</td></tr>' : '') +
+    '</table></td></tr></table></body></html>';
+}
+
+function button(text, url, color) {
     return '<table cellpadding="0" cellspacing="0" style="margin:24px 0"><tr><td>' +
-    '<a href="' + url + '" style="display:inline-block;padding:14px 32px;background:#4f46e5;color:#fff;text-decoration:none;border-radius:8px;font-weight:600;font-size:16px">' +
+    '<a href="' + url + '" style="display:inline-block;padding:14px 32px;background:' + (color || '#4f46e5') + ';color:#fff;text-decoration:none;border-radius:8px;font-weight:600;font-size:16px">' +
     text + '</a></td></tr></table>';
 }
 
@@ -64,17 +83,25 @@ function escapeHtml(str) {
 }
 
 // ── Core send function ─────────────────────────────────────────────
-async function sendEmail(to, subject, html) {
+// Queues the message in the outbox (outbox.js), whose worker sends it with retries.
+// options: { category (admin outbox view), requested, identity }. Suppressed addresses
+// (suppression.js) are skipped unless requested: the recipient has just asked for this message
+// (login code, verification, password reset), which also puts it at the front of the queue.
+// identity (sender.forUser) sends from the customer's own domain.
+async function sendEmail(to, subject, html, options) {
+    options = options || {};
     try {
-        await transporter.sendMail({
-            from: FROM,
-            to: to,
-            subject: subject,
-            html: html
+        if (!options.requested && await suppression.check(to)) {
+            if (process.env.NODE_ENV !== 'production') console.log('Email suppressed: ' + subject + ' → ' + to);
+            return;
+        }
+        var identity = options.identity;
+        await outbox.enqueue({ from: identity ? identity.from : FROM, to: to, subject: subject, html: html }, {
+            category: options.category, priority: options.requested ? 'high' : 'normal',
+            sendingDomainId: identity ? identity.sendingDomainId : null
         });
-        if (process.env.NODE_ENV !== 'production') console.log('Email sent: ' + subject + ' → ' + to);
     } catch (err) {
-        console.error('Email error (' + subject + ' → ' + to + '):', err.message);
+        console.error('Email queue error (' + subject + ' → ' + to + '):', err.message);
     }
 }
 
@@ -89,7 +116,7 @@ function sendWelcome(email, name) {
         '<p>Your account is ready. Create your first digital business card and start sharing it instantly.</p>' +
         button('Go to Dashboard', BASE_URL + '/dashboard') +
         '<p style="color:#9ca3af;font-size:14px">If you have any questions, just reply to this email.</p>';
-    return sendEmail(email, 'Welcome to CardFlow!', wrapHtml('Welcome to CardFlow', body));
+    return sendEmail(email, 'Welcome to CardFlow!', wrapHtml('Welcome to CardFlow', body), { category: 'welcome' });
 }
 
 function sendEmailVerification(email, verifyUrl) {
@@ -98,7 +125,7 @@ function sendEmailVerification(email, verifyUrl) {
         '<p>Please confirm your email address by clicking the button below:</p>' +
         button('Verify Email', verifyUrl) +
         '<p style="color:#9ca3af;font-size:14px">This link expires in 24 hours. If you didn\'t create an account, you can safely ignore this email.</p>';
-    return sendEmail(email, 'Verify your CardFlow email', wrapHtml('Verify Email', body));
+    return sendEmail(email, 'Verify your CardFlow email', wrapHtml('Verify Email', body), { category: 'email_verification', requested: true });
 }
 
 function sendPasswordReset(email, resetUrl) {
@@ -107,25 +134,28 @@ function sendPasswordReset(email, resetUrl) {
         '<p>We received a request to reset your password. Click the button below to set a new one:</p>' +
         button('Reset Password', resetUrl) +
         '<p style="color:#9ca3af;font-size:14px">This link expires in 1 hour. If you didn\'t request a password reset, you can safely ignore this email.</p>';
-    return sendEmail(email, 'Reset your CardFlow password', wrapHtml('Reset Password', body));
+    return sendEmail(email, 'Reset your CardFlow password', wrapHtml('Reset Password', body), { category: 'password_reset', requested: true });
 }
 
-function sendLeadNotification(ownerEmail, leadData) {
+// userId: the card owner, whose sending domain and brand are used if they have them
+async function sendLeadNotification(ownerEmail, leadData, userId) {
+    var identity = await sender.forUser(userId).catch(function () { return null; });
+    var brand = identity && identity.brand;
     var name = escapeHtml(leadData.name) || 'Someone';
     var leadEmail = escapeHtml(leadData.email) || '';
     var phone = escapeHtml(leadData.phone) || '';
     var card = escapeHtml(leadData.cardName) || '';
 
     var details = '<p><strong>' + name + '</strong> submitted their contact info' + (card ? ' via your card <strong>' + card + '</strong>' : '') + '.</p>';
-    if (leadEmail) details += '<p>Email: <a href="mailto:' + encodeURI(leadData.email || '') + '" style="color:#818cf8">' + leadEmail + '</a></p>';
+    if (leadEmail) details += '<p>Email: <a href="mailto:' + encodeURI(leadData.email || '') + '" style="color:' + ((brand && brand.accentColor) || '#818cf8') + '">' + leadEmail + '</a></p>';
     if (phone) details += '<p>Phone: ' + phone + '</p>';
 
     var body =
         '<h2 style="color:#fff;margin:0 0 16px">New Lead Captured! 🎯</h2>' +
         details +
-        button('View Leads', BASE_URL + '/dashboard#leads') +
+        button('View Leads', BASE_URL + '/dashboard#leads', brand && brand.accentColor) +
         '<p style="color:#9ca3af;font-size:14px">You received this because someone submitted a lead on your CardFlow card.</p>';
-    return sendEmail(ownerEmail, 'New lead: ' + name, wrapHtml('New Lead', body));
+    return sendEmail(ownerEmail, 'New lead: ' + name, wrapHtml('New Lead', body, brand), { category: 'lead_notification', identity: identity });
 }
 
 function sendWaitlistConfirmation(email) {
@@ -133,7 +163,7 @@ function sendWaitlistConfirmation(email) {
         '<h2 style="color:#fff;margin:0 0 16px">You\'re on the List! 🚀</h2>' +
         '<p>Thanks for joining the CardFlow waitlist. We\'ll notify you as soon as your spot is ready.</p>' +
         '<p style="color:#9ca3af;font-size:14px">Stay tuned — great things are coming.</p>';
-    return sendEmail(email, 'You\'re on the CardFlow waitlist!', wrapHtml('Waitlist Confirmed', body));
+    return sendEmail(email, 'You\'re on the CardFlow waitlist!', wrapHtml('Waitlist Confirmed', body), { category: 'waitlist' });
 }
 
 function sendSubscriptionConfirmed(email, plan) {
@@ -143,7 +173,7 @@ function sendSubscriptionConfirmed(email, plan) {
         '<p>You\'re now on the <strong>' + planName + '</strong> plan. All premium features are unlocked.</p>' +
         button('Go to Dashboard', BASE_URL + '/dashboard') +
         '<p style="color:#9ca3af;font-size:14px">Manage your subscription anytime from the Billing section in your dashboard.</p>';
-    return sendEmail(email, 'CardFlow ' + planName + ' plan activated', wrapHtml('Subscription Confirmed', body));
+    return sendEmail(email, 'CardFlow ' + planName + ' plan activated', wrapHtml('Subscription Confirmed', body), { category: 'subscription' });
 }
 
 function sendPaymentFailed(email) {
@@ -152,7 +182,7 @@ function sendPaymentFailed(email) {
         '<p>We couldn\'t process your latest payment. Please update your payment method to keep your subscription active.</p>' +
         button('Update Payment', BASE_URL + '/dashboard#billing') +
         '<p style="color:#9ca3af;font-size:14px">If you need help, just reply to this email.</p>';
-    return sendEmail(email, 'CardFlow payment failed — action needed', wrapHtml('Payment Failed', body));
+    return sendEmail(email, 'CardFlow payment failed — action needed', wrapHtml('Payment Failed', body), { category: 'payment_failed' });
 }
 
 function sendOTP(email, code) {
@@ -165,7 +195,7 @@ function sendOTP(email, code) {
         '</span>' +
         '</div>' +
         '<p style="text-align:center;color:#9ca3af;font-size:14px">This code expires in 10 minutes. If you didn\'t request this, you can safely ignore this email.</p>';
-    return sendEmail(email, 'Your CardFlow login code: ' + code, wrapHtml('Login Code', body));
+    return sendEmail(email, 'Your CardFlow login code: ' + code, wrapHtml('Login Code', body), { category: 'otp', requested: true });
 }
 
 function sendReferralInvite(toEmail, referrerName, referralLink) {
@@ -176,7 +206,7 @@ function sendReferralInvite(toEmail, referrerName, referralLink) {
         '<p style="color:#818cf8;font-weight:600">Sign up using their link and you both get 1 free month of Pro!</p>' +
         button('Accept Invite', referralLink) +
         '<p style="color:#9ca3af;font-size:14px">Pro includes 5 cards, unlimited leads, full analytics, and more.</p>';
-    return sendEmail(toEmail, (safeReferrerName || 'Your friend') + ' invited you to CardFlow', wrapHtml('Invitation', body));
+    return sendEmail(toEmail, (safeReferrerName || 'Your friend') + ' invited you to CardFlow', wrapHtml('Invitation', body), { category: 'referral_invite' });
 }
 
 function sendReferralReward(toEmail, userName, friendIdentifier) {
@@ -188,7 +218,7 @@ function sendReferralReward(toEmail, userName, friendIdentifier) {
         '<p>You\'ve been upgraded to <strong style="color:#818cf8">Pro</strong> for 1 free month. Enjoy unlimited leads, up to 5 cards, and full analytics.</p>' +
         button('Go to Dashboard', BASE_URL + '/dashboard') +
         '<p style="color:#9ca3af;font-size:14px">Keep inviting friends to earn more free months!</p>';
-    return sendEmail(toEmail, 'You earned a free month of Pro!', wrapHtml('Referral Reward', body));
+    return sendEmail(toEmail, 'You earned a free month of Pro!', wrapHtml('Referral Reward', body), { category: 'referral_reward' });
 }
 
 function sendWeeklyDigest(email, name, stats) {
@@ -239,7 +269,7 @@ function sendWeeklyDigest(email, name, stats) {
         '<p style="color:#9ca3af;font-size:13px">You\'re receiving this because you have weekly digests enabled. ' +
         '<a href="' + BASE_URL + '/dashboard#settings" style="color:#818cf8;text-decoration:none">Unsubscribe</a></p>';
 
-    return sendEmail(email, 'Your CardFlow weekly recap — ' + (stats.views || 0) + ' views, ' + (stats.leads || 0) + ' leads', wrapHtml('Weekly Recap', body));
+    return sendEmail(email, 'Your CardFlow weekly recap — ' + (stats.views || 0) + ' views, ' + (stats.leads || 0) + ' leads', wrapHtml('Weekly Recap', body), { category: 'weekly_digest' });
 }
 
 // ── Event Emails ──
@@ -253,7 +283,7 @@ function sendExhibitorInvite(toEmail, eventName, organizerName, setupUrl) {
         '<p>Set up your booth profile, add your products, and get ready to capture leads with badge scanning.</p>' +
         button('Set Up Your Booth', setupUrl) +
         '<p style="color:#9ca3af;font-size:14px">You need a CardFlow account to accept this invitation.</p>';
-    return sendEmail(toEmail, 'You\'re invited to exhibit at ' + safeEventName, wrapHtml('Exhibitor Invitation', body));
+    return sendEmail(toEmail, 'You\'re invited to exhibit at ' + safeEventName, wrapHtml('Exhibitor Invitation', body), { category: 'exhibitor_invite' });
 }
 
 function sendEventRegistration(toEmail, name, eventName, badgeUrl) {
@@ -267,7 +297,62 @@ function sendEventRegistration(toEmail, name, eventName, badgeUrl) {
         '<p>Show your badge QR code at exhibitor booths to instantly share your contact info.</p>' +
         button('View My Badge', badgeUrl) +
         '<p style="color:#9ca3af;font-size:14px">Save your badge to your home screen for quick access at the event.</p>';
-    return sendEmail(toEmail, 'Registered for ' + safeEventName, wrapHtml('Registration Confirmed', body));
+    return sendEmail(toEmail, 'Registered for ' + safeEventName, wrapHtml('Registration Confirmed', body), { category: 'event_registration' });
+}
+
+function sendEventWaitlisted(toEmail, name, eventName, ticketName, statusUrl) {
+    var safeName = escapeHtml(name);
+    var safeEventName = escapeHtml(eventName);
+    var greeting = safeName ? ('Hi ' + safeName + ',') : 'Hi there,';
+    var body =
+        '<h2 style="color:#fff;margin:0 0 16px">You\'re on the Waitlist</h2>' +
+        '<p>' + greeting + '</p>' +
+        '<p><strong>' + (safeEventName || 'The event') + '</strong>' + (ticketName ? ' (' + escapeHtml(ticketName) + ')' : '') +
+        ' is full right now, so we\'ve put you on the waitlist.</p>' +
+        '<p>If a place opens up you\'ll get it automatically, and we\'ll email you your badge.</p>' +
+        button('View My Registration', statusUrl) +
+        '<p style="color:#9ca3af;font-size:14px">Can\'t make it after all? You can leave the waitlist from the same page.</p>';
+    return sendEmail(toEmail, 'Waitlisted for ' + safeEventName, wrapHtml('Waitlist', body), { category: 'event_registration' });
+}
+
+function sendEventPromoted(toEmail, name, eventName, badgeUrl) {
+    var safeName = escapeHtml(name);
+    var safeEventName = escapeHtml(eventName);
+    var greeting = safeName ? ('Hi ' + safeName + ',') : 'Hi there,';
+    var body =
+        '<h2 style="color:#fff;margin:0 0 16px">You\'re In!</h2>' +
+        '<p>' + greeting + '</p>' +
+        '<p>A place opened up at <strong>' + (safeEventName || 'the event') + '</strong> and it\'s yours. Your digital badge is ready.</p>' +
+        button('View My Badge', badgeUrl) +
+        '<p style="color:#9ca3af;font-size:14px">Can\'t make it? Please cancel from your badge page so someone else can have the place.</p>';
+    return sendEmail(toEmail, 'You\'re registered for ' + safeEventName, wrapHtml('Registration Confirmed', body), { category: 'event_registration' });
+}
+
+function sendEventPaymentDue(toEmail, name, eventName, amountText, dueAt, payUrl) {
+    var safeName = escapeHtml(name);
+    var safeEventName = escapeHtml(eventName);
+    var greeting = safeName ? ('Hi ' + safeName + ',') : 'Hi there,';
+    var body =
+        '<h2 style="color:#fff;margin:0 0 16px">A Place Opened Up</h2>' +
+        '<p>' + greeting + '</p>' +
+        '<p>A place at <strong>' + (safeEventName || 'the event') + '</strong> is now free, and we\'re holding it for you. ' +
+        'Pay <strong>' + escapeHtml(amountText) + '</strong> to confirm it and get your badge.</p>' +
+        button('Complete Payment', payUrl) +
+        '<p style="color:#9ca3af;font-size:14px">The place is held until ' + escapeHtml(new Date(dueAt).toUTCString()) + ', then it goes to the next person on the waitlist.</p>';
+    return sendEmail(toEmail, 'Your place at ' + safeEventName + ' is waiting', wrapHtml('Complete Your Registration', body), { category: 'event_registration' });
+}
+
+function sendEventRefunded(toEmail, name, eventName, amountText, cancelled) {
+    var safeName = escapeHtml(name);
+    var safeEventName = escapeHtml(eventName);
+    var greeting = safeName ? ('Hi ' + safeName + ',') : 'Hi there,';
+    var body =
+        '<h2 style="color:#fff;margin:0 0 16px">Refund Issued</h2>' +
+        '<p>' + greeting + '</p>' +
+        '<p>We\'ve refunded <strong>' + escapeHtml(amountText) + '</strong> for your registration at <strong>' + (safeEventName || 'the event') + '</strong>' +
+        (cancelled ? ', and your registration has been cancelled.' : '.') + '</p>' +
+        '<p style="color:#9ca3af;font-size:14px">Refunds usually reach your account within 5-7 working days, to the card or account you paid with.</p>';
+    return sendEmail(toEmail, 'Refund for ' + safeEventName, wrapHtml('Refund Issued', body), { category: 'event_registration' });
 }
 
 function sendEventReminder(toEmail, name, eventName, eventUrl, daysUntil) {
@@ -282,7 +367,23 @@ function sendEventReminder(toEmail, name, eventName, eventUrl, daysUntil) {
         '<p>Make sure you have your digital badge ready for the event.</p>' +
         button('View Event', eventUrl) +
         '<p style="color:#9ca3af;font-size:14px">See you there!</p>';
-    return sendEmail(toEmail, safeEventName + ' starts ' + timeText, wrapHtml('Event Reminder', body));
+    return sendEmail(toEmail, safeEventName + ' starts ' + timeText, wrapHtml('Event Reminder', body), { category: 'event_reminder' });
+}
+
+function sendTaskReminder(toEmail, name, task) {
+    var safeName = escapeHtml(name);
+    var safeTitle = escapeHtml(task.title);
+    var greeting = safeName ? ('Hi ' + safeName + ',') : 'Hi there,';
+    var lead = escapeHtml(task.leadName || 'a lead') + (task.leadCompany ? ' (' + escapeHtml(task.leadCompany) + ')' : '');
+    var heading = task.kind === 'reminder' ? 'Follow-Up Reminder' : 'Task Due';
+    var body =
+        '<h2 style="color:#fff;margin:0 0 16px">' + heading + '</h2>' +
+        '<p>' + greeting + '</p>' +
+        '<p><strong>' + safeTitle + '</strong> for ' + lead + (task.due ? ' is due ' + escapeHtml(task.due) : ' is due') + '.</p>' +
+        (task.notes ? '<p style="color:#9ca3af;font-size:14px">' + escapeHtml(task.notes).replace(/\n/g, '<br>') + '</p>' : '') +
+        button('Open Dashboard', BASE_URL + '/dashboard#leads') +
+        '<p style="color:#6b7280;font-size:12px;margin-top:24px">You can turn off task reminder emails in Settings.</p>';
+    return sendEmail(toEmail, heading + ': ' + task.title, wrapHtml(heading, body), { category: 'task_reminder' });
 }
 
 function sendAiInsightEmail(toEmail, analysis, periodDays) {
@@ -301,7 +402,7 @@ function sendAiInsightEmail(toEmail, analysis, periodDays) {
         htmlBody +
         '</div>' +
         '<p style="color:#6b7280;font-size:12px;margin-top:24px">Generated by Claude. Review in the <a href="' + BASE_URL + '/super-admin#funnel" style="color:#a78bfa">Admin Funnel Dashboard</a>.</p>';
-    return sendEmail(toEmail, 'CardFlow Funnel Insights — ' + dateStr, wrapHtml('AI Funnel Insights', body));
+    return sendEmail(toEmail, 'CardFlow Funnel Insights — ' + dateStr, wrapHtml('AI Funnel Insights', body), { category: 'ai_insights' });
 }
 
 function sendAdminEmail(toEmail, subject, messageBody, adminName) {
@@ -312,7 +413,7 @@ function sendAdminEmail(toEmail, subject, messageBody, adminName) {
         '<p>' + safeBody + '</p>' +
         '<p style="color:#9ca3af;font-size:14px;margin-top:24px">— ' + (safeAdminName || 'CardFlow Admin Team') + '</p>' +
         '<p style="color:#9ca3af;font-size:12px;margin-top:16px;border-top:1px solid #374151;padding-top:12px">This message was sent by a CardFlow administrator. If you believe this was sent in error, please contact support.</p>';
-    return sendEmail(toEmail, subject, wrapHtml(subject, body));
+    return sendEmail(toEmail, subject, wrapHtml(subject, body), { category: 'admin_message' });
 }
 
 function sendTeamInvitation(toEmail, inviterName, teamName) {
@@ -324,7 +425,7 @@ function sendTeamInvitation(toEmail, inviterName, teamName) {
         '<p>Log in to your CardFlow dashboard to accept the invitation and start collaborating with your team.</p>' +
         button('View Invitation', BASE_URL + '/dashboard#teams') +
         '<p style="color:#9ca3af;font-size:14px">If you don\'t have a CardFlow account yet, sign up first and the invitation will be waiting for you.</p>';
-    return sendEmail(toEmail, (safeInviterName || 'Someone') + ' invited you to join ' + (safeTeamName || 'a team') + ' on CardFlow', wrapHtml('Team Invitation', body));
+    return sendEmail(toEmail, (safeInviterName || 'Someone') + ' invited you to join ' + (safeTeamName || 'a team') + ' on CardFlow', wrapHtml('Team Invitation', body), { category: 'team_invitation' });
 }
 
 // ── Card Verification Emails ──────────────────────────────────────
@@ -340,7 +441,7 @@ function sendCardVerificationOTP(email, code, cardName) {
         '</span>' +
         '</div>' +
         '<p style="text-align:center;color:#9ca3af;font-size:14px">This code expires in 10 minutes. If you didn\'t request this, you can safely ignore this email.</p>';
-    return sendEmail(email, 'Verify your card email: ' + code, wrapHtml('Card Verification', body));
+    return sendEmail(email, 'Verify your card email: ' + code, wrapHtml('Card Verification', body), { category: 'card_verification', requested: true });
 }
 
 function sendVerificationApproved(email, cardName) {
@@ -350,7 +451,7 @@ function sendVerificationApproved(email, cardName) {
         '<p>Great news! Your card <strong>' + safeName + '</strong> has been verified.</p>' +
         '<p>It now shows a <span style="color:#10b981;font-weight:600">verified badge</span> to everyone who views it, building trust with your contacts.</p>' +
         button('View Dashboard', BASE_URL + '/dashboard');
-    return sendEmail(email, 'Your card ' + safeName + ' is verified!', wrapHtml('Verified', body));
+    return sendEmail(email, 'Your card ' + safeName + ' is verified!', wrapHtml('Verified', body), { category: 'verification_update' });
 }
 
 function sendVerificationRejected(email, cardName, reason) {
@@ -362,7 +463,7 @@ function sendVerificationRejected(email, cardName, reason) {
         (safeReason ? '<p style="padding:12px 16px;background:#1f2937;border-radius:8px;border-left:3px solid #ef4444"><strong>Reason:</strong> ' + safeReason + '</p>' : '') +
         '<p>You can submit a new verification request with different or clearer documents.</p>' +
         button('Try Again', BASE_URL + '/dashboard');
-    return sendEmail(email, 'Card verification update for ' + safeName, wrapHtml('Verification Update', body));
+    return sendEmail(email, 'Card verification update for ' + safeName, wrapHtml('Verification Update', body), { category: 'verification_update' });
 }
 
 function sendVerificationRevoked(email, cardName) {
@@ -372,7 +473,7 @@ function sendVerificationRevoked(email, cardName) {
         '<p>Your card <strong>' + safeName + '</strong> was previously verified, but a key field (name, email, or company) has been changed.</p>' +
         '<p>For security, the <span style="color:#f59e0b;font-weight:600">verified badge</span> has been removed. You can re-verify your card at any time.</p>' +
         button('Re-verify Card', BASE_URL + '/dashboard');
-    return sendEmail(email, 'Verification revoked for ' + safeName, wrapHtml('Verification Revoked', body));
+    return sendEmail(email, 'Verification revoked for ' + safeName, wrapHtml('Verification Revoked', body), { category: 'verification_update' });
 }
 
 function sendDailyDigest(email, name, data) {
@@ -398,13 +499,27 @@ function sendDailyDigest(email, name, data) {
             '</tr></table>';
     }
 
+    // Pipeline moves (leads that entered each stage yesterday)
+    var movesHtml = '';
+    if (data.stageMoves && data.stageMoves.length > 0) {
+        movesHtml = '<p style="margin:20px 0 8px;font-weight:600;color:#fff">Pipeline Moves</p>' +
+            '<table width="100%" cellpadding="0" cellspacing="0" style="background:#111827;border-radius:8px;margin:0 0 20px">';
+        data.stageMoves.forEach(function (m) {
+            movesHtml += '<tr><td style="padding:8px 14px;color:#d1d5db">' +
+                '<span style="display:inline-block;width:8px;height:8px;border-radius:50%;background:' + escapeHtml(m.color || '#818cf8') + ';margin-right:8px"></span>' +
+                escapeHtml(m.label) + '</td>' +
+                '<td style="padding:8px 14px;text-align:right;font-weight:600;color:#fff">' + m.count + (m.count === 1 ? ' lead' : ' leads') + '</td></tr>';
+        });
+        movesHtml += '</table>';
+    }
+
     // Follow-up suggestions
     var followupsHtml = '';
     if (data.followups && data.followups.length > 0) {
         followupsHtml = '<p style="margin:20px 0 8px;font-weight:600;color:#fff">Leads to Follow Up (' + data.followups.length + ')</p>';
         data.followups.forEach(function (f) {
             var daysText = f.days === 1 ? '1 day ago' : f.days + ' days ago';
-            followupsHtml += '<div style="padding:10px 14px;background:#111827;border-radius:8px;margin:0 0 8px;border-left:3px solid #818cf8">' +
+            followupsHtml += '<div style="padding:10px 14px;background:#111827;border-radius:8px;margin:0 0 8px;border-left:3px solid ' + escapeHtml(f.color || '#818cf8') + '">' +
                 '<strong style="color:#fff">' + escapeHtml(f.name || 'Unknown') + '</strong>' +
                 (f.company ? ' <span style="color:#9ca3af">— ' + escapeHtml(f.company) + '</span>' : '') +
                 '<div style="font-size:13px;color:#9ca3af;margin-top:4px">Added ' + daysText + ' &middot; Status: ' + escapeHtml(f.status || 'New') + '</div>' +
@@ -412,13 +527,14 @@ function sendDailyDigest(email, name, data) {
         });
     }
 
-    var noActivity = !statsHtml && !followupsHtml;
+    var noActivity = !statsHtml && !movesHtml && !followupsHtml;
     if (noActivity) return Promise.resolve(); // Don't send empty digests
 
     var body =
         '<h2 style="color:#fff;margin:0 0 16px">Your Daily Digest</h2>' +
         '<p>' + greeting + '</p>' +
         statsHtml +
+        movesHtml +
         followupsHtml +
         button('Open Dashboard', BASE_URL + '/dashboard#leads') +
         '<p style="color:#9ca3af;font-size:13px">You\'re receiving this because you have daily digests enabled. ' +
@@ -428,34 +544,40 @@ function sendDailyDigest(email, name, data) {
         ? data.followups.length + ' lead(s) need follow-up'
         : 'Your daily activity — ' + (data.views || 0) + ' views, ' + (data.leads || 0) + ' leads';
 
-    return sendEmail(email, subject, wrapHtml('Daily Digest', body));
+    return sendEmail(email, subject, wrapHtml('Daily Digest', body), { category: 'daily_digest' });
 }
 
 // ── Sequence emails ──────────────────────────────────────────────
-function interpolateTemplate(str, leadData) {
-    var name = ((leadData.name || '').split(' ')[0]) || 'there';
-    var company = leadData.company || 'your company';
-    var email = Array.isArray(leadData.email) ? (leadData.email[0] || '') : (leadData.email || '');
-    return str.replace(/\{name\}/g, name).replace(/\{company\}/g, company).replace(/\{email\}/g, email);
-}
-
 function generateUnsubscribeToken(userId, leadId, enrollmentId) {
     var jwt = require('jsonwebtoken');
     return jwt.sign({ uid: userId, lid: leadId, eid: enrollmentId, type: 'unsub' }, process.env.JWT_SECRET, { expiresIn: '30d' });
 }
 
-async function sendSequenceEmail(to, subject, bodyHtml, replyTo, unsubscribeUrl) {
-    var footer = '<p style="color:#6b7280;font-size:12px;margin-top:24px;padding-top:16px;border-top:1px solid #374151">' +
-        'You received this because someone shared their contact card with you. ' +
-        '<a href="' + escapeHtml(unsubscribeUrl) + '" style="color:#818cf8;text-decoration:underline">Unsubscribe</a> from this sequence.</p>';
-    var html = wrapHtml(subject, bodyHtml + footer);
+// bodyHtml: rendered template (templates.renderHtml). options: { userId (sender: their own
+// suppressions, sending domain and brand), openPixelUrl (tracking image after the footer),
+// messageId (reply matching) }.
+// Resolves to 'queued' (in the outbox, at bulk priority), 'suppressed' or 'failed'. unsubscribeUrl
+// also goes in List-Unsubscribe with List-Unsubscribe-Post, so mail clients can unsubscribe in one
+// click (POST to the same URL).
+async function sendSequenceEmail(to, subject, bodyHtml, replyTo, unsubscribeUrl, options) {
+    options = options || {};
     try {
-        await transporter.sendMail({ from: FROM, to: to, replyTo: replyTo, subject: subject, html: html });
-        if (process.env.NODE_ENV !== 'production') console.log('Sequence email sent: ' + subject + ' → ' + to);
-        return true;
+        if (await suppression.check(to, options.userId)) return 'suppressed';
+        var identity = await sender.forUser(options.userId);
+        var brand = identity && identity.brand;
+        var footer = '<p style="color:#6b7280;font-size:12px;margin-top:24px;padding-top:16px;border-top:1px solid #374151">' +
+            'You received this because someone shared their contact card with you. ' +
+            '<a href="' + escapeHtml(unsubscribeUrl) + '" style="color:' + ((brand && brand.accentColor) || '#818cf8') + ';text-decoration:underline">Unsubscribe</a> from their emails.</p>';
+        if (options.openPixelUrl) footer += '<img src="' + escapeHtml(options.openPixelUrl) + '" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0">';
+        await outbox.enqueue({
+            from: identity ? identity.from : FROM, to: to, replyTo: replyTo, subject: subject,
+            html: wrapHtml(subject, bodyHtml + footer, brand), messageId: options.messageId,
+            headers: { 'List-Unsubscribe': '<' + unsubscribeUrl + '>', 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        }, { category: 'sequence', priority: 'bulk', userId: options.userId, sendingDomainId: identity ? identity.sendingDomainId : null });
+        return 'queued';
     } catch (err) {
-        console.error('Sequence email error (' + subject + ' → ' + to + '):', err.message);
-        return false;
+        console.error('Sequence email queue error (' + subject + ' → ' + to + '):', err.message);
+        return 'failed';
     }
 }
 
@@ -474,7 +596,12 @@ module.exports = {
     sendWeeklyDigest: sendWeeklyDigest,
     sendExhibitorInvite: sendExhibitorInvite,
     sendEventRegistration: sendEventRegistration,
+    sendEventWaitlisted: sendEventWaitlisted,
+    sendEventPromoted: sendEventPromoted,
+    sendEventPaymentDue: sendEventPaymentDue,
+    sendEventRefunded: sendEventRefunded,
     sendEventReminder: sendEventReminder,
+    sendTaskReminder: sendTaskReminder,
     sendTeamInvitation: sendTeamInvitation,
     sendAdminEmail: sendAdminEmail,
     sendAiInsightEmail: sendAiInsightEmail,
@@ -484,6 +611,5 @@ module.exports = {
     sendVerificationRevoked: sendVerificationRevoked,
     sendDailyDigest: sendDailyDigest,
     sendSequenceEmail: sendSequenceEmail,
-    interpolateTemplate: interpolateTemplate,
     generateUnsubscribeToken: generateUnsubscribeToken
 };
@@ -0,0 +1,430 @@
+// Paid event registration through Razorpay orders
+// A paid ticket type (registration.js) registers people as pending_payment, holding their place
+// until payment_due_at. createOrder makes a Razorpay order for the ticket price; the attendee pays
+// it with Razorpay Checkout and confirm() checks the signature (as billing's verify-payment does)
+// and Razorpay's record of the payment before the registration becomes registered and the badge
+// is sent. Payments whose browser never came back from Checkout are found by reconcile(), which
+// runs before a hold is released; a payment that arrives after its hold was released gets the
+// place back if it is still free and is refunded if not. Refunds go back through Razorpay and
+// their status is followed until it settles.
+// The client is the Razorpay SDK with RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET; RAZORPAY_API_URL
+// points it at another server (a local stub), and setClient() replaces it with any object that has
+// orders.create / fetchPayments and payments.fetch / capture / refund / fetchRefund.
+
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const db = require('./db');
+const badges = require('./badges');
+const registration = require('./registration');
+const { sendEventRegistration, sendEventRefunded } = require('./email');
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+var EXPIRE_BATCH = 100;
+var REFUND_BATCH = 50;
+
+var client = null;
+
+function getClient() {
+    if (!client) {
+        client = new Razorpay({
+            key_id: process.env.RAZORPAY_KEY_ID || '',
+            key_secret: process.env.RAZORPAY_KEY_SECRET || ''
+        });
+        if (process.env.RAZORPAY_API_URL) client.api.rq.defaults.baseURL = process.env.RAZORPAY_API_URL.replace(/\/+$/, '');
+    }
+    return client;
+}
+
+function setClient(c) {
+    client = c;
+}
+
+// Razorpay's description of a failed API call, if it gave one
+function apiError(err) {
+    return (err && err.error && err.error.description) || (err && err.message) || 'Unknown error';
+}
+
+// Checkout's signature over order_id|payment_id
+function verifySignature(orderId, paymentId, signature) {
+    if (!process.env.RAZORPAY_KEY_SECRET) return false;
+    if (typeof orderId !== 'string' || typeof paymentId !== 'string' || typeof signature !== 'string') return false;
+    var expected = Buffer.from(crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(orderId + '|' + paymentId).digest('hex'));
+    var provided = Buffer.from(signature);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+// What the browser needs to open Checkout for an event_payments row
+function checkout(payment) {
+    return {
+        orderId: payment.razorpay_order_id,
+        amount: payment.amount,
+        currency: payment.currency,
+        keyId: process.env.RAZORPAY_KEY_ID
+    };
+}
+
+// ── Orders ──
+
+// Order for a pending_payment registration; an open order for the same amount is reused →
+// { payment } (an event_payments row) or { status, error }
+async function createOrder(event, attendee) {
+    if (attendee.status !== 'pending_payment') return { status: 409, error: 'This registration is not waiting for payment' };
+    if (attendee.payment_due_at && new Date(attendee.payment_due_at) <= new Date()) {
+        return { status: 410, error: 'The place held for you has been released' };
+    }
+    var type = registration.ticketTypes(event.settings).find(function (t) { return t.id === attendee.ticket_type; });
+    if (!registration.isPaid(type)) return { status: 409, error: 'This ticket is no longer on sale. Please contact the organizer.' };
+    var currency = registration.currency(event.settings);
+
+    var open = await db.query(
+        "SELECT * FROM event_payments WHERE attendee_id = $1 AND status = 'created' AND amount = $2 AND currency = $3 ORDER BY created_at DESC LIMIT 1",
+        [attendee.id, type.price, currency]
+    );
+    if (open.rows.length) return { payment: open.rows[0] };
+
+    var order = await getClient().orders.create({
+        amount: type.price,
+        currency: currency,
+        receipt: 'evt_' + attendee.id.replace(/-/g, ''),
+        notes: { eventId: event.id, attendeeId: attendee.id, ticketType: type.id }
+    });
+    var inserted = await db.query(
+        'INSERT INTO event_payments (event_id, attendee_id, ticket_type, razorpay_order_id, amount, currency) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+        [event.id, attendee.id, type.id, order.id, order.amount, order.currency]
+    );
+    return { payment: inserted.rows[0] };
+}
+
+// Record Razorpay's payment (captured now if only authorized) against our order, register the
+// attendee and email them their badge → { attendee, confirmed } (confirmed: this call did it) or
+// { status, error }. A place released just before the payment arrived is given back if it is
+// still free; if someone else has it the payment is refunded.
+async function recordPayment(row, rp) {
+    if (rp.order_id !== row.razorpay_order_id || rp.amount !== row.amount || rp.currency !== row.currency) {
+        console.error('Event payment ' + rp.id + ' does not match order ' + row.razorpay_order_id);
+        return { status: 400, error: 'Payment does not match the order' };
+    }
+    if (rp.status === 'authorized') rp = await getClient().payments.capture(rp.id, rp.amount, rp.currency);
+    if (rp.status !== 'captured') return { status: 402, error: 'The payment has not gone through' };
+
+    var dbClient = await db.connect();
+    var event = null;
+    var updated = { rows: [] };
+    var placeTaken = false;
+    try {
+        await dbClient.query('BEGIN');
+        // One registration at a time per event (as registration.register), so a place given back
+        // here can't also go to someone registering or promoted from the waitlist
+        var locked = await dbClient.query('SELECT id, name, slug, settings FROM events WHERE id = $1 FOR UPDATE', [row.event_id]);
+        event = locked.rows[0] || null;
+        var paid = event ? await dbClient.query(
+            "UPDATE event_payments SET status = 'paid', razorpay_payment_id = $2, fee = $3, tax = $4, method = $5, paid_at = NOW(), updated_at = NOW() " +
+            "WHERE id = $1 AND status IN ('created', 'expired') RETURNING id",
+            [row.id, rp.id, rp.fee || 0, rp.tax || 0, rp.method ? String(rp.method).substring(0, 30) : null]
+        ) : { rows: [] };
+        if (paid.rows.length) {
+            var att = await dbClient.query('SELECT * FROM event_attendees WHERE id = $1 FOR UPDATE', [row.attendee_id]);
+            var a = att.rows[0];
+            if (a && a.status === 'cancelled' && !await registration.hasPlace(event, a.ticket_type, dbClient)) {
+                placeTaken = true;
+            } else if (a && (a.status === 'pending_payment' || a.status === 'cancelled')) {
+                updated = await dbClient.query(
+                    "UPDATE event_attendees SET status = 'registered', payment_due_at = NULL, cancelled_at = NULL WHERE id = $1 RETURNING *",
+                    [a.id]
+                );
+            }
+        }
+        await dbClient.query('COMMIT');
+    } catch (err) {
+        try { await dbClient.query('ROLLBACK'); } catch (e) {}
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+    if (updated.rows.length) {
+        notifyPaid(event, updated.rows[0]);
+        return { attendee: updated.rows[0], confirmed: true };
+    }
+    if (placeTaken) {
+        try {
+            var refunded = await refund(event, row.attendee_id, { reason: 'The place was taken before the payment arrived' });
+            if (refunded.error) console.error('Late event payment ' + rp.id + ' not refunded: ' + refunded.error);
+        } catch (err) {
+            console.error('Late event payment ' + rp.id + ' not refunded:', apiError(err));
+        }
+        return { status: 409, error: 'The place held for you was released before your payment arrived and has been taken. Your payment will be refunded.' };
+    }
+    // Already recorded (the cron and the browser can both get here)
+    var current = await db.query('SELECT * FROM event_attendees WHERE id = $1', [row.attendee_id]);
+    if (current.rows.length === 0) return { status: 404, error: 'Registration not found' };
+    if (current.rows[0].status === 'cancelled') return { status: 409, error: 'This registration has been cancelled' };
+    return { attendee: current.rows[0], confirmed: false };
+}
+
+// Checkout's response { razorpay_order_id, razorpay_payment_id, razorpay_signature } for the
+// attendee's order → { attendee, confirmed } or { status, error }
+async function confirm(attendee, response) {
+    response = response || {};
+    if (!response.razorpay_order_id || !response.razorpay_payment_id || !response.razorpay_signature) {
+        return { status: 400, error: 'Missing payment verification fields' };
+    }
+    if (!verifySignature(response.razorpay_order_id, response.razorpay_payment_id, response.razorpay_signature)) {
+        console.error('Event payment signature mismatch for attendee ' + attendee.id);
+        return { status: 400, error: 'Payment verification failed' };
+    }
+    var found = await db.query('SELECT * FROM event_payments WHERE razorpay_order_id = $1 AND attendee_id = $2', [response.razorpay_order_id, attendee.id]);
+    if (found.rows.length === 0) return { status: 400, error: 'Order mismatch' };
+    // The amount and status come from Razorpay, not the browser
+    var rp = await getClient().payments.fetch(response.razorpay_payment_id);
+    return recordPayment(found.rows[0], rp);
+}
+
+// Look for a payment Razorpay has taken on the attendee's open orders → { attendee, confirmed }
+// when one is found, else null
+async function reconcile(attendee) {
+    var open = await db.query(
+        "SELECT * FROM event_payments WHERE attendee_id = $1 AND status IN ('created', 'expired') ORDER BY created_at DESC LIMIT 5",
+        [attendee.id]
+    );
+    for (var i = 0; i < open.rows.length; i++) {
+        var list = await getClient().orders.fetchPayments(open.rows[i].razorpay_order_id);
+        var rp = ((list && list.items) || []).find(function (p) { return p.status === 'captured' || p.status === 'authorized'; });
+        if (!rp) continue;
+        var result = await recordPayment(open.rows[i], rp);
+        if (result.attendee) return result;
+    }
+    return null;
+}
+
+// Email a newly paid attendee their badge
+function notifyPaid(event, attendee) {
+    if (!attendee.email) return;
+    var baseUrl = process.env.BASE_URL || 'https://card.cardflow.cloud';
+    badges.issueToken(attendee).then(function (token) {
+        return sendEventRegistration(attendee.email, attendee.name, event.name, baseUrl + badges.badgePath(event.slug, token));
+    }).catch(function (e) {
+        console.error('Paid registration email error:', e.message);
+    });
+}
+
+// ── Refunds ──
+
+// Refund an attendee's payment in full or in part (amount in the smallest currency unit; the rest
+// of the payment by default), optionally cancelling the registration (its place goes to the
+// waitlist). opts: { amount, cancel, reason, userId } → { payment, refund, attendee } or { status, error },
+// with reason 'nothing_paid' when there is no payment left to refund
+async function refund(event, attendeeId, opts) {
+    opts = opts || {};
+    if (!UUID_RE.test(attendeeId)) return { status: 404, error: 'Attendee not found' };
+    var att = await db.query('SELECT * FROM event_attendees WHERE id = $1 AND event_id = $2', [attendeeId, event.id]);
+    if (att.rows.length === 0) return { status: 404, error: 'Attendee not found' };
+    if (opts.reason !== undefined && opts.reason !== null && (typeof opts.reason !== 'string' || opts.reason.length > 500)) {
+        return { status: 400, error: 'Reason too long (max 500 chars)' };
+    }
+
+    // The payment row stays locked until the refund is recorded, so two refunds at once can't
+    // both see the same amount left
+    var dbClient = await db.connect();
+    var payment, amount, saved, updated;
+    try {
+        await dbClient.query('BEGIN');
+        var paid = await dbClient.query(
+            'SELECT * FROM event_payments WHERE attendee_id = $1 AND paid_at IS NOT NULL AND amount_refunded < amount ORDER BY paid_at DESC LIMIT 1 FOR UPDATE',
+            [attendeeId]
+        );
+        if (paid.rows.length === 0) {
+            await dbClient.query('ROLLBACK');
+            return { status: 400, reason: 'nothing_paid', error: 'No payment left to refund for this registration' };
+        }
+        payment = paid.rows[0];
+        var left = payment.amount - payment.amount_refunded;
+        amount = opts.amount === undefined || opts.amount === null || opts.amount === '' ? left : Number(opts.amount);
+        if (!Number.isInteger(amount) || amount < 1 || amount > left) {
+            await dbClient.query('ROLLBACK');
+            return { status: 400, error: 'Refund amount must be a whole number from 1 to ' + left + ' (smallest currency unit)' };
+        }
+
+        var rr;
+        try {
+            rr = await getClient().payments.refund(payment.razorpay_payment_id, {
+                amount: amount,
+                notes: { eventId: event.id, attendeeId: attendeeId, reason: (opts.reason || '').substring(0, 250) }
+            });
+        } catch (err) {
+            // 4xx: Razorpay won't refund this (already refunded, too old...); anything else is ours
+            if (err.statusCode >= 400 && err.statusCode < 500) {
+                await dbClient.query('ROLLBACK');
+                return { status: 400, error: 'Razorpay declined the refund: ' + apiError(err) };
+            }
+            throw err;
+        }
+
+        saved = await dbClient.query(
+            'INSERT INTO event_refunds (payment_id, razorpay_refund_id, amount, status, reason, refunded_by) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+            [payment.id, rr.id, amount, rr.status || 'pending', opts.reason || null, opts.userId || null]
+        );
+        updated = await dbClient.query(
+            "UPDATE event_payments SET amount_refunded = amount_refunded + $2, status = CASE WHEN amount_refunded + $2 >= amount THEN 'refunded' ELSE 'partially_refunded' END, " +
+            'updated_at = NOW() WHERE id = $1 RETURNING *',
+            [payment.id, amount]
+        );
+        await dbClient.query('COMMIT');
+    } catch (err) {
+        try { await dbClient.query('ROLLBACK'); } catch (e) {}
+        throw err;
+    } finally {
+        dbClient.release();
+    }
+
+    var attendee = att.rows[0];
+    if (opts.cancel && attendee.status !== 'cancelled') attendee = await registration.cancel(event.id, attendeeId) || attendee;
+
+    if (attendee.email) {
+        sendEventRefunded(attendee.email, attendee.name, event.name, registration.formatAmount(amount, payment.currency), attendee.status === 'cancelled')
+            .catch(function (e) { console.error('Refund email error:', e.message); });
+    }
+    return { payment: updated.rows[0], refund: saved.rows[0], attendee: attendee };
+}
+
+// Follow pending refunds until Razorpay settles them; a failed refund is taken off the payment's
+// refunded amount again
+async function refreshRefunds() {
+    var pending = await db.query(
+        "SELECT r.id, r.payment_id, r.razorpay_refund_id, r.amount, p.razorpay_payment_id FROM event_refunds r JOIN event_payments p ON p.id = r.payment_id " +
+        "WHERE r.status = 'pending' ORDER BY r.created_at LIMIT $1",
+        [REFUND_BATCH]
+    );
+    for (var i = 0; i < pending.rows.length; i++) {
+        var r = pending.rows[i];
+        try {
+            var rr = await getClient().payments.fetchRefund(r.razorpay_payment_id, r.razorpay_refund_id);
+            if (!rr.status || rr.status === 'pending') continue;
+            var changed = await db.query(
+                "UPDATE event_refunds SET status = $2, updated_at = NOW() WHERE id = $1 AND status = 'pending' RETURNING id",
+                [r.id, rr.status]
+            );
+            if (changed.rows.length && rr.status === 'failed') {
+                await db.query(
+                    'UPDATE event_payments SET amount_refunded = GREATEST(0, amount_refunded - $2), ' +
+                    "status = CASE WHEN amount_refunded - $2 <= 0 THEN 'paid' ELSE 'partially_refunded' END, updated_at = NOW() WHERE id = $1",
+                    [r.payment_id, r.amount]
+                );
+                console.error('Event refund ' + r.razorpay_refund_id + ' failed');
+            }
+        } catch (err) {
+            console.error('Event refund status error (' + r.razorpay_refund_id + '):', apiError(err));
+        }
+    }
+}
+
+// ── Holds ──
+
+// Release places whose payment hold has run out and give them to the waitlist. Each gets a last
+// look for a payment first; if Razorpay can't be reached the place is kept until the next run.
+async function expireHolds() {
+    var due = await db.query(
+        "SELECT * FROM event_attendees WHERE status = 'pending_payment' AND payment_due_at <= NOW() ORDER BY payment_due_at LIMIT $1",
+        [EXPIRE_BATCH]
+    );
+    var released = {};
+    for (var i = 0; i < due.rows.length; i++) {
+        var a = due.rows[i];
+        try {
+            var found = await reconcile(a);
+            if (found && found.attendee) continue;
+        } catch (err) {
+            console.error('Event payment check error for attendee ' + a.id + ':', apiError(err));
+            continue;
+        }
+        var cancelled = await db.query(
+            "UPDATE event_attendees SET status = 'cancelled', cancelled_at = NOW() WHERE id = $1 AND status = 'pending_payment' AND payment_due_at <= NOW() RETURNING id",
+            [a.id]
+        );
+        if (cancelled.rows.length === 0) continue;
+        await db.query("UPDATE event_payments SET status = 'expired', updated_at = NOW() WHERE attendee_id = $1 AND status = 'created'", [a.id]);
+        released[a.event_id] = true;
+    }
+    for (var eventId in released) await registration.promoteWaitlist(eventId);
+}
+
+async function processPending() {
+    await expireHolds();
+    await refreshRefunds();
+}
+
+// ── Reporting ──
+
+// Takings, refunds, Razorpay's fees and the payout owed to the organizer (takings less refunds
+// and fees), overall, per ticket type and per day. Amounts are in the smallest currency unit.
+async function revenueReport(event) {
+    var totals = await db.query(
+        'SELECT COUNT(*) AS payments, COALESCE(SUM(amount), 0) AS gross, COALESCE(SUM(amount_refunded), 0) AS refunded, ' +
+        'COALESCE(SUM(fee), 0) AS fees, COALESCE(SUM(tax), 0) AS tax, MAX(currency) AS currency ' +
+        'FROM event_payments WHERE event_id = $1 AND paid_at IS NOT NULL',
+        [event.id]
+    );
+    var byType = await db.query(
+        'SELECT ticket_type, COUNT(*) AS sold, COALESCE(SUM(amount), 0) AS gross, COALESCE(SUM(amount_refunded), 0) AS refunded ' +
+        'FROM event_payments WHERE event_id = $1 AND paid_at IS NOT NULL GROUP BY ticket_type ORDER BY gross DESC',
+        [event.id]
+    );
+    var dailyPaid = await db.query(
+        "SELECT date_trunc('day', paid_at) AS day, SUM(amount) AS amount FROM event_payments WHERE event_id = $1 AND paid_at IS NOT NULL GROUP BY 1",
+        [event.id]
+    );
+    var refunds = await db.query(
+        "SELECT date_trunc('day', r.created_at) AS day, r.status, SUM(r.amount) AS amount FROM event_refunds r JOIN event_payments p ON p.id = r.payment_id " +
+        "WHERE p.event_id = $1 AND r.status <> 'failed' GROUP BY 1, 2",
+        [event.id]
+    );
+
+    var days = {};
+    function day(d) {
+        var key = new Date(d).toISOString().substring(0, 10);
+        if (!days[key]) days[key] = { day: key, gross: 0, refunded: 0 };
+        return days[key];
+    }
+    dailyPaid.rows.forEach(function (r) { day(r.day).gross += parseInt(r.amount); });
+    var refundsPending = 0;
+    refunds.rows.forEach(function (r) {
+        day(r.day).refunded += parseInt(r.amount);
+        if (r.status === 'pending') refundsPending += parseInt(r.amount);
+    });
+
+    var t = totals.rows[0];
+    var gross = parseInt(t.gross);
+    var refunded = parseInt(t.refunded);
+    var fees = parseInt(t.fees);
+    var typeNames = {};
+    registration.ticketTypes(event.settings).forEach(function (tt) { typeNames[tt.id] = tt.name; });
+    return {
+        currency: t.currency || registration.currency(event.settings),
+        payments: parseInt(t.payments),
+        gross: gross,
+        refunded: refunded,
+        refunds_pending: refundsPending,
+        fees: fees,
+        tax: parseInt(t.tax),
+        payout: gross - refunded - fees,
+        by_ticket_type: byType.rows.map(function (r) {
+            return {
+                ticket_type: r.ticket_type, name: typeNames[r.ticket_type] || r.ticket_type,
+                sold: parseInt(r.sold), gross: parseInt(r.gross), refunded: parseInt(r.refunded)
+            };
+        }),
+        daily: Object.keys(days).sort().map(function (k) { return days[k]; })
+    };
+}
+
+module.exports = {
+    getClient: getClient,
+    setClient: setClient,
+    verifySignature: verifySignature,
+    checkout: checkout,
+    createOrder: createOrder,
+    confirm: confirm,
+    reconcile: reconcile,
+    refund: refund,
+    processPending: processPending,
+    revenueReport: revenueReport
+};
@@ -86,3 +86,76 @@ CREATE TABLE IF NOT EXISTS booth_visits (
 CREATE INDEX IF NOT EXISTS idx_booth_visits_event ON booth_visits(event_id);
 CREATE INDEX IF NOT EXISTS idx_booth_visits_exhibitor ON booth_visits(exhibitor_id);
 CREATE INDEX IF NOT EXISTS idx_booth_visits_attendee ON booth_visits(attendee_id);
+
+-- Link booth visits to the lead created for them (re-pointed when leads are merged)
+ALTER TABLE booth_visits ADD COLUMN IF NOT EXISTS lead_id VARCHAR(128);
+CREATE INDEX IF NOT EXISTS idx_booth_visits_lead ON booth_visits(scanned_by, lead_id);
+
+-- Offline badge scans: the device's id for the scan (batch uploads are idempotent on it) and when
+-- it was uploaded; created_at is the time on the device when the badge was scanned
+ALTER TABLE booth_visits ADD COLUMN IF NOT EXISTS client_scan_id VARCHAR(64);
+ALTER TABLE booth_visits ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booth_visits_client_scan ON booth_visits(exhibitor_id, client_scan_id) WHERE client_scan_id IS NOT NULL;
+
+-- Signed badges (badges.js): each event's Ed25519 key pair (private key encrypted), and per
+-- attendee the badge revision (bumped on reissue, invalidating older tokens) and revocation time
+CREATE TABLE IF NOT EXISTS event_badge_keys (
+    event_id UUID PRIMARY KEY REFERENCES events(id) ON DELETE CASCADE,
+    public_key TEXT NOT NULL,
+    private_key TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+ALTER TABLE event_attendees ADD COLUMN IF NOT EXISTS badge_revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE event_attendees ADD COLUMN IF NOT EXISTS badge_revoked_at TIMESTAMPTZ;
+
+-- Registration (registration.js): the attendee's ticket type (an id from events.settings.ticket_types),
+-- answers to the event's registration questions, and where they stand: registered, waitlisted
+-- (their ticket type was full) or cancelled
+ALTER TABLE event_attendees ADD COLUMN IF NOT EXISTS ticket_type VARCHAR(40);
+ALTER TABLE event_attendees ADD COLUMN IF NOT EXISTS answers JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE event_attendees ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'registered';
+ALTER TABLE event_attendees ADD COLUMN IF NOT EXISTS waitlisted_at TIMESTAMPTZ;
+ALTER TABLE event_attendees ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMPTZ;
+ALTER TABLE event_attendees ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_attendees_event_status ON event_attendees(event_id, ticket_type, status);
+
+-- Paid registration (event-payments.js): a pending_payment registration holds its place until
+-- payment_due_at. One row per Razorpay order; fee and tax are Razorpay's charges on the payment
+-- (for the payout report). status: created | paid | expired | refunded | partially_refunded
+ALTER TABLE event_attendees ADD COLUMN IF NOT EXISTS payment_due_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_attendees_payment_due ON event_attendees(payment_due_at) WHERE status = 'pending_payment';
+CREATE TABLE IF NOT EXISTS event_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    attendee_id UUID REFERENCES event_attendees(id) ON DELETE SET NULL,
+    ticket_type VARCHAR(40),
+    razorpay_order_id VARCHAR(64) NOT NULL UNIQUE,
+    razorpay_payment_id VARCHAR(64),
+    amount INTEGER NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'created',
+    amount_refunded INTEGER NOT NULL DEFAULT 0,
+    fee INTEGER,
+    tax INTEGER,
+    method VARCHAR(30),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    paid_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_event_payments_event ON event_payments(event_id, status);
+CREATE INDEX IF NOT EXISTS idx_event_payments_attendee ON event_payments(attendee_id);
+
+-- Refunds of event payments; status follows Razorpay's: pending | processed | failed
+CREATE TABLE IF NOT EXISTS event_refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID NOT NULL REFERENCES event_payments(id) ON DELETE CASCADE,
+    razorpay_refund_id VARCHAR(64) NOT NULL UNIQUE,
+    amount INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    reason VARCHAR(500),
+    refunded_by VARCHAR(128),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_event_refunds_payment ON event_refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_event_refunds_pending ON event_refunds(status) WHERE status = 'pending';
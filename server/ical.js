@@ -0,0 +1,223 @@
+// iCalendar (RFC 5545) builder for calendar subscriptions and event downloads
+// A user's feed (GET /api/public/calendar/:token.ics) lists their open lead tasks and
+// follow-up reminders plus the events they organize or exhibit at. Attendees download a
+// single event from their badge page. Feed tokens live in calendar_feeds and can be rotated.
+
+const crypto = require('crypto');
+const db = require('./db');
+const { escapeText, foldLine } = require('./vcard');
+
+var BASE_URL = process.env.BASE_URL || 'https://card.cardflow.cloud';
+var UID_DOMAIN = 'cardflow.cloud';
+var PRODID = '-//CardFlow//Calendar 1.0//EN';
+var TIMED_TASK_MINUTES = 30;        // timed tasks show as 30-minute blocks
+var FEED_TASK_LOOKBACK_DAYS = 30;   // open tasks due further back are left out of the feed
+var MAX_FEED_TASKS = 500;
+var MAX_FEED_EVENTS = 200;
+
+function pad(n) {
+    return (n < 10 ? '0' : '') + n;
+}
+
+// 20260131T053000Z
+function formatUtc(date) {
+    var d = new Date(date);
+    return d.getUTCFullYear() + pad(d.getUTCMonth() + 1) + pad(d.getUTCDate()) + 'T' +
+        pad(d.getUTCHours()) + pad(d.getUTCMinutes()) + pad(d.getUTCSeconds()) + 'Z';
+}
+
+// YYYY-MM-DD (or a DATE column value) → 20260131, optionally shifted by whole days
+function formatDate(value, addDays) {
+    var s = value instanceof Date
+        ? value.getFullYear() + '-' + pad(value.getMonth() + 1) + '-' + pad(value.getDate())
+        : String(value).substring(0, 10);
+    var d = new Date(s + 'T00:00:00Z');
+    if (addDays) d.setUTCDate(d.getUTCDate() + addDays);
+    return d.getUTCFullYear() + pad(d.getUTCMonth() + 1) + pad(d.getUTCDate());
+}
+
+// One VEVENT. item: { uid, summary, description?, location?, url?, start, end, allDay, status?, alarmMinutes?, stamp? }
+// start/end are Dates for timed items, YYYY-MM-DD strings for all-day (end inclusive).
+function buildEvent(item) {
+    var lines = ['BEGIN:VEVENT', 'UID:' + item.uid, 'DTSTAMP:' + formatUtc(item.stamp || new Date())];
+    if (item.allDay) {
+        lines.push('DTSTART;VALUE=DATE:' + formatDate(item.start));
+        lines.push('DTEND;VALUE=DATE:' + formatDate(item.end || item.start, 1));
+    } else {
+        lines.push('DTSTART:' + formatUtc(item.start));
+        lines.push('DTEND:' + formatUtc(item.end));
+    }
+    lines.push('SUMMARY:' + escapeText(item.summary));
+    if (item.description) lines.push('DESCRIPTION:' + escapeText(item.description));
+    if (item.location) lines.push('LOCATION:' + escapeText(item.location));
+    if (item.url) lines.push('URL:' + item.url);
+    if (item.status) lines.push('STATUS:' + item.status);
+    lines.push('TRANSP:' + (item.allDay ? 'TRANSPARENT' : 'OPAQUE'));
+    if (item.alarmMinutes !== undefined && item.alarmMinutes !== null) {
+        lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:' + escapeText(item.summary),
+            'TRIGGER:-PT' + item.alarmMinutes + 'M', 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+function buildCalendar(name, items) {
+    var lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:' + PRODID, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (name) lines.push('X-WR-CALNAME:' + escapeText(name));
+    lines.push('X-PUBLISHED-TTL:PT1H', 'REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+    items.forEach(function (item) { lines = lines.concat(buildEvent(item)); });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function eventLocation(ev) {
+    return [ev.venue, ev.address, ev.city].filter(Boolean).join(', ');
+}
+
+// Calendar item for an events row (all-day, start_date..end_date)
+function eventItem(ev, extra) {
+    extra = extra || {};
+    return {
+        uid: 'event-' + ev.id + (extra.uidSuffix || '') + '@' + UID_DOMAIN,
+        summary: (extra.prefix || '') + ev.name,
+        description: [extra.description, ev.description].filter(Boolean).join('\n\n'),
+        location: eventLocation(ev),
+        url: BASE_URL + '/e/' + ev.slug,
+        start: ev.start_date,
+        end: ev.end_date || ev.start_date,
+        allDay: true,
+        status: extra.status || 'CONFIRMED',
+        stamp: ev.updated_at
+    };
+}
+
+function taskItem(row) {
+    var lead = (row.lead_name || 'Lead') + (row.lead_company ? ' (' + row.lead_company + ')' : '');
+    var summary = (row.kind === 'reminder' ? 'Follow up: ' : '') + (row.kind === 'reminder' ? lead : row.title + ' — ' + lead);
+    var item = {
+        uid: 'task-' + row.id + '@' + UID_DOMAIN,
+        summary: summary,
+        description: row.notes || '',
+        url: BASE_URL + '/dashboard#leads',
+        allDay: row.all_day,
+        status: 'CONFIRMED',
+        alarmMinutes: row.remind_before,
+        stamp: row.updated_at
+    };
+    if (row.all_day) {
+        item.start = row.due_date;
+        item.end = row.due_date;
+        item.alarmMinutes = undefined; // the app's own reminder covers all-day tasks
+    } else {
+        item.start = row.due_at;
+        item.end = new Date(new Date(row.due_at).getTime() + TIMED_TASK_MINUTES * 60000);
+    }
+    return item;
+}
+
+// ── Feeds ──
+
+function feedUrl(token) {
+    return BASE_URL + '/api/public/calendar/' + token + '.ics';
+}
+
+// The user's feed token, created on first use
+async function getFeedToken(userId) {
+    var existing = await db.query('SELECT token FROM calendar_feeds WHERE user_id = $1', [userId]);
+    if (existing.rows.length) return existing.rows[0].token;
+    var created = await db.query(
+        'INSERT INTO calendar_feeds (user_id, token) VALUES ($1, $2) ON CONFLICT (user_id) DO UPDATE SET user_id = EXCLUDED.user_id RETURNING token',
+        [userId, crypto.randomBytes(24).toString('hex')]
+    );
+    return created.rows[0].token;
+}
+
+// New token — the old subscription URL stops working
+async function rotateFeedToken(userId) {
+    var token = crypto.randomBytes(24).toString('hex');
+    await db.query(
+        'INSERT INTO calendar_feeds (user_id, token) VALUES ($1, $2) ON CONFLICT (user_id) DO UPDATE SET token = $2, created_at = NOW(), last_fetched_at = NULL',
+        [userId, token]
+    );
+    return token;
+}
+
+async function deleteFeed(userId) {
+    await db.query('DELETE FROM calendar_feeds WHERE user_id = $1', [userId]);
+}
+
+// Feed body for a token, or null when the token is unknown
+async function buildFeed(token) {
+    if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return null;
+    var feed = await db.query(
+        'UPDATE calendar_feeds f SET last_fetched_at = NOW() FROM users u WHERE f.token = $1 AND u.id = f.user_id RETURNING f.user_id, u.name',
+        [token]
+    );
+    if (!feed.rows.length) return null;
+    var userId = feed.rows[0].user_id;
+
+    // Same set as the "my agenda" list: assigned to me, or unassigned on my leads
+    var tasks = await db.query(
+        "SELECT t.id, t.kind, t.title, t.notes, t.due_at, t.all_day, t.remind_before, t.updated_at, " +
+        "to_char(t.due_at AT TIME ZONE t.timezone, 'YYYY-MM-DD') AS due_date, " +
+        "l.data->>'name' AS lead_name, l.data->>'company' AS lead_company " +
+        'FROM lead_tasks t JOIN leads l ON l.user_id = t.user_id AND l.id = t.lead_id ' +
+        'WHERE (t.assignee_id = $1 OR (t.assignee_id IS NULL AND t.user_id = $1)) AND t.completed_at IS NULL ' +
+        "AND t.due_at IS NOT NULL AND t.due_at >= NOW() - make_interval(days => $2) " +
+        'ORDER BY t.due_at LIMIT $3',
+        [userId, FEED_TASK_LOOKBACK_DAYS, MAX_FEED_TASKS]
+    );
+    var organized = await db.query(
+        "SELECT * FROM events WHERE organizer_id = $1 AND status <> 'archived' ORDER BY start_date DESC LIMIT $2",
+        [userId, MAX_FEED_EVENTS]
+    );
+    var exhibiting = await db.query(
+        "SELECT e.*, x.booth_number, x.status AS exhibitor_status FROM event_exhibitors x JOIN events e ON e.id = x.event_id " +
+        "WHERE x.user_id = $1 AND x.status <> 'rejected' AND e.status <> 'archived' ORDER BY e.start_date DESC LIMIT $2",
+        [userId, MAX_FEED_EVENTS]
+    );
+
+    var items = tasks.rows.map(taskItem);
+    organized.rows.forEach(function (ev) {
+        items.push(eventItem(ev, { status: ev.status === 'draft' ? 'TENTATIVE' : 'CONFIRMED', description: 'You are organizing this event.' }));
+    });
+    exhibiting.rows.forEach(function (ev) {
+        items.push(eventItem(ev, {
+            uidSuffix: '-booth',
+            prefix: 'Exhibiting: ',
+            status: ev.exhibitor_status === 'approved' ? 'CONFIRMED' : 'TENTATIVE',
+            description: ev.booth_number ? 'Booth ' + ev.booth_number : ''
+        }));
+    });
+    return buildCalendar('CardFlow — ' + (feed.rows[0].name || 'Follow-ups'), items);
+}
+
+// Single-event calendar for an attendee's badge, or null when the badge is unknown
+async function buildBadgeEvent(badgeCode) {
+    var result = await db.query(
+        "SELECT e.*, ea.badge_code FROM event_attendees ea JOIN events e ON e.id = ea.event_id WHERE ea.badge_code = $1 AND e.status <> 'archived'",
+        [String(badgeCode).toUpperCase()]
+    );
+    if (!result.rows.length) return null;
+    var ev = result.rows[0];
+    return {
+        filename: (ev.slug || 'event') + '.ics',
+        body: buildCalendar(ev.name, [eventItem(ev, {
+            uidSuffix: '-' + ev.badge_code.toLowerCase(),
+            description: 'Your badge: ' + BASE_URL + '/e/' + ev.slug + '/b/' + ev.badge_code
+        })])
+    };
+}
+
+module.exports = {
+    formatUtc: formatUtc,
+    formatDate: formatDate,
+    buildEvent: buildEvent,
+    buildCalendar: buildCalendar,
+    feedUrl: feedUrl,
+    getFeedToken: getFeedToken,
+    rotateFeedToken: rotateFeedToken,
+    deleteFeed: deleteFeed,
+    buildFeed: buildFeed,
+    buildBadgeEvent: buildBadgeEvent
+};
@@ -117,7 +117,16 @@ app.use('/api/public', require('./routes/public'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/ocr', require('./routes/ocr'));
 app.use('/api/sequences', require('./routes/sequences'));
+app.use('/api/sequence-templates', requireFeatureFlag('teams_enabled'), require('./routes/sequence-templates'));
 app.use('/api/verification', require('./routes/card-verification'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/crm', require('./routes/crm'));
+app.use('/api/pipeline', require('./routes/pipeline'));
+app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/mailbox', require('./routes/mailbox'));
+app.use('/api/suppressions', require('./routes/suppressions'));
+app.use('/api/sender', require('./routes/sender'));
 
 // -- Analytics event tracking (lightweight, fire-and-forget) --
 // IP geolocation cache (ip → {country, city, region, exp})
@@ -538,6 +547,10 @@ setInterval(async function () {
         if (r1.rowCount > 0 || r2.rowCount > 0) {
             console.log('Token cleanup: removed ' + r1.rowCount + ' email tokens, ' + r2.rowCount + ' reset tokens');
         }
+        // Webhook delivery log retention: 30 days
+        await db.query("DELETE FROM webhook_deliveries WHERE created_at < NOW() - INTERVAL '30 days' AND status IN ('delivered', 'failed')");
+        // Email outbox retention: sent/discarded 30 days, dead letters 90 days
+        await db.query("DELETE FROM email_outbox WHERE (status IN ('sent', 'discarded') AND created_at < NOW() - INTERVAL '30 days') OR (status = 'dead' AND created_at < NOW() - INTERVAL '90 days')");
     } catch (err) {
         console.error('Token cleanup error:', err.message);
     }
@@ -671,6 +684,7 @@ setInterval(async function () {
 
 // Daily digest + follow-up reminders — runs every hour, sends at 9am IST (3:30 UTC)
 var pushModule = require('./push');
+var pipeline = require('./pipeline');
 var lastDailyDigestDate = null;
 
 setInterval(async function () {
@@ -723,14 +737,16 @@ setInterval(async function () {
                 );
                 var newLeads = parseInt(leadCount.rows[0].cnt) || 0;
 
-                // 2. Find stale leads needing follow-up (2+ days old, status still 'new', no reminder set)
+                // 2. Find stale leads needing follow-up (2+ days old, still in the first pipeline stage, no reminder set)
+                var userPipeline = await pipeline.getPipeline(user.id);
+                var firstStage = pipeline.findStage(userPipeline.stages, pipeline.initialStage(userPipeline.stages));
                 var staleLeads = await db.query(
                     "SELECT id, data FROM leads WHERE user_id = $1 AND created_at <= $2 " +
-                    "AND (data->>'status' IS NULL OR data->>'status' = 'new') " +
+                    "AND (data->>'status' IS NULL OR data->>'status' = $3) " +
                     "AND (data->'reminder' IS NULL OR data->'reminder'->>'done' = 'true' OR data->'reminder'->>'date' IS NULL) " +
                     "AND (data->>'lastFollowup' IS NULL) " +
                     "ORDER BY created_at DESC LIMIT 10",
-                    [user.id, twoDaysAgo]
+                    [user.id, twoDaysAgo, firstStage.key]
                 );
 
                 var followups = staleLeads.rows.map(function (row) {
@@ -740,27 +756,27 @@ setInterval(async function () {
                     return {
                         name: d.name || 'Unknown',
                         company: d.company || '',
-                        status: d.status || 'New',
+                        status: firstStage.label,
+                        color: firstStage.color,
                         days: days || 2
                     };
                 });
 
-                // 2b. Find overdue tasks
-                var todayStr = now.toISOString().split('T')[0];
-                var taskLeads = await db.query(
-                    "SELECT id, data FROM leads WHERE user_id = $1 AND data->'tasks' IS NOT NULL",
-                    [user.id]
+                // 2a. Leads that moved into each stage yesterday
+                var moves = await db.query(
+                    'SELECT to_stage, COUNT(*) AS cnt FROM lead_stage_history WHERE user_id = $1 AND changed_at >= $2 GROUP BY to_stage',
+                    [user.id, yesterday]
                 );
-                var overdueTasks = 0;
-                taskLeads.rows.forEach(function (row) {
-                    var tasks = (row.data && row.data.tasks) || [];
-                    tasks.forEach(function (t) {
-                        if (!t.done && t.due && t.due < todayStr) overdueTasks++;
-                    });
-                });
+                var stageMoves = userPipeline.stages.map(function (stage) {
+                    var row = moves.rows.filter(function (r) { return r.to_stage === stage.key; })[0];
+                    return { label: stage.label, color: stage.color, kind: stage.kind, count: row ? parseInt(row.cnt) : 0 };
+                }).filter(function (m) { return m.count > 0; });
+
+                // 2b. Overdue tasks (assigned to the user, or unassigned on their leads)
+                var overdueTasks = await tasks.countOverdue(user.id);
 
                 // Skip if no activity and no follow-ups and no tasks
-                if (views === 0 && newLeads === 0 && saves === 0 && followups.length === 0 && overdueTasks === 0) continue;
+                if (views === 0 && newLeads === 0 && saves === 0 && followups.length === 0 && overdueTasks === 0 && stageMoves.length === 0) continue;
 
                 // 3. Send push notification
                 var alertItems = followups.length + overdueTasks;
@@ -787,7 +803,8 @@ setInterval(async function () {
                     views: views,
                     leads: newLeads,
                     saves: saves,
-                    followups: followups
+                    followups: followups,
+                    stageMoves: stageMoves
                 });
 
                 if (process.env.NODE_ENV !== 'production') console.log('Daily digest sent to:', user.email);
@@ -802,72 +819,84 @@ setInterval(async function () {
     }
 }, 60 * 60 * 1000); // Check every hour
 
-// Email sequence processor — runs every 5 minutes
-var BASE_URL_SEQ = process.env.BASE_URL || 'https://card.cardflow.cloud';
+// Webhook retries — failed deliveries are retried with exponential backoff
+var webhooks = require('./webhooks');
 setInterval(async function () {
     try {
-        var due = await db.query(
-            "SELECT e.id, e.sequence_id, e.user_id, e.lead_id, e.current_step, e.enrolled_at, " +
-            "s.steps, s.name as seq_name, " +
-            "l.data as lead_data, u.email as owner_email, u.plan " +
-            "FROM sequence_enrollments e " +
-            "JOIN sequences s ON s.id = e.sequence_id " +
-            "JOIN leads l ON l.user_id = e.user_id AND l.id = e.lead_id " +
-            "JOIN users u ON u.id = e.user_id " +
-            "WHERE e.status = 'active' AND e.next_send_at <= NOW() " +
-            "AND s.active = true AND u.plan != 'free' " +
-            "ORDER BY e.next_send_at ASC LIMIT 50"
-        );
-        for (var i = 0; i < due.rows.length; i++) {
-            var row = due.rows[i];
-            try {
-                var steps = row.steps;
-                var stepIndex = row.current_step;
-                if (!steps || stepIndex >= steps.length) {
-                    await db.query("UPDATE sequence_enrollments SET status = 'completed', last_sent_at = NOW() WHERE id = $1", [row.id]);
-                    continue;
-                }
-                var step = steps[stepIndex];
-                var leadData = row.lead_data || {};
-                var leadEmail = Array.isArray(leadData.email) ? leadData.email[0] : leadData.email;
-                if (!leadEmail) {
-                    await db.query("UPDATE sequence_enrollments SET status = 'paused' WHERE id = $1", [row.id]);
-                    continue;
-                }
-                var subject = emailModule.interpolateTemplate(step.subject, leadData);
-                var bodyText = emailModule.interpolateTemplate(step.body, leadData);
-                var bodyHtml = '<p>' + bodyText.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/\n/g, '<br>') + '</p>';
-                var unsubToken = emailModule.generateUnsubscribeToken(row.user_id, row.lead_id, row.id);
-                var unsubUrl = BASE_URL_SEQ + '/api/public/unsubscribe/' + unsubToken;
-                var sent = await emailModule.sendSequenceEmail(leadEmail, subject, bodyHtml, row.owner_email, unsubUrl);
-                if (sent) {
-                    var nextStep = stepIndex + 1;
-                    if (nextStep >= steps.length) {
-                        await db.query("UPDATE sequence_enrollments SET status = 'completed', current_step = $1, last_sent_at = NOW() WHERE id = $2", [nextStep, row.id]);
-                    } else {
-                        var nextSend = new Date(new Date(row.enrolled_at).getTime() + steps[nextStep].delay_days * 86400000);
-                        if (nextSend.getTime() < Date.now()) nextSend = new Date(Date.now() + 60000);
-                        await db.query("UPDATE sequence_enrollments SET current_step = $1, last_sent_at = NOW(), next_send_at = $2 WHERE id = $3", [nextStep, nextSend, row.id]);
-                    }
-                    // Log to lead timeline
-                    await db.query(
-                        "UPDATE leads SET data = jsonb_set(COALESCE(data, '{}'), '{actions}', " +
-                        "COALESCE(data->'actions', '[]'::jsonb) || $1::jsonb), updated_at = NOW() " +
-                        "WHERE user_id = $2 AND id = $3",
-                        [JSON.stringify([{type:'system', action:'sequence_email', ts:Date.now(), step:stepIndex+1, sequence:row.seq_name, subject:subject}]), row.user_id, row.lead_id]
-                    );
-                }
-                // Small delay between sends
-                await new Promise(function(r){ setTimeout(r, 200); });
-            } catch (stepErr) {
-                console.error('Sequence step error for enrollment ' + row.id + ':', stepErr.message);
-            }
-        }
+        await webhooks.processRetries();
     } catch (err) {
-        console.error('Sequence cron error:', err.message);
+        console.error('Webhook retry cron error:', err.message);
+    }
+}, 60 * 1000); // Every minute
+
+// Task reminders — push + email at each task's reminder time (timer armed for the next one)
+var tasks = require('./tasks');
+tasks.startScheduler();
+
+// CRM sync — push leads changed outside the dashboard (imports, scans, exchanges, AI categories)
+var crm = require('./crm');
+setInterval(async function () {
+    try {
+        await crm.processPending();
+    } catch (err) {
+        console.error('CRM sync cron error:', err.message);
     }
+}, 2 * 60 * 1000); // Every 2 minutes
+
+// Paid event registration — releases unpaid places when their hold runs out, follows refunds
+var eventPayments = require('./event-payments');
+setInterval(function () {
+    eventPayments.processPending().catch(function (err) {
+        console.error('Event payments cron error:', err.message);
+    });
+}, 2 * 60 * 1000); // Every 2 minutes
+
+// Email outbox worker — sends queued emails and retries failures (enqueues also start it right away)
+var outbox = require('./outbox');
+setInterval(function () {
+    outbox.processOutbox().catch(function (err) {
+        console.error('Outbox cron error:', err.message);
+    });
+}, 30 * 1000); // Every 30 seconds
+
+// Email sequence processor — runs every 5 minutes (workflow steps in sequences.js)
+var sequences = require('./sequences');
+setInterval(function () {
+    sequences.processDue().catch(function (err) {
+        console.error('Sequence cron error:', err.message);
+    });
 }, 5 * 60 * 1000);
 
+// Sequence reply detection — polls connected mailboxes (each at most every 4 minutes)
+var mailbox = require('./mailbox');
+setInterval(async function () {
+    try {
+        await mailbox.pollAll();
+    } catch (err) {
+        console.error('Mailbox poll cron error:', err.message);
+    }
+}, 60 * 1000); // Every minute
+
+// Bounce mailbox — reads DSNs and suppresses hard-bounced addresses (when BOUNCE_IMAP_* is set)
+var suppression = require('./suppression');
+setInterval(async function () {
+    try {
+        await suppression.pollBounces();
+    } catch (err) {
+        console.error('Bounce mailbox poll error:', err.message);
+    }
+}, 5 * 60 * 1000); // Every 5 minutes
+
+// Custom sending domains — re-check DKIM/SPF so a domain whose records were removed stops being used
+var sender = require('./sender');
+setInterval(async function () {
+    try {
+        await sender.recheckDomains();
+    } catch (err) {
+        console.error('Sending domain check cron error:', err.message);
+    }
+}, 24 * 60 * 60 * 1000); // Every 24 hours
+
 // Daily AI funnel insights — runs every hour, fires Mon–Fri at 8am IST (2:30 UTC)
 var lastAiInsightDate = null;
 setInterval(async function () {
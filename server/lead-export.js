@@ -0,0 +1,274 @@
+// Lead export profiles — CRM-ready CSV (Salesforce, HubSpot, Zoho, generic), a multi-contact
+// vCard bundle and JSON Lines. Leads are streamed page by page through lead-query.js so every
+// export honours the same filters as GET /api/leads.
+
+const leadQuery = require('./lead-query');
+const vcard = require('./vcard');
+
+var PAGE_SIZE = 500;
+var MAX_EXPORT_ROWS = 50000;
+
+// Column values shared by the CSV profiles
+function ocr(d, field) {
+    return d[field] || (d.ocrFields && d.ocrFields[field]) || '';
+}
+
+function list(v) {
+    if (!v) return [];
+    return (Array.isArray(v) ? v : [v]).filter(function (x) { return typeof x === 'string' && x.trim(); });
+}
+
+function emails(d) {
+    var all = list(d.email).concat(list(d.emails));
+    return all.filter(function (e, i) { return all.indexOf(e) === i; });
+}
+
+function phones(d) {
+    var all = list(d.phone).concat(list(d.phones));
+    return all.filter(function (p, i) { return all.indexOf(p) === i; });
+}
+
+// CRM imports want first/last name; a single-word name becomes the last name (required by Salesforce)
+function splitName(name) {
+    var parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return { first: '', last: '' };
+    if (parts.length === 1) return { first: '', last: parts[0] };
+    var last = parts.pop();
+    return { first: parts.join(' '), last: last };
+}
+
+function openTasks(d) {
+    return (Array.isArray(d.tasks) ? d.tasks : []).filter(function (t) { return t && !t.done; }).map(function (t) {
+        var due = iso(t.due);
+        return (t.title || 'Task') + (due ? ' (due ' + due.slice(0, 10) + ')' : '');
+    }).join('; ');
+}
+
+function lastAction(d) {
+    var actions = Array.isArray(d.actions) ? d.actions : [];
+    return actions.length ? actions[actions.length - 1] : null;
+}
+
+function lastActionLabel(d) {
+    var a = lastAction(d);
+    return a ? String(a.action || a.type || '').replace(/_/g, ' ') : '';
+}
+
+function lastActionAt(d) {
+    var a = lastAction(d);
+    return a ? iso(a.ts) : '';
+}
+
+function notes(d) {
+    var comments = Array.isArray(d.comments) ? d.comments.map(function (c) { return c && c.text; }).filter(Boolean) : [];
+    return comments.length ? comments.join(' | ') : (d.notes || '');
+}
+
+// Dates in lead data are client-supplied: anything unparseable exports as blank
+function iso(v) {
+    var date = v ? new Date(v) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : '';
+}
+
+// Plain field values of a lead, as pushed to CRMs (lead-export profiles and crm.js connectors)
+function leadValues(d) {
+    d = d || {};
+    var name = splitName(d.name);
+    return {
+        name: d.name || '',
+        firstName: name.first,
+        lastName: name.last,
+        email: emails(d)[0] || '',
+        phone: phones(d)[0] || '',
+        mobile: phones(d)[1] || '',
+        company: d.company || '',
+        title: ocr(d, 'title'),
+        website: ocr(d, 'website'),
+        address: ocr(d, 'address'),
+        source: d.source || '',
+        status: status(d),
+        category: d.category || '',
+        dealValue: d.dealValue || '',
+        notes: notes(d)
+    };
+}
+
+// CRM status vocabularies (default picklists of each CRM)
+var SALESFORCE_STATUS = { new: 'Open - Not Contacted', contacted: 'Working - Contacted', qualified: 'Working - Contacted', won: 'Closed - Converted', lost: 'Closed - Not Converted' };
+var HUBSPOT_LEAD_STATUS = { new: 'NEW', contacted: 'CONNECTED', qualified: 'OPEN_DEAL', won: 'OPEN_DEAL', lost: 'UNQUALIFIED' };
+var HUBSPOT_LIFECYCLE = { new: 'lead', contacted: 'lead', qualified: 'salesqualifiedlead', won: 'customer', lost: 'lead' };
+var ZOHO_STATUS = { new: 'Not Contacted', contacted: 'Contacted', qualified: 'Pre-Qualified', won: 'Pre-Qualified', lost: 'Lost Lead' };
+
+function status(d) { return d.status || 'new'; }
+
+// Trailing columns every CSV profile carries
+var ACTIVITY_COLUMNS = [
+    ['Open Tasks', function (d) { return openTasks(d); }],
+    ['Last Activity', function (d) { return lastActionLabel(d); }],
+    ['Last Activity Date', function (d) { return lastActionAt(d); }]
+];
+
+// Each CSV profile is a list of [header, value(data, row)]
+var CSV_PROFILES = {
+    csv: [
+        ['ID', function (d, row) { return row.id; }],
+        ['Name', function (d) { return d.name || ''; }],
+        ['Email', function (d) { return emails(d).join('; '); }],
+        ['Phone', function (d) { return phones(d).join('; '); }],
+        ['Company', function (d) { return d.company || ''; }],
+        ['Title', function (d) { return ocr(d, 'title'); }],
+        ['Website', function (d) { return ocr(d, 'website'); }],
+        ['Address', function (d) { return ocr(d, 'address'); }],
+        ['Source', function (d) { return d.source || ''; }],
+        ['Status', function (d) { return status(d); }],
+        ['Category', function (d) { return d.category || ''; }],
+        ['Subcategory', function (d) { return d.subcategory || ''; }],
+        ['Tags', function (d) { return (Array.isArray(d.tags) ? d.tags : []).join(', '); }],
+        ['Deal Value', function (d) { return d.dealValue || ''; }],
+        ['Notes', function (d) { return notes(d); }],
+        ['Created', function (d, row) { return iso(row.created_at); }]
+    ].concat(ACTIVITY_COLUMNS),
+
+    // Salesforce Data Import Wizard — Leads
+    salesforce: [
+        ['First Name', function (d) { return splitName(d.name).first; }],
+        ['Last Name', function (d) { return splitName(d.name).last || '[not provided]'; }],
+        ['Company', function (d) { return d.company || '[not provided]'; }],
+        ['Title', function (d) { return ocr(d, 'title'); }],
+        ['Email', function (d) { return emails(d)[0] || ''; }],
+        ['Phone', function (d) { return phones(d)[0] || ''; }],
+        ['Mobile', function (d) { return phones(d)[1] || ''; }],
+        ['Website', function (d) { return ocr(d, 'website'); }],
+        ['Street', function (d) { return ocr(d, 'address'); }],
+        ['Lead Source', function (d) { return d.source || ''; }],
+        ['Lead Status', function (d) { return SALESFORCE_STATUS[status(d)] || SALESFORCE_STATUS.new; }],
+        ['Industry', function (d) { return d.category || ''; }],
+        ['Description', function (d) { return notes(d); }]
+    ].concat(ACTIVITY_COLUMNS),
+
+    // HubSpot contacts import (column names match the default contact properties)
+    hubspot: [
+        ['First Name', function (d) { return splitName(d.name).first; }],
+        ['Last Name', function (d) { return splitName(d.name).last; }],
+        ['Email', function (d) { return emails(d)[0] || ''; }],
+        ['Phone Number', function (d) { return phones(d)[0] || ''; }],
+        ['Mobile Phone Number', function (d) { return phones(d)[1] || ''; }],
+        ['Company Name', function (d) { return d.company || ''; }],
+        ['Job Title', function (d) { return ocr(d, 'title'); }],
+        ['Website URL', function (d) { return ocr(d, 'website'); }],
+        ['Street Address', function (d) { return ocr(d, 'address'); }],
+        ['Lifecycle Stage', function (d) { return HUBSPOT_LIFECYCLE[status(d)] || 'lead'; }],
+        ['Lead Status', function (d) { return HUBSPOT_LEAD_STATUS[status(d)] || 'NEW'; }],
+        ['Industry', function (d) { return d.category || ''; }],
+        ['Original Source Drill-Down 1', function (d) { return d.source || ''; }],
+        ['Notes', function (d) { return notes(d); }]
+    ].concat(ACTIVITY_COLUMNS),
+
+    // Zoho CRM — Leads module import
+    zoho: [
+        ['First Name', function (d) { return splitName(d.name).first; }],
+        ['Last Name', function (d) { return splitName(d.name).last; }],
+        ['Company', function (d) { return d.company || ''; }],
+        ['Designation', function (d) { return ocr(d, 'title'); }],
+        ['Email', function (d) { return emails(d)[0] || ''; }],
+        ['Secondary Email', function (d) { return emails(d)[1] || ''; }],
+        ['Phone', function (d) { return phones(d)[0] || ''; }],
+        ['Mobile', function (d) { return phones(d)[1] || ''; }],
+        ['Website', function (d) { return ocr(d, 'website'); }],
+        ['Street', function (d) { return ocr(d, 'address'); }],
+        ['Lead Source', function (d) { return d.source || ''; }],
+        ['Lead Status', function (d) { return ZOHO_STATUS[status(d)] || ZOHO_STATUS.new; }],
+        ['Industry', function (d) { return d.category || ''; }],
+        ['Description', function (d) { return notes(d); }]
+    ].concat(ACTIVITY_COLUMNS)
+};
+
+var PROFILES = Object.keys(CSV_PROFILES).concat(['vcf', 'jsonl']);
+
+// Quote every cell; prefix spreadsheet formula triggers (same rule as the exhibitor export),
+// except E.164-style phone numbers, which CRMs must receive untouched
+function csvSafe(v) {
+    var s = (v === undefined || v === null ? '' : String(v)).replace(/"/g, '""');
+    if (/^[=+\-@\t\r\n\0]/.test(s) && !/^\+[\d\s().-]+$/.test(s)) s = "'" + s;
+    return '"' + s + '"';
+}
+
+function csvLine(values) {
+    return values.map(csvSafe).join(',') + '\r\n';
+}
+
+function leadToVCard(row) {
+    var d = row.data || {};
+    return vcard.buildVCard({
+        name: d.name || (emails(d)[0] || 'Contact'),
+        company: d.company,
+        title: ocr(d, 'title'),
+        phones: phones(d),
+        emails: emails(d),
+        address: ocr(d, 'address'),
+        website: ocr(d, 'website'),
+        linkedin: d.linkedin,
+        bio: notes(d)
+    }, { version: '3.0', rev: row.updated_at ? new Date(row.updated_at) : undefined });
+}
+
+function leadToJson(row) {
+    var d = Object.assign({}, row.data);
+    delete d.photo;
+    return JSON.stringify({
+        id: row.id,
+        createdAt: iso(row.created_at),
+        updatedAt: iso(row.updated_at),
+        lastAction: lastAction(d),
+        data: d
+    }) + '\n';
+}
+
+function contentInfo(profile) {
+    var date = new Date().toISOString().slice(0, 10);
+    if (profile === 'vcf') return { type: 'text/vcard; charset=utf-8', filename: 'leads-' + date + '.vcf' };
+    if (profile === 'jsonl') return { type: 'application/x-ndjson; charset=utf-8', filename: 'leads-' + date + '.jsonl' };
+    return { type: 'text/csv; charset=utf-8', filename: 'leads-' + (profile === 'csv' ? '' : profile + '-') + date + '.csv' };
+}
+
+// Stream an export to res. options come from leadQuery.parseLeadQuery (limit/cursor are ignored).
+async function streamExport(res, scope, profile, options) {
+    var info = contentInfo(profile);
+    res.setHeader('Content-Type', info.type);
+    res.setHeader('Content-Disposition', 'attachment; filename="' + info.filename + '"');
+
+    var columns = CSV_PROFILES[profile];
+    // UTF-8 BOM so Excel opens non-ASCII names correctly
+    if (columns) res.write('\uFEFF' + csvLine(columns.map(function (c) { return c[0]; })));
+
+    var pageOptions = Object.assign({}, options, { limit: PAGE_SIZE, cursor: null });
+    var written = 0;
+    while (written < MAX_EXPORT_ROWS) {
+        var page = await leadQuery.listLeads(scope, pageOptions);
+        var chunk = '';
+        page.rows.forEach(function (row) {
+            if (columns) chunk += csvLine(columns.map(function (c) { return c[1](row.data || {}, row); }));
+            else if (profile === 'vcf') chunk += leadToVCard(row);
+            else chunk += leadToJson(row);
+        });
+        written += page.rows.length;
+        if (chunk && !res.write(chunk)) await new Promise(function (resolve) { res.once('drain', resolve); });
+        if (!page.nextCursor) break;
+        pageOptions.cursor = leadQuery.decodeCursor(page.nextCursor);
+    }
+    res.end();
+    return written;
+}
+
+module.exports = {
+    PROFILES: PROFILES,
+    MAX_EXPORT_ROWS: MAX_EXPORT_ROWS,
+    SALESFORCE_STATUS: SALESFORCE_STATUS,
+    HUBSPOT_LEAD_STATUS: HUBSPOT_LEAD_STATUS,
+    HUBSPOT_LIFECYCLE: HUBSPOT_LIFECYCLE,
+    ZOHO_STATUS: ZOHO_STATUS,
+    csvSafe: csvSafe,
+    splitName: splitName,
+    leadValues: leadValues,
+    streamExport: streamExport
+};
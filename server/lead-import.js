@@ -0,0 +1,554 @@
+// Server-side lead import (CSV, XLSX, multi-contact VCF)
+// parseFile() turns an upload into header + rows, detectMapping() guesses which column
+// holds which lead field, prepareImport() validates rows and flags likely duplicates
+// (dry-run report), and startImport() inserts the leads as a background job that reports
+// progress on the user's leads:<uid> SSE channel.
+//
+// Jobs are kept in memory (single PM2 instance, like sse.js) and dropped an hour after finishing.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const db = require('./db');
+const sse = require('./sse');
+const categorize = require('./categorize');
+const dedupe = require('./dedupe');
+const pipeline = require('./pipeline');
+const { publishTeamLead } = require('./routes/teams');
+
+var MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+var MAX_IMPORT_ROWS = 5000;
+var MAX_REPORTED_ISSUES = 200;
+var PREVIEW_ROWS = 20;
+var BATCH_SIZE = 100;
+var BATCH_PAUSE_MS = 250;       // spread categorization load across large imports
+var JOB_TTL_MS = 60 * 60 * 1000;
+var DUPLICATE_MIN_SCORE = 0.8;
+var MAX_FIELD_LENGTH = 2000;
+
+var EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lead fields a column can map to, with the (normalized) headers that auto-detect to them
+var FIELDS = {
+    name: ['name', 'fullname', 'contactname', 'contact', 'displayname'],
+    firstName: ['firstname', 'first', 'givenname', 'fname'],
+    lastName: ['lastname', 'last', 'surname', 'familyname', 'lname'],
+    email: ['email', 'emailaddress', 'mail', 'workemail', 'businessemail', 'primaryemail'],
+    phone: ['phone', 'mobile', 'phonenumber', 'mobilenumber', 'mobilephone', 'cell', 'cellphone', 'telephone', 'tel', 'contactnumber', 'whatsapp', 'workphone'],
+    company: ['company', 'companyname', 'organization', 'organisation', 'org', 'account', 'accountname', 'business', 'firm'],
+    title: ['title', 'jobtitle', 'designation', 'position', 'role'],
+    website: ['website', 'url', 'web', 'site', 'homepage'],
+    address: ['address', 'location', 'streetaddress', 'fulladdress'],
+    linkedin: ['linkedin', 'linkedinurl', 'linkedinprofile'],
+    notes: ['notes', 'note', 'comments', 'comment', 'description', 'remarks'],
+    tags: ['tags', 'tag', 'labels', 'label'],
+    status: ['status', 'leadstatus', 'stage'],
+    dealValue: ['dealvalue', 'value', 'amount', 'dealamount']
+};
+// Fields that may take several columns (values are combined)
+var MULTI_FIELDS = ['email', 'phone', 'notes', 'tags'];
+
+var SOURCES = { csv: 'csv_import', xlsx: 'xlsx_import', vcf: 'vcf_import' };
+
+function normalizeHeader(h) {
+    return String(h || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// ── Parsers ──
+
+function detectFormat(buffer, filename, hint) {
+    if (hint && SOURCES[hint]) return hint;
+    var ext = String(filename || '').toLowerCase().split('.').pop();
+    if (SOURCES[ext]) return ext;
+    if (ext === 'vcard') return 'vcf';
+    if (buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'xlsx';
+    if (/^\s*BEGIN:VCARD/i.test(buffer.subarray(0, 200).toString('utf8').replace(/^\uFEFF/, ''))) return 'vcf';
+    return 'csv';
+}
+
+// RFC 4180 CSV with quoted fields; delimiter (comma, semicolon or tab) is sniffed from the header line
+function parseCSV(text) {
+    text = text.replace(/^\uFEFF/, '');
+    var firstLine = text.split(/\r?\n/, 1)[0] || '';
+    var delimiter = [',', ';', '\t'].reduce(function (best, d) {
+        return firstLine.split(d).length > firstLine.split(best).length ? d : best;
+    }, ',');
+
+    var rows = [];
+    var row = [];
+    var field = '';
+    var quoted = false;
+    for (var i = 0; i < text.length; i++) {
+        var ch = text[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') { field += '"'; i++; }
+                else quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    rows = rows.filter(function (r) { return r.some(function (v) { return v.trim() !== ''; }); });
+    return { headers: (rows.shift() || []).map(function (h) { return h.trim(); }), rows: rows };
+}
+
+// Minimal ZIP reader (central directory + stored/deflated entries) — enough for XLSX
+function readZip(buffer) {
+    var eocd = -1;
+    for (var i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error('Not a valid XLSX file');
+    var count = buffer.readUInt16LE(eocd + 10);
+    var offset = buffer.readUInt32LE(eocd + 16);
+    var entries = {};
+    for (var n = 0; n < count; n++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt XLSX file');
+        var method = buffer.readUInt16LE(offset + 10);
+        var compressedSize = buffer.readUInt32LE(offset + 20);
+        var nameLength = buffer.readUInt16LE(offset + 28);
+        var extraLength = buffer.readUInt16LE(offset + 30);
+        var commentLength = buffer.readUInt16LE(offset + 32);
+        var localOffset = buffer.readUInt32LE(offset + 42);
+        var name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        entries[name] = { method: method, compressedSize: compressedSize, localOffset: localOffset };
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return function read(name) {
+        var entry = entries[name];
+        if (!entry) return null;
+        var local = entry.localOffset;
+        var dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        var data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+        if (entry.method === 0) return data.toString('utf8');
+        if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: 64 * 1024 * 1024 }).toString('utf8');
+        throw new Error('Unsupported XLSX compression');
+    };
+}
+
+function decodeXml(s) {
+    return s.replace(/&(lt|gt|quot|apos|amp|#x[0-9a-f]+|#\d+);/gi, function (m, e) {
+        var named = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[e.toLowerCase()];
+        if (named) return named;
+        return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.substring(2), 16) : parseInt(e.substring(1), 10));
+    });
+}
+
+// Concatenate every <t> run inside an element (shared strings and inline strings)
+function xmlText(fragment) {
+    var out = '';
+    var re = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    var m;
+    while ((m = re.exec(fragment))) out += decodeXml(m[1]);
+    return out;
+}
+
+function columnIndex(ref) {
+    var letters = /^[A-Z]+/.exec(ref || '');
+    if (!letters) return -1;
+    var idx = 0;
+    for (var i = 0; i < letters[0].length; i++) idx = idx * 26 + (letters[0].charCodeAt(i) - 64);
+    return idx - 1;
+}
+
+// First worksheet of an XLSX workbook
+function parseXLSX(buffer) {
+    var read = readZip(buffer);
+    var sheetPath = 'xl/worksheets/sheet1.xml';
+    var workbook = read('xl/workbook.xml');
+    var rels = read('xl/_rels/workbook.xml.rels');
+    if (workbook && rels) {
+        var sheet = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook);
+        var rel = sheet && new RegExp('<Relationship\\b[^>]*Id="' + sheet[1] + '"[^>]*>').exec(rels);
+        var target = rel && /Target="([^"]+)"/.exec(rel[0]);
+        if (target) sheetPath = target[1].charAt(0) === '/' ? target[1].substring(1) : 'xl/' + target[1];
+    }
+    var sheetXml = read(sheetPath);
+    if (!sheetXml) throw new Error('XLSX file has no worksheet');
+
+    var shared = [];
+    var sharedXml = read('xl/sharedStrings.xml');
+    if (sharedXml) {
+        var si = /<si>([\s\S]*?)<\/si>/g;
+        var m;
+        while ((m = si.exec(sharedXml))) shared.push(xmlText(m[1]));
+    }
+
+    var rows = [];
+    var rowRe = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+    var cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    var rowMatch;
+    while ((rowMatch = rowRe.exec(sheetXml))) {
+        var row = [];
+        var cellMatch;
+        var next = 0;
+        while ((cellMatch = cellRe.exec(rowMatch[1]))) {
+            var attrs = cellMatch[1];
+            var inner = cellMatch[2] || '';
+            var ref = /\br="([A-Z]+)\d+"/.exec(attrs);
+            var col = ref ? columnIndex(ref[1]) : next;
+            next = col + 1;
+            var type = (/\bt="([^"]+)"/.exec(attrs) || [])[1];
+            var v = /<v>([\s\S]*?)<\/v>/.exec(inner);
+            var value = '';
+            if (type === 's') value = v ? shared[parseInt(v[1], 10)] || '' : '';
+            else if (type === 'inlineStr') value = xmlText(inner);
+            else if (v) value = decodeXml(v[1]);
+            // Long numbers (phone numbers typed into a numeric cell) come back in exponent form
+            if (!type && /e\+?\d+$/i.test(value) && isFinite(Number(value))) value = BigInt(Math.round(Number(value))).toString();
+            while (row.length < col) row.push('');
+            row[col] = value;
+        }
+        rows.push(row);
+    }
+    rows = rows.filter(function (r) { return r.some(function (v) { return String(v).trim() !== ''; }); });
+    return { headers: (rows.shift() || []).map(function (h) { return String(h).trim(); }), rows: rows };
+}
+
+// Multi-contact vCard (2.1/3.0/4.0). Columns are named after lead fields, so mapping is identity.
+function parseVCF(text) {
+    var headers = ['name', 'email', 'phone', 'company', 'title', 'website', 'address', 'notes'];
+    var rows = [];
+    var unfolded = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '');
+    var cards = unfolded.split(/BEGIN:VCARD/i).slice(1);
+    cards.forEach(function (card) {
+        var c = { name: '', email: [], phone: [], company: '', title: '', website: '', address: '', notes: '' };
+        var nameParts = null;
+        card.split(/\r?\n/).forEach(function (line) {
+            var colon = line.indexOf(':');
+            if (colon === -1) return;
+            var prop = line.substring(0, colon).split(';')[0].replace(/^item\d+\./i, '').toUpperCase();
+            var value = line.substring(colon + 1).replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1').trim();
+            if (!value) return;
+            if (prop === 'FN') c.name = value;
+            else if (prop === 'N') nameParts = value.split(';');
+            else if (prop === 'EMAIL') c.email.push(value);
+            else if (prop === 'TEL') c.phone.push(value.replace(/^tel:/i, ''));
+            else if (prop === 'ORG') c.company = value.split(';')[0];
+            else if (prop === 'TITLE') c.title = value;
+            else if (prop === 'URL' && !c.website) c.website = value;
+            else if (prop === 'ADR') c.address = value.split(';').map(function (p) { return p.trim(); }).filter(Boolean).join(', ');
+            else if (prop === 'NOTE') c.notes = value;
+        });
+        if (!c.name && nameParts) c.name = ((nameParts[1] || '') + ' ' + (nameParts[0] || '')).trim();
+        rows.push([c.name, c.email.join(', '), c.phone.join(', '), c.company, c.title, c.website, c.address, c.notes]);
+    });
+    return { headers: headers, rows: rows };
+}
+
+function parseFile(buffer, format) {
+    if (format === 'xlsx') return parseXLSX(buffer);
+    var text = buffer.toString('utf8');
+    return format === 'vcf' ? parseVCF(text) : parseCSV(text);
+}
+
+// ── Mapping ──
+
+// Guess a field for each header. Exact synonym matches win, then substring matches
+// (e.g. "Work Email Address" → email). Returns { header: field } for mapped columns.
+function detectMapping(headers) {
+    var mapping = {};
+    var used = {};
+    function assign(header, field) {
+        if (used[field] && MULTI_FIELDS.indexOf(field) === -1) return;
+        mapping[header] = field;
+        used[field] = true;
+    }
+    headers.forEach(function (h) {
+        var n = normalizeHeader(h);
+        Object.keys(FIELDS).some(function (field) {
+            if (FIELDS[field].indexOf(n) !== -1) { assign(h, field); return true; }
+            return false;
+        });
+    });
+    headers.forEach(function (h) {
+        if (mapping[h]) return;
+        var n = normalizeHeader(h);
+        if (n.indexOf('email') !== -1) assign(h, 'email');
+        else if (n.indexOf('phone') !== -1 || n.indexOf('mobile') !== -1) assign(h, 'phone');
+        else if (n.indexOf('company') !== -1 || n.indexOf('organi') !== -1) assign(h, 'company');
+        else if (n.indexOf('linkedin') !== -1) assign(h, 'linkedin');
+    });
+    return mapping;
+}
+
+// Apply a user-supplied override on top of the detected mapping. Returns { mapping } or { error }.
+function resolveMapping(headers, override) {
+    var mapping = detectMapping(headers);
+    if (!override) return { mapping: mapping };
+    if (typeof override !== 'object' || Array.isArray(override)) return { error: 'mapping must be an object of { column: field }' };
+    var keys = Object.keys(override);
+    for (var i = 0; i < keys.length; i++) {
+        var field = override[keys[i]];
+        if (headers.indexOf(keys[i]) === -1) return { error: 'Unknown column in mapping: ' + keys[i].substring(0, 100) };
+        if (field && !FIELDS[field]) return { error: 'Unknown lead field in mapping: ' + String(field).substring(0, 50) };
+        if (field) mapping[keys[i]] = field;
+        else delete mapping[keys[i]];
+    }
+    return { mapping: mapping };
+}
+
+// ── Row → lead ──
+
+function splitMulti(value) {
+    return String(value).split(/[,;\n]/).map(function (v) { return v.trim(); }).filter(Boolean);
+}
+
+// Build lead data from one row. A status must match a pipeline stage key or label (stages
+// defaults to pipeline.DEFAULT_STAGES). Returns { data, warnings } or { error }.
+function buildLead(headers, row, mapping, stages) {
+    stages = stages || pipeline.DEFAULT_STAGES;
+    var values = {};
+    var warnings = [];
+    headers.forEach(function (h, idx) {
+        var field = mapping[h];
+        var value = row[idx] === undefined || row[idx] === null ? '' : String(row[idx]).trim().substring(0, MAX_FIELD_LENGTH);
+        if (!field || !value) return;
+        if (MULTI_FIELDS.indexOf(field) !== -1) (values[field] = values[field] || []).push(value);
+        else if (!values[field]) values[field] = value;
+    });
+
+    var data = {};
+    ['name', 'company', 'title', 'website', 'address', 'linkedin'].forEach(function (f) {
+        if (values[f]) data[f] = values[f];
+    });
+    if (!data.name && (values.firstName || values.lastName)) {
+        data.name = [values.firstName, values.lastName].filter(Boolean).join(' ');
+    }
+
+    var emails = [];
+    (values.email || []).forEach(function (v) {
+        splitMulti(v).forEach(function (e) {
+            if (EMAIL_RE.test(e)) { if (emails.indexOf(e) === -1) emails.push(e); }
+            else warnings.push('Invalid email "' + e.substring(0, 100) + '" ignored');
+        });
+    });
+    var phones = [];
+    (values.phone || []).forEach(function (v) {
+        splitMulti(v).forEach(function (p) {
+            if (p.replace(/\D/g, '').length >= 7) { if (phones.indexOf(p) === -1) phones.push(p); }
+            else warnings.push('Invalid phone "' + p.substring(0, 50) + '" ignored');
+        });
+    });
+    if (emails.length) data.email = emails[0];
+    if (emails.length > 1) data.emails = emails;
+    if (phones.length) data.phone = phones[0];
+    if (phones.length > 1) data.phones = phones;
+
+    if (!data.name && !data.email && !data.phone) return { error: 'Row has no name, email or phone' };
+
+    if (values.notes) data.notes = values.notes.join('\n');
+    if (values.tags) {
+        var tags = [];
+        values.tags.forEach(function (v) { splitMulti(v).forEach(function (t) { if (tags.indexOf(t) === -1) tags.push(t.substring(0, 50)); }); });
+        data.tags = tags.slice(0, 20);
+    }
+    data.status = pipeline.initialStage(stages);
+    if (values.status) {
+        var status = values.status.toLowerCase();
+        var stage = stages.filter(function (s) { return s.key === status || s.label.toLowerCase() === status; })[0];
+        if (stage) data.status = stage.key;
+        else warnings.push('Unknown status "' + values.status.substring(0, 50) + '" — imported as ' + data.status);
+    }
+    if (values.dealValue) {
+        var amount = parseFloat(values.dealValue.replace(/[^\d.\-]/g, ''));
+        if (isFinite(amount)) data.dealValue = amount;
+        else warnings.push('Invalid deal value "' + values.dealValue.substring(0, 50) + '" ignored');
+    }
+    return { data: data, warnings: warnings };
+}
+
+// ── Dry-run / validation ──
+
+// Validate every row and check for likely duplicates (against existing leads and earlier
+// rows in the same file). Returns the report plus the prepared leads for startImport().
+async function prepareImport(userId, parsed, mapping, options) {
+    options = options || {};
+    var existing = await db.query(
+        "SELECT id, data->>'name' AS name, data->'email' AS email, data->'phone' AS phone, data->'emails' AS emails, data->'phones' AS phones, data->>'company' AS company FROM leads WHERE user_id = $1",
+        [userId]
+    );
+    var existingById = {};
+    var prints = existing.rows.map(function (r) {
+        existingById[r.id] = r;
+        return dedupe.fingerprint(r.id, r);
+    });
+    var matchExisting = dedupe.createMatcher(prints, DUPLICATE_MIN_SCORE);
+    var matchInFile = dedupe.createMatcher([], DUPLICATE_MIN_SCORE);
+    var stages = (await pipeline.getPipeline(userId)).stages;
+
+    var errors = [];
+    var warnings = [];
+    var duplicates = [];
+    var leads = [];
+    var rowOffset = options.format === 'vcf' ? 1 : 2; // spreadsheet row numbers include the header
+
+    parsed.rows.forEach(function (row, idx) {
+        var rowNumber = idx + rowOffset;
+        var built = buildLead(parsed.headers, row, mapping, stages);
+        if (built.error) {
+            errors.push({ row: rowNumber, error: built.error });
+            return;
+        }
+        built.warnings.forEach(function (w) { warnings.push({ row: rowNumber, warning: w }); });
+
+        var print = dedupe.fingerprint('row:' + rowNumber, built.data);
+        var match = matchExisting(print);
+        var duplicate = null;
+        if (match) {
+            var lead = existingById[match.id];
+            duplicate = { row: rowNumber, leadId: match.id, name: lead.name || '', score: match.score, reasons: match.reasons };
+        } else {
+            var inFile = matchInFile(print);
+            if (inFile) duplicate = { row: rowNumber, duplicateOfRow: parseInt(inFile.id.substring(4), 10), score: inFile.score, reasons: inFile.reasons };
+        }
+        matchInFile.add(print);
+        if (duplicate) duplicates.push(duplicate);
+        leads.push({ row: rowNumber, data: built.data, duplicate: !!duplicate });
+    });
+
+    var skipDuplicates = options.duplicates !== 'import';
+    var toImport = leads.filter(function (l) { return !(skipDuplicates && l.duplicate); });
+    return {
+        report: {
+            total: parsed.rows.length,
+            valid: leads.length,
+            toImport: toImport.length,
+            errors: errors.slice(0, MAX_REPORTED_ISSUES),
+            errorCount: errors.length,
+            warnings: warnings.slice(0, MAX_REPORTED_ISSUES),
+            warningCount: warnings.length,
+            duplicates: duplicates.slice(0, MAX_REPORTED_ISSUES),
+            duplicateCount: duplicates.length,
+            preview: toImport.slice(0, PREVIEW_ROWS).map(function (l) { return { row: l.row, data: l.data }; })
+        },
+        leads: toImport
+    };
+}
+
+// ── Background jobs ──
+
+var jobs = {};
+
+function jobSummary(job) {
+    return {
+        jobId: job.id,
+        status: job.status,
+        total: job.total,
+        processed: job.processed,
+        inserted: job.inserted,
+        skipped: job.skipped,
+        error: job.error || undefined,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt || undefined
+    };
+}
+
+function publishProgress(job) {
+    sse.publish('leads:' + job.userId, Object.assign({ type: 'import' }, jobSummary(job)));
+}
+
+function getJob(userId, jobId) {
+    var job = jobs[jobId];
+    return job && job.userId === userId ? jobSummary(job) : null;
+}
+
+function hasRunningJob(userId) {
+    return Object.keys(jobs).some(function (id) { return jobs[id].userId === userId && jobs[id].status === 'running'; });
+}
+
+async function runJob(job, leads, options) {
+    var source = SOURCES[options.format] || 'import';
+    try {
+        for (var i = 0; i < leads.length; i += BATCH_SIZE) {
+            var now = Date.now();
+            var batch = leads.slice(i, i + BATCH_SIZE).map(function (lead, n) {
+                var data = Object.assign({}, lead.data, {
+                    source: source,
+                    card: options.card || '',
+                    ts: now,
+                    importId: job.id,
+                    actions: [{ type: 'system', action: 'lead_created', ts: now, source: source }]
+                });
+                return { id: now.toString(36) + (i + n).toString(36) + crypto.randomBytes(3).toString('hex'), data: data };
+            });
+            var inserted = await db.query(
+                'INSERT INTO leads (user_id, id, data, created_at, updated_at) ' +
+                'SELECT $1, x.id, x.data, NOW(), NOW() FROM jsonb_to_recordset($2::jsonb) AS x(id TEXT, data JSONB) ' +
+                'ON CONFLICT (user_id, id) DO NOTHING RETURNING id',
+                [job.userId, JSON.stringify(batch)]
+            );
+            var insertedIds = {};
+            inserted.rows.forEach(function (r) { insertedIds[r.id] = true; });
+            batch.forEach(function (lead) {
+                if (!insertedIds[lead.id]) return;
+                categorize.categorizeLead(job.userId, lead.id, lead.data);
+                publishTeamLead(job.userId, lead.id, lead.data);
+            });
+            job.processed += batch.length;
+            job.inserted += inserted.rows.length;
+            publishProgress(job);
+            if (i + BATCH_SIZE < leads.length) await new Promise(function (resolve) { setTimeout(resolve, BATCH_PAUSE_MS); });
+        }
+        job.status = 'completed';
+        db.query('INSERT INTO analytics_events (event_name, user_id, properties) VALUES ($1,$2,$3)',
+            ['leads_imported', job.userId, JSON.stringify({ jobId: job.id, format: options.format, inserted: job.inserted })]
+        ).catch(function () {});
+    } catch (err) {
+        console.error('Lead import job ' + job.id + ' failed:', err.message);
+        job.status = 'failed';
+        job.error = 'Import stopped after ' + job.processed + ' rows';
+    }
+    job.finishedAt = new Date().toISOString();
+    publishProgress(job);
+    setTimeout(function () { delete jobs[job.id]; }, JOB_TTL_MS).unref();
+}
+
+// Start inserting prepared leads in the background. Returns the job summary straight away.
+function startImport(userId, prepared, options) {
+    var job = {
+        id: crypto.randomUUID(),
+        userId: userId,
+        status: 'running',
+        total: prepared.leads.length,
+        processed: 0,
+        inserted: 0,
+        skipped: prepared.report.total - prepared.leads.length,
+        startedAt: new Date().toISOString()
+    };
+    jobs[job.id] = job;
+    runJob(job, prepared.leads, options);
+    return jobSummary(job);
+}
+
+module.exports = {
+    MAX_IMPORT_BYTES: MAX_IMPORT_BYTES,
+    MAX_IMPORT_ROWS: MAX_IMPORT_ROWS,
+    FIELDS: Object.keys(FIELDS),
+    detectFormat: detectFormat,
+    parseFile: parseFile,
+    detectMapping: detectMapping,
+    resolveMapping: resolveMapping,
+    buildLead: buildLead,
+    prepareImport: prepareImport,
+    startImport: startImport,
+    getJob: getJob,
+    hasRunningJob: hasRunningJob
+};
@@ -0,0 +1,166 @@
+// Shared query layer for listing, filtering, searching and counting leads
+// Used by /api/leads, /api/leads/month-count and /api/teams/leads so every view
+// applies the same filters and keyset (cursor) pagination.
+//
+// Full-text search uses lead_search_vector(data) (schema.sql), which has a GIN index.
+
+const db = require('./db');
+
+var DEFAULT_LIMIT = 100;
+var MAX_LIMIT = 500;
+var MAX_FILTER_VALUES = 20;
+
+// Sortable columns → SQL expression and cursor cast (all non-null so keyset comparisons
+// are total). Cursor values round-trip as text so timestamps keep microsecond precision.
+var SORTS = {
+    created_at: { expr: 'l.created_at', cast: 'timestamptz' },
+    updated_at: { expr: 'l.updated_at', cast: 'timestamptz' },
+    name: { expr: "LOWER(COALESCE(l.data->>'name', ''))", cast: 'text' },
+    company: { expr: "LOWER(COALESCE(l.data->>'company', ''))", cast: 'text' }
+};
+
+function csvList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    var list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(function (v) { return String(v).trim(); }).filter(Boolean).slice(0, MAX_FILTER_VALUES);
+}
+
+function parseDate(value) {
+    if (!value) return null;
+    var d = /^\d+$/.test(String(value)) ? new Date(parseInt(value, 10)) : new Date(value);
+    return isNaN(d.getTime()) ? undefined : d;
+}
+
+function parseBool(value) {
+    if (value === undefined || value === '') return null;
+    return value === true || value === 'true' || value === '1';
+}
+
+// Turn free text into a prefix-matching tsquery ("acme jo" → "acme:* & jo:*")
+function toPrefixQuery(text) {
+    var terms = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return terms.slice(0, 10).map(function (t) { return t + ':*'; }).join(' & ');
+}
+
+function encodeCursor(sortValue, userId, id) {
+    return Buffer.from(JSON.stringify([sortValue, userId, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        var parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Array.isArray(parsed) || parsed.length !== 3 || typeof parsed[0] !== 'string') return null;
+        return { value: parsed[0], userId: parsed[1], id: parsed[2] };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Parse query-string options. Returns { options } or { error }.
+function parseLeadQuery(query) {
+    query = query || {};
+    var options = {
+        status: csvList(query.status),
+        category: csvList(query.category),
+        source: csvList(query.source),
+        eventId: query.event_id ? String(query.event_id) : null,
+        assignedTo: query.assignedTo ? String(query.assignedTo) : null,
+        tags: csvList(query.tags),
+        hasEmail: parseBool(query.hasEmail),
+        from: parseDate(query.from),
+        to: parseDate(query.to),
+        q: query.q ? toPrefixQuery(query.q) : '',
+        sort: query.sort || 'created_at',
+        order: String(query.order || 'desc').toLowerCase(),
+        limit: query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT,
+        cursor: null
+    };
+    if (options.from === undefined || options.to === undefined) return { error: 'Invalid date range' };
+    if (!SORTS[options.sort]) return { error: 'Invalid sort (use ' + Object.keys(SORTS).join(', ') + ')' };
+    if (options.order !== 'asc' && options.order !== 'desc') return { error: 'Invalid order (use asc or desc)' };
+    if (isNaN(options.limit) || options.limit < 1) return { error: 'Invalid limit' };
+    options.limit = Math.min(options.limit, MAX_LIMIT);
+    if (query.cursor) {
+        options.cursor = decodeCursor(query.cursor);
+        if (!options.cursor) return { error: 'Invalid cursor' };
+    }
+    return { options: options };
+}
+
+// Build the WHERE clause. scope is { userId } or { userIds: [...] }.
+function buildWhere(scope, options, values) {
+    var where = [];
+    function param(v) { values.push(v); return '$' + values.length; }
+
+    if (scope.userIds) where.push('l.user_id = ANY(' + param(scope.userIds) + ')');
+    else where.push('l.user_id = ' + param(scope.userId));
+
+    if (options.status && options.status.length) where.push("COALESCE(l.data->>'status', 'new') = ANY(" + param(options.status) + ')');
+    if (options.category && options.category.length) where.push("l.data->>'category' = ANY(" + param(options.category) + ')');
+    if (options.source && options.source.length) where.push("l.data->>'source' = ANY(" + param(options.source) + ')');
+    if (options.eventId) where.push("l.data->>'event_id' = " + param(options.eventId));
+    if (options.assignedTo === 'none') where.push("COALESCE(l.data->>'assignedTo', '') = ''");
+    else if (options.assignedTo) where.push("l.data->>'assignedTo' = " + param(options.assignedTo));
+    if (options.tags && options.tags.length) where.push("l.data->'tags' @> " + param(JSON.stringify(options.tags)) + '::jsonb');
+    if (options.hasEmail === true) where.push("COALESCE(l.data->'email', 'null'::jsonb) NOT IN ('null'::jsonb, '\"\"'::jsonb, '[]'::jsonb)");
+    if (options.hasEmail === false) where.push("COALESCE(l.data->'email', 'null'::jsonb) IN ('null'::jsonb, '\"\"'::jsonb, '[]'::jsonb)");
+    if (options.from) where.push('l.created_at >= ' + param(options.from));
+    if (options.to) where.push('l.created_at < ' + param(options.to));
+    if (options.q) where.push("lead_search_vector(l.data) @@ to_tsquery('simple', " + param(options.q) + ')');
+    return where;
+}
+
+// List one page of leads. Returns { rows, nextCursor }; rows carry id, user_id, data,
+// visitor_id, created_at, updated_at (+ member fields when scope.withMembers).
+async function listLeads(scope, options) {
+    var values = [];
+    var where = buildWhere(scope, options, values);
+    var sort = SORTS[options.sort || 'created_at'];
+    var sortExpr = sort.expr;
+    var dir = options.order === 'asc' ? 'ASC' : 'DESC';
+
+    if (options.cursor) {
+        values.push(options.cursor.value, String(options.cursor.userId), String(options.cursor.id));
+        var n = values.length;
+        where.push('(' + sortExpr + ', l.user_id, l.id) ' + (dir === 'ASC' ? '>' : '<') +
+            ' ($' + (n - 2) + '::' + sort.cast + ', $' + (n - 1) + ', $' + n + ')');
+    }
+
+    var limit = options.limit || DEFAULT_LIMIT;
+    values.push(limit + 1);
+    var result = await db.query(
+        'SELECT l.id, l.user_id, l.data, l.visitor_id, l.created_at, l.updated_at, (' + sortExpr + ')::text AS sort_value' +
+        (scope.withMembers ? ', u.name AS member_name, u.email AS member_email, u.username AS member_username' : '') +
+        ' FROM leads l' + (scope.withMembers ? ' JOIN users u ON u.id = l.user_id' : '') +
+        ' WHERE ' + where.join(' AND ') +
+        ' ORDER BY ' + sortExpr + ' ' + dir + ', l.user_id ' + dir + ', l.id ' + dir +
+        ' LIMIT $' + values.length,
+        values
+    );
+
+    var rows = result.rows;
+    var nextCursor = null;
+    if (rows.length > limit) {
+        rows = rows.slice(0, limit);
+        var last = rows[rows.length - 1];
+        nextCursor = encodeCursor(last.sort_value, last.user_id, last.id);
+    }
+    return { rows: rows, nextCursor: nextCursor };
+}
+
+async function countLeads(scope, options) {
+    var values = [];
+    var where = buildWhere(scope, options || {}, values);
+    var result = await db.query('SELECT COUNT(*) AS cnt FROM leads l WHERE ' + where.join(' AND '), values);
+    return parseInt(result.rows[0].cnt, 10);
+}
+
+module.exports = {
+    DEFAULT_LIMIT: DEFAULT_LIMIT,
+    MAX_LIMIT: MAX_LIMIT,
+    parseLeadQuery: parseLeadQuery,
+    listLeads: listLeads,
+    countLeads: countLeads,
+    decodeCursor: decodeCursor,
+    toPrefixQuery: toPrefixQuery
+};
@@ -0,0 +1,173 @@
+// Email transports: how the outbox worker (outbox.js) hands a message over for delivery
+// MAIL_TRANSPORT picks one:
+//   smtp (default)  SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS
+//   ses             Amazon SES v2 API or a compatible service: SES_REGION, SES_ACCESS_KEY_ID,
+//                   SES_SECRET_ACCESS_KEY, SES_ENDPOINT (only for compatible services)
+//   maildir         each message is written to MAIL_DIR/new as an .eml file (development, tests)
+// A transport is { name, send(message) → { messageId } } where message is a nodemailer message
+// object; message.dkim ({ domainName, keySelector, privateKey }) signs it. Errors with
+// .permanent = true are not worth retrying (recipient or message rejected).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const DKIM = require('nodemailer/lib/dkim');
+
+var SEND_TIMEOUT_MS = 30000;
+
+function permanentError(message) {
+    var err = new Error(message);
+    err.permanent = true;
+    return err;
+}
+
+// Raw RFC 5322 message (DKIM-signed when message.dkim is set) → { raw: Buffer, messageId }
+function compose(message) {
+    var mail = new MailComposer(message).compile();
+    var messageId = mail.messageId();
+    return new Promise(function (resolve, reject) {
+        mail.build(function (err, raw) {
+            if (err) return reject(err);
+            if (!message.dkim) return resolve({ raw: raw, messageId: messageId });
+            var chunks = [];
+            var signed = new DKIM(message.dkim).sign(raw);
+            signed.on('data', function (chunk) { chunks.push(chunk); });
+            signed.on('error', reject);
+            signed.on('end', function () { resolve({ raw: Buffer.concat(chunks), messageId: messageId }); });
+        });
+    });
+}
+
+// ── SMTP ──
+
+function smtpTransport() {
+    var transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'smtp.hostinger.com',
+        port: parseInt(process.env.SMTP_PORT || '465'),
+        secure: true,
+        auth: {
+            user: process.env.SMTP_USER || 'no-reply@cardflow.cloud',
+            pass: process.env.SMTP_PASS
+        },
+        connectionTimeout: SEND_TIMEOUT_MS,
+        socketTimeout: SEND_TIMEOUT_MS
+    });
+    return {
+        name: 'smtp',
+        send: async function (message) {
+            try {
+                var info = await transporter.sendMail(message);
+                return { messageId: info.messageId };
+            } catch (err) {
+                // 550-553: mailbox unavailable / not allowed / bad address. Other codes (auth
+                // failures, throttling, outages) are on our side or temporary.
+                if (err.responseCode >= 550 && err.responseCode <= 553) err.permanent = true;
+                throw err;
+            }
+        }
+    };
+}
+
+// ── SES v2 (SendEmail with raw content, AWS Signature Version 4) ──
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Authorization headers for a JSON POST
+function signRequest(url, body, config) {
+    var u = new URL(url);
+    var amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    var day = amzDate.substring(0, 8);
+    var scope = day + '/' + config.region + '/ses/aws4_request';
+    var signedHeaders = 'content-type;host;x-amz-date';
+    var canonical = [
+        'POST', u.pathname, '',
+        'content-type:application/json\nhost:' + u.host + '\nx-amz-date:' + amzDate + '\n',
+        signedHeaders, sha256(body)
+    ].join('\n');
+    var stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+    var key = hmac(hmac(hmac(hmac('AWS4' + config.secretAccessKey, day), config.region), 'ses'), 'aws4_request');
+    return {
+        'Content-Type': 'application/json',
+        'X-Amz-Date': amzDate,
+        'Authorization': 'AWS4-HMAC-SHA256 Credential=' + config.accessKeyId + '/' + scope +
+            ', SignedHeaders=' + signedHeaders + ', Signature=' + hmac(key, stringToSign).toString('hex')
+    };
+}
+
+function sesTransport() {
+    var config = {
+        region: process.env.SES_REGION || 'us-east-1',
+        accessKeyId: process.env.SES_ACCESS_KEY_ID,
+        secretAccessKey: process.env.SES_SECRET_ACCESS_KEY
+    };
+    var endpoint = (process.env.SES_ENDPOINT || 'https://email.' + config.region + '.amazonaws.com').replace(/\/+$/, '') + '/v2/email/outbound-emails';
+    return {
+        name: 'ses',
+        send: async function (message) {
+            var composed = await compose(message);
+            var body = JSON.stringify({ Content: { Raw: { Data: composed.raw.toString('base64') } } });
+            var res = await fetch(endpoint, {
+                method: 'POST', headers: signRequest(endpoint, body, config), body: body,
+                signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+            });
+            var text = await res.text();
+            if (!res.ok) {
+                var reason = 'SES ' + res.status + ': ' + text.substring(0, 300);
+                // Other 4xx mean SES refused this message as it is; 403 (credentials) and 429
+                // (throttling) are ours to fix or wait out
+                if (res.status >= 400 && res.status < 500 && res.status !== 403 && res.status !== 429) throw permanentError(reason);
+                throw new Error(reason);
+            }
+            var data = {};
+            try { data = JSON.parse(text); } catch (e) {}
+            return { messageId: data.MessageId || composed.messageId };
+        }
+    };
+}
+
+// ── Maildir (local files) ──
+
+function maildirTransport() {
+    var dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'cardflow-mail');
+    ['tmp', 'new', 'cur'].forEach(function (sub) { fs.mkdirSync(path.join(dir, sub), { recursive: true }); });
+    return {
+        name: 'maildir',
+        dir: dir,
+        send: async function (message) {
+            var composed = await compose(message);
+            var file = Date.now() + '.' + process.pid + '_' + crypto.randomBytes(6).toString('hex') + '.' + os.hostname().replace(/[/:]/g, '_') + '.eml';
+            // Written to tmp/ first so readers of new/ never see a half-written file
+            await fs.promises.writeFile(path.join(dir, 'tmp', file), composed.raw);
+            await fs.promises.rename(path.join(dir, 'tmp', file), path.join(dir, 'new', file));
+            return { messageId: composed.messageId };
+        }
+    };
+}
+
+var TRANSPORTS = { smtp: smtpTransport, ses: sesTransport, maildir: maildirTransport };
+var current = null;
+
+function getTransport() {
+    if (!current) {
+        var name = process.env.MAIL_TRANSPORT || 'smtp';
+        if (!TRANSPORTS[name]) throw new Error('Unknown MAIL_TRANSPORT "' + name + '" (use ' + Object.keys(TRANSPORTS).join(', ') + ')');
+        current = TRANSPORTS[name]();
+    }
+    return current;
+}
+
+module.exports = {
+    TRANSPORTS: Object.keys(TRANSPORTS),
+    compose: compose,
+    signRequest: signRequest,
+    getTransport: getTransport
+};
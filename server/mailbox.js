@@ -0,0 +1,319 @@
+// Mailbox connector: detects lead replies to sequence emails by polling the owner's inbox over IMAP
+// Sequence emails carry a per-enrollment token twice: in the Message-ID (replies quote it in
+// In-Reply-To / References) and, when a mailbox is connected, in a plus-addressed Reply-To
+// (you+cfr12x…@example.com). Either match marks the enrollment replied: it's paused, completed
+// or left running (on_reply), the lead gets a sequence_reply timeline action and the owner a push.
+// Passwords (IMAP app passwords) are stored AES-256-GCM encrypted.
+
+const crypto = require('crypto');
+const { ImapFlow } = require('imapflow');
+const db = require('./db');
+const push = require('./push');
+const ssrf = require('./ssrf');
+const tracking = require('./tracking');
+
+var MESSAGE_ID_DOMAIN = 'cardflow.cloud';
+var ON_REPLY = ['pause', 'complete', 'continue'];
+var TOKEN_RE = /cfr(\d{1,10})x([a-f0-9]{10})/ig;
+var FIRST_SCAN_DAYS = 14;           // first poll looks back this far
+var MAX_MESSAGES_PER_POLL = 200;
+var POLL_INTERVAL_MS = 4 * 60 * 1000;
+var MAX_FAILURES = 10;              // consecutive errors before the connector is switched off
+var EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+var HOST_RE = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+
+// ── Secrets ──
+
+function secretKey() {
+    return crypto.createHash('sha256').update(process.env.MAILBOX_SECRET || process.env.JWT_SECRET).digest();
+}
+
+function encryptSecret(text) {
+    var iv = crypto.randomBytes(12);
+    var cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+    var enc = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), enc].map(function (b) { return b.toString('base64'); }).join('.');
+}
+
+function decryptSecret(value) {
+    var parts = String(value).split('.').map(function (p) { return Buffer.from(p, 'base64'); });
+    var decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), parts[0]);
+    decipher.setAuthTag(parts[1]);
+    return Buffer.concat([decipher.update(parts[2]), decipher.final()]).toString('utf8');
+}
+
+// ── Reply tokens ──
+
+function replyToken(enrollmentId) {
+    var sig = crypto.createHmac('sha256', process.env.JWT_SECRET).update('reply.' + enrollmentId).digest('hex').substring(0, 10);
+    return 'cfr' + enrollmentId + 'x' + sig;
+}
+
+// Message-ID for a sequence email
+function messageId(enrollmentId, step) {
+    return '<' + replyToken(enrollmentId) + '.' + step + '.' + crypto.randomBytes(6).toString('hex') + '@' + MESSAGE_ID_DOMAIN + '>';
+}
+
+// you@example.com → you+cfr12x…@example.com
+function replyAddress(address, enrollmentId) {
+    var at = address.lastIndexOf('@');
+    var local = address.substring(0, at).split('+')[0];
+    return local + '+' + replyToken(enrollmentId) + address.substring(at);
+}
+
+// Enrollment ids whose (valid) tokens appear in the text
+function findEnrollmentIds(text) {
+    var ids = [];
+    var m;
+    TOKEN_RE.lastIndex = 0;
+    while ((m = TOKEN_RE.exec(text))) {
+        var id = parseInt(m[1]);
+        if (replyToken(id) === m[0].toLowerCase() && ids.indexOf(id) === -1) ids.push(id);
+    }
+    return ids;
+}
+
+// ── Connections ──
+
+// Request body → { fields } or { error }. existing: current row (password may be omitted on update)
+function parseConnectionInput(body, existing) {
+    body = body || {};
+    var host = typeof body.host === 'string' ? body.host.trim().toLowerCase() : '';
+    if (!host || host.length > 253 || !HOST_RE.test(host)) return { error: 'host must be a hostname, e.g. imap.gmail.com' };
+    var port = body.port === undefined || body.port === null || body.port === '' ? 993 : Number(body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: 'port must be 1-65535' };
+    var secure = body.secure === undefined ? port === 993 : body.secure === true;
+    var username = typeof body.username === 'string' ? body.username.trim() : '';
+    if (!username || username.length > 255) return { error: 'username required' };
+    var password = typeof body.password === 'string' && body.password ? body.password : null;
+    if (!password && !existing) return { error: 'password required (use an app password)' };
+    if (password && password.length > 500) return { error: 'password too long' };
+    var address = typeof body.address === 'string' && body.address.trim() ? body.address.trim().toLowerCase() : username.toLowerCase();
+    if (!EMAIL_RE.test(address) || address.length > 255) return { error: 'address must be the email address of this mailbox' };
+    var mailbox = typeof body.mailbox === 'string' && body.mailbox.trim() ? body.mailbox.trim() : 'INBOX';
+    if (mailbox.length > 200) return { error: 'mailbox name too long' };
+    var onReply = body.onReply === undefined ? (existing ? existing.on_reply : 'pause') : body.onReply;
+    if (!ON_REPLY.includes(onReply)) return { error: 'onReply must be one of: ' + ON_REPLY.join(', ') };
+    return {
+        fields: {
+            host: host, port: port, secure: secure, username: username,
+            password: password || decryptSecret(existing.password_enc),
+            address: address, mailbox: mailbox, on_reply: onReply
+        }
+    };
+}
+
+// Private hosts are refused unless MAILBOX_ALLOW_PRIVATE_HOSTS=true (local IMAP server for testing).
+// Returns the address to connect to, or null.
+async function resolveHost(host) {
+    if (process.env.MAILBOX_ALLOW_PRIVATE_HOSTS === 'true') return host;
+    var resolved = await ssrf.resolveAndValidate(host);
+    if (!resolved.valid || !resolved.addresses.length) return null;
+    return resolved.addresses[0];
+}
+
+// Open an IMAP session; fields as from parseConnectionInput (password in clear)
+async function openClient(fields) {
+    var target = await resolveHost(fields.host);
+    if (!target) throw new Error('Mail server address is not allowed');
+    var client = new ImapFlow({
+        host: target,
+        servername: fields.host,
+        port: fields.port,
+        secure: fields.secure,
+        auth: { user: fields.username, pass: fields.password },
+        logger: false,
+        disableAutoIdle: true,
+        connectionTimeout: 15000,
+        greetingTimeout: 15000,
+        socketTimeout: 60000
+    });
+    client.on('error', function () {}); // surfaced through the awaited command instead
+    await client.connect();
+    return client;
+}
+
+// Log in and open the mailbox, so bad settings are reported when saving
+async function testConnection(fields) {
+    var client;
+    try {
+        client = await openClient(fields);
+        await client.mailboxOpen(fields.mailbox, { readOnly: true });
+        return null;
+    } catch (err) {
+        return (err.authenticationFailed ? 'Login failed — check the username and app password' : err.responseText || err.message) || 'Could not connect';
+    } finally {
+        if (client) await client.logout().catch(function () {});
+    }
+}
+
+async function getConnection(userId) {
+    var result = await db.query('SELECT * FROM mailbox_connections WHERE user_id = $1', [userId]);
+    return result.rows[0] || null;
+}
+
+// Password is never returned to the client
+function formatConnection(row) {
+    return {
+        host: row.host, port: row.port, secure: row.secure, username: row.username,
+        address: row.address, mailbox: row.mailbox, onReply: row.on_reply,
+        enabled: row.enabled, lastCheckedAt: row.last_checked_at, lastError: row.last_error,
+        repliesDetected: row.replies_detected, created_at: row.created_at
+    };
+}
+
+async function saveConnection(userId, fields) {
+    var result = await db.query(
+        'INSERT INTO mailbox_connections (user_id, host, port, secure, username, password_enc, address, mailbox, on_reply) ' +
+        'VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) ON CONFLICT (user_id) DO UPDATE SET host = $2, port = $3, secure = $4, ' +
+        'username = $5, password_enc = $6, address = $7, mailbox = $8, on_reply = $9, enabled = true, failures = 0, last_error = NULL, ' +
+        // A different mailbox starts from scratch
+        'last_uid = CASE WHEN mailbox_connections.host = $2 AND mailbox_connections.username = $5 AND mailbox_connections.mailbox = $8 THEN mailbox_connections.last_uid END, ' +
+        'updated_at = NOW() RETURNING *',
+        [userId, fields.host, fields.port, fields.secure, fields.username, encryptSecret(fields.password), fields.address, fields.mailbox, fields.on_reply]
+    );
+    return result.rows[0];
+}
+
+async function deleteConnection(userId) {
+    await db.query('DELETE FROM mailbox_connections WHERE user_id = $1', [userId]);
+}
+
+// ── Reply handling ──
+
+function addressList(list) {
+    return (list || []).map(function (a) { return a.address || ''; }).join(' ');
+}
+
+// Mark an enrollment replied. Returns true when this message is the first reply seen for it.
+async function handleReply(conn, enrollmentId, msg) {
+    var env = msg.envelope || {};
+    var from = env.from && env.from[0] ? env.from[0] : {};
+    var nextStatus = conn.on_reply === 'pause' ? 'paused' : conn.on_reply === 'complete' ? 'completed' : null;
+    var result = await db.query(
+        "UPDATE sequence_enrollments e SET state = e.state || jsonb_build_object('replied_at', NOW(), 'stop_reason', CASE WHEN $3::text IS NULL THEN e.state->>'stop_reason' ELSE 'replied' END), " +
+        "status = CASE WHEN $3::text IS NOT NULL AND e.status IN ('active', 'paused') THEN $3 ELSE e.status END, " +
+        "next_send_at = CASE WHEN $3::text IS NOT NULL AND e.status IN ('active', 'paused') THEN NULL ELSE e.next_send_at END " +
+        "FROM sequences s WHERE e.id = $1 AND e.user_id = $2 AND s.id = e.sequence_id AND NOT (e.state ? 'replied_at') " +
+        'RETURNING e.lead_id, s.name AS sequence_name',
+        [enrollmentId, conn.user_id, nextStatus]
+    );
+    if (!result.rows.length) return false;
+    var row = result.rows[0];
+    await tracking.recordReply(enrollmentId);
+
+    var entry = {
+        type: 'visitor', action: 'sequence_reply', ts: Date.now(), sequence: row.sequence_name,
+        subject: (env.subject || '').substring(0, 200), from: (from.address || '').substring(0, 255)
+    };
+    var lead = await db.query(
+        "UPDATE leads SET data = jsonb_set(COALESCE(data, '{}'), '{actions}', " +
+        "COALESCE(data->'actions', '[]'::jsonb) || $1::jsonb), updated_at = NOW() " +
+        "WHERE user_id = $2 AND id = $3 RETURNING data->>'name' AS name",
+        [JSON.stringify([entry]), conn.user_id, row.lead_id]
+    );
+    var name = lead.rows.length && lead.rows[0].name ? lead.rows[0].name : (from.name || from.address || 'A lead');
+    push.sendPush(conn.user_id, {
+        title: name + ' replied',
+        body: (env.subject ? env.subject + ' · ' : '') + row.sequence_name + (nextStatus ? ' (' + (nextStatus === 'paused' ? 'paused' : 'stopped') + ')' : ''),
+        url: '/dashboard#leads'
+    });
+    return true;
+}
+
+// Poll one connection for new messages. Returns the number of replies matched.
+async function pollConnection(conn) {
+    var fields = {
+        host: conn.host, port: conn.port, secure: conn.secure, username: conn.username,
+        password: decryptSecret(conn.password_enc), mailbox: conn.mailbox
+    };
+    var client = await openClient(fields);
+    var matched = 0;
+    try {
+        var box = await client.mailboxOpen(conn.mailbox, { readOnly: true });
+        var validity = String(box.uidValidity);
+        var fresh = !conn.last_uid || conn.uid_validity !== validity;
+        var uids = fresh
+            ? await client.search({ since: new Date(Date.now() - FIRST_SCAN_DAYS * 86400000) }, { uid: true })
+            : await client.search({ uid: (Number(conn.last_uid) + 1) + ':*' }, { uid: true });
+        uids = (uids || []).filter(function (u) { return fresh || u > Number(conn.last_uid); }).sort(function (a, b) { return a - b; });
+        if (uids.length > MAX_MESSAGES_PER_POLL) uids = uids.slice(-MAX_MESSAGES_PER_POLL);
+
+        var lastUid = fresh ? Math.max(0, (box.uidNext || 1) - 1) : Number(conn.last_uid);
+        if (uids.length) {
+            for await (var msg of client.fetch(uids.join(','), { uid: true, envelope: true, headers: ['references', 'delivered-to', 'x-original-to'] }, { uid: true })) {
+                lastUid = Math.max(lastUid, msg.uid);
+                var env = msg.envelope || {};
+                var sender = env.from && env.from[0] ? (env.from[0].address || '').toLowerCase() : '';
+                if (sender === conn.address) continue; // our own copy
+                var haystack = [env.inReplyTo || '', msg.headers ? msg.headers.toString('utf8') : '', addressList(env.to), addressList(env.cc)].join(' ');
+                var ids = findEnrollmentIds(haystack);
+                for (var i = 0; i < ids.length; i++) {
+                    if (await handleReply(conn, ids[i], msg)) matched++;
+                }
+            }
+        }
+        await db.query(
+            'UPDATE mailbox_connections SET last_uid = $1, uid_validity = $2, last_checked_at = NOW(), last_error = NULL, failures = 0, ' +
+            'replies_detected = replies_detected + $3 WHERE user_id = $4',
+            [lastUid, validity, matched, conn.user_id]
+        );
+    } finally {
+        await client.logout().catch(function () {});
+    }
+    return matched;
+}
+
+// Poll with error bookkeeping; repeated failures switch the connector off
+async function checkConnection(conn) {
+    try {
+        return { matched: await pollConnection(conn) };
+    } catch (err) {
+        var message = (err.authenticationFailed ? 'Login failed' : err.responseText || err.message || 'Mailbox check failed').substring(0, 500);
+        await db.query(
+            'UPDATE mailbox_connections SET last_checked_at = NOW(), last_error = $1, failures = failures + 1, ' +
+            'enabled = failures + 1 < $2 WHERE user_id = $3',
+            [message, MAX_FAILURES, conn.user_id]
+        );
+        return { error: message };
+    }
+}
+
+var polling = false;
+
+// Cron entry point: every enabled mailbox not checked in the last few minutes
+async function pollAll() {
+    if (polling) return;
+    polling = true;
+    try {
+        var due = await db.query(
+            'SELECT * FROM mailbox_connections WHERE enabled = true AND (last_checked_at IS NULL OR last_checked_at < $1) ORDER BY last_checked_at NULLS FIRST LIMIT 100',
+            [new Date(Date.now() - POLL_INTERVAL_MS)]
+        );
+        for (var i = 0; i < due.rows.length; i++) {
+            var result = await checkConnection(due.rows[i]);
+            if (result.error) console.error('Mailbox check failed for ' + due.rows[i].user_id + ':', result.error);
+        }
+    } finally {
+        polling = false;
+    }
+}
+
+module.exports = {
+    ON_REPLY: ON_REPLY,
+    encryptSecret: encryptSecret,
+    decryptSecret: decryptSecret,
+    replyToken: replyToken,
+    messageId: messageId,
+    replyAddress: replyAddress,
+    findEnrollmentIds: findEnrollmentIds,
+    parseConnectionInput: parseConnectionInput,
+    openClient: openClient,
+    testConnection: testConnection,
+    getConnection: getConnection,
+    formatConnection: formatConnection,
+    saveConnection: saveConnection,
+    deleteConnection: deleteConnection,
+    checkConnection: checkConnection,
+    pollAll: pollAll
+};
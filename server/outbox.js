@@ -0,0 +1,163 @@
+// Email outbox: every email is queued in email_outbox and sent by a background worker
+// enqueue() stores the finished message; processOutbox() (cron in index.js, and right after each
+// enqueue) claims due rows, hands them to the configured transport (mail-transport.js) and
+// records the outcome. Failures are retried with exponential backoff; after MAX_ATTEMPTS, or when
+// the transport says retrying can't help, the row is dead-lettered ('dead') for an admin to
+// inspect and retry or discard. Delivery is at-least-once: a row stuck in 'sending' after a crash
+// is picked up again. Messages from a customer's own domain (sender.js) are DKIM-signed at delivery.
+
+const db = require('./db');
+const mailTransport = require('./mail-transport');
+const sender = require('./sender');
+
+var STATUSES = ['pending', 'sending', 'sent', 'dead', 'discarded'];
+var PRIORITY = { high: 1, normal: 5, bulk: 9 };   // lower goes first
+var MAX_ATTEMPTS = 6;
+var BASE_BACKOFF_MS = 60 * 1000;                   // 1m, 2m, 4m, 8m, 16m
+var MAX_BACKOFF_MS = 60 * 60 * 1000;
+var STALE_SENDING_MS = 10 * 60 * 1000;
+var BATCH_SIZE = 20;
+var MAX_PER_RUN = 500;
+var MAX_ERROR_LENGTH = 500;
+
+function backoffDelay(attempts) {
+    return Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_BACKOFF_MS);
+}
+
+// Queue a message ({ from, to, subject, html, replyTo?, headers?, messageId? }).
+// opts: { category (shown in the admin view), priority ('high' | 'normal' | 'bulk'), userId,
+// sendingDomainId (the From: address is on that custom domain) }.
+// Returns the outbox id.
+async function enqueue(message, opts) {
+    opts = opts || {};
+    var result = await db.query(
+        'INSERT INTO email_outbox (category, user_id, priority, from_address, to_address, reply_to, subject, html, headers, message_id, sending_domain_id) ' +
+        'VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id',
+        [
+            opts.category || 'other', opts.userId || null, PRIORITY[opts.priority] || PRIORITY.normal,
+            message.from, message.to, message.replyTo || null, message.subject, message.html,
+            JSON.stringify(message.headers || {}), message.messageId || null, opts.sendingDomainId || null
+        ]
+    );
+    kick();
+    return result.rows[0].id;
+}
+
+function toMessage(row) {
+    var message = { from: row.from_address, to: row.to_address, subject: row.subject, html: row.html, headers: row.headers || {} };
+    if (row.reply_to) message.replyTo = row.reply_to;
+    if (row.message_id) message.messageId = row.message_id;
+    return message;
+}
+
+// Claim due rows (and ones abandoned mid-send) for this worker
+async function claimDue(limit) {
+    var result = await db.query(
+        "UPDATE email_outbox SET status = 'sending', attempts = attempts + 1, updated_at = NOW() WHERE id IN (" +
+        "SELECT id FROM email_outbox WHERE (status = 'pending' AND next_attempt_at <= NOW()) " +
+        "OR (status = 'sending' AND updated_at < $2) ORDER BY priority, next_attempt_at LIMIT $1 FOR UPDATE SKIP LOCKED) RETURNING *",
+        [limit, new Date(Date.now() - STALE_SENDING_MS)]
+    );
+    return result.rows.sort(function (a, b) { return a.priority - b.priority || a.id - b.id; });
+}
+
+async function deliver(row) {
+    try {
+        var message = toMessage(row);
+        if (row.sending_domain_id) {
+            var dkim = await sender.signingKey(row.sending_domain_id);
+            // Domain removed, or failing its DNS check since this was queued: send as CardFlow instead
+            if (dkim) message.dkim = dkim;
+            else message.from = sender.DEFAULT_FROM;
+        }
+        var info = await mailTransport.getTransport().send(message);
+        await db.query(
+            "UPDATE email_outbox SET status = 'sent', sent_at = NOW(), provider_message_id = $1, last_error = NULL, updated_at = NOW() WHERE id = $2",
+            [info && info.messageId ? String(info.messageId).substring(0, 255) : null, row.id]
+        );
+        if (process.env.NODE_ENV !== 'production') console.log('Email sent: ' + row.subject + ' → ' + row.to_address);
+        return true;
+    } catch (err) {
+        var dead = err.permanent || row.attempts >= MAX_ATTEMPTS;
+        var message = String(err.message || err).substring(0, MAX_ERROR_LENGTH);
+        await db.query(
+            'UPDATE email_outbox SET status = $1, last_error = $2, next_attempt_at = $3, updated_at = NOW() WHERE id = $4',
+            [dead ? 'dead' : 'pending', message, dead ? null : new Date(Date.now() + backoffDelay(row.attempts)), row.id]
+        );
+        console.error('Email error (' + row.subject + ' → ' + row.to_address + ', attempt ' + row.attempts + (dead ? ', dead-lettered' : '') + '):', message);
+        return false;
+    }
+}
+
+var processing = false;
+var kickTimer = null;
+
+// Worker: send everything due, a batch at a time. Returns the number of rows attempted.
+async function processOutbox() {
+    if (processing) return 0;
+    processing = true;
+    var attempted = 0;
+    try {
+        while (attempted < MAX_PER_RUN) {
+            var rows = await claimDue(BATCH_SIZE);
+            if (!rows.length) break;
+            for (var i = 0; i < rows.length; i++) await deliver(rows[i]);
+            attempted += rows.length;
+        }
+    } finally {
+        processing = false;
+    }
+    return attempted;
+}
+
+// Run the worker soon after an enqueue so codes and notifications don't wait for the cron
+function kick() {
+    if (kickTimer) return;
+    kickTimer = setTimeout(function () {
+        kickTimer = null;
+        processOutbox().catch(function (err) { console.error('Outbox error:', err.message); });
+    }, 50);
+    if (kickTimer.unref) kickTimer.unref();
+}
+
+// Admin: dead (or pending) row → send again with a fresh attempt budget
+async function retry(id) {
+    var result = await db.query(
+        "UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW() " +
+        "WHERE id = $1 AND status IN ('dead', 'pending') RETURNING id",
+        [id]
+    );
+    if (result.rows.length) kick();
+    return result.rows.length > 0;
+}
+
+async function discard(id) {
+    var result = await db.query(
+        "UPDATE email_outbox SET status = 'discarded', next_attempt_at = NULL, updated_at = NOW() WHERE id = $1 AND status IN ('dead', 'pending') RETURNING id",
+        [id]
+    );
+    return result.rows.length > 0;
+}
+
+// Row for the admin view; the body is only included when asked for
+function formatRow(row, withBody) {
+    var out = {
+        id: row.id, category: row.category, userId: row.user_id, status: row.status, priority: row.priority,
+        from: row.from_address, to: row.to_address, subject: row.subject, attempts: row.attempts,
+        lastError: row.last_error, nextAttemptAt: row.next_attempt_at, providerMessageId: row.provider_message_id,
+        createdAt: row.created_at, sentAt: row.sent_at
+    };
+    if (withBody) out.html = row.html;
+    return out;
+}
+
+module.exports = {
+    STATUSES: STATUSES,
+    MAX_ATTEMPTS: MAX_ATTEMPTS,
+    backoffDelay: backoffDelay,
+    enqueue: enqueue,
+    processOutbox: processOutbox,
+    retry: retry,
+    discard: discard,
+    formatRow: formatRow
+};
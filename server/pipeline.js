@@ -0,0 +1,322 @@
+// Lead pipeline — configurable stages, validated transitions and stage history
+// Stages belong to a team (shared by every member) or to a user; without either the
+// DEFAULT_STAGES apply. A lead's stage is data.status (a stage key); a missing status means
+// the first open stage. Every change of stage is recorded in lead_stage_history, which
+// feeds the conversion and time-in-stage stats.
+
+const db = require('./db');
+const sse = require('./sse');
+
+var DEFAULT_STAGES = [
+    { key: 'new', label: 'New', color: '#60a5fa', kind: 'open' },
+    { key: 'contacted', label: 'Contacted', color: '#fbbf24', kind: 'open' },
+    { key: 'qualified', label: 'Qualified', color: '#a78bfa', kind: 'open' },
+    { key: 'won', label: 'Won', color: '#4ade80', kind: 'won' },
+    { key: 'lost', label: 'Lost', color: '#f87171', kind: 'lost' }
+];
+var KINDS = ['open', 'won', 'lost'];
+var MAX_STAGES = 20;
+var KEY_RE = /^[a-z0-9_]{1,40}$/;
+var COLOR_RE = /^#[0-9a-f]{6}$/i;
+var CACHE_TTL_MS = 30 * 1000;
+
+// userId → { ts, pipeline }
+var cache = new Map();
+
+function invalidate() {
+    cache.clear();
+}
+
+function withPositions(stages) {
+    return stages.map(function (s, i) { return { key: s.key, label: s.label, color: s.color, kind: s.kind, position: i }; });
+}
+
+// Effective pipeline for a user: { scope: 'team'|'user'|'default', teamId, stages }
+async function getPipeline(userId) {
+    var hit = cache.get(userId);
+    if (hit && Date.now() - hit.ts < CACHE_TTL_MS) return hit.pipeline;
+
+    var result = await db.query(
+        'SELECT u.team_id, s.team_id AS stage_team, s.key, s.label, s.color, s.kind FROM users u ' +
+        'LEFT JOIN pipeline_stages s ON (s.team_id = u.team_id) OR (s.team_id IS NULL AND s.user_id = u.id) ' +
+        'WHERE u.id = $1 ORDER BY s.position ASC',
+        [userId]
+    );
+    var teamId = result.rows.length ? result.rows[0].team_id : null;
+    var teamStages = result.rows.filter(function (r) { return r.key && r.stage_team; });
+    var userStages = result.rows.filter(function (r) { return r.key && !r.stage_team; });
+    var pipeline;
+    if (teamStages.length) pipeline = { scope: 'team', teamId: teamId, stages: withPositions(teamStages) };
+    else if (userStages.length) pipeline = { scope: 'user', teamId: teamId, stages: withPositions(userStages) };
+    else pipeline = { scope: 'default', teamId: teamId, stages: withPositions(DEFAULT_STAGES) };
+
+    cache.set(userId, { ts: Date.now(), pipeline: pipeline });
+    return pipeline;
+}
+
+// Stage new leads start in
+function initialStage(stages) {
+    var open = stages.filter(function (s) { return s.kind === 'open'; });
+    return (open[0] || stages[0]).key;
+}
+
+function findStage(stages, key) {
+    for (var i = 0; i < stages.length; i++) if (stages[i].key === key) return stages[i];
+    return null;
+}
+
+// key → position, used to keep the most advanced stage when merging leads
+function stageOrder(stages) {
+    var order = {};
+    stages.forEach(function (s, i) { order[s.key] = i; });
+    return order;
+}
+
+// Validate a stage list from the client. Returns { stages } or { error }.
+function validateStages(input) {
+    if (!Array.isArray(input) || input.length < 2) return { error: 'At least 2 stages required' };
+    if (input.length > MAX_STAGES) return { error: 'Maximum ' + MAX_STAGES + ' stages' };
+    var seen = {};
+    var stages = [];
+    for (var i = 0; i < input.length; i++) {
+        var s = input[i] || {};
+        var label = typeof s.label === 'string' ? s.label.trim().substring(0, 40) : '';
+        if (!label) return { error: 'Stage ' + (i + 1) + ' needs a label' };
+        var key = s.key ? String(s.key) : label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 40);
+        if (!KEY_RE.test(key)) return { error: 'Invalid stage key: ' + key.substring(0, 50) };
+        if (seen[key]) return { error: 'Duplicate stage: ' + key };
+        seen[key] = true;
+        var kind = s.kind || 'open';
+        if (!KINDS.includes(kind)) return { error: 'Stage kind must be one of: ' + KINDS.join(', ') };
+        var color = s.color || '#9ca3af';
+        if (!COLOR_RE.test(color)) return { error: 'Invalid colour for ' + label };
+        stages.push({ key: key, label: label, color: color.toLowerCase(), kind: kind });
+    }
+    if (!stages.some(function (s) { return s.kind === 'open'; })) return { error: 'At least one open stage required' };
+    return { stages: withPositions(stages) };
+}
+
+// Replace the stages of a user or team. Leads whose status is not one of the new stage keys
+// must be moved with reassign { oldKey: newKey }; returns { stages, initial } or
+// { error, status, stranded }. Leads without a status simply start in the new initial stage.
+async function saveStages(owner, stages, reassign) {
+    reassign = reassign || {};
+    var memberFilter = owner.teamId ? 'user_id IN (SELECT id FROM users WHERE team_id = $1)' : 'user_id = $1';
+    var ownerId = owner.teamId || owner.userId;
+    var newKeys = stages.map(function (s) { return s.key; });
+
+    for (var k in reassign) {
+        if (newKeys.includes(k) || !newKeys.includes(reassign[k])) return { error: 'Invalid reassignment for ' + k.substring(0, 40), status: 400 };
+    }
+    var counts = await db.query(
+        "SELECT data->>'status' AS stage, COUNT(*) AS cnt FROM leads WHERE " + memberFilter +
+        " AND data->>'status' IS NOT NULL AND NOT (data->>'status' = ANY($2)) GROUP BY 1",
+        [ownerId, newKeys]
+    );
+    var stranded = counts.rows.filter(function (r) { return !reassign[r.stage]; });
+    if (stranded.length) {
+        return {
+            error: 'Some leads are in stages that no longer exist — choose where to move them',
+            status: 409,
+            stranded: stranded.map(function (r) { return { stage: r.stage, count: parseInt(r.cnt) }; })
+        };
+    }
+
+    var client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        if (owner.teamId) await client.query('DELETE FROM pipeline_stages WHERE team_id = $1', [owner.teamId]);
+        else await client.query('DELETE FROM pipeline_stages WHERE user_id = $1 AND team_id IS NULL', [owner.userId]);
+        for (var i = 0; i < stages.length; i++) {
+            var s = stages[i];
+            await client.query(
+                'INSERT INTO pipeline_stages (user_id, team_id, key, label, color, kind, position) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                [owner.teamId ? null : owner.userId, owner.teamId || null, s.key, s.label, s.color, s.kind, i]
+            );
+        }
+        // Move leads out of removed stages and record the move in their history
+        var used = counts.rows.map(function (r) { return r.stage; });
+        for (var from in reassign) {
+            if (!used.includes(from)) continue;
+            var moved = await client.query(
+                "UPDATE leads SET data = jsonb_set(data, '{status}', to_jsonb($2::text)), updated_at = NOW() WHERE " +
+                memberFilter.replace('$1', '$3') + " AND data->>'status' = $1 RETURNING user_id, id",
+                [from, reassign[from], ownerId]
+            );
+            for (var j = 0; j < moved.rows.length; j++) {
+                await client.query(
+                    'INSERT INTO lead_stage_history (user_id, lead_id, from_stage, to_stage, changed_by) VALUES ($1, $2, $3, $4, $5)',
+                    [moved.rows[j].user_id, moved.rows[j].id, from, reassign[from], owner.userId]
+                );
+            }
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        try { await client.query('ROLLBACK'); } catch (e) {}
+        throw err;
+    } finally {
+        client.release();
+    }
+    invalidate();
+    return { stages: stages, initial: initialStage(stages) };
+}
+
+// Back to the defaults (or to the members' own pipelines, for a team)
+async function resetStages(owner) {
+    if (owner.teamId) await db.query('DELETE FROM pipeline_stages WHERE team_id = $1', [owner.teamId]);
+    else await db.query('DELETE FROM pipeline_stages WHERE user_id = $1 AND team_id IS NULL', [owner.userId]);
+    invalidate();
+}
+
+// Check a status a lead is moved to. Returns null when it is a stage of the pipeline, else an error message.
+function validateStatus(pipeline, status) {
+    if (typeof status !== 'string' || !findStage(pipeline.stages, status)) {
+        return 'Unknown pipeline stage "' + String(status).substring(0, 40) + '" (use ' + pipeline.stages.map(function (s) { return s.key; }).join(', ') + ')';
+    }
+    return null;
+}
+
+// Record a stage change and tell the team feed. A missing fromKey means the lead was in the
+// initial stage. Fire-and-forget: never throws.
+async function recordTransition(userId, leadId, fromKey, toKey, changedBy, leadData) {
+    try {
+        var pipeline = await getPipeline(userId);
+        if (!toKey || (fromKey || initialStage(pipeline.stages)) === toKey) return;
+        await db.query(
+            'INSERT INTO lead_stage_history (user_id, lead_id, from_stage, to_stage, changed_by) VALUES ($1, $2, $3, $4, $5)',
+            [userId, leadId, fromKey || null, toKey, changedBy || userId]
+        );
+        if (pipeline.teamId) {
+            var stage = findStage(pipeline.stages, toKey);
+            var from = findStage(pipeline.stages, fromKey);
+            var member = await db.query('SELECT name, username FROM users WHERE id = $1', [userId]);
+            sse.publish('team:' + pipeline.teamId, {
+                type: 'stage_change',
+                memberId: userId,
+                memberName: (member.rows[0] && (member.rows[0].name || member.rows[0].username)) || 'Team member',
+                leadId: leadId,
+                leadName: (leadData && leadData.name) || '',
+                leadCompany: (leadData && leadData.company) || '',
+                from: from ? { key: from.key, label: from.label } : null,
+                to: stage ? { key: stage.key, label: stage.label, color: stage.color, kind: stage.kind } : { key: toKey, label: toKey },
+                ts: Date.now()
+            });
+        }
+    } catch (err) {
+        console.error('Stage history error for lead ' + leadId + ':', err.message);
+    }
+}
+
+// Pipeline stats for a set of users' leads created in [from, to):
+// per stage — current count and deal value, average days spent in the stage (from history)
+// and conversion (share of leads that reached the stage and moved past it).
+async function pipelineStats(userIds, stages, from, to) {
+    var initial = initialStage(stages);
+    var values = [userIds, initial];
+    var range = '';
+    if (from) { values.push(from); range += ' AND l.created_at >= $' + values.length; }
+    if (to) { values.push(to); range += ' AND l.created_at < $' + values.length; }
+
+    var current = await db.query(
+        "SELECT COALESCE(l.data->>'status', $2) AS stage, COUNT(*) AS cnt, " +
+        "SUM(CASE WHEN l.data->>'dealValue' ~ '^[0-9]+(\\.[0-9]+)?$' THEN (l.data->>'dealValue')::numeric ELSE 0 END) AS value " +
+        'FROM leads l WHERE l.user_id = ANY($1)' + range + ' GROUP BY 1',
+        values
+    );
+
+    // Time in stage: each history row ends a stay in from_stage that began at the previous
+    // change (or at lead creation for the first one)
+    var durations = await db.query(
+        'SELECT stage, AVG(EXTRACT(EPOCH FROM (left_at - entered_at))) AS avg_seconds, COUNT(*) AS exits FROM (' +
+        'SELECT COALESCE(h.from_stage, $2) AS stage, h.changed_at AS left_at, ' +
+        'COALESCE(LAG(h.changed_at) OVER (PARTITION BY h.user_id, h.lead_id ORDER BY h.changed_at, h.id), l.created_at) AS entered_at ' +
+        'FROM lead_stage_history h JOIN leads l ON l.user_id = h.user_id AND l.id = h.lead_id ' +
+        'WHERE h.user_id = ANY($1)' + range + ') t GROUP BY stage',
+        values
+    );
+
+    // Furthest stage (by position, ignoring lost stages) each lead has ever been in
+    var progress = stages.filter(function (s) { return s.kind !== 'lost'; });
+    var positions = values.concat([progress.map(function (s) { return s.key; }), progress.map(function (s) { return s.position; })]);
+    var kp = positions.length;
+    var furthest = await db.query(
+        'WITH visits AS (' +
+        "SELECT l.user_id, l.id AS lead_id, COALESCE(l.data->>'status', $2) AS stage FROM leads l WHERE l.user_id = ANY($1)" + range +
+        ' UNION ALL SELECT h.user_id, h.lead_id, COALESCE(h.from_stage, $2) FROM lead_stage_history h JOIN leads l ON l.user_id = h.user_id AND l.id = h.lead_id WHERE h.user_id = ANY($1)' + range +
+        '), pos AS (SELECT * FROM unnest($' + (kp - 1) + '::text[], $' + kp + '::int[]) AS p(stage, position)) ' +
+        'SELECT max_pos, COUNT(*) AS cnt FROM (SELECT v.user_id, v.lead_id, MAX(pos.position) AS max_pos FROM visits v ' +
+        'JOIN pos ON pos.stage = v.stage GROUP BY v.user_id, v.lead_id) f GROUP BY max_pos',
+        positions
+    );
+
+    var counts = {}, dealValues = {}, avgDays = {}, reached = {};
+    var total = 0, unassigned = 0;
+    current.rows.forEach(function (r) {
+        var n = parseInt(r.cnt);
+        total += n;
+        if (!findStage(stages, r.stage)) { unassigned += n; return; }
+        counts[r.stage] = n;
+        dealValues[r.stage] = parseFloat(r.value) || 0;
+    });
+    durations.rows.forEach(function (r) {
+        avgDays[r.stage] = r.avg_seconds !== null ? Math.round(parseFloat(r.avg_seconds) / 86400 * 10) / 10 : null;
+    });
+    furthest.rows.forEach(function (r) { reached[r.max_pos] = parseInt(r.cnt); });
+    // reachedAtLeast(p): leads whose furthest stage is at position p or later
+    function reachedAtLeast(position) {
+        var n = 0;
+        for (var p in reached) if (parseInt(p) >= position) n += reached[p];
+        return n;
+    }
+
+    var won = 0, lost = 0, wonValue = 0, openValue = 0;
+    var result = stages.map(function (s, i) {
+        var count = counts[s.key] || 0;
+        if (s.kind === 'won') { won += count; wonValue += dealValues[s.key] || 0; }
+        else if (s.kind === 'lost') lost += count;
+        else openValue += dealValues[s.key] || 0;
+        var conversion = null;
+        if (s.kind === 'open') {
+            var entered = reachedAtLeast(s.position);
+            var next = progress.filter(function (p) { return p.position > s.position; })[0];
+            conversion = entered && next ? Math.round(reachedAtLeast(next.position) / entered * 1000) / 10 : null;
+        }
+        return {
+            key: s.key, label: s.label, color: s.color, kind: s.kind, position: s.position,
+            count: count,
+            value: dealValues[s.key] || 0,
+            avgDaysInStage: avgDays[s.key] !== undefined ? avgDays[s.key] : null,
+            conversionRate: conversion
+        };
+    });
+
+    return {
+        stages: result,
+        totals: {
+            leads: total,
+            open: total - won - lost - unassigned,
+            won: won,
+            lost: lost,
+            unassigned: unassigned,
+            winRate: won + lost ? Math.round(won / (won + lost) * 1000) / 10 : null,
+            openValue: openValue,
+            wonValue: wonValue
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_STAGES: DEFAULT_STAGES,
+    KINDS: KINDS,
+    getPipeline: getPipeline,
+    initialStage: initialStage,
+    findStage: findStage,
+    stageOrder: stageOrder,
+    validateStages: validateStages,
+    validateStatus: validateStatus,
+    saveStages: saveStages,
+    resetStages: resetStages,
+    recordTransition: recordTransition,
+    pipelineStats: pipelineStats,
+    invalidate: invalidate
+};
@@ -0,0 +1,481 @@
+// Event registration: ticket types, the registration form, capacity and the waitlist
+// An event's settings can define
+//   ticket_types       [{ id, name, description, capacity, opens_at, closes_at, waitlist, price }]:
+//                      what people register as (visitor, VIP, press...). capacity null is
+//                      unlimited; opens_at / closes_at bound when the type can be chosen;
+//                      waitlist: false turns people away once the type is full instead of
+//                      waitlisting them. price (smallest currency unit, 0 for free) makes the
+//                      type paid, in the event's currency (settings.currency, INR by default).
+//   registration_form  [{ id, label, type, required, options, ticket_types, help }]: extra
+//                      questions, validated here. ticket_types limits a question to those types.
+//                      Answers are stored in event_attendees.answers, keyed by question id.
+// Without ticket types an event has one open registration, limited only by MAX_ATTENDEES.
+// Registrations over a type's capacity are waitlisted (event_attendees.status) and promoted in
+// order when places free up: someone cancels, or the organizer raises the capacity.
+// Paid registrations start as pending_payment, holding their place until payment_due_at; they
+// become registered once paid (event-payments.js) and are cancelled if the hold runs out.
+
+const db = require('./db');
+const badges = require('./badges');
+const { sendEventPromoted, sendEventPaymentDue } = require('./email');
+
+var MAX_ATTENDEES = 10000;
+var MAX_TICKET_TYPES = 20;
+var MAX_FIELDS = 50;
+var MAX_OPTIONS = 100;
+var STATUSES = ['registered', 'pending_payment', 'waitlisted', 'cancelled'];
+var MAX_PRICE = 100000000;
+var MIN_PRICE = 100; // Razorpay's smallest order (₹1)
+var PAYMENT_WINDOW_MINUTES = 30; // to pay after registering
+var PROMOTED_PAYMENT_HOURS = 48; // to pay after a waitlist place opens up
+var FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'email', 'url', 'select', 'multiselect', 'checkbox', 'consent'];
+var TEXT_LIMITS = { text: 500, textarea: 5000, email: 200, url: 2000 };
+var ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+var EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function optionalString(v, max) {
+    return v === undefined || v === null || (typeof v === 'string' && v.length <= max);
+}
+
+// '' / null → null; otherwise an ISO timestamp, or undefined when it isn't a date
+function parseDate(v) {
+    if (v === undefined || v === null || v === '') return null;
+    var d = new Date(v);
+    return isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+// ── Settings ──
+
+function parseTicketTypes(list) {
+    if (list === null || list === undefined) return { value: [] };
+    if (!Array.isArray(list)) return { error: 'ticket_types must be a list' };
+    if (list.length > MAX_TICKET_TYPES) return { error: 'Max ' + MAX_TICKET_TYPES + ' ticket types' };
+    var seen = {};
+    var out = [];
+    for (var i = 0; i < list.length; i++) {
+        var t = list[i];
+        if (!isObject(t)) return { error: 'Each ticket type must be an object' };
+        if (typeof t.id !== 'string' || !ID_RE.test(t.id)) return { error: 'Ticket type id must be lowercase letters, digits, - or _ (max 40)' };
+        if (seen[t.id]) return { error: 'Duplicate ticket type "' + t.id + '"' };
+        seen[t.id] = true;
+        if (typeof t.name !== 'string' || !t.name.trim() || t.name.length > 100) return { error: 'Ticket type "' + t.id + '" needs a name (max 100 chars)' };
+        if (!optionalString(t.description, 500)) return { error: 'Ticket type description max 500 chars' };
+        var capacity = t.capacity === undefined || t.capacity === null || t.capacity === '' ? null : Number(t.capacity);
+        if (capacity !== null && (!Number.isInteger(capacity) || capacity < 0 || capacity > MAX_ATTENDEES)) {
+            return { error: 'Capacity of "' + t.name + '" must be a whole number up to ' + MAX_ATTENDEES + ', or empty for no limit' };
+        }
+        var opensAt = parseDate(t.opens_at);
+        var closesAt = parseDate(t.closes_at);
+        if (opensAt === undefined || closesAt === undefined) return { error: 'Invalid opening or closing date for "' + t.name + '"' };
+        if (opensAt && closesAt && closesAt <= opensAt) return { error: '"' + t.name + '" must close after it opens' };
+        if (t.waitlist !== undefined && typeof t.waitlist !== 'boolean') return { error: 'waitlist must be true or false' };
+        var price = t.price === undefined || t.price === null || t.price === '' ? 0 : Number(t.price);
+        if (!Number.isInteger(price) || price < 0 || price > MAX_PRICE || (price > 0 && price < MIN_PRICE)) {
+            return { error: 'Price of "' + t.name + '" must be 0 (free) or a whole amount in the smallest currency unit, from ' + MIN_PRICE + ' to ' + MAX_PRICE };
+        }
+        out.push({
+            id: t.id, name: t.name.trim(), description: t.description || null, capacity: capacity,
+            opens_at: opensAt, closes_at: closesAt, waitlist: t.waitlist !== false, price: price
+        });
+    }
+    return { value: out };
+}
+
+function parseForm(list, typeIds) {
+    if (list === null || list === undefined) return { value: [] };
+    if (!Array.isArray(list)) return { error: 'registration_form must be a list' };
+    if (list.length > MAX_FIELDS) return { error: 'Max ' + MAX_FIELDS + ' registration questions' };
+    var seen = {};
+    var out = [];
+    for (var i = 0; i < list.length; i++) {
+        var f = list[i];
+        if (!isObject(f)) return { error: 'Each registration question must be an object' };
+        if (typeof f.id !== 'string' || !ID_RE.test(f.id)) return { error: 'Question id must be lowercase letters, digits, - or _ (max 40)' };
+        if (seen[f.id]) return { error: 'Duplicate question "' + f.id + '"' };
+        seen[f.id] = true;
+        if (typeof f.label !== 'string' || !f.label.trim() || f.label.length > 500) return { error: 'Question "' + f.id + '" needs a label (max 500 chars)' };
+        if (FIELD_TYPES.indexOf(f.type) === -1) return { error: 'Question type must be one of ' + FIELD_TYPES.join(', ') };
+        if (f.required !== undefined && typeof f.required !== 'boolean') return { error: 'required must be true or false' };
+        if (!optionalString(f.help, 300)) return { error: 'Question help text max 300 chars' };
+        var field = { id: f.id, label: f.label.trim(), type: f.type, required: f.required === true };
+        if (f.help) field.help = f.help;
+        if (f.type === 'select' || f.type === 'multiselect') {
+            if (!Array.isArray(f.options) || f.options.length === 0 || f.options.length > MAX_OPTIONS) {
+                return { error: '"' + field.label + '" needs 1-' + MAX_OPTIONS + ' options' };
+            }
+            var options = [];
+            for (var j = 0; j < f.options.length; j++) {
+                var o = f.options[j];
+                if (typeof o !== 'string' || !o.trim() || o.length > 200) return { error: 'Options must be text (max 200 chars)' };
+                if (options.indexOf(o.trim()) === -1) options.push(o.trim());
+            }
+            field.options = options;
+        }
+        if (f.ticket_types !== undefined && f.ticket_types !== null) {
+            if (!Array.isArray(f.ticket_types) || f.ticket_types.some(function (id) { return typeIds.indexOf(id) === -1; })) {
+                return { error: '"' + field.label + '" is limited to ticket types that don\'t exist' };
+            }
+            if (f.ticket_types.length) field.ticket_types = f.ticket_types.slice();
+        }
+        out.push(field);
+    }
+    return { value: out };
+}
+
+// Validate and normalise the registration parts of an event's settings (other keys are left as
+// they are) → { settings } or { error }
+function parseSettings(settings) {
+    if (!isObject(settings)) return { settings: settings };
+    var out = Object.assign({}, settings);
+    var types = parseTicketTypes(settings.ticket_types);
+    if (types.error) return { error: types.error };
+    var form = parseForm(settings.registration_form, types.value.map(function (t) { return t.id; }));
+    if (form.error) return { error: form.error };
+    if (settings.currency !== undefined && settings.currency !== null) {
+        if (typeof settings.currency !== 'string' || !/^[A-Za-z]{3}$/.test(settings.currency)) return { error: 'currency must be a 3-letter currency code' };
+        out.currency = settings.currency.toUpperCase();
+    }
+    if (settings.refund_on_cancel !== undefined && typeof settings.refund_on_cancel !== 'boolean') return { error: 'refund_on_cancel must be true or false' };
+    if (settings.ticket_types !== undefined) out.ticket_types = types.value;
+    if (settings.registration_form !== undefined) out.registration_form = form.value;
+    return { settings: out };
+}
+
+function ticketTypes(settings) {
+    return settings && Array.isArray(settings.ticket_types) ? settings.ticket_types : [];
+}
+
+function currency(settings) {
+    return (settings && settings.currency) || 'INR';
+}
+
+function isPaid(type) {
+    return !!(type && type.price > 0);
+}
+
+// 49900, 'INR' → '₹499.00' (for emails; amounts are in the smallest currency unit)
+function formatAmount(amount, code) {
+    try {
+        return new Intl.NumberFormat('en-IN', { style: 'currency', currency: code }).format(amount / 100);
+    } catch (e) {
+        return code + ' ' + (amount / 100).toFixed(2);
+    }
+}
+
+function formFields(settings, typeId) {
+    var fields = settings && Array.isArray(settings.registration_form) ? settings.registration_form : [];
+    return fields.filter(function (f) { return !f.ticket_types || !typeId || f.ticket_types.indexOf(typeId) !== -1; });
+}
+
+// not_open | closed | open (at the moment, ignoring capacity)
+function windowState(type, now) {
+    if (type.opens_at && now < new Date(type.opens_at)) return 'not_open';
+    if (type.closes_at && now >= new Date(type.closes_at)) return 'closed';
+    return 'open';
+}
+
+// { [ticket_type or '']: { registered, pending, waitlisted } } (pending: holding a place until paid)
+async function countByType(eventId, q) {
+    var result = await (q || db).query(
+        "SELECT COALESCE(ticket_type, '') AS ticket_type, COUNT(*) FILTER (WHERE status = 'registered') AS registered, " +
+        "COUNT(*) FILTER (WHERE status = 'pending_payment') AS pending, " +
+        "COUNT(*) FILTER (WHERE status = 'waitlisted') AS waitlisted FROM event_attendees WHERE event_id = $1 GROUP BY 1",
+        [eventId]
+    );
+    var counts = {};
+    result.rows.forEach(function (r) {
+        counts[r.ticket_type] = { registered: parseInt(r.registered), pending: parseInt(r.pending), waitlisted: parseInt(r.waitlisted) };
+    });
+    return counts;
+}
+
+// Ticket types as shown on the event page and to the organizer, with places left and whether
+// they can be registered for now: open | waitlist | sold_out | not_open | closed
+async function ticketAvailability(event) {
+    var types = ticketTypes(event.settings);
+    if (!types.length) return [];
+    var counts = await countByType(event.id);
+    var now = new Date();
+    return types.map(function (t) {
+        var c = counts[t.id] || { registered: 0, pending: 0, waitlisted: 0 };
+        var remaining = t.capacity === null ? null : Math.max(0, t.capacity - c.registered - c.pending);
+        var state = windowState(t, now);
+        if (state === 'open' && remaining === 0) state = t.waitlist ? 'waitlist' : 'sold_out';
+        return Object.assign({}, t, {
+            price: t.price || 0, currency: currency(event.settings),
+            registered: c.registered, pending_payment: c.pending, waitlisted: c.waitlisted, remaining: remaining, state: state
+        });
+    });
+}
+
+// ── Registering ──
+
+// Answers to the event's questions for a ticket type → { answers } or { error, field }
+function validateAnswers(settings, typeId, input) {
+    if (input !== undefined && input !== null && !isObject(input)) return { error: 'answers must be an object' };
+    input = input || {};
+    var answers = {};
+    var fields = formFields(settings, typeId);
+    for (var i = 0; i < fields.length; i++) {
+        var f = fields[i];
+        var v = input[f.id];
+        if (typeof v === 'string') v = v.trim();
+        var empty = v === undefined || v === null || v === '' || v === false || v === 'false' || (Array.isArray(v) && v.length === 0);
+        if (empty) {
+            if (f.required) return { error: f.type === 'consent' ? 'Please accept: ' + f.label : f.label + ' is required', field: f.id };
+            continue;
+        }
+        var invalid = { error: 'Invalid answer for ' + f.label, field: f.id };
+        switch (f.type) {
+            case 'text': case 'textarea': case 'email': case 'url':
+                if (typeof v !== 'string') return invalid;
+                if (v.length > TEXT_LIMITS[f.type]) return { error: f.label + ' is too long (max ' + TEXT_LIMITS[f.type] + ' chars)', field: f.id };
+                if (f.type === 'email' && !EMAIL_RE.test(v)) return invalid;
+                if (f.type === 'url' && !/^https?:\/\/[^\s]+$/i.test(v)) return invalid;
+                answers[f.id] = v;
+                break;
+            case 'number':
+                var n = typeof v === 'number' ? v : (typeof v === 'string' ? Number(v) : NaN);
+                if (!isFinite(n)) return invalid;
+                answers[f.id] = n;
+                break;
+            case 'date':
+                if (typeof v !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(new Date(v + 'T00:00:00Z').getTime())) return invalid;
+                answers[f.id] = v;
+                break;
+            case 'select':
+                if (typeof v !== 'string' || f.options.indexOf(v) === -1) return invalid;
+                answers[f.id] = v;
+                break;
+            case 'multiselect':
+                if (!Array.isArray(v) || v.some(function (o) { return typeof o !== 'string' || f.options.indexOf(o) === -1; })) return invalid;
+                answers[f.id] = f.options.filter(function (o) { return v.indexOf(o) !== -1; });
+                break;
+            case 'checkbox': case 'consent':
+                if (v !== true && v !== 'true') return invalid;
+                answers[f.id] = true;
+                break;
+        }
+    }
+    return { answers: answers };
+}
+
+// Register someone for an event (an events row). fields: { name, email, phone, company, title,
+// data } (already checked by the route), ticket_type and answers (checked here).
+// → { attendee, ticketType } with status registered, pending_payment (paid types) or
+// waitlisted, or { status, error, field? }. Throws the database's unique violation when the
+// email is already registered.
+async function register(event, fields) {
+    var types = ticketTypes(event.settings);
+    var type = null;
+    if (types.length) {
+        var typeId = fields.ticket_type || (types.length === 1 ? types[0].id : null);
+        if (!typeId) return { status: 400, error: 'Choose a ticket type' };
+        type = types.find(function (t) { return t.id === typeId; });
+        if (!type) return { status: 400, error: 'Unknown ticket type' };
+        var state = windowState(type, new Date());
+        if (state === 'not_open') return { status: 400, error: 'Registration for ' + type.name + ' opens ' + new Date(type.opens_at).toUTCString() };
+        if (state === 'closed') return { status: 400, error: 'Registration for ' + type.name + ' has closed' };
+    }
+    var checked = validateAnswers(event.settings, type ? type.id : null, fields.answers);
+    if (checked.error) return { status: 400, error: checked.error, field: checked.field };
+
+    var client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        // One registration at a time per event, so two people can't both get the last place
+        await client.query('SELECT id FROM events WHERE id = $1 FOR UPDATE', [event.id]);
+        // A paid registration that was never paid for (cancelled, or its hold ran out) doesn't
+        // stop the same person registering again
+        await client.query(
+            "DELETE FROM event_attendees a WHERE a.event_id = $1 AND a.email = $2 AND a.status = 'cancelled' AND a.payment_due_at IS NOT NULL " +
+            'AND NOT EXISTS (SELECT 1 FROM event_payments p WHERE p.attendee_id = a.id AND p.paid_at IS NOT NULL)',
+            [event.id, fields.email]
+        );
+        var counts = await client.query(
+            "SELECT COUNT(*) FILTER (WHERE status <> 'cancelled') AS total, " +
+            "COUNT(*) FILTER (WHERE status IN ('registered', 'pending_payment') AND ticket_type IS NOT DISTINCT FROM $2) AS taken " +
+            'FROM event_attendees WHERE event_id = $1',
+            [event.id, type ? type.id : null]
+        );
+        if (parseInt(counts.rows[0].total) >= MAX_ATTENDEES) {
+            await client.query('ROLLBACK');
+            return { status: 400, error: 'Event registration is full' };
+        }
+        var status = 'registered';
+        if (type && type.capacity !== null && parseInt(counts.rows[0].taken) >= type.capacity) {
+            if (!type.waitlist) {
+                await client.query('ROLLBACK');
+                return { status: 400, error: type.name + ' is sold out' };
+            }
+            status = 'waitlisted';
+        }
+        if (status === 'registered' && isPaid(type)) status = 'pending_payment';
+        var paymentDue = status === 'pending_payment' ? new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000) : null;
+
+        // Unique badge code: retry on a collision without losing the transaction
+        var attendee = null;
+        for (var attempt = 0; attempt < 10 && !attendee; attempt++) {
+            await client.query('SAVEPOINT badge_code');
+            try {
+                var inserted = await client.query(
+                    `INSERT INTO event_attendees (event_id, name, email, phone, company, title, badge_code, data, ticket_type, answers, status, waitlisted_at, payment_due_at)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                     RETURNING *`,
+                    [
+                        event.id, fields.name, fields.email, fields.phone || null, fields.company || null, fields.title || null,
+                        badges.randomCode(), JSON.stringify(fields.data || {}), type ? type.id : null,
+                        JSON.stringify(checked.answers), status, status === 'waitlisted' ? new Date() : null, paymentDue
+                    ]
+                );
+                attendee = inserted.rows[0];
+            } catch (err) {
+                // 23505 = unique_violation on badge_code — retry with new code
+                if (!(err.code === '23505' && err.constraint && err.constraint.includes('badge_code'))) throw err;
+                await client.query('ROLLBACK TO SAVEPOINT badge_code');
+            }
+        }
+        if (!attendee) throw new Error('Failed to generate unique badge code');
+        await client.query('COMMIT');
+        return { attendee: attendee, ticketType: type };
+    } catch (err) {
+        try { await client.query('ROLLBACK'); } catch (e) {}
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// 1-based place in the waitlist of the attendee's ticket type, or null when not waitlisted
+async function waitlistPosition(attendee) {
+    if (attendee.status !== 'waitlisted') return null;
+    var result = await db.query(
+        "SELECT COUNT(*) FROM event_attendees WHERE event_id = $1 AND ticket_type IS NOT DISTINCT FROM $2 AND status = 'waitlisted' " +
+        'AND (waitlisted_at, id) <= ($3, $4)',
+        [attendee.event_id, attendee.ticket_type, attendee.waitlisted_at, attendee.id]
+    );
+    return parseInt(result.rows[0].count);
+}
+
+// Whether a place of the type is free, counted with q (a client holding the events row lock)
+async function hasPlace(event, typeId, q) {
+    var type = ticketTypes(event.settings).find(function (t) { return t.id === typeId; });
+    if (!type || type.capacity === null) return true;
+    var c = (await countByType(event.id, q))[typeId] || { registered: 0, pending: 0 };
+    return c.registered + c.pending < type.capacity;
+}
+
+// ── Waitlist ──
+
+// Promoted attendees get their badge, or (paid types) a link to pay for the place
+function notifyPromoted(event, attendees) {
+    var baseUrl = process.env.BASE_URL || 'https://card.cardflow.cloud';
+    attendees.forEach(function (a) {
+        if (!a.email) return;
+        (a.status === 'registered' ? badges.issueToken(a) : badges.issueLinkToken(a)).then(function (token) {
+            var url = baseUrl + badges.badgePath(event.slug, token);
+            if (a.status !== 'pending_payment') return sendEventPromoted(a.email, a.name, event.name, url);
+            var type = ticketTypes(event.settings).find(function (t) { return t.id === a.ticket_type; });
+            return sendEventPaymentDue(a.email, a.name, event.name, formatAmount(type ? type.price : 0, currency(event.settings)), a.payment_due_at, url);
+        }).catch(function (e) {
+            console.error('Waitlist promotion email error:', e.message);
+        });
+    });
+}
+
+// Give free places to the waitlist, oldest first, and email the people promoted. On paid types
+// the place is held for PROMOTED_PAYMENT_HOURS until they pay. Ticket types no longer in the
+// settings keep their waitlist (the organizer can promote by hand). Returns the promoted attendees.
+async function promoteWaitlist(eventId) {
+    var client = await db.connect();
+    var event;
+    var promoted = [];
+    try {
+        await client.query('BEGIN');
+        var locked = await client.query('SELECT id, slug, name, settings FROM events WHERE id = $1 FOR UPDATE', [eventId]);
+        if (locked.rows.length === 0) { await client.query('ROLLBACK'); return []; }
+        event = locked.rows[0];
+        var counts = await countByType(eventId, client);
+        var types = ticketTypes(event.settings);
+        for (var i = 0; i < types.length; i++) {
+            var t = types[i];
+            var c = counts[t.id];
+            if (!c || !c.waitlisted) continue;
+            var free = t.capacity === null ? null : t.capacity - c.registered - c.pending;
+            if (free !== null && free <= 0) continue;
+            var result = await client.query(
+                'UPDATE event_attendees SET status = $4, promoted_at = NOW(), payment_due_at = $5 WHERE id IN (' +
+                "SELECT id FROM event_attendees WHERE event_id = $1 AND ticket_type = $2 AND status = 'waitlisted' " +
+                'ORDER BY waitlisted_at, id LIMIT $3) RETURNING *',
+                [eventId, t.id, free].concat(promotedStatus(t))
+            );
+            promoted = promoted.concat(result.rows);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        try { await client.query('ROLLBACK'); } catch (e) {}
+        throw err;
+    } finally {
+        client.release();
+    }
+    if (promoted.length) notifyPromoted(event, promoted);
+    return promoted;
+}
+
+// [status, payment_due_at] for someone taken off a type's waitlist
+function promotedStatus(type) {
+    if (!isPaid(type)) return ['registered', null];
+    return ['pending_payment', new Date(Date.now() + PROMOTED_PAYMENT_HOURS * 60 * 60 * 1000)];
+}
+
+// Organizer: take one waitlisted attendee in, over capacity if need be (paid types still have to
+// pay) → attendee or null
+async function promote(event, attendeeId) {
+    if (!UUID_RE.test(attendeeId)) return null;
+    var current = await db.query("SELECT ticket_type FROM event_attendees WHERE id = $1 AND event_id = $2 AND status = 'waitlisted'", [attendeeId, event.id]);
+    if (current.rows.length === 0) return null;
+    var type = ticketTypes(event.settings).find(function (t) { return t.id === current.rows[0].ticket_type; });
+    var result = await db.query(
+        "UPDATE event_attendees SET status = $3, promoted_at = NOW(), payment_due_at = $4 WHERE id = $1 AND event_id = $2 AND status = 'waitlisted' RETURNING *",
+        [attendeeId, event.id].concat(promotedStatus(type))
+    );
+    if (result.rows.length) notifyPromoted(event, result.rows);
+    return result.rows[0] || null;
+}
+
+// Cancel a registration or waitlist place; the place goes to the waitlist → attendee or null
+async function cancel(eventId, attendeeId) {
+    if (!UUID_RE.test(attendeeId)) return null;
+    var result = await db.query(
+        "UPDATE event_attendees SET status = 'cancelled', cancelled_at = COALESCE(cancelled_at, NOW()) WHERE id = $1 AND event_id = $2 RETURNING *",
+        [attendeeId, eventId]
+    );
+    if (result.rows.length === 0) return null;
+    await promoteWaitlist(eventId);
+    return result.rows[0];
+}
+
+module.exports = {
+    MAX_ATTENDEES: MAX_ATTENDEES,
+    STATUSES: STATUSES,
+    FIELD_TYPES: FIELD_TYPES,
+    parseSettings: parseSettings,
+    ticketTypes: ticketTypes,
+    currency: currency,
+    isPaid: isPaid,
+    formatAmount: formatAmount,
+    formFields: formFields,
+    ticketAvailability: ticketAvailability,
+    validateAnswers: validateAnswers,
+    register: register,
+    waitlistPosition: waitlistPosition,
+    hasPlace: hasPlace,
+    promoteWaitlist: promoteWaitlist,
+    promote: promote,
+    cancel: cancel
+};
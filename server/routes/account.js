@@ -2,10 +2,11 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const db = require('../db');
-const { verifyAuth, requireNotSuspended, signToken } = require('../auth');
+const { verifyAuth, requireNotSuspended, signToken, blockApiKey } = require('../auth');
 
 const router = express.Router();
 router.use(verifyAuth);
+router.use(blockApiKey);
 router.use(requireNotSuspended);
 
 var passwordLimiter = rateLimit({
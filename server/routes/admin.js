@@ -5,6 +5,8 @@ const { enforceCardLimit } = require('./billing');
 const { PLAN_LIMITS } = require('./cards');
 const { sendAdminEmail } = require('../email');
 const { getClaudeClientAsync } = require('../ocr');
+const suppression = require('../suppression');
+const outbox = require('../outbox');
 
 const router = express.Router();
 
@@ -1404,6 +1406,140 @@ router.delete('/announcements/:id', async function (req, res) {
     }
 });
 
+// ═══════════════════════════════════════════════════════════════════
+// EMAIL OUTBOX
+// ═══════════════════════════════════════════════════════════════════
+
+// GET /api/admin/outbox?status=dead&q=&page= — queued/sent/failed emails (without bodies) + counts by status
+router.get('/outbox', async function (req, res) {
+    try {
+        var page = Math.max(1, parseInt(req.query.page) || 1);
+        var limit = 50;
+        var status = req.query.status || 'dead';
+        if (status !== 'all' && !outbox.STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+        var conditions = [];
+        var params = [];
+        if (status !== 'all') {
+            params.push(status);
+            conditions.push('status = $' + params.length);
+        }
+        if (req.query.q) {
+            params.push('%' + String(req.query.q).trim().toLowerCase() + '%');
+            conditions.push('(lower(to_address) LIKE $' + params.length + ' OR lower(subject) LIKE $' + params.length + ')');
+        }
+        var where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+        var countResult = await db.query('SELECT COUNT(*) FROM email_outbox ' + where, params);
+        var total = parseInt(countResult.rows[0].count);
+        var result = await db.query(
+            'SELECT id, category, user_id, status, priority, from_address, to_address, subject, attempts, last_error, next_attempt_at, ' +
+            'provider_message_id, created_at, sent_at FROM email_outbox ' + where + ' ORDER BY created_at DESC LIMIT ' + limit + ' OFFSET ' + ((page - 1) * limit),
+            params
+        );
+        var counts = {};
+        outbox.STATUSES.forEach(function (s) { counts[s] = 0; });
+        var countRows = await db.query('SELECT status, COUNT(*) FROM email_outbox GROUP BY status');
+        countRows.rows.forEach(function (r) { counts[r.status] = parseInt(r.count); });
+        res.json({
+            emails: result.rows.map(function (r) { return outbox.formatRow(r); }),
+            counts: counts, total: total, page: page, pages: Math.ceil(total / limit)
+        });
+    } catch (err) {
+        console.error('Admin outbox error:', err);
+        res.status(500).json({ error: 'Failed to load outbox' });
+    }
+});
+
+// GET /api/admin/outbox/:id — one email including its HTML body
+router.get('/outbox/:id', async function (req, res) {
+    try {
+        var result = await db.query('SELECT * FROM email_outbox WHERE id = $1', [parseInt(req.params.id) || 0]);
+        if (!result.rows.length) return res.status(404).json({ error: 'Email not found' });
+        res.json(outbox.formatRow(result.rows[0], true));
+    } catch (err) {
+        console.error('Admin outbox email error:', err);
+        res.status(500).json({ error: 'Failed to load email' });
+    }
+});
+
+// POST /api/admin/outbox/:id/retry — send a dead-lettered email again
+router.post('/outbox/:id/retry', async function (req, res) {
+    try {
+        var ok = await outbox.retry(parseInt(req.params.id) || 0);
+        if (!ok) return res.status(409).json({ error: 'Only dead or pending emails can be retried' });
+        await audit(req.user.uid, 'retry_email', null, { outbox_id: parseInt(req.params.id) });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Admin outbox retry error:', err);
+        res.status(500).json({ error: 'Failed to retry email' });
+    }
+});
+
+// POST /api/admin/outbox/:id/discard — give up on a dead or pending email
+router.post('/outbox/:id/discard', async function (req, res) {
+    try {
+        var ok = await outbox.discard(parseInt(req.params.id) || 0);
+        if (!ok) return res.status(409).json({ error: 'Only dead or pending emails can be discarded' });
+        await audit(req.user.uid, 'discard_email', null, { outbox_id: parseInt(req.params.id) });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Admin outbox discard error:', err);
+        res.status(500).json({ error: 'Failed to discard email' });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════
+// EMAIL SUPPRESSIONS (global list: bounces, complaints, admin blocks)
+// ═══════════════════════════════════════════════════════════════════
+
+// GET /api/admin/suppressions?q=&page=
+router.get('/suppressions', async function (req, res) {
+    try {
+        var page = Math.max(1, parseInt(req.query.page) || 1);
+        var limit = 50;
+        var params = [limit, (page - 1) * limit];
+        var where = 'WHERE user_id IS NULL';
+        if (req.query.q) {
+            params.push('%' + String(req.query.q).trim().toLowerCase() + '%');
+            where += ' AND email LIKE $3';
+        }
+        var result = await db.query('SELECT * FROM email_suppressions ' + where + ' ORDER BY created_at DESC LIMIT $1 OFFSET $2', params);
+        var countResult = await db.query('SELECT COUNT(*) FROM email_suppressions ' + where.replace('$3', '$1'), params.slice(2));
+        var total = parseInt(countResult.rows[0].count);
+        res.json({ suppressions: result.rows.map(suppression.formatSuppression), total: total, page: page, pages: Math.ceil(total / limit) });
+    } catch (err) {
+        console.error('Admin suppressions error:', err);
+        res.status(500).json({ error: 'Failed to load suppressions' });
+    }
+});
+
+// POST /api/admin/suppressions { email, note? } — block an address for every sender
+router.post('/suppressions', async function (req, res) {
+    try {
+        var address = suppression.normalizeEmail(req.body.email);
+        if (!address) return res.status(400).json({ error: 'A valid email address is required' });
+        var row = await suppression.suppress(address, { reason: 'manual', source: 'admin', detail: typeof req.body.note === 'string' ? req.body.note.trim() || null : null });
+        if (!row) return res.status(409).json({ error: 'Address is already suppressed' });
+        await audit(req.user.uid, 'suppress_email', null, { email: address });
+        res.json({ suppression: suppression.formatSuppression(row) });
+    } catch (err) {
+        console.error('Admin suppress error:', err);
+        res.status(500).json({ error: 'Failed to add suppression' });
+    }
+});
+
+// DELETE /api/admin/suppressions/:id — lift a global suppression (e.g. a bounce after the mailbox was fixed)
+router.delete('/suppressions/:id', async function (req, res) {
+    try {
+        var result = await db.query('DELETE FROM email_suppressions WHERE id = $1 AND user_id IS NULL RETURNING email, reason', [parseInt(req.params.id) || 0]);
+        if (!result.rows.length) return res.status(404).json({ error: 'Suppression not found' });
+        await audit(req.user.uid, 'unsuppress_email', null, { email: result.rows[0].email, reason: result.rows[0].reason });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Admin unsuppress error:', err);
+        res.status(500).json({ error: 'Failed to remove suppression' });
+    }
+});
+
 // ═══════════════════════════════════════════════════════════════════
 // FEATURE FLAGS
 // ═══════════════════════════════════════════════════════════════════
@@ -1744,6 +1880,7 @@ router.post('/verifications/:id/approve', async function (req, res) {
         var cardResult = await db.query('SELECT data FROM cards WHERE user_id = $1 AND id = $2', [v.user_id, v.card_id]);
         var cardName = (cardResult.rows[0] && cardResult.rows[0].data && cardResult.rows[0].data.name) || 'Your card';
         sendVerificationApproved(v.card_email, cardName).catch(function () {});
+        require('../webhooks').emit(v.user_id, 'card.verified', { card_id: v.card_id, name: cardName, method: 'manual', verified_at: new Date().toISOString() });
 
         res.json({ success: true });
     } catch (err) {
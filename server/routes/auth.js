@@ -5,7 +5,7 @@ const { OAuth2Client } = require('google-auth-library');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
 const db = require('../db');
-const { signToken, verifyAuth, blockIfImpersonating } = require('../auth');
+const { signToken, verifyAuth, blockIfImpersonating, blockApiKey } = require('../auth');
 const { sendWelcome, sendEmailVerification, sendPasswordReset, sendOTP } = require('../email');
 const { applyReferralReward, generateReferralCode } = require('./referrals');
 
@@ -572,7 +572,7 @@ router.post('/refresh', verifyAuth, async function (req, res) {
 });
 
 // POST /api/auth/change-password (JWT required, blocked during impersonation)
-router.post('/change-password', verifyAuth, blockIfImpersonating, authLimiter, async function (req, res) {
+router.post('/change-password', verifyAuth, blockApiKey, blockIfImpersonating, authLimiter, async function (req, res) {
     try {
         var { currentPassword, newPassword } = req.body;
         if (!newPassword || newPassword.length < 8) {
@@ -614,7 +614,7 @@ router.post('/change-password', verifyAuth, blockIfImpersonating, authLimiter, a
 });
 
 // DELETE /api/auth/account (JWT required, password confirmation)
-router.delete('/account', verifyAuth, async function (req, res) {
+router.delete('/account', verifyAuth, blockApiKey, async function (req, res) {
     try {
         // Block account deletion during impersonation
         if (req.user.impersonatedBy) {
@@ -0,0 +1,44 @@
+const express = require('express');
+const { verifyAuth, requireNotSuspended, blockApiKey } = require('../auth');
+const ical = require('../ical');
+
+const router = express.Router();
+
+router.use(verifyAuth);
+router.use(requireNotSuspended);
+router.use(blockApiKey);
+
+// GET /api/calendar/feed — the user's calendar subscription URL (created on first request)
+router.get('/feed', async function (req, res) {
+    try {
+        var token = await ical.getFeedToken(req.user.uid);
+        res.json({ url: ical.feedUrl(token) });
+    } catch (err) {
+        console.error('Calendar feed error:', err);
+        res.status(500).json({ error: 'Failed to load calendar feed' });
+    }
+});
+
+// POST /api/calendar/feed/rotate — replace the URL; existing subscriptions stop updating
+router.post('/feed/rotate', async function (req, res) {
+    try {
+        var token = await ical.rotateFeedToken(req.user.uid);
+        res.json({ url: ical.feedUrl(token) });
+    } catch (err) {
+        console.error('Calendar feed rotate error:', err);
+        res.status(500).json({ error: 'Failed to reset calendar feed' });
+    }
+});
+
+// DELETE /api/calendar/feed — turn the feed off
+router.delete('/feed', async function (req, res) {
+    try {
+        await ical.deleteFeed(req.user.uid);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Calendar feed delete error:', err);
+        res.status(500).json({ error: 'Failed to disable calendar feed' });
+    }
+});
+
+module.exports = router;
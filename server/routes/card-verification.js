@@ -4,6 +4,7 @@ const rateLimit = require('express-rate-limit');
 const db = require('../db');
 const { verifyAuth, requireNotSuspended } = require('../auth');
 const { sendCardVerificationOTP, sendVerificationApproved, sendVerificationRejected } = require('../email');
+const webhooks = require('../webhooks');
 
 const router = express.Router();
 router.use(verifyAuth);
@@ -414,6 +415,7 @@ async function reviewDocumentsWithAI(verification) {
                 [verification.user_id, verification.card_id]
             );
             sendVerificationApproved(verification.card_email, cardData.name || 'Your card').catch(function () {});
+            webhooks.emit(verification.user_id, 'card.verified', { card_id: verification.card_id, name: cardData.name || '', method: 'auto', verified_at: new Date().toISOString() });
             console.log('Verification #' + verification.id + ' auto-approved (confidence: ' + result.confidence + ')');
         } else if (result.decision === 'reject' && result.confidence >= 0.9) {
             // Auto-reject (high bar)
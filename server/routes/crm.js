@@ -0,0 +1,281 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { verifyAuth, requireNotSuspended, blockApiKey } = require('../auth');
+const crm = require('../crm');
+const mailbox = require('../mailbox');
+
+const router = express.Router();
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+var MAX_TOKEN_LENGTH = 4000;
+
+// OAuth state has its own key: signed with JWT_SECRET it would pass verifyAuth as a session token
+function stateKey() {
+    return 'crm_oauth.' + process.env.JWT_SECRET;
+}
+
+// Tokens are never returned to the client
+function formatConnection(row, uid) {
+    return {
+        id: row.id,
+        provider: row.provider,
+        scope: row.team_id ? 'team' : 'user',
+        teamId: row.team_id || null,
+        connectedBy: row.user_id,
+        canManage: row.can_manage !== undefined ? !!row.can_manage : row.user_id === uid,
+        module: row.provider === 'zoho' ? (row.settings.module || 'Contacts') : undefined,
+        fieldMapping: row.field_mapping || {},
+        effectiveMapping: crm.effectiveMapping(row),
+        active: row.active,
+        syncFrom: row.sync_from,
+        lastSyncAt: row.last_sync_at,
+        lastError: row.last_error,
+        failedCount: row.failed_count !== undefined ? parseInt(row.failed_count) || 0 : undefined,
+        syncedCount: row.synced_count !== undefined ? parseInt(row.synced_count) || 0 : undefined,
+        created_at: row.created_at
+    };
+}
+
+// Team the user administers (owner or admin role), or null
+async function getAdminTeamId(uid) {
+    var result = await db.query(
+        "SELECT t.id FROM teams t JOIN team_members tm ON tm.team_id = t.id WHERE tm.user_id = $1 AND (tm.role = 'admin' OR t.owner_id = $1)",
+        [uid]
+    );
+    return result.rows.length ? result.rows[0].id : null;
+}
+
+// Connection the user may change: their own, or their team's when they administer the team
+async function getManagedConnection(uid, id) {
+    if (!UUID_RE.test(id)) return null;
+    var result = await db.query('SELECT * FROM crm_connections WHERE id = $1', [id]);
+    var row = result.rows[0];
+    if (!row) return null;
+    if (row.team_id) return (await getAdminTeamId(uid)) === row.team_id ? row : null;
+    return row.user_id === uid ? row : null;
+}
+
+// Insert or replace the user's (or team's) connection for a provider (tokens stored encrypted)
+async function saveConnection(uid, teamId, provider, tokens, settings) {
+    var expiresAt = tokens.expiresIn ? new Date(Date.now() + tokens.expiresIn * 1000) : null;
+    var conflict = teamId ? '(team_id, provider) WHERE team_id IS NOT NULL' : '(user_id, provider) WHERE team_id IS NULL';
+    var result = await db.query(
+        'INSERT INTO crm_connections (user_id, team_id, provider, access_token, refresh_token, token_expires_at, settings) ' +
+        'VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT ' + conflict + ' DO UPDATE SET user_id = EXCLUDED.user_id, ' +
+        'access_token = EXCLUDED.access_token, refresh_token = EXCLUDED.refresh_token, token_expires_at = EXCLUDED.token_expires_at, ' +
+        'settings = crm_connections.settings || EXCLUDED.settings, active = true, last_error = NULL, updated_at = NOW() RETURNING *',
+        [uid, teamId, provider, mailbox.encryptSecret(tokens.accessToken), tokens.refreshToken ? mailbox.encryptSecret(tokens.refreshToken) : null, expiresAt, JSON.stringify(settings || {})]
+    );
+    return result.rows[0];
+}
+
+// GET /api/crm/:provider/callback — OAuth redirect target (no bearer token; identity is in the signed state)
+router.get('/:provider/callback', async function (req, res) {
+    var provider = crm.PROVIDERS[req.params.provider];
+    if (!provider) return res.status(404).json({ error: 'Unknown CRM provider' });
+    try {
+        var state;
+        try {
+            state = jwt.verify(String(req.query.state || ''), stateKey());
+        } catch (e) {
+            return res.status(400).json({ error: 'Invalid or expired authorization state' });
+        }
+        if (state.type !== 'crm_oauth' || state.provider !== provider.id) return res.status(400).json({ error: 'Invalid authorization state' });
+        if (req.query.error || !req.query.code) return res.redirect('/dashboard?crm=' + provider.id + '&crmStatus=denied');
+
+        if (state.teamId && (await getAdminTeamId(state.uid)) !== state.teamId) return res.status(403).json({ error: 'Team admin access required' });
+        var tokens = await provider.exchangeCode(String(req.query.code), crm.redirectUri(provider.id), req.query);
+        if (!tokens.accessToken) return res.redirect('/dashboard?crm=' + provider.id + '&crmStatus=error');
+        var settings = Object.assign({}, tokens.settings, state.module ? { module: state.module } : {});
+        await saveConnection(state.uid, state.teamId || null, provider.id, tokens, settings);
+        res.redirect('/dashboard?crm=' + provider.id + '&crmStatus=connected');
+    } catch (err) {
+        console.error('CRM OAuth callback error:', err.message);
+        res.redirect('/dashboard?crm=' + provider.id + '&crmStatus=error');
+    }
+});
+
+router.use(verifyAuth);
+router.use(blockApiKey);
+router.use(requireNotSuspended);
+
+// GET /api/crm/connections — own and team connections plus provider catalogue
+router.get('/connections', async function (req, res) {
+    try {
+        var uid = req.user.uid;
+        var result = await db.query(
+            "SELECT c.*, " +
+            "(c.team_id IS NULL AND c.user_id = $1) OR EXISTS (SELECT 1 FROM team_members tm JOIN teams t ON t.id = tm.team_id " +
+            "WHERE tm.team_id = c.team_id AND tm.user_id = $1 AND (tm.role = 'admin' OR t.owner_id = $1)) AS can_manage, " +
+            "(SELECT COUNT(*) FROM crm_sync_links s WHERE s.connection_id = c.id AND s.last_error IS NOT NULL) AS failed_count, " +
+            "(SELECT COUNT(*) FROM crm_sync_links s WHERE s.connection_id = c.id AND s.external_id IS NOT NULL) AS synced_count " +
+            "FROM crm_connections c WHERE (c.team_id IS NULL AND c.user_id = $1) OR c.team_id = (SELECT team_id FROM users WHERE id = $1) " +
+            "ORDER BY c.created_at ASC",
+            [uid]
+        );
+        res.json({
+            connections: result.rows.map(function (r) { return formatConnection(r, uid); }),
+            providers: Object.keys(crm.PROVIDERS).map(function (id) {
+                var p = crm.PROVIDERS[id];
+                return { id: id, name: p.name, oauth: !!p.clientId(), defaultMapping: p.defaultMapping({}) };
+            }),
+            leadFields: crm.LEAD_FIELDS,
+            zohoModules: crm.ZOHO_MODULES
+        });
+    } catch (err) {
+        console.error('List CRM connections error:', err);
+        res.status(500).json({ error: 'Failed to load CRM connections' });
+    }
+});
+
+// GET /api/crm/:provider/authorize?team=1&module=Leads — consent URL to open in the browser
+router.get('/:provider/authorize', async function (req, res) {
+    try {
+        var provider = crm.PROVIDERS[req.params.provider];
+        if (!provider) return res.status(404).json({ error: 'Unknown CRM provider' });
+        if (!provider.clientId()) return res.status(400).json({ error: provider.name + ' OAuth is not configured on this server' });
+        var teamId = null;
+        if (req.query.team === '1' || req.query.team === 'true') {
+            teamId = await getAdminTeamId(req.user.uid);
+            if (!teamId) return res.status(403).json({ error: 'Team admin access required' });
+        }
+        var module = req.query.module && crm.ZOHO_MODULES.includes(req.query.module) ? req.query.module : null;
+        var state = jwt.sign({ uid: req.user.uid, teamId: teamId, provider: provider.id, module: module, type: 'crm_oauth' }, stateKey(), { expiresIn: '15m' });
+        res.json({ url: provider.authorizeUrl(state, crm.redirectUri(provider.id)) });
+    } catch (err) {
+        console.error('CRM authorize error:', err);
+        res.status(500).json({ error: 'Failed to start CRM authorization' });
+    }
+});
+
+// POST /api/crm/connections — connect with a token issued by the CRM directly
+// (HubSpot private app token, Zoho self-client token). { provider, accessToken, refreshToken?, expiresIn?, team?, module? }
+router.post('/connections', async function (req, res) {
+    try {
+        var provider = crm.PROVIDERS[req.body.provider];
+        if (!provider) return res.status(400).json({ error: 'provider must be one of: ' + Object.keys(crm.PROVIDERS).join(', ') });
+        var accessToken = req.body.accessToken;
+        if (!accessToken || typeof accessToken !== 'string' || accessToken.length > MAX_TOKEN_LENGTH) return res.status(400).json({ error: 'accessToken required' });
+        if (req.body.refreshToken !== undefined && (typeof req.body.refreshToken !== 'string' || req.body.refreshToken.length > MAX_TOKEN_LENGTH)) {
+            return res.status(400).json({ error: 'Invalid refreshToken' });
+        }
+        if (req.body.module !== undefined && !crm.ZOHO_MODULES.includes(req.body.module)) {
+            return res.status(400).json({ error: 'module must be one of: ' + crm.ZOHO_MODULES.join(', ') });
+        }
+        var teamId = null;
+        if (req.body.team) {
+            teamId = await getAdminTeamId(req.user.uid);
+            if (!teamId) return res.status(403).json({ error: 'Team admin access required' });
+        }
+        var settings = req.body.module ? { module: req.body.module } : {};
+        var expiresIn = parseInt(req.body.expiresIn) || null;
+
+        try {
+            await provider.verify({ provider: provider.id, access_token: mailbox.encryptSecret(accessToken), settings: settings });
+        } catch (err) {
+            return res.status(400).json({ error: provider.name + ' rejected the token: ' + err.message });
+        }
+        var row = await saveConnection(req.user.uid, teamId, provider.id,
+            { accessToken: accessToken, refreshToken: req.body.refreshToken, expiresIn: expiresIn }, settings);
+        res.json(formatConnection(row, req.user.uid));
+    } catch (err) {
+        console.error('Create CRM connection error:', err);
+        res.status(500).json({ error: 'Failed to connect CRM' });
+    }
+});
+
+// PATCH /api/crm/connections/:id — { fieldMapping?, active?, module? }
+// fieldMapping overrides the provider defaults per lead field; null stops syncing that field.
+router.patch('/connections/:id', async function (req, res) {
+    try {
+        var conn = await getManagedConnection(req.user.uid, req.params.id);
+        if (!conn) return res.status(404).json({ error: 'CRM connection not found' });
+
+        var updates = [];
+        var values = [];
+        var idx = 1;
+        if (req.body.fieldMapping !== undefined) {
+            var mappingError = crm.validateMapping(req.body.fieldMapping);
+            if (mappingError) return res.status(400).json({ error: mappingError });
+            updates.push('field_mapping = $' + idx++);
+            values.push(JSON.stringify(req.body.fieldMapping));
+        }
+        if (req.body.module !== undefined) {
+            if (conn.provider !== 'zoho' || !crm.ZOHO_MODULES.includes(req.body.module)) return res.status(400).json({ error: 'Invalid module' });
+            updates.push("settings = settings || jsonb_build_object('module', $" + idx++ + '::text)');
+            values.push(req.body.module);
+        }
+        if (req.body.active !== undefined) {
+            updates.push('active = $' + idx++);
+            values.push(!!req.body.active);
+            if (req.body.active) updates.push('last_error = NULL');
+        }
+        if (updates.length === 0) return res.json(formatConnection(conn, req.user.uid));
+
+        updates.push('updated_at = NOW()');
+        values.push(conn.id);
+        var result = await db.query('UPDATE crm_connections SET ' + updates.join(', ') + ' WHERE id = $' + idx + ' RETURNING *', values);
+        result.rows[0].can_manage = true;
+        res.json(formatConnection(result.rows[0], req.user.uid));
+    } catch (err) {
+        console.error('Update CRM connection error:', err);
+        res.status(500).json({ error: 'Failed to update CRM connection' });
+    }
+});
+
+// DELETE /api/crm/connections/:id — disconnects and forgets the external-id links
+router.delete('/connections/:id', async function (req, res) {
+    try {
+        var conn = await getManagedConnection(req.user.uid, req.params.id);
+        if (!conn) return res.status(404).json({ error: 'CRM connection not found' });
+        await db.query('DELETE FROM crm_connections WHERE id = $1', [conn.id]);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete CRM connection error:', err);
+        res.status(500).json({ error: 'Failed to delete CRM connection' });
+    }
+});
+
+// POST /api/crm/connections/:id/sync — push pending leads now; { all: true } also includes
+// leads captured before the connection was made
+router.post('/connections/:id/sync', async function (req, res) {
+    try {
+        var conn = await getManagedConnection(req.user.uid, req.params.id);
+        if (!conn) return res.status(404).json({ error: 'CRM connection not found' });
+        if (!conn.active) return res.status(400).json({ error: 'Connection is paused — reactivate it first' });
+        if (req.body && req.body.all) {
+            var updated = await db.query("UPDATE crm_connections SET sync_from = '-infinity', updated_at = NOW() WHERE id = $1 RETURNING *", [conn.id]);
+            conn = updated.rows[0];
+        }
+        var result = await crm.processConnection(conn);
+        res.json({ success: true, due: result.due, pushed: result.pushed });
+    } catch (err) {
+        console.error('CRM sync error:', err);
+        res.status(500).json({ error: 'Failed to sync CRM' });
+    }
+});
+
+// GET /api/crm/connections/:id/errors — leads whose last push failed
+router.get('/connections/:id/errors', async function (req, res) {
+    try {
+        var conn = await getManagedConnection(req.user.uid, req.params.id);
+        if (!conn) return res.status(404).json({ error: 'CRM connection not found' });
+        var result = await db.query(
+            "SELECT s.lead_user_id, s.lead_id, s.last_error, s.last_attempt_at, l.data->>'name' AS name, l.data->>'company' AS company " +
+            'FROM crm_sync_links s JOIN leads l ON l.user_id = s.lead_user_id AND l.id = s.lead_id ' +
+            'WHERE s.connection_id = $1 AND s.last_error IS NOT NULL ORDER BY s.last_attempt_at DESC LIMIT 100',
+            [conn.id]
+        );
+        res.json({
+            errors: result.rows.map(function (r) {
+                return { leadId: r.lead_id, userId: r.lead_user_id, name: r.name || '', company: r.company || '', error: r.last_error, lastAttemptAt: r.last_attempt_at };
+            })
+        });
+    } catch (err) {
+        console.error('CRM sync errors error:', err);
+        res.status(500).json({ error: 'Failed to load sync errors' });
+    }
+});
+
+module.exports = router;
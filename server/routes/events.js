@@ -1,7 +1,11 @@
 var express = require('express');
 var db = require('../db');
 var { verifyAuth, requireNotSuspended } = require('../auth');
-var { sendExhibitorInvite } = require('../email');
+var { sendExhibitorInvite, sendEventRegistration } = require('../email');
+var badges = require('../badges');
+var badgePrint = require('../badge-print');
+var registration = require('../registration');
+var eventPayments = require('../event-payments');
 
 var router = express.Router();
 router.use(verifyAuth);
@@ -43,6 +47,7 @@ router.post('/', async function (req, res) {
         // Plan check disabled — all users can create events
 
         // Enforce per-user event limit
+        var planCheck = await db.query('SELECT plan FROM users WHERE id = $1', [req.user.uid]);
         var eventCountResult = await db.query('SELECT COUNT(*) FROM events WHERE organizer_id = $1', [req.user.uid]);
         var maxEvents = planCheck.rows[0].plan === 'business' ? 50 : 10;
         if (parseInt(eventCountResult.rows[0].count) >= maxEvents) {
@@ -66,6 +71,9 @@ router.post('/', async function (req, res) {
         if (b.branding && JSON.stringify(b.branding).length > 50000) return res.status(400).json({ error: 'Branding data too large (max 50KB)' });
         if (b.categories && JSON.stringify(b.categories).length > 50000) return res.status(400).json({ error: 'Categories data too large (max 50KB)' });
         if (b.settings && JSON.stringify(b.settings).length > 50000) return res.status(400).json({ error: 'Settings data too large (max 50KB)' });
+        var parsedSettings = registration.parseSettings(b.settings);
+        if (parsedSettings.error) return res.status(400).json({ error: parsedSettings.error });
+        b.settings = parsedSettings.settings;
 
         if (new Date(b.start_date) > new Date(b.end_date)) {
             return res.status(400).json({ error: 'Start date must be on or before end date' });
@@ -129,7 +137,7 @@ router.get('/', async function (req, res) {
         var result = await db.query(
             `SELECT e.*,
                 (SELECT COUNT(*) FROM event_exhibitors WHERE event_id = e.id) as exhibitor_count,
-                (SELECT COUNT(*) FROM event_attendees WHERE event_id = e.id) as attendee_count
+                (SELECT COUNT(*) FROM event_attendees WHERE event_id = e.id AND status = 'registered') as attendee_count
              FROM events e WHERE e.organizer_id = $1 ORDER BY e.start_date DESC`,
             [req.user.uid]
         );
@@ -150,7 +158,8 @@ router.get('/:id', async function (req, res) {
         var counts = await db.query(
             `SELECT
                 (SELECT COUNT(*) FROM event_exhibitors WHERE event_id = $1) as exhibitor_count,
-                (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1) as attendee_count,
+                (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1 AND status = 'registered') as attendee_count,
+                (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1 AND status = 'waitlisted') as waitlisted_count,
                 (SELECT COUNT(*) FROM event_exhibitors WHERE event_id = $1 AND status = 'approved') as approved_exhibitors,
                 (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1 AND checked_in_at IS NOT NULL) as checked_in_count,
                 (SELECT COUNT(*) FROM booth_visits WHERE event_id = $1) as total_visits`,
@@ -159,9 +168,11 @@ router.get('/:id', async function (req, res) {
 
         event.exhibitor_count = parseInt(counts.rows[0].exhibitor_count) || 0;
         event.attendee_count = parseInt(counts.rows[0].attendee_count) || 0;
+        event.waitlisted_count = parseInt(counts.rows[0].waitlisted_count) || 0;
         event.approved_exhibitors = parseInt(counts.rows[0].approved_exhibitors) || 0;
         event.checked_in_count = parseInt(counts.rows[0].checked_in_count) || 0;
         event.total_visits = parseInt(counts.rows[0].total_visits) || 0;
+        event.ticket_availability = await registration.ticketAvailability(event);
 
         res.json(event);
     } catch (err) {
@@ -190,6 +201,16 @@ router.patch('/:id', async function (req, res) {
         if (b.branding && JSON.stringify(b.branding).length > 50000) return res.status(400).json({ error: 'Branding data too large (max 50KB)' });
         if (b.categories && JSON.stringify(b.categories).length > 50000) return res.status(400).json({ error: 'Categories data too large (max 50KB)' });
         if (b.settings && JSON.stringify(b.settings).length > 50000) return res.status(400).json({ error: 'Settings data too large (max 50KB)' });
+        if (b.settings !== undefined) {
+            var parsedSettings = registration.parseSettings(b.settings);
+            if (parsedSettings.error) return res.status(400).json({ error: parsedSettings.error });
+            b.settings = parsedSettings.settings;
+            // Takings are reported in one currency
+            if (registration.currency(b.settings) !== registration.currency(event.settings)) {
+                var paidCheck = await db.query('SELECT 1 FROM event_payments WHERE event_id = $1 AND paid_at IS NOT NULL LIMIT 1', [event.id]);
+                if (paidCheck.rows.length) return res.status(400).json({ error: 'The currency can\'t change once tickets have been paid for' });
+            }
+        }
 
         // Validate event status against allowed values
         var VALID_EVENT_STATUSES = ['draft', 'published', 'live', 'completed', 'archived'];
@@ -224,6 +245,9 @@ router.patch('/:id', async function (req, res) {
             values
         );
 
+        // Raised capacities (or removed limits) go to the waitlist straight away
+        if (b.settings !== undefined) await registration.promoteWaitlist(event.id);
+
         res.json(result.rows[0]);
     } catch (err) {
         console.error('Update event error:', err);
@@ -237,6 +261,10 @@ router.delete('/:id', async function (req, res) {
         var event = await requireOrganizer(req, res);
         if (!event) return;
 
+        // Keep the payment records that payouts and refunds rely on
+        var paid = await db.query('SELECT 1 FROM event_payments WHERE event_id = $1 AND paid_at IS NOT NULL LIMIT 1', [req.params.id]);
+        if (paid.rows.length) return res.status(409).json({ error: 'Events with paid registrations can\'t be deleted. Archive it instead.' });
+
         await db.query('DELETE FROM events WHERE id = $1', [req.params.id]);
         res.json({ success: true });
     } catch (err) {
@@ -390,23 +418,37 @@ router.delete('/:id/exhibitors/:exhibitorId', async function (req, res) {
 
 // ── Attendee Management (Organizer) ──
 
-// GET /api/events/:id/attendees — list attendees
+// GET /api/events/:id/attendees?search=&status=registered|pending_payment|waitlisted|cancelled&ticket_type=
+// — list attendees, with what they paid (amount_paid, amount_refunded, payment_currency)
 router.get('/:id/attendees', async function (req, res) {
     try {
         var event = await requireOrganizer(req, res);
         if (!event) return;
 
         var search = req.query.search || '';
-        var sql = `SELECT * FROM event_attendees WHERE event_id = $1`;
+        var sql = `SELECT a.*, p.amount AS amount_paid, p.amount_refunded, p.currency AS payment_currency
+                   FROM event_attendees a
+                   LEFT JOIN LATERAL (SELECT amount, amount_refunded, currency FROM event_payments
+                                      WHERE attendee_id = a.id AND paid_at IS NOT NULL ORDER BY paid_at DESC LIMIT 1) p ON true
+                   WHERE a.event_id = $1`;
         var params = [req.params.id];
 
         if (search) {
             var escapedSearch = search.replace(/%/g, '\\%').replace(/_/g, '\\_');
-            sql += ` AND (name ILIKE $2 OR email ILIKE $2 OR company ILIKE $2 OR badge_code ILIKE $2)`;
             params.push('%' + escapedSearch + '%');
+            sql += ' AND (a.name ILIKE $' + params.length + ' OR a.email ILIKE $' + params.length + ' OR a.company ILIKE $' + params.length + ' OR a.badge_code ILIKE $' + params.length + ')';
+        }
+        if (req.query.status) {
+            if (!registration.STATUSES.includes(req.query.status)) return res.status(400).json({ error: 'status must be one of ' + registration.STATUSES.join(', ') });
+            params.push(req.query.status);
+            sql += ' AND a.status = $' + params.length;
+        }
+        if (req.query.ticket_type) {
+            params.push(String(req.query.ticket_type));
+            sql += ' AND a.ticket_type = $' + params.length;
         }
 
-        sql += ' ORDER BY registered_at DESC';
+        sql += ' ORDER BY a.registered_at DESC';
 
         var result = await db.query(sql, params);
         res.json(result.rows);
@@ -416,6 +458,99 @@ router.get('/:id/attendees', async function (req, res) {
     }
 });
 
+// POST /api/events/:id/attendees/:attendeeId/badge/revoke — the badge (code and QR) stops working
+router.post('/:id/attendees/:attendeeId/badge/revoke', async function (req, res) {
+    try {
+        var event = await requireOrganizer(req, res);
+        if (!event) return;
+
+        var attendee = await badges.revoke(event.id, req.params.attendeeId);
+        if (!attendee) return res.status(404).json({ error: 'Attendee not found' });
+        res.json({ success: true, attendee: attendee });
+    } catch (err) {
+        console.error('Revoke badge error:', err);
+        res.status(500).json({ error: 'Failed to revoke badge' });
+    }
+});
+
+// POST /api/events/:id/attendees/:attendeeId/badge/reissue { notify? } — new badge code and QR
+// (the old ones stop working); emails the new badge link unless notify is false
+router.post('/:id/attendees/:attendeeId/badge/reissue', async function (req, res) {
+    try {
+        var event = await requireOrganizer(req, res);
+        if (!event) return;
+
+        var reissued = await badges.reissue(event.id, req.params.attendeeId);
+        if (!reissued) return res.status(404).json({ error: 'Attendee not found' });
+
+        var badgePath = badges.badgePath(event.slug, reissued.token);
+        if (req.body.notify !== false && reissued.attendee.email) {
+            var baseUrl = process.env.BASE_URL || 'https://card.cardflow.cloud';
+            sendEventRegistration(reissued.attendee.email, reissued.attendee.name, event.name, baseUrl + badgePath).catch(function (e) {
+                console.error('Badge reissue email error:', e.message);
+            });
+        }
+
+        res.json({ attendee: reissued.attendee, badge_token: reissued.token, badge_url: badgePath });
+    } catch (err) {
+        console.error('Reissue badge error:', err);
+        res.status(500).json({ error: 'Failed to reissue badge' });
+    }
+});
+
+// POST /api/events/:id/attendees/:attendeeId/cancel — cancel a registration (or waitlist place);
+// the place goes to the next person on the waitlist
+router.post('/:id/attendees/:attendeeId/cancel', async function (req, res) {
+    try {
+        var event = await requireOrganizer(req, res);
+        if (!event) return;
+
+        var attendee = await registration.cancel(event.id, req.params.attendeeId);
+        if (!attendee) return res.status(404).json({ error: 'Attendee not found' });
+        res.json({ success: true, attendee: attendee });
+    } catch (err) {
+        console.error('Cancel attendee error:', err);
+        res.status(500).json({ error: 'Failed to cancel registration' });
+    }
+});
+
+// POST /api/events/:id/attendees/:attendeeId/refund { amount?, cancel?, reason? } — refund the
+// attendee's payment through Razorpay: all of what's left by default, or amount (smallest currency
+// unit). cancel also cancels the registration, giving the place to the waitlist.
+router.post('/:id/attendees/:attendeeId/refund', async function (req, res) {
+    try {
+        var event = await requireOrganizer(req, res);
+        if (!event) return;
+
+        var b = req.body || {};
+        if (b.cancel !== undefined && typeof b.cancel !== 'boolean') return res.status(400).json({ error: 'cancel must be true or false' });
+        var result = await eventPayments.refund(event, req.params.attendeeId, {
+            amount: b.amount, cancel: b.cancel === true, reason: b.reason, userId: req.user.uid
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json({ success: true, refund: result.refund, payment: result.payment, attendee: result.attendee });
+    } catch (err) {
+        console.error('Refund attendee error:', err);
+        res.status(500).json({ error: 'Failed to refund payment' });
+    }
+});
+
+// POST /api/events/:id/attendees/:attendeeId/promote — take someone off the waitlist now, even
+// over capacity; they're emailed their badge (or, on paid tickets, a link to pay)
+router.post('/:id/attendees/:attendeeId/promote', async function (req, res) {
+    try {
+        var event = await requireOrganizer(req, res);
+        if (!event) return;
+
+        var attendee = await registration.promote(event, req.params.attendeeId);
+        if (!attendee) return res.status(404).json({ error: 'No waitlisted attendee with that id' });
+        res.json({ success: true, attendee: attendee });
+    } catch (err) {
+        console.error('Promote attendee error:', err);
+        res.status(500).json({ error: 'Failed to promote attendee' });
+    }
+});
+
 // GET /api/events/:id/attendees/export — CSV export
 router.get('/:id/attendees/export', async function (req, res) {
     try {
@@ -423,16 +558,32 @@ router.get('/:id/attendees/export', async function (req, res) {
         if (!event) return;
 
         var result = await db.query(
-            'SELECT name, email, phone, company, title, badge_code, registered_at, checked_in_at FROM event_attendees WHERE event_id = $1 ORDER BY registered_at',
+            `SELECT a.name, a.email, a.phone, a.company, a.title, a.badge_code, a.ticket_type, a.status, a.answers, a.registered_at, a.checked_in_at,
+                    (SELECT SUM(amount) FROM event_payments WHERE attendee_id = a.id AND paid_at IS NOT NULL) AS amount_paid,
+                    (SELECT SUM(amount_refunded) FROM event_payments WHERE attendee_id = a.id AND paid_at IS NOT NULL) AS amount_refunded
+             FROM event_attendees a WHERE a.event_id = $1 ORDER BY a.registered_at`,
             [req.params.id]
         );
 
-        var csv = 'Name,Email,Phone,Company,Title,Badge Code,Registered,Checked In\n';
+        // One column per registration question, after the fixed ones
+        var typeNames = {};
+        registration.ticketTypes(event.settings).forEach(function (t) { typeNames[t.id] = t.name; });
+        var questions = registration.formFields(event.settings);
+        var csv = ['Name', 'Email', 'Phone', 'Company', 'Title', 'Badge Code', 'Ticket Type', 'Status', 'Registered', 'Checked In', 'Paid', 'Refunded']
+            .concat(questions.map(function (q) { return csvSafe(q.label); })).join(',') + '\n';
         result.rows.forEach(function (r) {
+            var answers = r.answers || {};
             csv += [r.name, r.email, r.phone, r.company, r.title, r.badge_code,
+                r.ticket_type ? typeNames[r.ticket_type] || r.ticket_type : '', r.status,
                 r.registered_at ? new Date(r.registered_at).toISOString() : '',
-                r.checked_in_at ? new Date(r.checked_in_at).toISOString() : ''
-            ].map(csvSafe).join(',') + '\n';
+                r.checked_in_at ? new Date(r.checked_in_at).toISOString() : '',
+                r.amount_paid ? (r.amount_paid / 100).toFixed(2) : '', r.amount_refunded > 0 ? (r.amount_refunded / 100).toFixed(2) : ''
+            ].concat(questions.map(function (q) {
+                var a = answers[q.id];
+                if (a === undefined || a === null) return '';
+                if (Array.isArray(a)) return a.join('; ');
+                return a === true ? 'Yes' : a;
+            })).map(csvSafe).join(',') + '\n';
         });
 
         res.setHeader('Content-Type', 'text/csv');
@@ -444,9 +595,171 @@ router.get('/:id/attendees/export', async function (req, res) {
     }
 });
 
+// ── Printable Badges (Organizer) ──
+
+var MAX_PRINT_BADGES = 2000;
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Saved template (events.settings.badge_template) with any overrides from the request
+function badgeTemplate(event, input) {
+    var saved = event.settings && event.settings.badge_template;
+    var base = badgePrint.parseTemplate(saved && typeof saved === 'object' ? saved : {});
+    return badgePrint.parseTemplate(input, base.template);
+}
+
+// Attendee rows → badge-print items, each with a freshly signed QR. The printed code is left
+// off where the event only accepts signed badges (it would not get anyone in).
+async function badgeItems(event, attendees, template) {
+    var baseUrl = process.env.BASE_URL || 'https://card.cardflow.cloud';
+    var showCode = template.show_code && !badges.signedOnly(event.settings);
+    var items = [];
+    for (var i = 0; i < attendees.length; i++) {
+        var a = attendees[i];
+        var token = await badges.issueToken(a);
+        items.push({
+            name: a.name,
+            company: template.show_company ? a.company : null,
+            title: template.show_title ? a.title : null,
+            code: showCode ? a.badge_code : null,
+            url: baseUrl + badges.badgePath(event.slug, token)
+        });
+    }
+    return items;
+}
+
+// Send badges as a PDF or ZPL download (inline for single badges, so the browser can print it)
+async function sendBadges(res, event, items, template, format, filename, inline) {
+    var disposition = (inline ? 'inline' : 'attachment') + '; filename="' + filename;
+    if (format === 'zpl') {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Content-Disposition', disposition + '.zpl"');
+        return res.send(badgePrint.renderZpl(event, items, template));
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', disposition + '.pdf"');
+    await badgePrint.renderPdf(event, items, template, res);
+}
+
+// GET /api/events/:id/badges/template — the event's badge template and the available options
+router.get('/:id/badges/template', async function (req, res) {
+    try {
+        var event = await requireOrganizer(req, res);
+        if (!event) return;
+
+        res.json({
+            template: badgeTemplate(event, {}).template,
+            sizes: badgePrint.SIZES,
+            papers: badgePrint.PAPERS,
+            dpis: badgePrint.DPIS,
+            signed_badges_only: badges.signedOnly(event.settings)
+        });
+    } catch (err) {
+        console.error('Badge template load error:', err);
+        res.status(500).json({ error: 'Failed to load badge template' });
+    }
+});
+
+// PUT /api/events/:id/badges/template { size, paper, label, color, show_logo, show_company,
+// show_title, show_code, dpi } — save the event's default badge template
+router.put('/:id/badges/template', async function (req, res) {
+    try {
+        var event = await requireOrganizer(req, res);
+        if (!event) return;
+
+        var parsed = badgeTemplate(event, req.body || {});
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        await db.query(
+            `UPDATE events SET settings = jsonb_set(COALESCE(settings, '{}'::jsonb), '{badge_template}', $1::jsonb), updated_at = NOW() WHERE id = $2`,
+            [JSON.stringify(parsed.template), event.id]
+        );
+        res.json({ template: parsed.template });
+    } catch (err) {
+        console.error('Badge template save error:', err);
+        res.status(500).json({ error: 'Failed to save badge template' });
+    }
+});
+
+// GET /api/events/:id/badges?format=pdf|zpl&status=all|checked_in|not_checked_in&ids=&registered_after=
+// — bulk badges for printing, ordered by registration. Template fields can be overridden in the
+// query (size, paper, label, color...). Revoked badges, the waitlist and cancellations are left out.
+router.get('/:id/badges', async function (req, res) {
+    try {
+        var event = await requireOrganizer(req, res);
+        if (!event) return;
+
+        var format = req.query.format || 'pdf';
+        if (format !== 'pdf' && format !== 'zpl') return res.status(400).json({ error: 'format must be pdf or zpl' });
+        var parsed = badgeTemplate(event, req.query);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        var sql = "SELECT * FROM event_attendees WHERE event_id = $1 AND badge_revoked_at IS NULL AND status = 'registered'";
+        var params = [event.id];
+        var status = req.query.status || 'all';
+        if (status === 'checked_in') sql += ' AND checked_in_at IS NOT NULL';
+        else if (status === 'not_checked_in') sql += ' AND checked_in_at IS NULL';
+        else if (status !== 'all') return res.status(400).json({ error: 'status must be all, checked_in or not_checked_in' });
+        if (req.query.ids) {
+            var ids = String(req.query.ids).split(',').map(function (id) { return id.trim(); }).filter(Boolean);
+            if (ids.length === 0 || ids.length > MAX_PRINT_BADGES || !ids.every(function (id) { return UUID_RE.test(id); })) {
+                return res.status(400).json({ error: 'ids must be a comma-separated list of attendee ids' });
+            }
+            params.push(ids);
+            sql += ' AND id = ANY($' + params.length + '::uuid[])';
+        }
+        if (req.query.registered_after) {
+            var after = new Date(req.query.registered_after);
+            if (isNaN(after.getTime())) return res.status(400).json({ error: 'registered_after must be a date' });
+            params.push(after);
+            sql += ' AND registered_at > $' + params.length;
+        }
+        params.push(MAX_PRINT_BADGES + 1);
+        sql += ' ORDER BY registered_at, name LIMIT $' + params.length;
+
+        var result = await db.query(sql, params);
+        if (result.rows.length > MAX_PRINT_BADGES) {
+            return res.status(400).json({ error: 'Too many badges for one file (max ' + MAX_PRINT_BADGES + '). Narrow it down with registered_after or ids.' });
+        }
+
+        var items = await badgeItems(event, result.rows, parsed.template);
+        await sendBadges(res, event, items, parsed.template, format, 'badges-' + event.slug, false);
+    } catch (err) {
+        console.error('Print badges error:', err);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to generate badges' });
+    }
+});
+
+// GET /api/events/:id/badges/:attendeeId?format=pdf|zpl — one badge, e.g. printed on demand at
+// check-in. Uses the saved template; overrides as above.
+router.get('/:id/badges/:attendeeId', async function (req, res) {
+    try {
+        var event = await requireOrganizer(req, res);
+        if (!event) return;
+
+        var format = req.query.format || 'pdf';
+        if (format !== 'pdf' && format !== 'zpl') return res.status(400).json({ error: 'format must be pdf or zpl' });
+        var parsed = badgeTemplate(event, Object.assign({}, req.query, { paper: req.query.paper || 'badge' }));
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        if (!UUID_RE.test(req.params.attendeeId)) return res.status(404).json({ error: 'Attendee not found' });
+
+        var result = await db.query('SELECT * FROM event_attendees WHERE id = $1 AND event_id = $2', [req.params.attendeeId, event.id]);
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Attendee not found' });
+        if (result.rows[0].badge_revoked_at) return res.status(403).json({ error: 'This badge has been revoked' });
+        if (result.rows[0].status !== 'registered') return res.status(403).json({ error: 'This attendee is ' + result.rows[0].status });
+
+        var items = await badgeItems(event, result.rows, parsed.template);
+        await sendBadges(res, event, items, parsed.template, format, 'badge-' + result.rows[0].badge_code, true);
+    } catch (err) {
+        console.error('Print badge error:', err);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to generate badge' });
+    }
+});
+
 // ── Event Analytics (Organizer) ──
 
-// GET /api/events/:id/analytics — event-wide stats
+// GET /api/events/:id/analytics — event-wide stats, with ticket revenue and the organizer's payout
 router.get('/:id/analytics', async function (req, res) {
     try {
         var event = await requireOrganizer(req, res);
@@ -454,7 +767,10 @@ router.get('/:id/analytics', async function (req, res) {
 
         var stats = await db.query(
             `SELECT
-                (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1) as total_registrations,
+                (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1 AND status = 'registered') as total_registrations,
+                (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1 AND status = 'pending_payment') as total_pending_payment,
+                (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1 AND status = 'waitlisted') as total_waitlisted,
+                (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1 AND status = 'cancelled') as total_cancelled,
                 (SELECT COUNT(*) FROM event_attendees WHERE event_id = $1 AND checked_in_at IS NOT NULL) as total_checkins,
                 (SELECT COUNT(*) FROM booth_visits WHERE event_id = $1) as total_booth_visits,
                 (SELECT COUNT(*) FROM event_exhibitors WHERE event_id = $1 AND status = 'approved') as total_exhibitors`,
@@ -493,6 +809,8 @@ router.get('/:id/analytics', async function (req, res) {
 
         res.json({
             overview: stats.rows[0],
+            ticket_types: await registration.ticketAvailability(event),
+            revenue: await eventPayments.revenueReport(event),
             top_exhibitors: topExhibitors.rows,
             hourly_traffic: hourlyTraffic.rows,
             categories: categories.rows
@@ -511,27 +829,32 @@ router.post('/:id/checkin', async function (req, res) {
         var event = await requireOrganizer(req, res);
         if (!event) return;
 
-        var badgeCode = (req.body.badge_code || '').trim().toUpperCase();
-        if (!badgeCode) return res.status(400).json({ error: 'badge_code is required' });
+        // badge_code: the printed code, a signed badge token, or the badge URL from the QR
+        var badgeInput = (req.body.badge_code || '').trim();
+        if (!badgeInput) return res.status(400).json({ error: 'badge_code is required' });
+
+        var found = await badges.resolveBadge(badgeInput, req.params.id);
+        if (found.error) return res.status(found.status).json({ error: found.error });
 
         var result = await db.query(
-            'UPDATE event_attendees SET checked_in_at = NOW() WHERE event_id = $1 AND badge_code = $2 AND checked_in_at IS NULL RETURNING *',
-            [req.params.id, badgeCode]
+            'UPDATE event_attendees SET checked_in_at = NOW() WHERE id = $1 AND checked_in_at IS NULL RETURNING *',
+            [found.attendee.id]
         );
 
+        // Links to print the badge at the desk; print: 'zpl' also returns the label itself for a
+        // kiosk that drives a thermal printer directly
+        var printPath = '/api/events/' + event.id + '/badges/' + found.attendee.id;
+        var out = { badge_print: { pdf: printPath + '?format=pdf', zpl: printPath + '?format=zpl' } };
+        if (req.body.print === 'zpl') {
+            var template = badgeTemplate(event, {}).template;
+            out.badge_zpl = badgePrint.renderZpl(event, await badgeItems(event, [found.attendee], template), template);
+        }
+
         if (result.rows.length === 0) {
-            // Check if already checked in
-            var existing = await db.query(
-                'SELECT checked_in_at FROM event_attendees WHERE event_id = $1 AND badge_code = $2',
-                [req.params.id, badgeCode]
-            );
-            if (existing.rows.length > 0 && existing.rows[0].checked_in_at) {
-                return res.json({ already_checked_in: true, attendee: existing.rows[0] });
-            }
-            return res.status(404).json({ error: 'Badge not found for this event' });
+            return res.json(Object.assign({ already_checked_in: true, attendee: { checked_in_at: found.attendee.checked_in_at } }, out));
         }
 
-        res.json({ success: true, attendee: result.rows[0] });
+        res.json(Object.assign({ success: true, attendee: result.rows[0] }, out));
     } catch (err) {
         console.error('Check-in error:', err);
         res.status(500).json({ error: 'Failed to check in' });
@@ -1,8 +1,12 @@
 var express = require('express');
+var crypto = require('crypto');
 var db = require('../db');
 var sse = require('../sse');
 var { verifyAuth, requireNotSuspended } = require('../auth');
 var { sendPush } = require('../push');
+var webhooks = require('../webhooks');
+var dedupe = require('../dedupe');
+var badges = require('../badges');
 
 var router = express.Router();
 router.use(verifyAuth);
@@ -110,20 +114,19 @@ router.patch('/event/:eventId', async function (req, res) {
 
 // ── Badge Lookup (Authenticated) ──
 
-// GET /api/exhibitor/badge/:code — full badge lookup (requires approved exhibitor for the event)
+// GET /api/exhibitor/badge/:code — full badge lookup (requires approved exhibitor for the event).
+// :code is the printed badge code or the signed token from the badge QR.
 router.get('/badge/:code', async function (req, res) {
     try {
-        var result = await db.query(
-            `SELECT ea.name, ea.email, ea.phone, ea.company, ea.title, ea.badge_code, ea.event_id,
-                    e.name as event_name, e.slug as event_slug
-             FROM event_attendees ea
-             JOIN events e ON e.id = ea.event_id
-             WHERE ea.badge_code = $1`,
-            [req.params.code.toUpperCase()]
-        );
-        if (result.rows.length === 0) return res.status(404).json({ error: 'Badge not found' });
-
-        var badge = result.rows[0];
+        var found = await badges.resolveBadge(req.params.code, null);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+        var att = found.attendee;
+        var event = await db.query('SELECT name, slug FROM events WHERE id = $1', [att.event_id]);
+        var badge = {
+            name: att.name, email: att.email, phone: att.phone, company: att.company, title: att.title,
+            badge_code: att.badge_code, event_id: att.event_id,
+            event_name: event.rows[0].name, event_slug: event.rows[0].slug, signed: found.signed
+        };
 
         // Verify caller is an approved exhibitor for this event, or the event organizer
         var exCheck = await db.query(
@@ -149,6 +152,105 @@ router.get('/badge/:code', async function (req, res) {
 
 // ── Badge Scanning ──
 
+var DUPLICATE_WINDOW_MINUTES = 5;           // same attendee at the same booth within this → duplicate visit
+var ROSTER_TTL_MS = 24 * 60 * 60 * 1000;
+var MAX_BATCH_SCANS = 200;
+var MAX_OFFLINE_SCAN_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+var MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+var CLIENT_SCAN_ID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Visit by this attendee at this booth within DUPLICATE_WINDOW_MINUTES of `at`, or null
+async function findDuplicateVisit(exhibitorId, attendeeId, at) {
+    var result = await db.query(
+        'SELECT bv.*, ea.name, ea.email, ea.company, ea.title, ea.badge_code FROM booth_visits bv LEFT JOIN event_attendees ea ON ea.id = bv.attendee_id ' +
+        "WHERE bv.exhibitor_id = $1 AND bv.attendee_id = $2 AND bv.created_at > $3::timestamptz - INTERVAL '" + DUPLICATE_WINDOW_MINUTES + " minutes' " +
+        "AND bv.created_at < $3::timestamptz + INTERVAL '" + DUPLICATE_WINDOW_MINUTES + " minutes' ORDER BY bv.created_at DESC LIMIT 1",
+        [exhibitorId, attendeeId, at]
+    );
+    return result.rows[0] || null;
+}
+
+// Record a booth visit and the lead for it, then notify (SSE, webhooks, and a push unless opts.quiet).
+// opts: { data, notes, scannedAt (offline scans: the device's time), clientScanId }.
+// Returns { visit, leadId }, or null when a visit with this clientScanId already exists.
+async function createVisit(uid, eventId, exhibitor, att, opts) {
+    var leadId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    var offline = !!opts.clientScanId;
+
+    // Create booth visit record
+    var visit = await db.query(
+        `INSERT INTO booth_visits (event_id, exhibitor_id, attendee_id, visitor_id, scanned_by, data, lead_id, created_at, client_scan_id, synced_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()), $9, CASE WHEN $10 THEN NOW() END)
+         ON CONFLICT (exhibitor_id, client_scan_id) WHERE client_scan_id IS NOT NULL DO NOTHING RETURNING *`,
+        [
+            eventId, exhibitor.id, att.id, att.visitor_id,
+            uid,
+            JSON.stringify(opts.data || {}),
+            leadId, opts.scannedAt || null, opts.clientScanId || null, offline
+        ]
+    );
+    if (visit.rows.length === 0) return null;
+
+    // Lead limit check disabled — all plans get unlimited leads
+
+    // Create lead in existing leads table for CRM integration
+    var leadData = {
+        name: att.name,
+        email: att.email || '',
+        phone: att.phone || '',
+        company: att.company || '',
+        title: att.title || '',
+        source: 'badge_scan',
+        event_id: eventId,
+        booth_number: exhibitor.booth_number,
+        badge_code: att.badge_code,
+        notes: (opts.notes || '').substring(0, 5000)
+    };
+    if (offline) leadData.ts = new Date(opts.scannedAt).getTime();
+
+    await db.query(
+        'INSERT INTO leads (user_id, id, data, visitor_id, created_at, updated_at) VALUES ($1, $2, $3, $4, COALESCE($5, NOW()), NOW()) ON CONFLICT (user_id, id) DO NOTHING',
+        [uid, leadId, JSON.stringify(leadData), att.visitor_id, opts.scannedAt || null]
+    );
+
+    // Repeat visitor: fold into their existing lead when auto-merge is enabled
+    var merged = await dedupe.autoMergeOnCapture(uid, leadId, leadData);
+    if (merged) {
+        leadId = merged.id;
+        visit.rows[0].lead_id = merged.id;
+    }
+
+    // SSE: notify exhibitor's booth dashboard (sanitized — no email PII)
+    sse.publish('booth:' + eventId + ':' + exhibitor.id, {
+        type: 'new_scan',
+        visit: visit.rows[0],
+        attendee: { name: att.name, company: att.company || '', title: att.title || '' },
+        lead_id: leadId
+    });
+
+    // SSE: notify exhibitor's leads stream (non-sensitive fields only)
+    sse.publish('leads:' + uid, { id: leadId, data: { name: leadData.name || '', cardName: '' } });
+
+    // Push notification (background)
+    if (!opts.quiet) {
+        sendPush(uid, {
+            title: 'Badge Scanned',
+            body: att.name + (att.company ? ' from ' + att.company : '') + ' visited your booth'
+        }).catch(function () {});
+    }
+
+    webhooks.emit(uid, 'badge.scanned', {
+        event_id: eventId,
+        visit_id: visit.rows[0].id,
+        booth_number: exhibitor.booth_number,
+        badge_code: att.badge_code,
+        lead: webhooks.leadPayload(leadId, leadData)
+    });
+
+    return { visit: visit.rows[0], leadId: leadId };
+}
+
 // In-memory debounce cache for badge scans: key = "exhibitorId:badgeCode" => timestamp
 var scanDebounce = {};
 // Clean up debounce cache every 5 minutes
@@ -162,8 +264,11 @@ setInterval(function () {
 // POST /api/exhibitor/event/:eventId/scan — scan a badge code
 router.post('/event/:eventId/scan', async function (req, res) {
     try {
-        var badgeCode = (req.body.badge_code || '').trim().toUpperCase();
-        if (!badgeCode) return res.status(400).json({ error: 'badge_code is required' });
+        // badge_code: the printed code, a signed badge token, or the badge URL from the QR
+        var badgeInput = (req.body.badge_code || '').trim();
+        if (!badgeInput) return res.status(400).json({ error: 'badge_code is required' });
+        var parsedBadge = badges.parseBadgeInput(badgeInput);
+        if (!parsedBadge) return res.status(400).json({ error: 'Not a valid badge code' });
 
         // Verify exhibitor
         var exCheck = await db.query(
@@ -185,7 +290,7 @@ router.post('/event/:eventId/scan', async function (req, res) {
         }
 
         // Fix #6: In-memory debounce — same badge scanned by same exhibitor within 30 seconds
-        var debounceKey = exhibitor.id + ':' + badgeCode;
+        var debounceKey = exhibitor.id + ':' + (parsedBadge.token || parsedBadge.code);
         if (scanDebounce[debounceKey] && (Date.now() - scanDebounce[debounceKey]) < 30000) {
             // Return existing recent visit instead of creating duplicate
             var recentVisit = await db.query(
@@ -205,25 +310,19 @@ router.post('/event/:eventId/scan', async function (req, res) {
             }
         }
 
-        // Look up attendee by badge code
-        var attendee = await db.query(
-            'SELECT * FROM event_attendees WHERE badge_code = $1 AND event_id = $2',
-            [badgeCode, req.params.eventId]
-        );
-        if (attendee.rows.length === 0) return res.status(404).json({ error: 'Badge not found for this event' });
-        var att = attendee.rows[0];
+        // Look up attendee by badge code or token (checks the signature and revocation)
+        var found = await badges.resolveBadge(badgeInput, req.params.eventId);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+        var att = found.attendee;
 
         // Fix #7: Check for duplicate visit within last 5 minutes (database-level)
-        var dupVisit = await db.query(
-            "SELECT bv.*, ea.name, ea.email, ea.company, ea.title, ea.badge_code FROM booth_visits bv LEFT JOIN event_attendees ea ON ea.id = bv.attendee_id WHERE bv.exhibitor_id = $1 AND bv.attendee_id = $2 AND bv.created_at > NOW() - INTERVAL '5 minutes' LIMIT 1",
-            [exhibitor.id, att.id]
-        );
-        if (dupVisit.rows.length > 0) {
+        var dupVisit = await findDuplicateVisit(exhibitor.id, att.id, new Date());
+        if (dupVisit) {
             scanDebounce[debounceKey] = Date.now();
             return res.json({
                 duplicate: true,
-                visit: dupVisit.rows[0],
-                attendee: { name: dupVisit.rows[0].name, email: dupVisit.rows[0].email, company: dupVisit.rows[0].company, title: dupVisit.rows[0].title, badge_code: dupVisit.rows[0].badge_code }
+                visit: dupVisit,
+                attendee: { name: dupVisit.name, email: dupVisit.email, company: dupVisit.company, title: dupVisit.title, badge_code: dupVisit.badge_code }
             });
         }
 
@@ -233,67 +332,198 @@ router.post('/event/:eventId/scan', async function (req, res) {
             return res.status(400).json({ error: 'Scan data too large (max 50KB)' });
         }
 
-        // Create booth visit record
-        var visit = await db.query(
-            `INSERT INTO booth_visits (event_id, exhibitor_id, attendee_id, visitor_id, scanned_by, data)
-             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-            [
-                req.params.eventId, exhibitor.id, att.id, att.visitor_id,
-                req.user.uid,
-                JSON.stringify(scanData)
-            ]
-        );
+        var created = await createVisit(req.user.uid, req.params.eventId, exhibitor, att, { data: scanData, notes: req.body.notes });
 
         // Update debounce cache
         scanDebounce[debounceKey] = Date.now();
 
-        // Lead limit check disabled — all plans get unlimited leads
-
-        // Create lead in existing leads table for CRM integration
-        var leadId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-        var leadData = {
-            name: att.name,
-            email: att.email || '',
-            phone: att.phone || '',
-            company: att.company || '',
-            title: att.title || '',
-            source: 'badge_scan',
+        res.status(201).json({
+            visit: created.visit,
+            attendee: { name: att.name, email: att.email, company: att.company, title: att.title, badge_code: att.badge_code },
+            lead_id: created.leadId
+        });
+    } catch (err) {
+        console.error('Badge scan error:', err);
+        res.status(500).json({ error: 'Failed to process badge scan' });
+    }
+});
+
+// ── Offline Scanning ──
+// The booth dashboard keeps a signed roster snapshot and queues scans on the device while the
+// hall has no connectivity, then uploads them in batches. Each queued scan carries a client id
+// so a batch can be retried safely.
+
+function rosterSignature(roster) {
+    var payload = ['roster', roster.event_id, roster.exhibitor_id, roster.issued_at, roster.expires_at, roster.digest].join('.');
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(payload).digest('base64url');
+}
+
+function rosterSignatureValid(roster) {
+    if (!roster || typeof roster !== 'object' || typeof roster.signature !== 'string') return false;
+    var expected = Buffer.from(rosterSignature(roster));
+    var given = Buffer.from(roster.signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// GET /api/exhibitor/event/:eventId/roster — badge roster snapshot (id, code, badge revision, name,
+// company, title; revoked badges left out), the event's badge public key and signed_badges_only,
+// for checking badges and showing who was scanned while offline. The client sends back the
+// roster's event_id, exhibitor_id, issued_at, expires_at, digest and signature with batch uploads.
+router.get('/event/:eventId/roster', async function (req, res) {
+    try {
+        if (!UUID_RE.test(req.params.eventId)) return res.status(403).json({ error: 'Not an approved exhibitor for this event' });
+        var exCheck = await db.query(
+            "SELECT ex.id, e.status, e.settings FROM event_exhibitors ex JOIN events e ON e.id = ex.event_id WHERE ex.event_id = $1 AND ex.user_id = $2 AND ex.status = 'approved'",
+            [req.params.eventId, req.user.uid]
+        );
+        if (exCheck.rows.length === 0) return res.status(403).json({ error: 'Not an approved exhibitor for this event' });
+        if (exCheck.rows[0].status !== 'live' && exCheck.rows[0].status !== 'published') {
+            return res.status(403).json({ error: 'Badge scanning is only available for live or published events' });
+        }
+
+        var attendees = await db.query(
+            'SELECT id, badge_code, badge_revision, name, company, title FROM event_attendees ' +
+            "WHERE event_id = $1 AND badge_code IS NOT NULL AND badge_revoked_at IS NULL AND status = 'registered' ORDER BY badge_code",
+            [req.params.eventId]
+        );
+        var badgeKey = await badges.publicKeyInfo(req.params.eventId);
+        var issuedAt = new Date();
+        var roster = {
             event_id: req.params.eventId,
-            booth_number: exhibitor.booth_number,
-            badge_code: badgeCode,
-            notes: (req.body.notes || '').substring(0, 5000)
+            exhibitor_id: exCheck.rows[0].id,
+            issued_at: issuedAt.toISOString(),
+            expires_at: new Date(issuedAt.getTime() + ROSTER_TTL_MS).toISOString(),
+            digest: crypto.createHash('sha256').update(JSON.stringify(attendees.rows)).digest('hex'),
+            count: attendees.rows.length
         };
+        res.json(Object.assign({ signature: rosterSignature(roster), attendees: attendees.rows, badge_key: badgeKey,
+            signed_badges_only: badges.signedOnly(exCheck.rows[0].settings) }, roster));
+    } catch (err) {
+        console.error('Badge roster error:', err);
+        res.status(500).json({ error: 'Failed to load badge roster' });
+    }
+});
 
-        await db.query(
-            'INSERT INTO leads (user_id, id, data, visitor_id, created_at, updated_at) VALUES ($1, $2, $3, $4, NOW(), NOW()) ON CONFLICT (user_id, id) DO NOTHING',
-            [req.user.uid, leadId, JSON.stringify(leadData), att.visitor_id]
+// POST /api/exhibitor/event/:eventId/scans/batch — upload scans captured offline
+// Body: { roster?: { event_id, exhibitor_id, issued_at, expires_at, digest, signature }, scans: [{ client_scan_id, badge_code, scanned_at, notes?, data? }] }
+// Every scan gets a result: created | already_synced (this client_scan_id was uploaded before) |
+// duplicate (the attendee already has a visit within 5 minutes; conflict describes it) |
+// not_found | revoked (badge revoked or reissued) | invalid (includes bad signatures and plain codes
+// where the event requires signed badges). error results are safe to retry.
+router.post('/event/:eventId/scans/batch', async function (req, res) {
+    try {
+        if (!UUID_RE.test(req.params.eventId)) return res.status(403).json({ error: 'Not an approved exhibitor for this event' });
+        var exCheck = await db.query(
+            'SELECT id, company_name, booth_number FROM event_exhibitors WHERE event_id = $1 AND user_id = $2 AND status = $3',
+            [req.params.eventId, req.user.uid, 'approved']
         );
+        if (exCheck.rows.length === 0) return res.status(403).json({ error: 'Not an approved exhibitor for this event' });
+        var exhibitor = exCheck.rows[0];
 
-        // SSE: notify exhibitor's booth dashboard (sanitized — no email PII)
-        sse.publish('booth:' + req.params.eventId + ':' + exhibitor.id, {
-            type: 'new_scan',
-            visit: visit.rows[0],
-            attendee: { name: att.name, company: att.company || '', title: att.title || '' },
-            lead_id: leadId
-        });
-
-        // SSE: notify exhibitor's leads stream (non-sensitive fields only)
-        sse.publish('leads:' + req.user.uid, { id: leadId, data: { name: leadData.name || '', cardName: '' } });
+        var eventCheck = await db.query('SELECT status FROM events WHERE id = $1', [req.params.eventId]);
+        if (eventCheck.rows.length === 0) return res.status(404).json({ error: 'Event not found' });
+        // Scans taken before the event was closed still count when they are uploaded afterwards
+        if (['live', 'published', 'completed'].indexOf(eventCheck.rows[0].status) === -1) {
+            return res.status(403).json({ error: 'Badge scanning is only available for live or published events' });
+        }
 
-        // Push notification (background)
-        sendPush(req.user.uid, {
-            title: 'Badge Scanned',
-            body: att.name + (att.company ? ' from ' + att.company : '') + ' visited your booth'
-        }).catch(function () {});
+        var rosterStale = false;
+        var roster = req.body.roster;
+        if (roster) {
+            if (!rosterSignatureValid(roster) || String(roster.exhibitor_id) !== String(exhibitor.id) || roster.event_id !== req.params.eventId) {
+                return res.status(400).json({ error: 'Invalid roster signature' });
+            }
+            rosterStale = Date.parse(roster.expires_at) < Date.now();
+        }
 
-        res.status(201).json({
-            visit: visit.rows[0],
-            attendee: { name: att.name, email: att.email, company: att.company, title: att.title, badge_code: att.badge_code },
-            lead_id: leadId
+        var scans = req.body.scans;
+        if (!Array.isArray(scans) || scans.length === 0) return res.status(400).json({ error: 'scans must be a non-empty array' });
+        if (scans.length > MAX_BATCH_SCANS) return res.status(400).json({ error: 'Up to ' + MAX_BATCH_SCANS + ' scans per batch' });
+
+        var now = Date.now();
+        var results = new Array(scans.length);
+        var pending = [];
+        scans.forEach(function (scan, i) {
+            scan = scan || {};
+            var clientId = typeof scan.client_scan_id === 'string' ? scan.client_scan_id : '';
+            var fail = function (error) { results[i] = { client_scan_id: clientId || null, status: 'invalid', error: error }; };
+            if (!CLIENT_SCAN_ID_RE.test(clientId)) return fail('client_scan_id must be 8-64 letters, digits, - or _');
+            var parsedBadge = badges.parseBadgeInput(scan.badge_code);
+            if (!parsedBadge) return fail('badge_code must be a badge code or signed badge token');
+            var badgeCode = parsedBadge.token || parsedBadge.code;
+            var scannedAt = Date.parse(scan.scanned_at);
+            if (isNaN(scannedAt)) return fail('scanned_at must be an ISO timestamp');
+            if (scannedAt > now + MAX_CLOCK_SKEW_MS || scannedAt < now - MAX_OFFLINE_SCAN_AGE_MS) return fail('scanned_at is out of range (check the device clock)');
+            if (scan.data !== undefined && (typeof scan.data !== 'object' || JSON.stringify(scan.data).length > 50000)) return fail('Scan data too large (max 50KB)');
+            pending.push({ index: i, clientId: clientId, badgeCode: badgeCode, scannedAt: new Date(Math.min(scannedAt, now)), notes: typeof scan.notes === 'string' ? scan.notes : '', data: scan.data || {} });
         });
+        // In scan order, so repeat scans within one batch are judged against each other
+        pending.sort(function (a, b) { return a.scannedAt - b.scannedAt; });
+
+        var attendees = {};
+        var createdCount = 0;
+        for (var p = 0; p < pending.length; p++) {
+            var scan = pending[p];
+            var result = { client_scan_id: scan.clientId };
+            try {
+                var existing = await db.query(
+                    'SELECT id, lead_id FROM booth_visits WHERE exhibitor_id = $1 AND client_scan_id = $2',
+                    [exhibitor.id, scan.clientId]
+                );
+                if (existing.rows.length > 0) {
+                    result.status = 'already_synced';
+                    result.visit_id = existing.rows[0].id;
+                    result.lead_id = existing.rows[0].lead_id;
+                } else {
+                    if (!(scan.badgeCode in attendees)) {
+                        attendees[scan.badgeCode] = await badges.resolveBadge(scan.badgeCode, req.params.eventId);
+                    }
+                    var found = attendees[scan.badgeCode];
+                    var att = found.attendee || null;
+                    var dupVisit = att && await findDuplicateVisit(exhibitor.id, att.id, scan.scannedAt);
+                    if (!att) {
+                        result.status = found.reason === 'not_found' || found.reason === 'revoked' ? found.reason : 'invalid';
+                        result.error = found.error;
+                    } else if (dupVisit) {
+                        result.status = 'duplicate';
+                        result.conflict = { visit_id: dupVisit.id, lead_id: dupVisit.lead_id, scanned_at: dupVisit.created_at, client_scan_id: dupVisit.client_scan_id || null };
+                    } else {
+                        var created = await createVisit(req.user.uid, req.params.eventId, exhibitor, att, {
+                            data: scan.data, notes: scan.notes, scannedAt: scan.scannedAt, clientScanId: scan.clientId, quiet: true
+                        });
+                        if (created) {
+                            createdCount++;
+                            result.status = 'created';
+                            result.visit_id = created.visit.id;
+                            result.lead_id = created.leadId;
+                        } else {
+                            // Uploaded concurrently (e.g. a retried request)
+                            result.status = 'already_synced';
+                        }
+                    }
+                    if (att) result.attendee = { name: att.name, company: att.company || '', title: att.title || '' };
+                }
+            } catch (scanErr) {
+                console.error('Batch scan error (' + scan.clientId + '):', scanErr.message);
+                result.status = 'error';
+                result.error = 'Failed to process scan';
+            }
+            results[scan.index] = result;
+        }
+
+        if (createdCount > 0) {
+            sendPush(req.user.uid, {
+                title: 'Badge Scans Synced',
+                body: createdCount + ' offline scan' + (createdCount === 1 ? '' : 's') + ' added to your leads'
+            }).catch(function () {});
+        }
+
+        var summary = { created: 0, already_synced: 0, duplicate: 0, not_found: 0, revoked: 0, invalid: 0, error: 0 };
+        results.forEach(function (r) { summary[r.status]++; });
+        res.json({ results: results, summary: summary, roster_stale: rosterStale });
     } catch (err) {
-        console.error('Badge scan error:', err);
-        res.status(500).json({ error: 'Failed to process badge scan' });
+        console.error('Batch scan upload error:', err);
+        res.status(500).json({ error: 'Failed to upload scans' });
     }
 });
 
@@ -3,6 +3,14 @@ const db = require('../db');
 const { verifyAuth, requireNotSuspended } = require('../auth');
 var categorize = require('../categorize');
 var { publishTeamLead } = require('./teams');
+var webhooks = require('../webhooks');
+var leadQuery = require('../lead-query');
+var dedupe = require('../dedupe');
+var leadImport = require('../lead-import');
+var leadExport = require('../lead-export');
+var crm = require('../crm');
+var pipeline = require('../pipeline');
+var tasks = require('../tasks');
 
 const router = express.Router();
 router.use(verifyAuth);
@@ -10,6 +18,11 @@ router.use(requireNotSuspended);
 
 var MAX_LEAD_DATA_SIZE = 50 * 1024;
 
+// Reject a status that is not one of the user's pipeline stages; returns an error message or null
+async function checkStage(userId, status) {
+    return pipeline.validateStatus(await pipeline.getPipeline(userId), status);
+}
+
 // Lead limit check — disabled (all plans get unlimited leads)
 async function checkLeadLimit(userId) {
     return true;
@@ -21,32 +34,192 @@ router.get('/month-count', async function (req, res) {
         var startOfMonth = new Date();
         startOfMonth.setDate(1);
         startOfMonth.setHours(0, 0, 0, 0);
-        var result = await db.query(
-            'SELECT COUNT(*) as cnt FROM leads WHERE user_id = $1 AND created_at >= $2',
-            [req.user.uid, startOfMonth]
-        );
-        res.json({ count: parseInt(result.rows[0].cnt, 10) });
+        var count = await leadQuery.countLeads({ userId: req.user.uid }, { from: startOfMonth });
+        res.json({ count: count });
     } catch (err) {
         res.status(500).json({ error: 'Failed to count leads' });
     }
 });
 
+// Query params that switch GET /api/leads to the paginated response
+var LIST_PARAMS = ['limit', 'cursor', 'q', 'sort', 'order', 'status', 'category', 'source', 'event_id', 'assignedTo', 'tags', 'hasEmail', 'from', 'to'];
+
 // GET /api/leads
+// Without query params: legacy { id: data } map of the newest 5000 leads.
+// With any of LIST_PARAMS: { leads: [...], nextCursor, total? } — pass nextCursor back as ?cursor=.
 router.get('/', async function (req, res) {
     try {
-        var result = await db.query('SELECT id, data, visitor_id FROM leads WHERE user_id = $1 ORDER BY created_at DESC LIMIT 5000', [req.user.uid]);
-        var leads = {};
-        result.rows.forEach(function (row) {
-            var d = row.data;
-            if (row.visitor_id) d._visitorId = row.visitor_id;
-            leads[row.id] = d;
-        });
-        res.json(leads);
+        var paginated = LIST_PARAMS.some(function (k) { return req.query[k] !== undefined; });
+        if (!paginated) {
+            var all = await leadQuery.listLeads({ userId: req.user.uid }, { limit: 5000 });
+            var leads = {};
+            all.rows.forEach(function (row) {
+                var d = row.data;
+                if (row.visitor_id) d._visitorId = row.visitor_id;
+                leads[row.id] = d;
+            });
+            return res.json(leads);
+        }
+
+        var parsed = leadQuery.parseLeadQuery(req.query);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        var page = await leadQuery.listLeads({ userId: req.user.uid }, parsed.options);
+        var response = {
+            leads: page.rows.map(function (row) {
+                return { id: row.id, data: row.data, visitorId: row.visitor_id, createdAt: row.created_at, updatedAt: row.updated_at };
+            }),
+            nextCursor: page.nextCursor
+        };
+        if (req.query.includeTotal === 'true' || req.query.includeTotal === '1') {
+            response.total = await leadQuery.countLeads({ userId: req.user.uid }, parsed.options);
+        }
+        res.json(response);
     } catch (err) {
+        console.error('List leads error:', err);
         res.status(500).json({ error: 'Failed to load leads' });
     }
 });
 
+// GET /api/leads/export?profile=csv|salesforce|hubspot|zoho|vcf|jsonl
+// Accepts the same filters as GET /api/leads (limit/cursor are ignored; the whole result is streamed).
+router.get('/export', async function (req, res) {
+    try {
+        var profile = String(req.query.profile || 'csv').toLowerCase();
+        if (leadExport.PROFILES.indexOf(profile) === -1) {
+            return res.status(400).json({ error: 'Invalid profile (use ' + leadExport.PROFILES.join(', ') + ')' });
+        }
+        var query = Object.assign({}, req.query);
+        delete query.limit;
+        delete query.cursor;
+        var parsed = leadQuery.parseLeadQuery(query);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        await leadExport.streamExport(res, { userId: req.user.uid }, profile, parsed.options);
+    } catch (err) {
+        console.error('Export leads error:', err);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to export leads' });
+    }
+});
+
+var MAX_MERGE_IDS = 20;
+
+// GET /api/leads/duplicates — candidate duplicate pairs (?minScore=0.6&limit=100)
+router.get('/duplicates', async function (req, res) {
+    try {
+        var minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : 0.6;
+        if (isNaN(minScore) || minScore < 0 || minScore > 1) return res.status(400).json({ error: 'minScore must be between 0 and 1' });
+        var limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+        var pairs = await dedupe.findDuplicates(req.user.uid, minScore, limit);
+        res.json({ pairs: pairs });
+    } catch (err) {
+        console.error('Find duplicates error:', err);
+        res.status(500).json({ error: 'Failed to find duplicates' });
+    }
+});
+
+// POST /api/leads/merge — { primaryId, duplicateIds: [...], overrides? }; duplicates are folded into
+// the primary and deleted. overrides picks individual field values (name, title, phone, ...) to keep.
+router.post('/merge', async function (req, res) {
+    try {
+        var primaryId = req.body.primaryId;
+        var duplicateIds = req.body.duplicateIds;
+        if (!primaryId || typeof primaryId !== 'string') return res.status(400).json({ error: 'primaryId required' });
+        if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) return res.status(400).json({ error: 'duplicateIds required' });
+        if (duplicateIds.length > MAX_MERGE_IDS) return res.status(400).json({ error: 'Maximum ' + MAX_MERGE_IDS + ' leads per merge' });
+        if (duplicateIds.some(function (id) { return typeof id !== 'string' || id === primaryId; })) {
+            return res.status(400).json({ error: 'Invalid duplicateIds' });
+        }
+        duplicateIds = duplicateIds.filter(function (id, i) { return duplicateIds.indexOf(id) === i; });
+        var overrides = req.body.overrides;
+        if (overrides !== undefined && (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides))) {
+            return res.status(400).json({ error: 'overrides must be an object' });
+        }
+        if (overrides && JSON.stringify(overrides).length > MAX_LEAD_DATA_SIZE) return res.status(400).json({ error: 'overrides too large' });
+        if (overrides && overrides.status) {
+            var stageError = await checkStage(req.user.uid, overrides.status);
+            if (stageError) return res.status(400).json({ error: stageError });
+        }
+
+        var merged = await dedupe.mergeLeads(req.user.uid, primaryId, duplicateIds, overrides);
+        if (!merged) return res.status(404).json({ error: 'Lead not found' });
+        res.json({ success: true, id: primaryId, merged: duplicateIds, data: merged });
+        webhooks.emit(req.user.uid, 'lead.updated', Object.assign(webhooks.leadPayload(primaryId, merged), { action: 'merged', mergedIds: duplicateIds }));
+    } catch (err) {
+        console.error('Merge leads error:', err);
+        res.status(500).json({ error: 'Failed to merge leads' });
+    }
+});
+
+// POST /api/leads/import — upload a CSV, XLSX or VCF file as the raw request body
+// Query: format (csv|xlsx|vcf, else detected), filename, mapping (JSON { column: field }),
+// card, duplicates (skip|import, default skip), dryRun=1.
+// Dry run returns the detected columns, mapping and a validation/duplicate report; otherwise
+// 202 with a job whose progress is published on the leads SSE channel ({ type: 'import', ... }).
+router.post('/import', express.raw({ type: function () { return true; }, limit: leadImport.MAX_IMPORT_BYTES }), async function (req, res) {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Upload the file as the request body (e.g. Content-Type: text/csv)' });
+        }
+        var format = leadImport.detectFormat(req.body, req.query.filename, req.query.format);
+        var parsed;
+        try {
+            parsed = leadImport.parseFile(req.body, format);
+        } catch (parseErr) {
+            return res.status(400).json({ error: parseErr.message || 'Could not read file' });
+        }
+        if (parsed.rows.length === 0) return res.status(400).json({ error: 'No rows found in file' });
+        if (parsed.rows.length > leadImport.MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: 'Too many rows (max ' + leadImport.MAX_IMPORT_ROWS + ' per import)' });
+        }
+
+        var override = null;
+        if (req.query.mapping) {
+            try { override = JSON.parse(req.query.mapping); } catch (e) { return res.status(400).json({ error: 'mapping must be valid JSON' }); }
+        }
+        var resolved = leadImport.resolveMapping(parsed.headers, override);
+        if (resolved.error) return res.status(400).json({ error: resolved.error });
+        var mapped = Object.keys(resolved.mapping).map(function (h) { return resolved.mapping[h]; });
+        if (!mapped.some(function (f) { return ['name', 'firstName', 'lastName', 'email', 'phone'].indexOf(f) !== -1; })) {
+            return res.status(400).json({ error: 'Map at least one name, email or phone column', headers: parsed.headers, mapping: resolved.mapping, fields: leadImport.FIELDS });
+        }
+
+        var duplicates = req.query.duplicates || 'skip';
+        if (duplicates !== 'skip' && duplicates !== 'import') return res.status(400).json({ error: 'duplicates must be skip or import' });
+        var card = req.query.card ? String(req.query.card).substring(0, 128) : '';
+        if (card) {
+            var cardCheck = await db.query('SELECT 1 FROM cards WHERE user_id = $1 AND id = $2', [req.user.uid, card]);
+            if (cardCheck.rows.length === 0) return res.status(400).json({ error: 'Card not found' });
+        }
+
+        var prepared = await leadImport.prepareImport(req.user.uid, parsed, resolved.mapping, { format: format, duplicates: duplicates });
+        var dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+        if (dryRun) {
+            return res.json(Object.assign({
+                dryRun: true,
+                format: format,
+                headers: parsed.headers,
+                mapping: resolved.mapping,
+                fields: leadImport.FIELDS
+            }, prepared.report));
+        }
+
+        if (prepared.leads.length === 0) return res.status(400).json(Object.assign({ error: 'Nothing to import' }, prepared.report));
+        if (leadImport.hasRunningJob(req.user.uid)) return res.status(409).json({ error: 'An import is already running' });
+        var job = leadImport.startImport(req.user.uid, prepared, { format: format, card: card });
+        res.status(202).json(Object.assign({ errorCount: prepared.report.errorCount, duplicateCount: prepared.report.duplicateCount }, job));
+    } catch (err) {
+        console.error('Lead import error:', err);
+        res.status(500).json({ error: 'Import failed' });
+    }
+});
+
+// GET /api/leads/import/:jobId — import job progress
+router.get('/import/:jobId', function (req, res) {
+    var job = leadImport.getJob(req.user.uid, req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Import job not found' });
+    res.json(job);
+});
+
 // GET /api/leads/:id
 router.get('/:id', async function (req, res) {
     try {
@@ -66,8 +239,18 @@ router.put('/:id', async function (req, res) {
             return res.status(400).json({ error: 'Lead data too large (max 50KB)' });
         }
         // Check if this is a new lead (INSERT) — enforce limit with advisory lock
-        var existing = await db.query('SELECT id FROM leads WHERE user_id = $1 AND id = $2', [req.user.uid, req.params.id]);
+        var existing = await db.query("SELECT id, data->>'status' AS status, data->'tasks' AS tasks, data->'reminder' AS reminder FROM leads WHERE user_id = $1 AND id = $2", [req.user.uid, req.params.id]);
         var isNew = existing.rows.length === 0;
+        var prevStatus = isNew ? null : existing.rows[0].status;
+        // tasks/reminder mirror lead_tasks and are only written by the task endpoints
+        delete req.body.tasks;
+        delete req.body.reminder;
+        if (!isNew && existing.rows[0].tasks) req.body.tasks = existing.rows[0].tasks;
+        if (!isNew && existing.rows[0].reminder) req.body.reminder = existing.rows[0].reminder;
+        if (req.body.status && req.body.status !== prevStatus) {
+            var stageError = await checkStage(req.user.uid, req.body.status);
+            if (stageError) return res.status(400).json({ error: stageError });
+        }
         if (isNew) {
             var client = await db.connect();
             try {
@@ -95,6 +278,14 @@ router.put('/:id', async function (req, res) {
                 [req.user.uid, req.params.id, JSON.stringify(req.body)]
             );
         }
+        // Exact-email duplicate of an existing lead: fold it in (when auto-merge is enabled)
+        var merged = isNew ? await dedupe.autoMergeOnCapture(req.user.uid, req.params.id, req.body) : null;
+        if (merged) {
+            res.json({ success: true, mergedInto: merged.id });
+            webhooks.emit(req.user.uid, 'lead.updated', Object.assign(webhooks.leadPayload(merged.id, merged.data), { action: 'merged', mergedIds: [req.params.id] }));
+            crm.syncLead(req.user.uid, merged.id, merged.data);
+            return;
+        }
         res.json({ success: true });
 
         // Auto-categorize new leads in background
@@ -106,6 +297,9 @@ router.put('/:id', async function (req, res) {
                 ['lead_captured', req.user.uid, JSON.stringify({ leadId: req.params.id, source: req.body.source || 'manual' })]
             ).catch(function(){});
         }
+        if (!isNew) pipeline.recordTransition(req.user.uid, req.params.id, prevStatus, req.body.status, req.user.uid, req.body);
+        webhooks.emit(req.user.uid, isNew ? 'lead.created' : 'lead.updated', webhooks.leadPayload(req.params.id, req.body));
+        crm.syncLead(req.user.uid, req.params.id, req.body);
     } catch (err) {
         res.status(500).json({ error: 'Failed to save lead' });
     }
@@ -124,6 +318,13 @@ router.patch('/:id', async function (req, res) {
         // Extract timeline action before merge
         var appendAction = body._appendAction;
         delete body._appendAction;
+        delete body.tasks;
+        delete body.reminder;
+        var prevStatus = result.rows[0].data ? result.rows[0].data.status : null;
+        if (body.status && body.status !== prevStatus) {
+            var stageError = await checkStage(req.user.uid, body.status);
+            if (stageError) return res.status(400).json({ error: stageError });
+        }
         var data = Object.assign({}, result.rows[0].data, body);
         // Append timeline entry if provided
         if (appendAction && appendAction.action && appendAction.ts) {
@@ -137,6 +338,14 @@ router.patch('/:id', async function (req, res) {
         }
         await db.query('UPDATE leads SET data = $1, updated_at = NOW() WHERE user_id = $2 AND id = $3', [JSON.stringify(data), req.user.uid, req.params.id]);
         res.json({ success: true });
+
+        if (body.status) pipeline.recordTransition(req.user.uid, req.params.id, prevStatus, body.status, req.user.uid, data);
+        var updatePayload = webhooks.leadPayload(req.params.id, data);
+        updatePayload.changed = Object.keys(body);
+        if (appendAction && appendAction.action) updatePayload.action = appendAction.action;
+        webhooks.emit(req.user.uid, 'lead.updated', updatePayload);
+        // Only CRM properties whose values changed (e.g. status, notes) are sent
+        crm.syncLead(req.user.uid, req.params.id, data);
     } catch (err) {
         res.status(500).json({ error: 'Failed to update lead' });
     }
@@ -153,6 +362,68 @@ router.delete('/:id', async function (req, res) {
     }
 });
 
+// ── Tasks ──
+
+async function leadExists(userId, leadId) {
+    var result = await db.query('SELECT 1 FROM leads WHERE user_id = $1 AND id = $2', [userId, leadId]);
+    return result.rows.length > 0;
+}
+
+// GET /api/leads/:id/tasks
+router.get('/:id/tasks', async function (req, res) {
+    try {
+        if (!(await leadExists(req.user.uid, req.params.id))) return res.status(404).json({ error: 'Lead not found' });
+        res.json({ tasks: await tasks.listLeadTasks(req.user.uid, req.params.id) });
+    } catch (err) {
+        console.error('Lead tasks error:', err);
+        res.status(500).json({ error: 'Failed to load tasks' });
+    }
+});
+
+// POST /api/leads/:id/tasks — { title, kind?, notes?, dueDate?, dueTime?, timezone?, remindBefore?, assigneeId?, recurrence? }
+router.post('/:id/tasks', async function (req, res) {
+    try {
+        if (!(await leadExists(req.user.uid, req.params.id))) return res.status(404).json({ error: 'Lead not found' });
+        var parsed = tasks.parseTaskInput(req.body, null);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        var result = await tasks.createTask(req.user.uid, req.params.id, req.user.uid, parsed.fields);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.status(201).json(result);
+    } catch (err) {
+        console.error('Task create error:', err);
+        res.status(500).json({ error: 'Failed to create task' });
+    }
+});
+
+// PATCH /api/leads/:id/tasks/:taskId — any task field, or { done: true } to complete
+router.patch('/:id/tasks/:taskId', async function (req, res) {
+    try {
+        var row = await tasks.getLeadTask(req.user.uid, req.params.id, req.params.taskId);
+        if (!row) return res.status(404).json({ error: 'Task not found' });
+        var parsed = tasks.parseTaskInput(req.body, row);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        var result = await tasks.updateTask(row, parsed.fields, req.user.uid);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('Task update error:', err);
+        res.status(500).json({ error: 'Failed to update task' });
+    }
+});
+
+// DELETE /api/leads/:id/tasks/:taskId
+router.delete('/:id/tasks/:taskId', async function (req, res) {
+    try {
+        var row = await tasks.getLeadTask(req.user.uid, req.params.id, req.params.taskId);
+        if (!row) return res.status(404).json({ error: 'Task not found' });
+        await tasks.deleteTask(row);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Task delete error:', err);
+        res.status(500).json({ error: 'Failed to delete task' });
+    }
+});
+
 // POST /api/leads/categorize-all — backfill categories for uncategorized leads
 router.post('/categorize-all', async function (req, res) {
     try {
@@ -0,0 +1,65 @@
+const express = require('express');
+const { verifyAuth, requireNotSuspended, blockApiKey } = require('../auth');
+const mailbox = require('../mailbox');
+
+const router = express.Router();
+
+router.use(verifyAuth);
+router.use(requireNotSuspended);
+router.use(blockApiKey);
+
+// GET /api/mailbox — the user's reply-detection mailbox, or null
+router.get('/', async function (req, res) {
+    try {
+        var row = await mailbox.getConnection(req.user.uid);
+        res.json({ connection: row ? mailbox.formatConnection(row) : null });
+    } catch (err) {
+        console.error('Mailbox load error:', err);
+        res.status(500).json({ error: 'Failed to load mailbox' });
+    }
+});
+
+// PUT /api/mailbox — connect or update (password may be omitted to keep the saved one).
+// The login is tested before saving.
+router.put('/', async function (req, res) {
+    try {
+        var existing = await mailbox.getConnection(req.user.uid);
+        var parsed = mailbox.parseConnectionInput(req.body, existing);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        var failure = await mailbox.testConnection(parsed.fields);
+        if (failure) return res.status(400).json({ error: failure });
+        var row = await mailbox.saveConnection(req.user.uid, parsed.fields);
+        res.json({ connection: mailbox.formatConnection(row) });
+    } catch (err) {
+        console.error('Mailbox save error:', err);
+        res.status(500).json({ error: 'Failed to save mailbox' });
+    }
+});
+
+// POST /api/mailbox/check — poll now instead of waiting for the next run
+router.post('/check', async function (req, res) {
+    try {
+        var row = await mailbox.getConnection(req.user.uid);
+        if (!row) return res.status(404).json({ error: 'No mailbox connected' });
+        var result = await mailbox.checkConnection(row);
+        if (result.error) return res.status(502).json({ error: result.error });
+        row = await mailbox.getConnection(req.user.uid);
+        res.json({ matched: result.matched, connection: mailbox.formatConnection(row) });
+    } catch (err) {
+        console.error('Mailbox check error:', err);
+        res.status(500).json({ error: 'Failed to check mailbox' });
+    }
+});
+
+// DELETE /api/mailbox — disconnect; sequence replies go back to the account email
+router.delete('/', async function (req, res) {
+    try {
+        await mailbox.deleteConnection(req.user.uid);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Mailbox delete error:', err);
+        res.status(500).json({ error: 'Failed to disconnect mailbox' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const db = require('../db');
+const { verifyAuth, requireNotSuspended, blockApiKey } = require('../auth');
+const pipeline = require('../pipeline');
+
+const router = express.Router();
+
+router.use(verifyAuth);
+router.use(requireNotSuspended);
+
+// Team the user administers (owner or admin role), or null
+async function getAdminTeamId(uid) {
+    var result = await db.query(
+        "SELECT t.id FROM teams t JOIN team_members tm ON tm.team_id = t.id WHERE tm.user_id = $1 AND (tm.role = 'admin' OR t.owner_id = $1)",
+        [uid]
+    );
+    return result.rows.length ? result.rows[0].id : null;
+}
+
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value));
+}
+
+// GET /api/pipeline/stages — the stages that apply to the user (team, personal or default)
+router.get('/stages', async function (req, res) {
+    try {
+        var p = await pipeline.getPipeline(req.user.uid);
+        var canEditTeam = p.teamId ? (await getAdminTeamId(req.user.uid)) === p.teamId : false;
+        res.json({
+            scope: p.scope,
+            teamId: p.teamId,
+            canEdit: p.scope !== 'team' || canEditTeam,
+            canEditTeam: canEditTeam,
+            initial: pipeline.initialStage(p.stages),
+            stages: p.stages,
+            kinds: pipeline.KINDS
+        });
+    } catch (err) {
+        console.error('Pipeline stages error:', err);
+        res.status(500).json({ error: 'Failed to load pipeline stages' });
+    }
+});
+
+// PUT /api/pipeline/stages — replace the personal pipeline, or the team's with { team: true }.
+// Body: { stages: [{ key?, label, color, kind }], team?, reassign?: { removedKey: newKey } }
+router.put('/stages', blockApiKey, async function (req, res) {
+    try {
+        var uid = req.user.uid;
+        var valid = pipeline.validateStages(req.body.stages);
+        if (valid.error) return res.status(400).json({ error: valid.error });
+        if (req.body.reassign !== undefined && (typeof req.body.reassign !== 'object' || Array.isArray(req.body.reassign))) {
+            return res.status(400).json({ error: 'reassign must be an object' });
+        }
+
+        var owner = { userId: uid, teamId: null };
+        if (req.body.team) {
+            owner.teamId = await getAdminTeamId(uid);
+            if (!owner.teamId) return res.status(403).json({ error: 'Team admin access required' });
+        } else {
+            var current = await pipeline.getPipeline(uid);
+            if (current.scope === 'team') return res.status(409).json({ error: 'Your team\'s pipeline applies — ask a team admin to change it' });
+        }
+
+        var result = await pipeline.saveStages(owner, valid.stages, req.body.reassign);
+        if (result.error) return res.status(result.status).json({ error: result.error, stranded: result.stranded });
+        res.json({ success: true, scope: owner.teamId ? 'team' : 'user', initial: result.initial, stages: result.stages });
+    } catch (err) {
+        console.error('Pipeline save error:', err);
+        res.status(500).json({ error: 'Failed to save pipeline stages' });
+    }
+});
+
+// DELETE /api/pipeline/stages — drop the personal (or ?team=1 team) pipeline. Leads keep
+// their status; any that no longer match a stage show up as unassigned in the stats.
+router.delete('/stages', blockApiKey, async function (req, res) {
+    try {
+        var owner = { userId: req.user.uid, teamId: null };
+        if (req.query.team) {
+            owner.teamId = await getAdminTeamId(req.user.uid);
+            if (!owner.teamId) return res.status(403).json({ error: 'Team admin access required' });
+        }
+        await pipeline.resetStages(owner);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Pipeline reset error:', err);
+        res.status(500).json({ error: 'Failed to reset pipeline stages' });
+    }
+});
+
+// GET /api/pipeline/stats?from=&to=&team=1 — counts, deal value, conversion and average
+// days in stage for leads created in the range (whole team with team=1)
+router.get('/stats', async function (req, res) {
+    try {
+        var uid = req.user.uid;
+        if (req.query.from !== undefined && !isDate(req.query.from)) return res.status(400).json({ error: 'from must be a date (YYYY-MM-DD)' });
+        if (req.query.to !== undefined && !isDate(req.query.to)) return res.status(400).json({ error: 'to must be a date (YYYY-MM-DD)' });
+
+        var p = await pipeline.getPipeline(uid);
+        var userIds = [uid];
+        if (req.query.team) {
+            if (!p.teamId) return res.status(400).json({ error: 'Not in a team' });
+            var members = await db.query('SELECT user_id FROM team_members WHERE team_id = $1', [p.teamId]);
+            userIds = members.rows.map(function (m) { return m.user_id; });
+        }
+
+        var stats = await pipeline.pipelineStats(userIds, p.stages, req.query.from || null, req.query.to || null);
+        res.json({
+            scope: p.scope,
+            from: req.query.from || null,
+            to: req.query.to || null,
+            stages: stats.stages,
+            totals: stats.totals
+        });
+    } catch (err) {
+        console.error('Pipeline stats error:', err);
+        res.status(500).json({ error: 'Failed to load pipeline stats' });
+    }
+});
+
+module.exports = router;
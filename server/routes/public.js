@@ -3,63 +3,24 @@ const jwt = require('jsonwebtoken');
 const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const db = require('../db');
 const sse = require('../sse');
-const { sendLeadNotification, sendWaitlistConfirmation, sendEventRegistration } = require('../email');
+const { sendLeadNotification, sendWaitlistConfirmation, sendEventRegistration, sendEventWaitlisted } = require('../email');
 const { sendPush } = require('../push');
 const { requireFeatureFlag } = require('../auth');
 const ocr = require('../ocr');
 var categorize = require('../categorize');
 var { publishTeamLead } = require('./teams');
-const { validateUrl } = require('../ssrf');
+var vcard = require('../vcard');
+var webhooks = require('../webhooks');
+var dedupe = require('../dedupe');
+var ical = require('../ical');
+var tracking = require('../tracking');
+var suppression = require('../suppression');
+var badges = require('../badges');
+var registration = require('../registration');
+var eventPayments = require('../event-payments');
 
 const router = express.Router();
 
-// ── Webhook dispatch helper ──
-async function dispatchWebhook(userId, leadData) {
-    try {
-        var result = await db.query('SELECT data FROM user_settings WHERE user_id = $1', [userId]);
-        if (result.rows.length === 0) return;
-        var settings = result.rows[0].data;
-        if (!settings || !settings.webhookUrl) return;
-
-        var payload = {
-            event: 'new_lead',
-            name: leadData.name || '',
-            email: leadData.email || '',
-            phone: leadData.phone || '',
-            company: leadData.company || '',
-            source: leadData.source || 'unknown',
-            card: leadData.card || '',
-            timestamp: new Date().toISOString()
-        };
-
-        // SSRF protection: validate webhook URL before fetching
-        var urlSafe = await validateUrl(settings.webhookUrl);
-        if (!urlSafe) {
-            console.error('Webhook URL blocked (SSRF protection) for user ' + userId + ':', settings.webhookUrl);
-            return;
-        }
-
-        var controller = new AbortController();
-        var timeout = setTimeout(function () { controller.abort(); }, 10000);
-
-        fetch(settings.webhookUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'User-Agent': 'CardFlow-Webhook/1.0' },
-            body: JSON.stringify(payload),
-            signal: controller.signal
-        }).then(function (res) {
-            clearTimeout(timeout);
-            // Discard response body without consuming it
-            if (res.body) { res.body.cancel().catch(function () {}); }
-        }).catch(function (err) {
-            clearTimeout(timeout);
-            console.error('Webhook dispatch failed for user ' + userId + ':', err.message);
-        });
-    } catch (err) {
-        console.error('Webhook lookup failed:', err.message);
-    }
-}
-
 // ── Async OCR processing for lead card photos ──
 async function processLeadPhoto(userId, leadId, leadData) {
     try {
@@ -267,6 +228,55 @@ router.get('/user/:userId/cards/:cardId', publicReadLimiter, async function (req
     }
 });
 
+// GET /api/public/user/:userId/cards/:cardId/vcard — downloadable contact file (?version=3.0|4.0)
+router.get('/user/:userId/cards/:cardId/vcard', publicReadLimiter, async function (req, res) {
+    try {
+        var version = req.query.version ? String(req.query.version) : '3.0';
+        if (!vcard.SUPPORTED_VERSIONS.includes(version)) {
+            return res.status(400).json({ error: 'Unsupported vCard version' });
+        }
+        var result = await db.query(
+            `SELECT c.data, c.updated_at, u.username FROM cards c JOIN users u ON u.id = c.user_id
+             WHERE c.user_id = $1 AND c.id = $2 AND c.active = true`,
+            [req.params.userId, req.params.cardId]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Card not found' });
+        var row = result.rows[0];
+        var card = row.data || {};
+
+        var images = await Promise.all([vcard.resolveImage(card.photo), vcard.resolveImage(card.logo)]);
+        var body = vcard.buildVCard(card, {
+            version: version,
+            username: row.username,
+            cardId: req.params.cardId,
+            photo: images[0],
+            logo: images[1],
+            rev: row.updated_at ? new Date(row.updated_at) : undefined
+        });
+
+        // Count the download as a save (same capped append as the analytics endpoint)
+        var entry = { ts: Date.now(), source: req.query.src ? String(req.query.src).slice(0, 32) : 'vcard', action: 'vcard_download', version: version };
+        db.query(
+            `INSERT INTO analytics (user_id, card_id, metric, data)
+             VALUES ($1, $2, 'saves', $3::jsonb)
+             ON CONFLICT (user_id, card_id, metric)
+             DO UPDATE SET data = (
+                 CASE WHEN jsonb_array_length(analytics.data) >= 1000
+                 THEN analytics.data #- '{0}' || $3::jsonb
+                 ELSE analytics.data || $3::jsonb END
+             )`,
+            [req.params.userId, req.params.cardId, JSON.stringify([entry])]
+        ).catch(function (err) { console.error('vCard save metric error:', err.message); });
+
+        res.set('Content-Type', 'text/vcard; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="' + vcard.vcardFilename(card) + '"');
+        res.send(body);
+    } catch (err) {
+        console.error('vCard export error:', err);
+        res.status(500).json({ error: 'Failed to generate vCard' });
+    }
+});
+
 // GET /api/public/user/:userId/settings — public settings (default card, etc.)
 router.get('/user/:userId/settings', publicReadLimiter, async function (req, res) {
     try {
@@ -343,6 +353,11 @@ router.post('/user/:userId/taps', publicWriteLimiter, async function (req, res)
         );
         res.json({ success: true, id: tapId });
 
+        webhooks.emit(req.params.userId, 'tap.created', {
+            id: tapId, status: data.status || null, card: data.card || null,
+            source: data.source || null, ts: data.ts || Date.now()
+        });
+
         // Push notification only for NFC waiting mode (not QR direct visits)
         if (data.status === 'waiting') {
             sendPush(req.params.userId, { title: 'Someone tapped your card!', body: 'Tap to select which card to share', data: { url: '/dashboard' } });
@@ -460,8 +475,8 @@ router.post('/user/:userId/leads', publicWriteLimiter, async function (req, res)
                 await client.query('ROLLBACK');
                 return res.status(403).json({ error: 'lead_limit', message: 'Monthly lead limit reached (25/25). Upgrade to capture unlimited leads.' });
             }
-            await client.query(
-                'INSERT INTO leads (user_id, id, data, visitor_id, updated_at) VALUES ($1, $2, $3, $4, NOW()) ON CONFLICT (user_id, id) DO UPDATE SET data = $3, visitor_id = COALESCE($4, leads.visitor_id), updated_at = NOW()',
+            var saved = await client.query(
+                'INSERT INTO leads (user_id, id, data, visitor_id, updated_at) VALUES ($1, $2, $3, $4, NOW()) ON CONFLICT (user_id, id) DO UPDATE SET data = $3, visitor_id = COALESCE($4, leads.visitor_id), updated_at = NOW() RETURNING (xmax = 0) AS inserted',
                 [req.params.userId, leadId, JSON.stringify(data), visitorId]
             );
             await client.query('COMMIT');
@@ -472,13 +487,18 @@ router.post('/user/:userId/leads', publicWriteLimiter, async function (req, res)
             client.release();
         }
 
+        // Returning contact: fold into their existing lead when auto-merge is enabled
+        var submittedId = leadId;
+        var merged = saved.rows[0].inserted ? await dedupe.autoMergeOnCapture(req.params.userId, leadId, data) : null;
+        if (merged) leadId = merged.id;
+
         // Publish SSE event — lead-specific channel gets full data for picker screen
         var leadSSEData = {
             name: data.name || '', phone: data.phone || '',
             email: data.email || '', company: data.company || '',
             card: data.card || '', hasPhoto: !!data.photo
         };
-        sse.publish('lead:' + req.params.userId + ':' + leadId, leadSSEData);
+        sse.publish('lead:' + req.params.userId + ':' + submittedId, leadSSEData);
         // Leads list channel gets summary only
         sse.publish('leads:' + req.params.userId, { id: leadId, data: { name: data.name || '', cardName: data.card || '' } });
         publishTeamLead(req.params.userId, leadId, data);
@@ -488,7 +508,7 @@ router.post('/user/:userId/leads', publicWriteLimiter, async function (req, res)
         // Async OCR processing if photo present (categorization happens after OCR)
         if (data.photo && typeof data.photo === 'string' && data.photo.length > 100) {
             processLeadPhoto(req.params.userId, leadId, data);
-        } else {
+        } else if (!merged) {
             // No photo — categorize immediately
             categorize.categorizeLead(req.params.userId, leadId, data);
         }
@@ -497,13 +517,14 @@ router.post('/user/:userId/leads', publicWriteLimiter, async function (req, res)
         sendPush(req.params.userId, { title: 'New Lead Captured!', body: (data.name || 'Someone') + ' submitted their contact info' });
 
         // Webhook dispatch in background
-        dispatchWebhook(req.params.userId, data);
+        if (merged) webhooks.emit(req.params.userId, 'lead.updated', Object.assign(webhooks.leadPayload(merged.id, merged.data), { action: 'merged', mergedIds: [submittedId] }));
+        else webhooks.emit(req.params.userId, 'lead.created', webhooks.leadPayload(leadId, data));
 
         // Send lead notification email in background
         db.query('SELECT email FROM users WHERE id = $1', [req.params.userId])
             .then(function (userResult) {
                 if (userResult.rows.length > 0) {
-                    sendLeadNotification(userResult.rows[0].email, data).catch(function () {});
+                    sendLeadNotification(userResult.rows[0].email, data, req.params.userId).catch(function () {});
                 }
             }).catch(function () {});
     } catch (err) {
@@ -536,7 +557,8 @@ router.put('/user/:userId/leads/:leadId', publicWriteLimiter, async function (re
             await client.query('BEGIN');
             await client.query("SELECT pg_advisory_xact_lock(hashtext($1 || '_leads'))", [req.params.userId]);
             var existingLead = await client.query('SELECT id FROM leads WHERE user_id = $1 AND id = $2', [req.params.userId, req.params.leadId]);
-            if (existingLead.rows.length === 0) {
+            var isNewLead = existingLead.rows.length === 0;
+            if (isNewLead) {
                 var allowed = await checkLeadLimit(req.params.userId);
                 if (!allowed) {
                     await client.query('ROLLBACK');
@@ -578,7 +600,7 @@ router.put('/user/:userId/leads/:leadId', publicWriteLimiter, async function (re
 
         // Webhook dispatch in background (only if it has name/email/phone — real lead data)
         if (data.name || data.email || data.phone) {
-            dispatchWebhook(req.params.userId, data);
+            webhooks.emit(req.params.userId, isNewLead ? 'lead.created' : 'lead.updated', webhooks.leadPayload(req.params.leadId, data));
         }
     } catch (err) {
         res.status(500).json({ error: 'Failed to update lead' });
@@ -898,8 +920,14 @@ router.post('/exchange', requireFeatureFlag('card_exchange_enabled'), visitorLim
             [recipientUserId, leadId, JSON.stringify(leadData), exchangeVisitorId]
         );
 
-        // Auto-categorize exchange lead
-        categorize.categorizeLead(recipientUserId, leadId, leadData);
+        // Repeat exchange with a known contact: fold into their existing lead when auto-merge is enabled
+        var merged = await dedupe.autoMergeOnCapture(recipientUserId, leadId, leadData);
+        if (merged) {
+            leadId = merged.id;
+        } else {
+            // Auto-categorize exchange lead
+            categorize.categorizeLead(recipientUserId, leadId, leadData);
+        }
 
         // SSE + push notification (non-sensitive fields only)
         var publicExchangeData = { name: leadData.name || '', cardName: leadData.card || '' };
@@ -909,6 +937,11 @@ router.post('/exchange', requireFeatureFlag('card_exchange_enabled'), visitorLim
             title: 'Card Exchange!',
             body: (sender.name || 'Someone') + ' exchanged their card with you'
         });
+        webhooks.emit(recipientUserId, 'exchange.created', {
+            lead: webhooks.leadPayload(leadId, leadData),
+            exchangerUsername: sender.username || '',
+            recipientCardId: recipientCardId
+        });
 
         res.json({ success: true });
     } catch (err) {
@@ -932,18 +965,41 @@ router.get('/event/:slug', requireEvents, async function (req, res) {
             `SELECT id, slug, name, description, venue, address, city, start_date, end_date,
                     logo, cover_image, branding, categories, floor_plan_image, settings, status,
                     (SELECT COUNT(*) FROM event_exhibitors WHERE event_id = events.id AND status = 'approved') as exhibitor_count,
-                    (SELECT COUNT(*) FROM event_attendees WHERE event_id = events.id) as attendee_count
+                    (SELECT COUNT(*) FROM event_attendees WHERE event_id = events.id AND status = 'registered') as attendee_count
              FROM events WHERE slug = $1 AND status IN ('published', 'live', 'completed')`,
             [req.params.slug]
         );
         if (result.rows.length === 0) return res.status(404).json({ error: 'Event not found' });
-        res.json(result.rows[0]);
+        var ev = result.rows[0];
+        // What can be registered for right now, and the questions to ask
+        ev.ticket_types = (await registration.ticketAvailability(ev)).map(function (t) {
+            return {
+                id: t.id, name: t.name, description: t.description, opens_at: t.opens_at, closes_at: t.closes_at,
+                price: t.price, currency: t.currency, remaining: t.remaining, state: t.state
+            };
+        });
+        ev.registration_form = registration.formFields(ev.settings);
+        res.json(ev);
     } catch (err) {
         console.error('Public event error:', err);
         res.status(500).json({ error: 'Failed to load event' });
     }
 });
 
+// GET /api/public/event/:slug/badge-key — the event's badge signing public key (Ed25519, raw
+// 32 bytes as base64url) for checking badge QR codes offline
+router.get('/event/:slug/badge-key', requireEvents, publicReadLimiter, async function (req, res) {
+    try {
+        var event = await db.query("SELECT id FROM events WHERE slug = $1 AND status IN ('published', 'live', 'completed')", [req.params.slug]);
+        if (event.rows.length === 0) return res.status(404).json({ error: 'Event not found' });
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.json(await badges.publicKeyInfo(event.rows[0].id));
+    } catch (err) {
+        console.error('Badge key error:', err);
+        res.status(500).json({ error: 'Failed to load badge key' });
+    }
+});
+
 // GET /api/public/event/:slug/exhibitors — public exhibitor list
 router.get('/event/:slug/exhibitors', requireEvents, async function (req, res) {
     try {
@@ -977,7 +1033,10 @@ var eventRegLimiter = rateLimit({
     legacyHeaders: false
 });
 
-// POST /api/public/event/:slug/register — attendee registration
+// POST /api/public/event/:slug/register — attendee registration. ticket_type picks one of the
+// event's ticket types and answers holds the replies to its registration questions
+// (registration.js). When the ticket type is full the attendee is waitlisted (status 'waitlisted')
+// and gets their badge once a place is theirs.
 router.post('/event/:slug/register', requireEvents, eventRegLimiter, async function (req, res) {
     try {
         var event = await db.query(
@@ -1000,54 +1059,59 @@ router.post('/event/:slug/register', requireEvents, eventRegLimiter, async funct
         if (b.title && (typeof b.title !== 'string' || b.title.length > 200)) return res.status(400).json({ error: 'Title too long (max 200 chars)' });
         if (b.data && JSON.stringify(b.data).length > 50000) return res.status(400).json({ error: 'Registration data too large (max 50KB)' });
 
-        // Check attendee limit (max 10,000 per event)
-        var attCount = await db.query('SELECT COUNT(*) FROM event_attendees WHERE event_id = $1', [ev.id]);
-        if (parseInt(attCount.rows[0].count) >= 10000) {
-            return res.status(400).json({ error: 'Event registration is full' });
-        }
-
-        // Generate unique badge code with retry on unique constraint violation
-        var badgeCode;
-        var result;
-        var maxBadgeRetries = 10;
-
-        for (var badgeAttempt = 0; badgeAttempt < maxBadgeRetries; badgeAttempt++) {
-            badgeCode = '';
-            var chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no I/O/0/1 for readability
-            for (var i = 0; i < 8; i++) badgeCode += chars.charAt(Math.floor(Math.random() * chars.length));
+        if (b.ticket_type !== undefined && b.ticket_type !== null && typeof b.ticket_type !== 'string') return res.status(400).json({ error: 'Unknown ticket type' });
 
+        var email = b.email.toLowerCase().trim();
+        var reg = await registration.register(ev, {
+            name: b.name, email: email, phone: b.phone, company: b.company, title: b.title, data: b.data,
+            ticket_type: b.ticket_type, answers: b.answers
+        });
+        if (reg.error) return res.status(reg.status).json({ error: reg.error, field: reg.field });
+        var attendee = reg.attendee;
+
+        // The badge link carries the signed token, so the QR on the badge page is the signed one.
+        // Waitlisted and unpaid attendees get a registration link to follow (pay for, cancel) their
+        // registration instead: their badge is only issued once the place is theirs.
+        var registered = attendee.status === 'registered';
+        var linkToken = registered ? await badges.issueToken(attendee) : await badges.issueLinkToken(attendee);
+        var linkPath = badges.badgePath(ev.slug, linkToken);
+
+        // Paid tickets: the Razorpay order to pay with Checkout. The badge is sent once paid.
+        var payment = null;
+        if (attendee.status === 'pending_payment') {
+            var order;
             try {
-                result = await db.query(
-                    `INSERT INTO event_attendees (event_id, name, email, phone, company, title, badge_code, data)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                     RETURNING *`,
-                    [
-                        ev.id, b.name, b.email.toLowerCase().trim(), b.phone || null,
-                        b.company || null, b.title || null, badgeCode,
-                        JSON.stringify(b.data || {})
-                    ]
-                );
-                break; // Insert succeeded
-            } catch (insertErr) {
-                // 23505 = unique_violation on badge_code — retry with new code
-                if (insertErr.code === '23505' && insertErr.constraint && insertErr.constraint.includes('badge_code')) {
-                    continue;
-                }
-                throw insertErr; // Re-throw other errors (e.g., duplicate email)
+                order = await eventPayments.createOrder(ev, attendee);
+            } catch (orderErr) {
+                order = { error: orderErr };
+            }
+            if (!order.payment) {
+                console.error('Event order error:', order.error);
+                await registration.cancel(ev.id, attendee.id);
+                return res.status(502).json({ error: 'Payment could not be started. Please try again.' });
             }
+            payment = eventPayments.checkout(order.payment);
         }
-        if (!result) return res.status(500).json({ error: 'Failed to generate unique badge code' });
 
         // Send registration confirmation email (background)
         var baseUrl = process.env.BASE_URL || 'https://card.cardflow.cloud';
-        var badgeUrl = baseUrl + '/e/' + ev.slug + '/b/' + badgeCode;
-        sendEventRegistration(b.email.toLowerCase().trim(), b.name, ev.name, badgeUrl).catch(function(e) {
+        var sent = null;
+        if (attendee.status === 'waitlisted') sent = sendEventWaitlisted(email, b.name, ev.name, reg.ticketType.name, baseUrl + linkPath);
+        else if (registered) sent = sendEventRegistration(email, b.name, ev.name, baseUrl + linkPath);
+        if (sent) sent.catch(function(e) {
             console.error('Registration email error:', e.message);
         });
 
         res.status(201).json({
-            attendee: result.rows[0],
-            badge_url: '/e/' + ev.slug + '/b/' + badgeCode
+            attendee: registered ? attendee : Object.assign({}, attendee, { badge_code: null }),
+            status: attendee.status,
+            waitlist_position: await registration.waitlistPosition(attendee),
+            payment: payment,
+            payment_due_at: attendee.payment_due_at || null,
+            badge_token: registered ? linkToken : null,
+            badge_url: registered ? linkPath : null,
+            registration_token: linkToken,
+            registration_url: linkPath
         });
     } catch (err) {
         if (err.code === '23505') { // unique constraint violation
@@ -1059,25 +1123,144 @@ router.post('/event/:slug/register', requireEvents, eventRegLimiter, async funct
 });
 
 // BADGE LOOKUP MOVED to /api/exhibitor/badge/:code (exhibitor.js) — requires auth
-// Public endpoint only returns name and company (no PII)
+// Public endpoint only returns name and company (no PII). :code is a badge code, a signed token
+// or a registration link; badge_token is only returned to a signed link, and a registration link
+// gets a newly issued badge once the registration is confirmed. Waitlisted, unpaid and cancelled
+// registrations come back with their status and no badge.
 router.get('/badge/:code', requireEvents, publicWriteLimiter, async function (req, res) {
     try {
-        var result = await db.query(
-            `SELECT ea.name, ea.company, ea.title, ea.badge_code, ea.event_id,
-                    e.name as event_name, e.slug as event_slug
-             FROM event_attendees ea
-             JOIN events e ON e.id = ea.event_id
-             WHERE ea.badge_code = $1`,
-            [req.params.code.toUpperCase()]
-        );
-        if (result.rows.length === 0) return res.status(404).json({ error: 'Badge not found' });
-        res.json(result.rows[0]);
+        var found = await badges.resolveBadge(req.params.code, null, { allowUnsigned: true, anyStatus: true });
+        if (found.error) return res.status(found.reason === 'invalid' ? 404 : found.status).json({ error: found.reason === 'invalid' ? 'Badge not found' : found.error });
+        var att = found.attendee;
+        var event = await db.query('SELECT name, slug, settings FROM events WHERE id = $1', [att.event_id]);
+        var registered = att.status === 'registered';
+        var ticketType = registration.ticketTypes(event.rows[0].settings).find(function (t) { return t.id === att.ticket_type; });
+        var pending = att.status === 'pending_payment';
+        var paid = await db.query('SELECT 1 FROM event_payments WHERE attendee_id = $1 AND paid_at IS NOT NULL AND amount_refunded < amount', [att.id]);
+        var badgeToken = null;
+        if (found.signed && registered) badgeToken = found.link ? await badges.issueToken(att) : badges.parseBadgeInput(req.params.code).token;
+        res.json({
+            name: att.name, company: att.company, title: att.title, event_id: att.event_id,
+            badge_code: registered ? att.badge_code : null,
+            event_name: event.rows[0].name, event_slug: event.rows[0].slug,
+            status: att.status,
+            ticket_type: ticketType ? ticketType.name : null,
+            waitlist_position: await registration.waitlistPosition(att),
+            amount_due: pending && ticketType ? ticketType.price : null,
+            currency: pending ? registration.currency(event.rows[0].settings) : null,
+            payment_due_at: pending ? att.payment_due_at : null,
+            paid: paid.rows.length > 0,
+            refund_on_cancel: !!(event.rows[0].settings && event.rows[0].settings.refund_on_cancel),
+            can_cancel: found.signed && att.status !== 'cancelled' && !att.checked_in_at,
+            badge_token: badgeToken,
+            signed_badges_only: badges.signedOnly(event.rows[0].settings)
+        });
     } catch (err) {
         console.error('Badge lookup error:', err);
         res.status(500).json({ error: 'Failed to look up badge' });
     }
 });
 
+// POST /api/public/badge/:token/cancel — the attendee cancels their registration (or leaves the
+// waitlist); their place goes to the next person waiting. Payments are refunded where the event
+// sets refund_on_cancel, and a refund that fails leaves the registration as it is. Only the signed link from the registration email works here: plain
+// badge codes are printed on badges for anyone to read.
+router.post('/badge/:code/cancel', requireEvents, publicWriteLimiter, async function (req, res) {
+    try {
+        var parsed = badges.parseBadgeInput(req.params.code);
+        if (!parsed || !parsed.token) return res.status(403).json({ error: 'Use the link from your registration email to cancel' });
+        var found = await badges.resolveBadge(parsed.token, null, { anyStatus: true });
+        if (found.error) return res.status(found.reason === 'invalid' ? 404 : found.status).json({ error: found.reason === 'invalid' ? 'Badge not found' : found.error });
+        if (found.attendee.status === 'cancelled') return res.json({ success: true, status: 'cancelled' });
+        if (found.attendee.checked_in_at) return res.status(409).json({ error: 'You have already checked in to this event' });
+
+        var event = await db.query('SELECT id, name, settings FROM events WHERE id = $1', [found.attendee.event_id]);
+        var settings = event.rows[0].settings || {};
+        if (settings.refund_on_cancel && found.attendee.status === 'registered') {
+            var refunded = await eventPayments.refund(event.rows[0], found.attendee.id, { cancel: true, reason: 'Cancelled by attendee' });
+            if (refunded.refund) return res.json({ success: true, status: refunded.attendee.status, refunded: refunded.refund.amount });
+            // The place is kept when the payment can't be returned (e.g. Razorpay declined the refund)
+            if (refunded.reason !== 'nothing_paid') return res.status(refunded.status).json({ error: refunded.error });
+            // Nothing paid (a free or complimentary place): just cancel
+        }
+        var att = await registration.cancel(found.attendee.event_id, found.attendee.id);
+        res.json({ success: true, status: att.status, refunded: 0 });
+    } catch (err) {
+        console.error('Cancel registration error:', err);
+        res.status(500).json({ error: 'Failed to cancel registration' });
+    }
+});
+
+// Attendee from a signed badge link for the payment routes → attendee, or null after responding
+async function payingAttendee(req, res) {
+    var parsed = badges.parseBadgeInput(req.params.code);
+    if (!parsed || !parsed.token) {
+        res.status(403).json({ error: 'Use the link from your registration email to pay' });
+        return null;
+    }
+    var found = await badges.resolveBadge(parsed.token, null, { anyStatus: true });
+    if (found.error) {
+        res.status(found.reason === 'invalid' ? 404 : found.status).json({ error: found.reason === 'invalid' ? 'Badge not found' : found.error });
+        return null;
+    }
+    return found.attendee;
+}
+
+// POST /api/public/badge/:token/pay — pay for a place held for the attendee (after registering,
+// or when a waitlist place opens up on a paid ticket). → { status: 'pending_payment', payment,
+// payment_due_at } to open Checkout with, or { status: 'registered' } when Razorpay already has
+// the payment
+router.post('/badge/:code/pay', requireEvents, publicWriteLimiter, async function (req, res) {
+    try {
+        var attendee = await payingAttendee(req, res);
+        if (!attendee) return;
+        if (attendee.status === 'registered') return res.json({ status: 'registered' });
+
+        var found = await eventPayments.reconcile(attendee);
+        if (found && found.attendee) return res.json({ status: found.attendee.status });
+
+        var event = await db.query('SELECT id, name, settings FROM events WHERE id = $1', [attendee.event_id]);
+        var order = await eventPayments.createOrder(event.rows[0], attendee);
+        if (order.error) return res.status(order.status).json({ error: order.error });
+        res.json({ status: attendee.status, payment: eventPayments.checkout(order.payment), payment_due_at: attendee.payment_due_at });
+    } catch (err) {
+        console.error('Event payment order error:', err);
+        res.status(502).json({ error: 'Payment could not be started. Please try again.' });
+    }
+});
+
+// POST /api/public/badge/:token/pay/verify { razorpay_order_id, razorpay_payment_id,
+// razorpay_signature } — Checkout's response; the registration is confirmed and the badge emailed
+// → { success, status, badge_code }
+router.post('/badge/:code/pay/verify', requireEvents, publicWriteLimiter, async function (req, res) {
+    try {
+        var attendee = await payingAttendee(req, res);
+        if (!attendee) return;
+
+        var result = await eventPayments.confirm(attendee, req.body);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        var registered = result.attendee.status === 'registered';
+        res.json({ success: true, status: result.attendee.status, badge_code: registered ? result.attendee.badge_code : null });
+    } catch (err) {
+        console.error('Event payment verify error:', err);
+        res.status(500).json({ error: 'Payment verification failed' });
+    }
+});
+
+// GET /api/public/badge/:code/calendar.ics — the badge's event as a calendar file
+router.get('/badge/:code/calendar.ics', requireEvents, publicReadLimiter, async function (req, res) {
+    try {
+        var file = await ical.buildBadgeEvent(req.params.code);
+        if (!file) return res.status(404).json({ error: 'Badge not found' });
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="' + file.filename + '"');
+        res.send(file.body);
+    } catch (err) {
+        console.error('Badge calendar error:', err);
+        res.status(500).json({ error: 'Failed to generate calendar file' });
+    }
+});
+
 // CHECK-IN MOVED to /api/events/:id/checkin (events.js) — requires organizer auth
 
 // GET /api/public/announcements — active system announcements (for user dashboard)
@@ -1119,22 +1302,110 @@ router.post('/ocr/scan', visitorOCRLimiter, async function (req, res) {
     }
 });
 
-// GET /api/public/unsubscribe/:token — sequence unsubscribe (no auth)
+// Unsubscribe a lead from everything the sender emails them: the address goes on the sender's
+// suppression list and all their enrollments for the lead stop. Throws on a bad token.
+async function unsubscribeByToken(token, source) {
+    var decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'unsub') throw new Error('Invalid token');
+    var lead = await db.query('SELECT data FROM leads WHERE user_id = $1 AND id = $2', [decoded.uid, decoded.lid]);
+    var leadData = lead.rows.length ? lead.rows[0].data || {} : {};
+    var address = Array.isArray(leadData.email) ? leadData.email[0] : leadData.email;
+    if (address) await suppression.suppress(address, { userId: decoded.uid, reason: 'unsubscribe', source: source });
+    var unsub = await db.query(
+        "UPDATE sequence_enrollments SET status = 'unsubscribed', next_send_at = NULL WHERE user_id = $1 AND lead_id = $2 " +
+        "AND (id = $3 OR status IN ('active', 'paused')) AND status <> 'unsubscribed' RETURNING id",
+        [decoded.uid, decoded.lid, decoded.eid]
+    );
+    if (unsub.rows.some(function (r) { return r.id === decoded.eid; })) await tracking.recordUnsubscribe(decoded.eid);
+}
+
+// GET /api/public/unsubscribe/:token — sequence unsubscribe link (no auth)
 router.get('/unsubscribe/:token', async function (req, res) {
     try {
-        var jwt = require('jsonwebtoken');
-        var decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
-        if (decoded.type !== 'unsub') return res.status(400).send('Invalid token');
-        await db.query("UPDATE sequence_enrollments SET status = 'unsubscribed' WHERE id = $1 AND user_id = $2", [decoded.eid, decoded.uid]);
+        await unsubscribeByToken(req.params.token, 'link');
         res.send('<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Unsubscribed</title></head>' +
             '<body style="display:flex;justify-content:center;align-items:center;height:100vh;font-family:system-ui,sans-serif;background:#111827;color:#e5e7eb;margin:0">' +
             '<div style="text-align:center;padding:24px"><h2 style="margin:0 0 8px">Unsubscribed</h2>' +
-            '<p style="color:#9ca3af;margin:0">You will no longer receive emails from this sequence.</p></div></body></html>');
+            '<p style="color:#9ca3af;margin:0">You will no longer receive emails from this sender.</p></div></body></html>');
     } catch (err) {
         res.status(400).send('Invalid or expired link');
     }
 });
 
+// POST /api/public/unsubscribe/:token — one-click unsubscribe from mail clients (List-Unsubscribe-Post, RFC 8058)
+router.post('/unsubscribe/:token', async function (req, res) {
+    try {
+        await unsubscribeByToken(req.params.token, 'one_click');
+        res.json({ success: true });
+    } catch (err) {
+        res.status(400).json({ error: 'Invalid or expired link' });
+    }
+});
+
+// POST /api/public/bounces?secret=… — hard bounces and complaints from the mail provider (no auth;
+// BOUNCE_WEBHOOK_SECRET). Body: one event, an array, or { events: [...] } — see suppression.parseWebhookEvents.
+router.post('/bounces', async function (req, res) {
+    if (!process.env.BOUNCE_WEBHOOK_SECRET) return res.status(404).json({ error: 'Not found' });
+    if (!suppression.webhookSecretMatches(req.query.secret || req.get('x-webhook-secret'))) return res.status(401).json({ error: 'Invalid secret' });
+    try {
+        var events = suppression.parseWebhookEvents(req.body);
+        var added = await suppression.recordBounces(events, 'webhook');
+        res.json({ received: events.length, suppressed: added });
+    } catch (err) {
+        console.error('Bounce webhook error:', err.message);
+        res.status(500).json({ error: 'Failed to record bounces' });
+    }
+});
+
+// GET /api/public/t/o/:token.gif — sequence email open pixel (no auth)
+router.get('/t/o/:token.gif', async function (req, res) {
+    var ref = tracking.decodeToken(req.params.token);
+    if (ref) {
+        tracking.recordEvent(ref.e, ref.s, ref.n, 'open').catch(function (err) {
+            console.error('Open tracking error:', err.message);
+        });
+    }
+    res.set('Content-Type', 'image/gif');
+    res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+    res.send(tracking.PIXEL_GIF);
+});
+
+// GET /api/public/t/c/:token — sequence email link click: record, log to the lead timeline, redirect
+router.get('/t/c/:token', async function (req, res) {
+    var ref = tracking.decodeToken(req.params.token);
+    if (!ref || !tracking.isTrackableUrl(ref.u)) return res.status(404).send('Link not found');
+    res.redirect(302, ref.u);
+    try {
+        var enrollment = await tracking.recordEvent(ref.e, ref.s, ref.n, 'click', ref.u);
+        if (!enrollment) return;
+        var seq = await db.query('SELECT name FROM sequences WHERE id = $1', [enrollment.sequence_id]);
+        var entry = { type: 'visitor', action: 'sequence_click', ts: Date.now(), sequence: seq.rows.length ? seq.rows[0].name : '', step: ref.n, url: ref.u };
+        await db.query(
+            "UPDATE leads SET data = jsonb_set(COALESCE(data, '{}'), '{actions}', " +
+            "COALESCE(data->'actions', '[]'::jsonb) || $1::jsonb), updated_at = NOW() " +
+            'WHERE user_id = $2 AND id = $3',
+            [JSON.stringify([entry]), enrollment.user_id, enrollment.lead_id]
+        );
+    } catch (err) {
+        console.error('Click tracking error:', err.message);
+    }
+});
+
+// GET /api/public/calendar/:token.ics — a user's calendar subscription (tasks, reminders, events).
+// The token is the only credential; calendar apps poll this without cookies or headers.
+router.get('/calendar/:token.ics', publicReadLimiter, async function (req, res) {
+    try {
+        var body = await ical.buildFeed(req.params.token);
+        if (!body) return res.status(404).send('Calendar not found');
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="cardflow.ics"');
+        res.send(body);
+    } catch (err) {
+        console.error('Calendar feed error:', err);
+        res.status(500).send('Failed to generate calendar');
+    }
+});
+
 // GET /api/public/stats — public landing page numbers (cached, no auth)
 var _statsCache = null;
 var _statsCacheAt = 0;
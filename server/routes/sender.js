@@ -0,0 +1,126 @@
+const express = require('express');
+const db = require('../db');
+const { verifyAuth, requireNotSuspended, blockApiKey } = require('../auth');
+const sender = require('../sender');
+
+// Sending domain and email branding (sender.js). ?scope=team manages the team's settings (team
+// admins and the owner); without it, the user's own.
+
+const router = express.Router();
+router.use(verifyAuth);
+router.use(requireNotSuspended);
+router.use(blockApiKey);
+
+// Resolve ?scope= → { owner } or { status, error }
+async function resolveOwner(req) {
+    if (req.query.scope !== 'team') return { owner: { userId: req.user.uid } };
+    var result = await db.query(
+        'SELECT tm.team_id, tm.role, t.owner_id FROM team_members tm JOIN teams t ON t.id = tm.team_id WHERE tm.user_id = $1',
+        [req.user.uid]
+    );
+    if (result.rows.length === 0) return { status: 404, error: 'You are not in a team' };
+    var m = result.rows[0];
+    if (m.role !== 'admin' && m.owner_id !== req.user.uid) return { status: 403, error: 'Only team admins can change team email settings' };
+    return { owner: { teamId: m.team_id } };
+}
+
+// Whether the settings will be used: Business plan (the team owner's, for team settings)
+async function appliesFor(owner) {
+    var result = owner.teamId
+        ? await db.query('SELECT u.plan FROM teams t JOIN users u ON u.id = t.owner_id WHERE t.id = $1', [owner.teamId])
+        : await db.query('SELECT plan FROM users WHERE id = $1', [owner.userId]);
+    return result.rows.length > 0 && result.rows[0].plan === 'business';
+}
+
+// GET /api/sender — brand, sending domain (with the DNS records to publish) and whether they apply
+router.get('/', async function (req, res) {
+    try {
+        var r = await resolveOwner(req);
+        if (r.error) return res.status(r.status).json({ error: r.error });
+        var brand = await sender.getBrand(r.owner);
+        var domain = await sender.getDomain(r.owner);
+        res.json({
+            scope: r.owner.teamId ? 'team' : 'user',
+            active: await appliesFor(r.owner),
+            brand: sender.formatBrand(brand),
+            domain: sender.formatDomain(domain)
+        });
+    } catch (err) {
+        console.error('Sender settings load error:', err);
+        res.status(500).json({ error: 'Failed to load email settings' });
+    }
+});
+
+// PUT /api/sender/brand { companyName, logoUrl, primaryColor, accentColor, footerText, physicalAddress }
+router.put('/brand', async function (req, res) {
+    try {
+        var r = await resolveOwner(req);
+        if (r.error) return res.status(r.status).json({ error: r.error });
+        var parsed = sender.parseBrandInput(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        var row = await sender.saveBrand(r.owner, parsed.fields);
+        res.json({ brand: sender.formatBrand(row) });
+    } catch (err) {
+        console.error('Sender brand save error:', err);
+        res.status(500).json({ error: 'Failed to save branding' });
+    }
+});
+
+// DELETE /api/sender/brand — back to the CardFlow look
+router.delete('/brand', async function (req, res) {
+    try {
+        var r = await resolveOwner(req);
+        if (r.error) return res.status(r.status).json({ error: r.error });
+        await sender.deleteBrand(r.owner);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Sender brand delete error:', err);
+        res.status(500).json({ error: 'Failed to remove branding' });
+    }
+});
+
+// PUT /api/sender/domain { domain, fromLocal?, fromName? } — set up a sending domain. A new domain
+// gets a fresh DKIM key; the response lists the DNS records to publish before verifying.
+router.put('/domain', async function (req, res) {
+    try {
+        var r = await resolveOwner(req);
+        if (r.error) return res.status(r.status).json({ error: r.error });
+        var parsed = sender.parseDomainInput(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        var row = await sender.saveDomain(r.owner, parsed.fields);
+        res.json({ domain: sender.formatDomain(row) });
+    } catch (err) {
+        console.error('Sending domain save error:', err);
+        res.status(500).json({ error: 'Failed to save sending domain' });
+    }
+});
+
+// POST /api/sender/domain/verify — look up the DNS records now
+router.post('/domain/verify', async function (req, res) {
+    try {
+        var r = await resolveOwner(req);
+        if (r.error) return res.status(r.status).json({ error: r.error });
+        var row = await sender.getDomain(r.owner);
+        if (!row) return res.status(404).json({ error: 'No sending domain set up' });
+        row = await sender.verifyDomain(row);
+        res.json({ domain: sender.formatDomain(row) });
+    } catch (err) {
+        console.error('Sending domain verify error:', err);
+        res.status(500).json({ error: 'Failed to verify sending domain' });
+    }
+});
+
+// DELETE /api/sender/domain — send from the CardFlow address again (queued emails fall back too)
+router.delete('/domain', async function (req, res) {
+    try {
+        var r = await resolveOwner(req);
+        if (r.error) return res.status(r.status).json({ error: r.error });
+        await sender.deleteDomain(r.owner);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Sending domain delete error:', err);
+        res.status(500).json({ error: 'Failed to remove sending domain' });
+    }
+});
+
+module.exports = router;
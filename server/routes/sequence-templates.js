@@ -0,0 +1,304 @@
+const express = require('express');
+const db = require('../db');
+const { verifyAuth, requireNotSuspended } = require('../auth');
+const sequences = require('../sequences');
+const tracking = require('../tracking');
+
+// Team sequence templates. Team admins (role admin, or the owner) publish and edit templates;
+// every member can list them and clone one (an editable copy) or use it directly (a linked
+// sequence that follows each new version). Edits are versioned; old versions stay readable.
+
+const router = express.Router();
+router.use(verifyAuth);
+router.use(requireNotSuspended);
+
+var MAX_TEMPLATES = 50;
+var USE_MODES = ['clone', 'link'];
+
+// Caller's team and whether they manage its templates
+async function getMembership(uid) {
+    var result = await db.query(
+        'SELECT tm.team_id, tm.role, t.owner_id FROM team_members tm JOIN teams t ON t.id = tm.team_id WHERE tm.user_id = $1',
+        [uid]
+    );
+    if (result.rows.length === 0) return null;
+    var m = result.rows[0];
+    return { teamId: m.team_id, isAdmin: m.role === 'admin' || m.owner_id === uid };
+}
+
+async function getTemplate(teamId, id) {
+    if (!/^\d{1,9}$/.test(String(id))) return null;
+    var result = await db.query(
+        'SELECT * FROM team_sequence_templates WHERE id = $1 AND team_id = $2 AND archived_at IS NULL',
+        [id, teamId]
+    );
+    return result.rows[0] || null;
+}
+
+function parseDetails(body) {
+    var name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) return { error: 'Name is required (max 100 chars)' };
+    var description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > 500) return { error: 'Description max 500 chars' };
+    return { name: name, description: description || null };
+}
+
+function formatTemplate(row) {
+    return {
+        id: row.id, name: row.name, description: row.description, steps: sequences.normalizeSteps(row.steps),
+        settings: row.settings || {}, version: row.version, created_by: row.created_by, updated_by: row.updated_by,
+        updated_by_name: row.updated_by_name, created_at: row.created_at, updated_at: row.updated_at
+    };
+}
+
+async function saveVersion(template, userId) {
+    await db.query(
+        'INSERT INTO team_sequence_template_versions (template_id, version, name, description, steps, settings, created_by) ' +
+        'VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (template_id, version) DO NOTHING',
+        [template.id, template.version, template.name, template.description, JSON.stringify(template.steps), JSON.stringify(template.settings), userId]
+    );
+}
+
+// Bring linked member sequences to the template's current version. Steps are re-validated for each
+// member (their pipeline stages may differ); members that fail keep their previous version.
+async function syncLinked(template) {
+    var linked = await db.query(
+        'SELECT id, user_id FROM sequences WHERE template_id = $1 AND linked = true AND user_id IN (SELECT user_id FROM team_members WHERE team_id = $2)',
+        [template.id, template.team_id]
+    );
+    var synced = 0;
+    var skipped = [];
+    for (var i = 0; i < linked.rows.length; i++) {
+        var row = linked.rows[i];
+        var seq = await sequences.validateSequence(row.user_id, template.steps, template.settings);
+        if (seq.error) {
+            skipped.push({ user_id: row.user_id, sequence_id: row.id, error: seq.error });
+            continue;
+        }
+        await db.query(
+            'UPDATE sequences SET name = $1, steps = $2, settings = $3, template_version = $4, updated_at = NOW() WHERE id = $5',
+            [template.name, JSON.stringify(seq.steps), JSON.stringify(seq.settings), template.version, row.id]
+        );
+        await db.query(
+            "UPDATE sequence_enrollments SET status = 'completed' WHERE sequence_id = $1 AND status = 'active' AND current_step >= $2",
+            [row.id, seq.steps.length]
+        );
+        synced++;
+    }
+    return { synced: synced, skipped: skipped };
+}
+
+// GET /api/sequence-templates — the team's templates, with who uses them
+router.get('/', async function (req, res) {
+    try {
+        var membership = await getMembership(req.user.uid);
+        if (!membership) return res.json({ teamId: null, isAdmin: false, templates: [] });
+        var result = await db.query(
+            'SELECT t.*, u.name AS updated_by_name, ' +
+            '(SELECT COUNT(*) FROM sequences s WHERE s.template_id = t.id AND s.linked = true) AS linked_count, ' +
+            '(SELECT COUNT(*) FROM sequences s WHERE s.template_id = t.id AND s.linked = false) AS clone_count, ' +
+            '(SELECT s.id FROM sequences s WHERE s.template_id = t.id AND s.user_id = $2 AND s.linked = true LIMIT 1) AS my_linked_id ' +
+            'FROM team_sequence_templates t LEFT JOIN users u ON u.id = t.updated_by ' +
+            'WHERE t.team_id = $1 AND t.archived_at IS NULL ORDER BY t.updated_at DESC',
+            [membership.teamId, req.user.uid]
+        );
+        res.json({
+            teamId: membership.teamId,
+            isAdmin: membership.isAdmin,
+            templates: result.rows.map(function (row) {
+                return Object.assign(formatTemplate(row), {
+                    usage: { linked: parseInt(row.linked_count), clones: parseInt(row.clone_count) },
+                    my_linked_sequence_id: row.my_linked_id
+                });
+            })
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load templates' });
+    }
+});
+
+// POST /api/sequence-templates — publish (admin). Body: { name, description?, steps, settings }
+// or { sequenceId } to publish one of your own sequences as it is.
+router.post('/', async function (req, res) {
+    try {
+        var membership = await getMembership(req.user.uid);
+        if (!membership || !membership.isAdmin) return res.status(403).json({ error: 'Team admin access required' });
+        var body = req.body || {};
+        if (body.sequenceId !== undefined) {
+            var source = await db.query('SELECT name, steps, settings FROM sequences WHERE id = $1 AND user_id = $2', [body.sequenceId, req.user.uid]);
+            if (source.rows.length === 0) return res.status(404).json({ error: 'Sequence not found' });
+            var src = source.rows[0];
+            body = { name: body.name || src.name, description: body.description, steps: src.steps, settings: src.settings };
+        }
+        var details = parseDetails(body);
+        if (details.error) return res.status(400).json({ error: details.error });
+        var seq = await sequences.validateSequence(req.user.uid, body.steps, body.settings);
+        if (seq.error) return res.status(400).json({ error: seq.error });
+        var count = await db.query('SELECT COUNT(*) AS cnt FROM team_sequence_templates WHERE team_id = $1 AND archived_at IS NULL', [membership.teamId]);
+        if (parseInt(count.rows[0].cnt) >= MAX_TEMPLATES) return res.status(400).json({ error: 'A team can have up to ' + MAX_TEMPLATES + ' templates' });
+        var result = await db.query(
+            'INSERT INTO team_sequence_templates (team_id, name, description, steps, settings, created_by, updated_by) ' +
+            'VALUES ($1, $2, $3, $4, $5, $6, $6) RETURNING *',
+            [membership.teamId, details.name, details.description, JSON.stringify(seq.steps), JSON.stringify(seq.settings), req.user.uid]
+        );
+        await saveVersion(result.rows[0], req.user.uid);
+        res.json(formatTemplate(result.rows[0]));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to publish template' });
+    }
+});
+
+// GET /api/sequence-templates/:id — template with its version history
+router.get('/:id', async function (req, res) {
+    try {
+        var membership = await getMembership(req.user.uid);
+        if (!membership) return res.status(404).json({ error: 'Template not found' });
+        var template = await getTemplate(membership.teamId, req.params.id);
+        if (!template) return res.status(404).json({ error: 'Template not found' });
+        var versions = await db.query(
+            'SELECT v.version, v.name, v.created_at, v.created_by, u.name AS created_by_name FROM team_sequence_template_versions v ' +
+            'LEFT JOIN users u ON u.id = v.created_by WHERE v.template_id = $1 ORDER BY v.version DESC',
+            [template.id]
+        );
+        res.json(Object.assign(formatTemplate(template), { versions: versions.rows }));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load template' });
+    }
+});
+
+// GET /api/sequence-templates/:id/versions/:version — steps as they were in an earlier version
+router.get('/:id/versions/:version', async function (req, res) {
+    try {
+        var membership = await getMembership(req.user.uid);
+        if (!membership) return res.status(404).json({ error: 'Template not found' });
+        var template = await getTemplate(membership.teamId, req.params.id);
+        if (!template) return res.status(404).json({ error: 'Template not found' });
+        var version = parseInt(req.params.version);
+        var result = await db.query('SELECT * FROM team_sequence_template_versions WHERE template_id = $1 AND version = $2', [template.id, version || 0]);
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Version not found' });
+        var row = result.rows[0];
+        res.json({
+            version: row.version, name: row.name, description: row.description, steps: sequences.normalizeSteps(row.steps),
+            settings: row.settings || {}, created_by: row.created_by, created_at: row.created_at
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load version' });
+    }
+});
+
+// PUT /api/sequence-templates/:id — new version (admin). Pass the version you edited as
+// `version` to get a 409 instead of overwriting someone else's change. Linked sequences follow.
+router.put('/:id', async function (req, res) {
+    try {
+        var membership = await getMembership(req.user.uid);
+        if (!membership || !membership.isAdmin) return res.status(403).json({ error: 'Team admin access required' });
+        var template = await getTemplate(membership.teamId, req.params.id);
+        if (!template) return res.status(404).json({ error: 'Template not found' });
+        if (req.body.version !== undefined && req.body.version !== template.version) {
+            return res.status(409).json({ error: 'Template was changed by someone else (now version ' + template.version + ')', version: template.version });
+        }
+        var details = parseDetails(req.body);
+        if (details.error) return res.status(400).json({ error: details.error });
+        var seq = await sequences.validateSequence(req.user.uid, req.body.steps, req.body.settings);
+        if (seq.error) return res.status(400).json({ error: seq.error });
+        var result = await db.query(
+            'UPDATE team_sequence_templates SET name = $1, description = $2, steps = $3, settings = $4, version = version + 1, ' +
+            'updated_by = $5, updated_at = NOW() WHERE id = $6 AND version = $7 RETURNING *',
+            [details.name, details.description, JSON.stringify(seq.steps), JSON.stringify(seq.settings), req.user.uid, template.id, template.version]
+        );
+        if (result.rows.length === 0) return res.status(409).json({ error: 'Template was changed by someone else, reload and try again' });
+        var updated = result.rows[0];
+        await saveVersion(updated, req.user.uid);
+        var sync = await syncLinked(updated);
+        res.json({ version: updated.version, synced: sync.synced, skipped: sync.skipped });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update template' });
+    }
+});
+
+// DELETE /api/sequence-templates/:id — archive (admin). Linked sequences become members' own copies.
+router.delete('/:id', async function (req, res) {
+    try {
+        var membership = await getMembership(req.user.uid);
+        if (!membership || !membership.isAdmin) return res.status(403).json({ error: 'Team admin access required' });
+        var template = await getTemplate(membership.teamId, req.params.id);
+        if (!template) return res.status(404).json({ error: 'Template not found' });
+        await db.query('UPDATE team_sequence_templates SET archived_at = NOW() WHERE id = $1', [template.id]);
+        await db.query('UPDATE sequences SET linked = false WHERE template_id = $1 AND linked = true', [template.id]);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to archive template' });
+    }
+});
+
+// POST /api/sequence-templates/:id/use — { mode: 'clone' | 'link', name? } creates a sequence of yours
+router.post('/:id/use', async function (req, res) {
+    try {
+        var membership = await getMembership(req.user.uid);
+        if (!membership) return res.status(404).json({ error: 'Template not found' });
+        var template = await getTemplate(membership.teamId, req.params.id);
+        if (!template) return res.status(404).json({ error: 'Template not found' });
+        var mode = req.body.mode === undefined ? 'clone' : req.body.mode;
+        if (!USE_MODES.includes(mode)) return res.status(400).json({ error: 'mode must be one of: ' + USE_MODES.join(', ') });
+        var name = template.name;
+        if (mode === 'clone' && req.body.name !== undefined) {
+            name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+            if (!name || name.length > 100) return res.status(400).json({ error: 'Name is required (max 100 chars)' });
+        }
+        if (mode === 'link') {
+            var existing = await db.query('SELECT id FROM sequences WHERE template_id = $1 AND user_id = $2 AND linked = true', [template.id, req.user.uid]);
+            if (existing.rows.length) return res.status(409).json({ error: 'You already use this template', sequenceId: existing.rows[0].id });
+        }
+        // Checked against your own pipeline, which may not have the stages the template moves leads to
+        var seq = await sequences.validateSequence(req.user.uid, template.steps, template.settings);
+        if (seq.error) return res.status(400).json({ error: seq.error });
+        var result = await db.query(
+            'INSERT INTO sequences (user_id, name, steps, settings, template_id, template_version, linked) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+            [req.user.uid, name, JSON.stringify(seq.steps), JSON.stringify(seq.settings), template.id, template.version, mode === 'link']
+        );
+        res.json({ id: result.rows[0].id, linked: mode === 'link', template_version: template.version });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to use template' });
+    }
+});
+
+// GET /api/sequence-templates/:id/stats — enrollments and email engagement across the team (admin)
+router.get('/:id/stats', async function (req, res) {
+    try {
+        var membership = await getMembership(req.user.uid);
+        if (!membership || !membership.isAdmin) return res.status(403).json({ error: 'Team admin access required' });
+        var template = await getTemplate(membership.teamId, req.params.id);
+        if (!template) return res.status(404).json({ error: 'Template not found' });
+        var memberIds = (await db.query('SELECT user_id FROM team_members WHERE team_id = $1', [membership.teamId])).rows.map(function (r) { return r.user_id; });
+        var perMember = await db.query(
+            'SELECT s.user_id, u.name, u.email, COUNT(DISTINCT s.id) AS sequences, ' +
+            'BOOL_OR(s.linked) AS linked, COUNT(e.id) AS total, ' +
+            "COUNT(e.id) FILTER (WHERE e.status = 'active') AS active, " +
+            "COUNT(e.id) FILTER (WHERE e.status = 'completed') AS completed, " +
+            "COUNT(e.id) FILTER (WHERE e.status = 'stopped') AS stopped " +
+            'FROM sequences s JOIN users u ON u.id = s.user_id LEFT JOIN sequence_enrollments e ON e.sequence_id = s.id ' +
+            'WHERE s.template_id = $1 AND s.user_id = ANY($2) GROUP BY s.user_id, u.name, u.email ORDER BY COUNT(e.id) DESC',
+            [template.id, memberIds]
+        );
+        var totals = { members: perMember.rows.length, total: 0, active: 0, completed: 0, stopped: 0 };
+        var members = perMember.rows.map(function (r) {
+            var m = {
+                user_id: r.user_id, name: r.name, email: r.email, sequences: parseInt(r.sequences), linked: r.linked,
+                total: parseInt(r.total), active: parseInt(r.active), completed: parseInt(r.completed), stopped: parseInt(r.stopped)
+            };
+            ['total', 'active', 'completed', 'stopped'].forEach(function (k) { totals[k] += m[k]; });
+            return m;
+        });
+        var engagement = await tracking.templateStepStats(template.id, memberIds);
+        res.json({
+            version: template.version,
+            totals: totals,
+            members: members,
+            steps: tracking.emailStepStats(sequences.normalizeSteps(template.steps), engagement)
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load template stats' });
+    }
+});
+
+module.exports = router;
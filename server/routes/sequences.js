@@ -1,50 +1,48 @@
 var express = require('express');
 var db = require('../db');
 var { verifyAuth, requireNotSuspended } = require('../auth');
+var sequences = require('../sequences');
+var pipeline = require('../pipeline');
+var tracking = require('../tracking');
+var templates = require('../templates');
+var suppression = require('../suppression');
 
 var router = express.Router();
 router.use(verifyAuth);
 router.use(requireNotSuspended);
 
 var SEQ_LIMITS = { free: -1, pro: -1, business: -1 };
-var MAX_STEPS = 10;
-var MAX_SUBJECT = 200;
-var MAX_BODY = 5000;
-
-function validateSteps(steps) {
-    if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) return false;
-    for (var i = 0; i < steps.length; i++) {
-        var s = steps[i];
-        if (typeof s.delay_days !== 'number' || s.delay_days < 0) return false;
-        if (!s.subject || s.subject.length > MAX_SUBJECT) return false;
-        if (!s.body || s.body.length > MAX_BODY) return false;
-        if (i > 0 && s.delay_days < steps[i - 1].delay_days) return false;
-    }
-    return true;
-}
-
 // GET /api/sequences — list with enrollment stats
 router.get('/', async function (req, res) {
     try {
         var seqs = await db.query(
-            'SELECT id, name, steps, active, created_at FROM sequences WHERE user_id = $1 ORDER BY created_at DESC',
+            'SELECT id, name, steps, settings, active, template_id, template_version, linked, created_at FROM sequences WHERE user_id = $1 ORDER BY created_at DESC',
             [req.user.uid]
         );
         var stats = await db.query(
             "SELECT sequence_id, COUNT(*) as total, " +
             "COUNT(*) FILTER (WHERE status = 'active') as active_count, " +
-            "COUNT(*) FILTER (WHERE status = 'completed') as completed_count " +
+            "COUNT(*) FILTER (WHERE status = 'completed') as completed_count, " +
+            "COUNT(*) FILTER (WHERE status = 'stopped') as stopped_count " +
             "FROM sequence_enrollments WHERE user_id = $1 GROUP BY sequence_id",
             [req.user.uid]
         );
         var statsMap = {};
         stats.rows.forEach(function (r) { statsMap[r.sequence_id] = r; });
+        var engagement = await tracking.stepStats(req.user.uid);
         var result = seqs.rows.map(function (s) {
-            var st = statsMap[s.id] || { total: 0, active_count: 0, completed_count: 0 };
+            var st = statsMap[s.id] || { total: 0, active_count: 0, completed_count: 0, stopped_count: 0 };
+            var steps = sequences.normalizeSteps(s.steps);
             return {
-                id: s.id, name: s.name, steps: s.steps, active: s.active,
+                id: s.id, name: s.name, steps: steps, settings: s.settings || {}, active: s.active,
+                // Made from a team template; linked ones follow its versions and can't be edited
+                template_id: s.template_id, template_version: s.template_version, linked: s.linked && !!s.template_id,
                 created_at: s.created_at,
-                stats: { total: parseInt(st.total), active: parseInt(st.active_count), completed: parseInt(st.completed_count) }
+                stats: {
+                    total: parseInt(st.total), active: parseInt(st.active_count), completed: parseInt(st.completed_count), stopped: parseInt(st.stopped_count),
+                    // Per email step: sent / opened / clicked / unsubscribed (distinct leads) and % rates
+                    steps: tracking.emailStepStats(steps, engagement[s.id])
+                }
             };
         });
         res.json(result);
@@ -68,10 +66,11 @@ router.post('/', async function (req, res) {
         }
         var name = (req.body.name || '').trim();
         if (!name || name.length > 100) return res.status(400).json({ error: 'Name is required (max 100 chars)' });
-        if (!validateSteps(req.body.steps)) return res.status(400).json({ error: 'Invalid steps' });
+        var seq = await sequences.validateSequence(req.user.uid, req.body.steps, req.body.settings);
+        if (seq.error) return res.status(400).json({ error: seq.error });
         var result = await db.query(
-            'INSERT INTO sequences (user_id, name, steps) VALUES ($1, $2, $3) RETURNING id',
-            [req.user.uid, name, JSON.stringify(req.body.steps)]
+            'INSERT INTO sequences (user_id, name, steps, settings) VALUES ($1, $2, $3, $4) RETURNING id',
+            [req.user.uid, name, JSON.stringify(seq.steps), JSON.stringify(seq.settings)]
         );
         res.json({ id: result.rows[0].id });
     } catch (err) {
@@ -79,20 +78,64 @@ router.post('/', async function (req, res) {
     }
 });
 
+// GET /api/sequences/limits — daily send cap (plan cap, optionally lowered by the user) and usage
+router.get('/limits', async function (req, res) {
+    try {
+        var result = await db.query(
+            "SELECT u.plan, us.data->>'sequenceDailyCap' AS own_cap FROM users u LEFT JOIN user_settings us ON us.user_id = u.id WHERE u.id = $1",
+            [req.user.uid]
+        );
+        var row = result.rows[0] || {};
+        res.json({
+            daily_cap: sequences.dailyCap(row.plan, row.own_cap),
+            plan_cap: sequences.DAILY_SEND_CAPS[row.plan] || 0,
+            custom_cap: parseInt(row.own_cap) || null,
+            sent_24h: await sequences.sentLast24h(req.user.uid)
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load sending limits' });
+    }
+});
+
+// PUT /api/sequences/limits { daily_cap } — lower the daily cap (null = the plan's cap)
+router.put('/limits', async function (req, res) {
+    try {
+        var userResult = await db.query('SELECT plan FROM users WHERE id = $1', [req.user.uid]);
+        var plan = (userResult.rows.length > 0 && userResult.rows[0].plan) || 'free';
+        var planCap = sequences.DAILY_SEND_CAPS[plan] || 0;
+        var cap = req.body.daily_cap;
+        if (cap !== null && (!Number.isInteger(cap) || cap < 1 || cap > planCap)) {
+            return res.status(400).json({ error: planCap ? 'daily_cap must be 1-' + planCap + ' or null' : 'Email sequences are available on Pro and Business plans.' });
+        }
+        await db.query(
+            "INSERT INTO user_settings (user_id, data) VALUES ($1, jsonb_build_object('sequenceDailyCap', $2::int)) " +
+            "ON CONFLICT (user_id) DO UPDATE SET data = COALESCE(user_settings.data, '{}'::jsonb) || jsonb_build_object('sequenceDailyCap', $2::int)",
+            [req.user.uid, cap]
+        );
+        res.json({ daily_cap: sequences.dailyCap(plan, cap) });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to save sending limits' });
+    }
+});
+
 // PUT /api/sequences/:id — update
 router.put('/:id', async function (req, res) {
     try {
-        var existing = await db.query('SELECT id FROM sequences WHERE id = $1 AND user_id = $2', [req.params.id, req.user.uid]);
+        var existing = await db.query('SELECT id, linked, template_id FROM sequences WHERE id = $1 AND user_id = $2', [req.params.id, req.user.uid]);
         if (existing.rows.length === 0) return res.status(404).json({ error: 'Sequence not found' });
+        if (existing.rows[0].linked && existing.rows[0].template_id) {
+            return res.status(409).json({ error: 'This sequence follows a team template. Unlink it to make your own changes.' });
+        }
         var name = (req.body.name || '').trim();
         if (!name || name.length > 100) return res.status(400).json({ error: 'Name is required (max 100 chars)' });
-        if (!validateSteps(req.body.steps)) return res.status(400).json({ error: 'Invalid steps' });
+        var seq = await sequences.validateSequence(req.user.uid, req.body.steps, req.body.settings);
+        if (seq.error) return res.status(400).json({ error: seq.error });
         await db.query(
-            'UPDATE sequences SET name = $1, steps = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4',
-            [name, JSON.stringify(req.body.steps), req.params.id, req.user.uid]
+            'UPDATE sequences SET name = $1, steps = $2, settings = $3, updated_at = NOW() WHERE id = $4 AND user_id = $5',
+            [name, JSON.stringify(seq.steps), JSON.stringify(seq.settings), req.params.id, req.user.uid]
         );
         // Mark enrollments past new step count as completed
-        var stepCount = req.body.steps.length;
+        var stepCount = seq.steps.length;
         await db.query(
             "UPDATE sequence_enrollments SET status = 'completed' WHERE sequence_id = $1 AND user_id = $2 AND status = 'active' AND current_step >= $3",
             [req.params.id, req.user.uid, stepCount]
@@ -103,6 +146,36 @@ router.put('/:id', async function (req, res) {
     }
 });
 
+// POST /api/sequences/:id/unlink — stop following the team template; the steps stay as they are
+router.post('/:id/unlink', async function (req, res) {
+    try {
+        var result = await db.query('UPDATE sequences SET linked = false, updated_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING id', [req.params.id, req.user.uid]);
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Sequence not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to unlink sequence' });
+    }
+});
+
+// POST /api/sequences/preview — render { subject, body } templates for one of your leads
+router.post('/preview', async function (req, res) {
+    try {
+        var leadId = req.body.leadId;
+        if (!leadId) return res.status(400).json({ error: 'leadId required' });
+        var subject = typeof req.body.subject === 'string' ? req.body.subject : '';
+        var body = typeof req.body.body === 'string' ? req.body.body : '';
+        if (subject.length > 200 || body.length > 5000) return res.status(400).json({ error: 'Template too long' });
+        var error = (subject && templates.validate(subject)) || (body && templates.validate(body));
+        if (error) return res.status(400).json({ error: error });
+        var lead = await db.query('SELECT data FROM leads WHERE user_id = $1 AND id = $2', [req.user.uid, String(leadId)]);
+        if (lead.rows.length === 0) return res.status(404).json({ error: 'Lead not found' });
+        var vars = await templates.buildVars(req.user.uid, lead.rows[0].data || {});
+        res.json({ subject: templates.renderText(subject, vars), html: templates.renderHtml(body, vars), variables: vars });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to render preview' });
+    }
+});
+
 // DELETE /api/sequences/:id
 router.delete('/:id', async function (req, res) {
     try {
@@ -135,8 +208,8 @@ router.patch('/:id/toggle', async function (req, res) {
                 if (row.current_step >= steps.length) {
                     await db.query("UPDATE sequence_enrollments SET status = 'completed' WHERE id = $1", [row.id]);
                 } else {
-                    var delayDays = steps[row.current_step].delay_days;
-                    var nextSend = new Date(Math.max(Date.now(), new Date(row.enrolled_at).getTime() + delayDays * 86400000));
+                    // Emails keep their delay from enrollment; other steps run on the next pass
+                    var nextSend = sequences.runAt(steps, row.current_step, row.enrolled_at);
                     await db.query("UPDATE sequence_enrollments SET status = 'active', next_send_at = $1 WHERE id = $2", [nextSend, row.id]);
                 }
             }
@@ -159,19 +232,24 @@ router.post('/:id/enroll', async function (req, res) {
         if (lead.rows.length === 0) return res.status(404).json({ error: 'Lead not found' });
         var leadData = lead.rows[0].data || {};
         var leadEmail = Array.isArray(leadData.email) ? leadData.email[0] : leadData.email;
-        if (!leadEmail) return res.status(400).json({ error: 'Lead has no email address' });
+        var steps = sequences.normalizeSteps(seq.rows[0].steps);
+        var sendsEmail = steps.some(function (s) { return s.type === 'email'; });
+        if (!leadEmail && sendsEmail) return res.status(400).json({ error: 'Lead has no email address' });
+        var blocked = sendsEmail ? await suppression.check(leadEmail, req.user.uid) : null;
+        if (blocked) return res.status(400).json({ error: 'This address is on the suppression list (' + blocked.reason + ')' });
         // Check not already enrolled
         var dup = await db.query(
             "SELECT id FROM sequence_enrollments WHERE sequence_id = $1 AND user_id = $2 AND lead_id = $3 AND status = 'active'",
             [req.params.id, req.user.uid, leadId]
         );
         if (dup.rows.length > 0) return res.status(409).json({ error: 'Lead already enrolled in this sequence' });
-        var steps = seq.rows[0].steps;
-        var delayMs = (steps[0] ? steps[0].delay_days : 0) * 86400000;
-        var nextSend = new Date(Date.now() + delayMs);
+        var nextSend = sequences.runAt(steps, 0, new Date());
+        // "Status changed" branches compare against the stage at enrollment
+        var pipe = await pipeline.getPipeline(req.user.uid);
+        var state = { start_status: leadData.status || pipeline.initialStage(pipe.stages) };
         await db.query(
-            'INSERT INTO sequence_enrollments (sequence_id, user_id, lead_id, next_send_at) VALUES ($1, $2, $3, $4)',
-            [req.params.id, req.user.uid, leadId, nextSend]
+            'INSERT INTO sequence_enrollments (sequence_id, user_id, lead_id, next_send_at, state) VALUES ($1, $2, $3, $4, $5)',
+            [req.params.id, req.user.uid, leadId, nextSend, JSON.stringify(state)]
         );
         res.json({ success: true });
     } catch (err) {
@@ -194,8 +272,8 @@ router.delete('/enrollments/:id', async function (req, res) {
 router.get('/lead/:leadId', async function (req, res) {
     try {
         var result = await db.query(
-            "SELECT e.id, e.sequence_id, e.current_step, e.status, e.enrolled_at, e.last_sent_at, " +
-            "s.name as sequence_name, s.steps FROM sequence_enrollments e " +
+            "SELECT e.id, e.sequence_id, e.current_step, e.status, e.enrolled_at, e.last_sent_at, e.next_send_at, " +
+            "e.state->>'stop_reason' as stop_reason, s.name as sequence_name, s.steps FROM sequence_enrollments e " +
             "JOIN sequences s ON s.id = e.sequence_id " +
             "WHERE e.user_id = $1 AND e.lead_id = $2 ORDER BY e.enrolled_at DESC",
             [req.user.uid, req.params.leadId]
@@ -1,10 +1,10 @@
 const express = require('express');
 const db = require('../db');
-const { verifyAuth, requireNotSuspended } = require('../auth');
-const { validateUrl } = require('../ssrf');
+const { verifyAuth, requireNotSuspended, blockApiKey, blockIfImpersonating, generateApiKey, API_KEY_SCOPES, DEFAULT_API_KEY_RATE_LIMIT } = require('../auth');
 
 const router = express.Router();
 router.use(verifyAuth);
+router.use(blockApiKey);
 router.use(requireNotSuspended);
 
 // GET /api/settings
@@ -48,12 +48,11 @@ router.patch('/', async function (req, res) {
             if (dataStr.length > 50 * 1024) {
                 return res.status(400).json({ error: 'Settings data too large (max 50KB)' });
             }
-            // Webhook URL — SSRF validation at save time (plan check disabled)
-            if (req.body.data.webhookUrl) {
-                var webhookSafe = await validateUrl(req.body.data.webhookUrl);
-                if (!webhookSafe) {
-                    return res.status(400).json({ error: 'Webhook URL not allowed: private/internal addresses are blocked' });
-                }
+            // Webhook endpoints live in /api/webhooks now — don't let the legacy key creep back in
+            if (req.body.data && typeof req.body.data === 'object') {
+                delete req.body.data.webhookUrl;
+                if (req.body.data.autoMergeDuplicates !== undefined) req.body.data.autoMergeDuplicates = !!req.body.data.autoMergeDuplicates;
+                dataStr = JSON.stringify(req.body.data);
             }
             updates.push('data = COALESCE(user_settings.data, \'{}\'::jsonb) || $' + idx++);
             values.push(dataStr);
@@ -136,47 +135,90 @@ router.put('/nfc-token', async function (req, res) {
     }
 });
 
-// POST /api/settings/test-webhook — test a webhook URL with sample data
-router.post('/test-webhook', async function (req, res) {
-    var url = req.body.url;
-    if (!url) return res.status(400).json({ error: 'URL required' });
-
-    // Validate URL format
-    try { new URL(url); } catch (e) { return res.status(400).json({ error: 'Invalid URL' }); }
+// ── API keys ──
+var MAX_API_KEYS = 10;
+
+function formatApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        scopes: row.scopes,
+        rateLimit: row.rate_limit,
+        lastUsedAt: row.last_used_at,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at,
+        createdAt: row.created_at
+    };
+}
 
-    // SSRF protection: validate webhook URL before fetching
-    var urlSafe = await validateUrl(url);
-    if (!urlSafe) {
-        return res.status(400).json({ error: 'URL not allowed: private/internal addresses are blocked' });
+// GET /api/settings/api-keys
+router.get('/api-keys', async function (req, res) {
+    try {
+        var result = await db.query(
+            'SELECT id, name, key_prefix, scopes, rate_limit, last_used_at, expires_at, revoked_at, created_at FROM api_keys WHERE user_id = $1 ORDER BY revoked_at IS NOT NULL, created_at DESC',
+            [req.user.uid]
+        );
+        res.json({ keys: result.rows.map(formatApiKey), scopes: API_KEY_SCOPES });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load API keys' });
     }
+});
 
-    var testPayload = {
-        event: 'test',
-        name: 'Test Lead',
-        email: 'test@example.com',
-        phone: '+1234567890',
-        company: 'Test Company',
-        source: 'test',
-        card: 'test-card',
-        timestamp: new Date().toISOString(),
-        message: 'This is a test webhook from CardFlow'
-    };
-
+// POST /api/settings/api-keys — the plaintext key is only returned here
+router.post('/api-keys', blockIfImpersonating, async function (req, res) {
     try {
-        var controller = new AbortController();
-        var timeout = setTimeout(function () { controller.abort(); }, 10000);
-
-        var response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'User-Agent': 'CardFlow-Webhook/1.0' },
-            body: JSON.stringify(testPayload),
-            signal: controller.signal
-        });
+        var name = (req.body.name || '').toString().trim().substring(0, 100);
+        if (!name) return res.status(400).json({ error: 'Key name is required' });
+
+        var scopes = req.body.scopes;
+        if (!Array.isArray(scopes) || scopes.length === 0) return res.status(400).json({ error: 'Select at least one scope' });
+        for (var i = 0; i < scopes.length; i++) {
+            if (!API_KEY_SCOPES.includes(scopes[i])) return res.status(400).json({ error: 'Unknown scope: ' + String(scopes[i]).substring(0, 50) });
+        }
+        scopes = scopes.filter(function (s, idx) { return scopes.indexOf(s) === idx; });
+
+        var rateLimit = req.body.rateLimit !== undefined ? parseInt(req.body.rateLimit, 10) : DEFAULT_API_KEY_RATE_LIMIT;
+        if (!rateLimit || rateLimit < 1 || rateLimit > 600) return res.status(400).json({ error: 'rateLimit must be between 1 and 600 requests per minute' });
 
-        clearTimeout(timeout);
-        res.json({ success: response.ok, status: response.status });
+        var expiresAt = null;
+        if (req.body.expiresAt) {
+            expiresAt = new Date(req.body.expiresAt);
+            if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) return res.status(400).json({ error: 'expiresAt must be a future date' });
+        }
+
+        var count = await db.query('SELECT COUNT(*) FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL', [req.user.uid]);
+        if (parseInt(count.rows[0].count, 10) >= MAX_API_KEYS) {
+            return res.status(400).json({ error: 'Maximum ' + MAX_API_KEYS + ' active API keys allowed' });
+        }
+
+        var generated = generateApiKey();
+        var result = await db.query(
+            'INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, rate_limit, expires_at) VALUES ($1, $2, $3, $4, $5, $6, $7) ' +
+            'RETURNING id, name, key_prefix, scopes, rate_limit, last_used_at, expires_at, revoked_at, created_at',
+            [req.user.uid, name, generated.prefix, generated.hash, scopes, rateLimit, expiresAt]
+        );
+        var key = formatApiKey(result.rows[0]);
+        key.key = generated.key;
+        res.json(key);
+    } catch (err) {
+        console.error('Create API key error:', err);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+// DELETE /api/settings/api-keys/:id — revoke (kept for the audit trail)
+router.delete('/api-keys/:id', async function (req, res) {
+    try {
+        if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) return res.status(404).json({ error: 'API key not found' });
+        var result = await db.query(
+            'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+            [req.params.id, req.user.uid]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: 'API key not found' });
+        res.json({ success: true });
     } catch (err) {
-        res.json({ success: false, error: 'Connection failed' });
+        res.status(500).json({ error: 'Failed to revoke API key' });
     }
 });
 
@@ -0,0 +1,69 @@
+const express = require('express');
+const db = require('../db');
+const { verifyAuth, requireNotSuspended } = require('../auth');
+const suppression = require('../suppression');
+
+const router = express.Router();
+
+router.use(verifyAuth);
+router.use(requireNotSuspended);
+
+var MAX_LIST = 500;
+
+// Lead email as stored (a string, or an array of which the first is used)
+var LEAD_EMAIL_SQL = "lower(CASE jsonb_typeof(l.data->'email') WHEN 'array' THEN l.data->'email'->>0 ELSE l.data->>'email' END)";
+
+// GET /api/suppressions — the user's own suppressions, plus global ones (bounces, complaints) that
+// hit their leads. ?q= filters by address.
+router.get('/', async function (req, res) {
+    try {
+        var params = [req.user.uid, MAX_LIST];
+        var filter = '';
+        if (typeof req.query.q === 'string' && req.query.q.trim()) {
+            params.push('%' + req.query.q.trim().toLowerCase().replace(/[%_\\]/g, '\\$&') + '%');
+            filter = ' AND s.email LIKE $3';
+        }
+        var result = await db.query(
+            'SELECT s.* FROM email_suppressions s WHERE (s.user_id = $1 OR (s.user_id IS NULL AND EXISTS (' +
+            'SELECT 1 FROM leads l WHERE l.user_id = $1 AND ' + LEAD_EMAIL_SQL + ' = s.email)))' + filter +
+            ' ORDER BY s.created_at DESC LIMIT $2',
+            params
+        );
+        res.json({ suppressions: result.rows.map(suppression.formatSuppression) });
+    } catch (err) {
+        console.error('Suppression list error:', err);
+        res.status(500).json({ error: 'Failed to load suppressions' });
+    }
+});
+
+// POST /api/suppressions { email, note? } — block an address from the user's sequences
+router.post('/', async function (req, res) {
+    try {
+        var address = suppression.normalizeEmail(req.body.email);
+        if (!address) return res.status(400).json({ error: 'A valid email address is required' });
+        var note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+        var row = await suppression.suppress(address, { userId: req.user.uid, reason: 'manual', source: 'dashboard', detail: note || null });
+        if (!row) return res.status(409).json({ error: 'Address is already suppressed' });
+        res.json({ suppression: suppression.formatSuppression(row) });
+    } catch (err) {
+        console.error('Suppression add error:', err);
+        res.status(500).json({ error: 'Failed to add suppression' });
+    }
+});
+
+// DELETE /api/suppressions/:id — lift a manual block. Unsubscribes stay (the recipient opted out);
+// global entries are lifted by an admin.
+router.delete('/:id', async function (req, res) {
+    try {
+        var result = await db.query('SELECT * FROM email_suppressions WHERE id = $1 AND user_id = $2', [parseInt(req.params.id) || 0, req.user.uid]);
+        if (!result.rows.length) return res.status(404).json({ error: 'Suppression not found' });
+        if (result.rows[0].reason !== 'manual') return res.status(403).json({ error: 'Only manual blocks can be removed' });
+        await db.query('DELETE FROM email_suppressions WHERE id = $1', [result.rows[0].id]);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Suppression delete error:', err);
+        res.status(500).json({ error: 'Failed to remove suppression' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { verifyAuth, requireNotSuspended } = require('../auth');
+const tasks = require('../tasks');
+
+const router = express.Router();
+
+router.use(verifyAuth);
+router.use(requireNotSuspended);
+
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value));
+}
+
+// GET /api/tasks?from=&to=&status=open|done|all&limit= — "my agenda": tasks assigned to me,
+// plus unassigned tasks on my own leads, soonest first
+router.get('/', async function (req, res) {
+    try {
+        if (req.query.from !== undefined && !isDate(req.query.from)) return res.status(400).json({ error: 'from must be a date' });
+        if (req.query.to !== undefined && !isDate(req.query.to)) return res.status(400).json({ error: 'to must be a date' });
+        var status = req.query.status || 'open';
+        if (!['open', 'done', 'all'].includes(status)) return res.status(400).json({ error: 'status must be open, done or all' });
+        var limit = parseInt(req.query.limit) || 100;
+        if (limit < 1) limit = 100;
+
+        var list = await tasks.listAgenda(req.user.uid, {
+            from: req.query.from || null,
+            to: req.query.to || null,
+            status: status,
+            limit: limit
+        });
+        res.json({ tasks: list });
+    } catch (err) {
+        console.error('Agenda error:', err);
+        res.status(500).json({ error: 'Failed to load tasks' });
+    }
+});
+
+// PATCH /api/tasks/:id — lead owner, task creator or assignee
+router.patch('/:id', async function (req, res) {
+    try {
+        var uid = req.user.uid;
+        var row = await tasks.getTask(req.params.id);
+        if (!row || (row.user_id !== uid && row.created_by !== uid && row.assignee_id !== uid)) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        var parsed = tasks.parseTaskInput(req.body, row);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        // Only the lead owner hands a task to someone else
+        if (parsed.fields.assignee_id !== undefined && row.user_id !== uid && parsed.fields.assignee_id !== uid) {
+            return res.status(403).json({ error: 'Only the lead owner can reassign this task' });
+        }
+
+        var result = await tasks.updateTask(row, parsed.fields, uid);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json(result);
+    } catch (err) {
+        console.error('Task update error:', err);
+        res.status(500).json({ error: 'Failed to update task' });
+    }
+});
+
+// DELETE /api/tasks/:id — lead owner or task creator
+router.delete('/:id', async function (req, res) {
+    try {
+        var uid = req.user.uid;
+        var row = await tasks.getTask(req.params.id);
+        if (!row || (row.user_id !== uid && row.created_by !== uid && row.assignee_id !== uid)) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        if (row.user_id !== uid && row.created_by !== uid) return res.status(403).json({ error: 'Only the lead owner or creator can delete this task' });
+        await tasks.deleteTask(row);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Task delete error:', err);
+        res.status(500).json({ error: 'Failed to delete task' });
+    }
+});
+
+module.exports = router;
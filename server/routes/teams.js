@@ -4,6 +4,8 @@ const db = require('../db');
 const sse = require('../sse');
 const { verifyAuth, requireNotSuspended } = require('../auth');
 const email = require('../email');
+const leadQuery = require('../lead-query');
+const pipeline = require('../pipeline');
 
 var inviteLimiter = rateLimit({
     windowMs: 60 * 60 * 1000, // 1 hour
@@ -317,6 +319,7 @@ router.delete('/members/:userId', async function (req, res) {
 
         await db.query('DELETE FROM team_members WHERE team_id = $1 AND user_id = $2', [team.id, targetId]);
         await db.query('UPDATE users SET team_id = NULL WHERE id = $1 AND team_id = $2', [targetId, team.id]);
+        await unlinkTemplateSequences(team.id, targetId);
 
         res.json({ success: true });
     } catch (err) {
@@ -341,6 +344,7 @@ router.post('/leave', async function (req, res) {
 
         await db.query('DELETE FROM team_members WHERE team_id = $1 AND user_id = $2', [m.team_id, uid]);
         await db.query('UPDATE users SET team_id = NULL WHERE id = $1', [uid]);
+        await unlinkTemplateSequences(m.team_id, uid);
 
         res.json({ success: true });
     } catch (err) {
@@ -359,6 +363,7 @@ router.delete('/', async function (req, res) {
 
         // Clear team_id from all members
         await db.query('UPDATE users SET team_id = NULL WHERE team_id = $1', [teamId]);
+        await unlinkTemplateSequences(teamId, null);
         // Delete team (cascades to members and invitations)
         await db.query('DELETE FROM teams WHERE id = $1', [teamId]);
 
@@ -420,6 +425,7 @@ router.get('/activity', async function (req, res) {
 
         var activity = result.rows.map(function (row) {
             return {
+                type: 'new_lead',
                 id: row.id,
                 name: (row.data && row.data.name) || '',
                 company: (row.data && row.data.company) || '',
@@ -430,6 +436,36 @@ router.get('/activity', async function (req, res) {
             };
         });
 
+        // Pipeline stage changes, labelled with each member's stages
+        var changes = await db.query(
+            "SELECT h.lead_id, h.user_id, h.from_stage, h.to_stage, h.changed_at, l.data->>'name' AS lead_name, l.data->>'company' AS lead_company, " +
+            "u.name as member_name, u.username as member_username " +
+            "FROM lead_stage_history h JOIN leads l ON l.user_id = h.user_id AND l.id = h.lead_id JOIN users u ON u.id = h.user_id " +
+            "WHERE h.user_id IN (SELECT tm.user_id FROM team_members tm WHERE tm.team_id = $1) " +
+            "AND h.user_id != $2 " +
+            "ORDER BY h.changed_at DESC LIMIT 30",
+            [teamId, uid]
+        );
+        for (var i = 0; i < changes.rows.length; i++) {
+            var row = changes.rows[i];
+            var stages = (await pipeline.getPipeline(row.user_id)).stages;
+            var from = pipeline.findStage(stages, row.from_stage || pipeline.initialStage(stages));
+            var to = pipeline.findStage(stages, row.to_stage);
+            activity.push({
+                type: 'stage_change',
+                id: row.lead_id,
+                name: row.lead_name || '',
+                company: row.lead_company || '',
+                from: from ? { key: from.key, label: from.label } : { key: row.from_stage, label: row.from_stage },
+                to: to ? { key: to.key, label: to.label, color: to.color, kind: to.kind } : { key: row.to_stage, label: row.to_stage },
+                memberName: row.member_name || row.member_username || 'Team member',
+                memberId: row.user_id,
+                ts: row.changed_at
+            });
+        }
+        activity.sort(function (a, b) { return new Date(b.ts) - new Date(a.ts); });
+        activity = activity.slice(0, 30);
+
         res.json({ teamId: teamId, activity: activity });
     } catch (err) {
         console.error('Team activity error:', err);
@@ -437,20 +473,28 @@ router.get('/activity', async function (req, res) {
     }
 });
 
-// GET /api/teams/leads — all team members' leads
+// GET /api/teams/leads — team members' leads (same filters/cursor as GET /api/leads, plus ?member=)
 router.get('/leads', async function (req, res) {
     try {
         var membership = await db.query('SELECT team_id FROM team_members WHERE user_id = $1', [req.user.uid]);
-        if (membership.rows.length === 0) return res.json({ teamId: null, leads: [] });
+        if (membership.rows.length === 0) return res.json({ teamId: null, leads: [], nextCursor: null });
         var teamId = membership.rows[0].team_id;
-        var result = await db.query(
-            "SELECT l.id, l.data, l.created_at, l.user_id, u.name as member_name, u.email as member_email, u.username as member_username " +
-            "FROM leads l JOIN users u ON u.id = l.user_id " +
-            "WHERE l.user_id IN (SELECT tm.user_id FROM team_members tm WHERE tm.team_id = $1) " +
-            "ORDER BY l.created_at DESC LIMIT 500",
-            [teamId]
-        );
-        var leads = result.rows.map(function (row) {
+
+        var query = Object.assign({}, req.query);
+        if (query.limit === undefined) query.limit = String(leadQuery.MAX_LIMIT);
+        var parsed = leadQuery.parseLeadQuery(query);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        var members = await db.query('SELECT user_id FROM team_members WHERE team_id = $1', [teamId]);
+        var userIds = members.rows.map(function (m) { return m.user_id; });
+        var memberFilter = req.query.member ? String(req.query.member) : null;
+        if (memberFilter) {
+            if (userIds.indexOf(memberFilter) === -1) return res.status(400).json({ error: 'Not a team member' });
+            userIds = [memberFilter];
+        }
+
+        var page = await leadQuery.listLeads({ userIds: userIds, withMembers: true }, parsed.options);
+        var leads = page.rows.map(function (row) {
             var d = row.data || {};
             d._id = row.id;
             d._userId = row.user_id;
@@ -458,7 +502,7 @@ router.get('/leads', async function (req, res) {
             d._memberEmail = row.member_email || '';
             return d;
         });
-        res.json({ teamId: teamId, leads: leads });
+        res.json({ teamId: teamId, leads: leads, nextCursor: page.nextCursor });
     } catch (err) {
         res.status(500).json({ error: 'Failed to load team leads' });
     }
@@ -531,6 +575,15 @@ async function getAdminTeam(uid) {
     return result.rows.length > 0 ? result.rows[0] : null;
 }
 
+// Sequences that follow the team's templates become the member's own copies (all members when userId is null)
+async function unlinkTemplateSequences(teamId, userId) {
+    await db.query(
+        'UPDATE sequences SET linked = false WHERE linked = true AND ($2::varchar IS NULL OR user_id = $2) ' +
+        'AND template_id IN (SELECT id FROM team_sequence_templates WHERE team_id = $1)',
+        [teamId, userId]
+    );
+}
+
 // Publish new lead to team SSE channel (fire-and-forget)
 async function publishTeamLead(userId, leadId, leadData) {
     try {
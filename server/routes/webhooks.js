@@ -0,0 +1,266 @@
+const express = require('express');
+const db = require('../db');
+const { verifyAuth, requireNotSuspended, blockApiKey } = require('../auth');
+const { validateUrl } = require('../ssrf');
+const webhooks = require('../webhooks');
+
+const router = express.Router();
+router.use(verifyAuth);
+router.use(blockApiKey);
+router.use(requireNotSuspended);
+
+var MAX_ENDPOINTS = 10;
+var MAX_URL_LENGTH = 2000;
+var MAX_DESCRIPTION = 200;
+var DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'retrying', 'failed'];
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Returns an error message, or null when the event list is valid
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) return 'Select at least one event';
+    for (var i = 0; i < events.length; i++) {
+        if (!webhooks.EVENT_TYPES.includes(events[i])) return 'Unknown event type: ' + String(events[i]).substring(0, 50);
+    }
+    return null;
+}
+
+async function validateEndpointUrl(url) {
+    if (!url || typeof url !== 'string' || url.length > MAX_URL_LENGTH) return 'Valid URL required';
+    try { new URL(url); } catch (e) { return 'Invalid URL'; }
+    // SSRF protection: validate webhook URL at save time (deliveries re-check via safeFetch)
+    if (!(await validateUrl(url))) return 'Webhook URL not allowed: private/internal addresses are blocked';
+    return null;
+}
+
+// Secrets are only returned in full on create/rotate
+function formatEndpoint(row, includeSecret) {
+    var endpoint = {
+        id: row.id,
+        url: row.url,
+        events: row.events,
+        description: row.description,
+        active: row.active,
+        secretPreview: row.secret.substring(0, 10) + '…',
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+    if (includeSecret) endpoint.secret = row.secret;
+    if (row.failed_count !== undefined) endpoint.failedCount = parseInt(row.failed_count) || 0;
+    if (row.last_delivery_at !== undefined) endpoint.lastDeliveryAt = row.last_delivery_at;
+    return endpoint;
+}
+
+async function getEndpoint(uid, id) {
+    if (!UUID_RE.test(id)) return null;
+    var result = await db.query('SELECT * FROM webhook_endpoints WHERE id = $1 AND user_id = $2', [id, uid]);
+    return result.rows[0] || null;
+}
+
+// GET /api/webhooks — list endpoints with recent failure counts
+router.get('/', async function (req, res) {
+    try {
+        var result = await db.query(
+            "SELECT e.*, " +
+            "(SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = e.id AND d.status = 'failed' AND d.created_at > NOW() - INTERVAL '7 days') AS failed_count, " +
+            "(SELECT MAX(d.created_at) FROM webhook_deliveries d WHERE d.endpoint_id = e.id) AS last_delivery_at " +
+            "FROM webhook_endpoints e WHERE e.user_id = $1 ORDER BY e.created_at ASC",
+            [req.user.uid]
+        );
+        res.json({
+            endpoints: result.rows.map(function (r) { return formatEndpoint(r, false); }),
+            eventTypes: webhooks.EVENT_TYPES
+        });
+    } catch (err) {
+        console.error('List webhooks error:', err);
+        res.status(500).json({ error: 'Failed to load webhooks' });
+    }
+});
+
+// POST /api/webhooks — register an endpoint
+router.post('/', async function (req, res) {
+    try {
+        var url = req.body.url;
+        var events = req.body.events || webhooks.EVENT_TYPES;
+        var description = req.body.description ? String(req.body.description).trim().substring(0, MAX_DESCRIPTION) : null;
+
+        var urlError = await validateEndpointUrl(url);
+        if (urlError) return res.status(400).json({ error: urlError });
+        var eventsError = validateEvents(events);
+        if (eventsError) return res.status(400).json({ error: eventsError });
+
+        var countResult = await db.query('SELECT COUNT(*) FROM webhook_endpoints WHERE user_id = $1', [req.user.uid]);
+        if (parseInt(countResult.rows[0].count) >= MAX_ENDPOINTS) {
+            return res.status(400).json({ error: 'Maximum ' + MAX_ENDPOINTS + ' webhook endpoints allowed' });
+        }
+
+        var result = await db.query(
+            'INSERT INTO webhook_endpoints (user_id, url, secret, events, description) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+            [req.user.uid, url, webhooks.generateSecret(), events, description]
+        );
+        res.json(formatEndpoint(result.rows[0], true));
+    } catch (err) {
+        console.error('Create webhook error:', err);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+// PATCH /api/webhooks/:id — update url, events, description or active flag
+router.patch('/:id', async function (req, res) {
+    try {
+        var endpoint = await getEndpoint(req.user.uid, req.params.id);
+        if (!endpoint) return res.status(404).json({ error: 'Webhook not found' });
+
+        var updates = [];
+        var values = [];
+        var idx = 1;
+
+        if (req.body.url !== undefined) {
+            var urlError = await validateEndpointUrl(req.body.url);
+            if (urlError) return res.status(400).json({ error: urlError });
+            updates.push('url = $' + idx++);
+            values.push(req.body.url);
+        }
+        if (req.body.events !== undefined) {
+            var eventsError = validateEvents(req.body.events);
+            if (eventsError) return res.status(400).json({ error: eventsError });
+            updates.push('events = $' + idx++);
+            values.push(req.body.events);
+        }
+        if (req.body.description !== undefined) {
+            updates.push('description = $' + idx++);
+            values.push(req.body.description ? String(req.body.description).trim().substring(0, MAX_DESCRIPTION) : null);
+        }
+        if (req.body.active !== undefined) {
+            updates.push('active = $' + idx++);
+            values.push(!!req.body.active);
+        }
+        if (updates.length === 0) return res.json(formatEndpoint(endpoint, false));
+
+        updates.push('updated_at = NOW()');
+        values.push(endpoint.id);
+        var result = await db.query(
+            'UPDATE webhook_endpoints SET ' + updates.join(', ') + ' WHERE id = $' + idx + ' RETURNING *',
+            values
+        );
+        res.json(formatEndpoint(result.rows[0], false));
+    } catch (err) {
+        console.error('Update webhook error:', err);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// DELETE /api/webhooks/:id — removes the endpoint and its delivery log
+router.delete('/:id', async function (req, res) {
+    try {
+        if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+        var result = await db.query('DELETE FROM webhook_endpoints WHERE id = $1 AND user_id = $2', [req.params.id, req.user.uid]);
+        if (result.rowCount === 0) return res.status(404).json({ error: 'Webhook not found' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Delete webhook error:', err);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// POST /api/webhooks/:id/rotate-secret — issue a new signing secret
+router.post('/:id/rotate-secret', async function (req, res) {
+    try {
+        var endpoint = await getEndpoint(req.user.uid, req.params.id);
+        if (!endpoint) return res.status(404).json({ error: 'Webhook not found' });
+        var result = await db.query(
+            'UPDATE webhook_endpoints SET secret = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+            [webhooks.generateSecret(), endpoint.id]
+        );
+        res.json(formatEndpoint(result.rows[0], true));
+    } catch (err) {
+        console.error('Rotate webhook secret error:', err);
+        res.status(500).json({ error: 'Failed to rotate secret' });
+    }
+});
+
+// POST /api/webhooks/:id/test — send a signed ping and report the response
+router.post('/:id/test', async function (req, res) {
+    try {
+        var endpoint = await getEndpoint(req.user.uid, req.params.id);
+        if (!endpoint) return res.status(404).json({ error: 'Webhook not found' });
+        var result = await webhooks.sendTest(req.user.uid, endpoint);
+        res.json({ success: result.status === 'delivered', status: result.responseStatus, error: result.error || undefined });
+    } catch (err) {
+        console.error('Test webhook error:', err);
+        res.status(500).json({ error: 'Failed to test webhook' });
+    }
+});
+
+// GET /api/webhooks/deliveries — delivery log (?endpoint=&status=&event=&before=&limit=)
+router.get('/deliveries', async function (req, res) {
+    try {
+        var conditions = ['d.user_id = $1'];
+        var values = [req.user.uid];
+        var idx = 2;
+
+        if (req.query.endpoint) {
+            if (!UUID_RE.test(req.query.endpoint)) return res.status(400).json({ error: 'Invalid endpoint id' });
+            conditions.push('d.endpoint_id = $' + idx++);
+            values.push(req.query.endpoint);
+        }
+        if (req.query.status) {
+            if (!DELIVERY_STATUSES.includes(req.query.status)) return res.status(400).json({ error: 'Invalid status' });
+            conditions.push('d.status = $' + idx++);
+            values.push(req.query.status);
+        }
+        if (req.query.event) {
+            conditions.push('d.event = $' + idx++);
+            values.push(String(req.query.event));
+        }
+        if (req.query.before) {
+            var before = new Date(req.query.before);
+            if (isNaN(before.getTime())) return res.status(400).json({ error: 'Invalid before timestamp' });
+            conditions.push('d.created_at < $' + idx++);
+            values.push(before);
+        }
+        var limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        values.push(limit);
+
+        var result = await db.query(
+            'SELECT d.id, d.endpoint_id, e.url, d.event, d.status, d.attempts, d.response_status, d.last_error, ' +
+            'd.next_attempt_at, d.delivered_at, d.created_at FROM webhook_deliveries d ' +
+            'JOIN webhook_endpoints e ON e.id = d.endpoint_id ' +
+            'WHERE ' + conditions.join(' AND ') + ' ORDER BY d.created_at DESC LIMIT $' + idx,
+            values
+        );
+        res.json({ deliveries: result.rows });
+    } catch (err) {
+        console.error('List deliveries error:', err);
+        res.status(500).json({ error: 'Failed to load deliveries' });
+    }
+});
+
+// GET /api/webhooks/deliveries/:id — single delivery including payload
+router.get('/deliveries/:id', async function (req, res) {
+    try {
+        if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'Delivery not found' });
+        var result = await db.query(
+            'SELECT d.*, e.url FROM webhook_deliveries d JOIN webhook_endpoints e ON e.id = d.endpoint_id WHERE d.id = $1 AND d.user_id = $2',
+            [req.params.id, req.user.uid]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Delivery not found' });
+        res.json(result.rows[0]);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to load delivery' });
+    }
+});
+
+// POST /api/webhooks/deliveries/:id/replay — re-send a delivery now
+router.post('/deliveries/:id/replay', async function (req, res) {
+    try {
+        if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: 'Delivery not found' });
+        var result = await webhooks.replayDelivery(req.user.uid, req.params.id);
+        if (!result) return res.status(404).json({ error: 'Delivery not found' });
+        res.json({ success: result.status === 'delivered', status: result.status, responseStatus: result.responseStatus, error: result.error || undefined });
+    } catch (err) {
+        console.error('Replay delivery error:', err);
+        res.status(500).json({ error: 'Failed to replay delivery' });
+    }
+});
+
+module.exports = router;
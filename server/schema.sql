@@ -303,3 +303,379 @@ CREATE TABLE IF NOT EXISTS sequence_enrollments (
 CREATE INDEX IF NOT EXISTS idx_enrollments_next ON sequence_enrollments(status, next_send_at) WHERE status = 'active';
 CREATE INDEX IF NOT EXISTS idx_enrollments_user ON sequence_enrollments(user_id);
 CREATE INDEX IF NOT EXISTS idx_enrollments_lead ON sequence_enrollments(user_id, lead_id);
+
+-- Outbound webhooks (signed, retried deliveries; replaces user_settings.data.webhookUrl)
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(128) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    events TEXT[] NOT NULL DEFAULT '{}',
+    description VARCHAR(200),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user ON webhook_endpoints(user_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    user_id VARCHAR(128) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',   -- pending | sending | delivered | retrying | failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user ON webhook_deliveries(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'retrying');
+
+-- Migrate legacy single webhookUrl setting to an endpoint subscribed to new leads
+INSERT INTO webhook_endpoints (user_id, url, secret, events, description)
+SELECT user_id, data->>'webhookUrl',
+       'whsec_' || replace(uuid_generate_v4()::text, '-', '') || replace(uuid_generate_v4()::text, '-', ''),
+       ARRAY['lead.created'], 'Migrated from webhook URL setting'
+FROM user_settings WHERE data->>'webhookUrl' IS NOT NULL AND data->>'webhookUrl' <> '';
+UPDATE user_settings SET data = data - 'webhookUrl' WHERE data ? 'webhookUrl';
+
+-- Personal API keys (SHA-256 hashed; scopes checked per router in auth.js)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(128) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    rate_limit INTEGER NOT NULL DEFAULT 60,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip VARCHAR(45),
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+
+-- Lead search & filters (lead-query.js)
+CREATE OR REPLACE FUNCTION lead_search_vector(d JSONB) RETURNS tsvector
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+    SELECT setweight(to_tsvector('simple', COALESCE(d->>'name', '')), 'A') ||
+           setweight(to_tsvector('simple', COALESCE(d->>'company', '')), 'B') ||
+           setweight(to_tsvector('simple', COALESCE(d->>'title', '')), 'C') ||
+           setweight(to_tsvector('simple', COALESCE(d->>'notes', '') || ' ' ||
+               COALESCE(jsonb_path_query_array(d, '$.comments[*].text')::text, '')), 'D')
+$$;
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_leads_search
+  ON leads USING GIN (lead_search_vector(data));
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_leads_status
+  ON leads(user_id, (COALESCE(data->>'status', 'new')));
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_leads_tags
+  ON leads USING GIN ((data->'tags'));
+
+-- Lead dedupe (dedupe.js): auto-merge on capture looks up exact email matches
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_leads_email
+  ON leads(user_id, (LOWER(TRIM(data->>'email'))));
+
+-- CRM connectors (crm.js): OAuth tokens per user or team, field mapping, pushed-record links
+CREATE TABLE IF NOT EXISTS crm_connections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(128) NOT NULL REFERENCES users(id) ON DELETE CASCADE,   -- who connected it
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,                    -- set for team-wide connections
+    provider VARCHAR(20) NOT NULL,                                          -- hubspot | zoho
+    access_token TEXT NOT NULL,                                             -- AES-256-GCM, see mailbox.encryptSecret
+    refresh_token TEXT,                                                     -- AES-256-GCM too
+    token_expires_at TIMESTAMPTZ,
+    settings JSONB NOT NULL DEFAULT '{}',                                   -- module, apiDomain, accountsUrl
+    field_mapping JSONB NOT NULL DEFAULT '{}',                              -- overrides of the provider defaults
+    active BOOLEAN NOT NULL DEFAULT true,
+    sync_from TIMESTAMPTZ NOT NULL DEFAULT NOW(),                           -- leads updated before this are not pushed
+    last_sync_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_crm_connections_user ON crm_connections(user_id, provider) WHERE team_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_crm_connections_team ON crm_connections(team_id, provider) WHERE team_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS crm_sync_links (
+    connection_id UUID NOT NULL REFERENCES crm_connections(id) ON DELETE CASCADE,
+    lead_user_id VARCHAR(128) NOT NULL,
+    lead_id VARCHAR(128) NOT NULL,
+    external_id VARCHAR(100),
+    synced_values JSONB NOT NULL DEFAULT '{}',                              -- properties last sent
+    last_synced_at TIMESTAMPTZ,
+    last_attempt_at TIMESTAMPTZ,
+    last_error TEXT,
+    PRIMARY KEY (connection_id, lead_user_id, lead_id),
+    FOREIGN KEY (lead_user_id, lead_id) REFERENCES leads(user_id, id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_crm_sync_links_lead ON crm_sync_links(lead_user_id, lead_id);
+
+-- Pipeline stages (pipeline.js): per-team or per-user; none configured means the defaults
+CREATE TABLE IF NOT EXISTS pipeline_stages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(128) REFERENCES users(id) ON DELETE CASCADE,             -- set for a personal pipeline
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,                    -- set for a team pipeline
+    key VARCHAR(40) NOT NULL,                                               -- stored in leads.data.status
+    label VARCHAR(40) NOT NULL,
+    color VARCHAR(7) NOT NULL,
+    kind VARCHAR(10) NOT NULL DEFAULT 'open',                               -- open | won | lost
+    position INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK ((user_id IS NULL) <> (team_id IS NULL))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pipeline_stages_user ON pipeline_stages(user_id, key) WHERE team_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pipeline_stages_team ON pipeline_stages(team_id, key) WHERE team_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS lead_stage_history (
+    id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(128) NOT NULL,
+    lead_id VARCHAR(128) NOT NULL,
+    from_stage VARCHAR(40),                                                 -- NULL when the lead had no status
+    to_stage VARCHAR(40) NOT NULL,
+    changed_by VARCHAR(128),
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (user_id, lead_id) REFERENCES leads(user_id, id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_lead_stage_history_lead ON lead_stage_history(user_id, lead_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_lead_stage_history_recent ON lead_stage_history(user_id, changed_at DESC);
+
+-- Lead tasks and reminders (tasks.js). leads.data.tasks / data.reminder are a summary kept in step with this table.
+CREATE TABLE IF NOT EXISTS lead_tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(128) NOT NULL,                                          -- lead owner
+    lead_id VARCHAR(128) NOT NULL,
+    created_by VARCHAR(128) REFERENCES users(id) ON DELETE SET NULL,
+    assignee_id VARCHAR(128) REFERENCES users(id) ON DELETE SET NULL,       -- NULL = the lead owner
+    kind VARCHAR(10) NOT NULL DEFAULT 'task',                               -- task | reminder
+    title VARCHAR(200) NOT NULL,
+    notes TEXT,
+    due_at TIMESTAMPTZ,                                                     -- local midnight for all-day tasks
+    all_day BOOLEAN NOT NULL DEFAULT TRUE,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kolkata',
+    remind_before INTEGER,                                                  -- minutes; NULL = no notification
+    remind_at TIMESTAMPTZ,
+    notified_at TIMESTAMPTZ,
+    recurrence JSONB,                                                       -- { freq, interval, until? }
+    completed_at TIMESTAMPTZ,
+    completed_by VARCHAR(128),
+    legacy_id VARCHAR(128),                                                 -- id from the old data.tasks array
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (user_id, lead_id) REFERENCES leads(user_id, id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_remind ON lead_tasks(remind_at) WHERE completed_at IS NULL AND notified_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_assignee ON lead_tasks(assignee_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_lead ON lead_tasks(user_id, lead_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lead_tasks_legacy ON lead_tasks(user_id, lead_id, legacy_id) WHERE legacy_id IS NOT NULL;
+
+-- Backfill from data.tasks / data.reminder (all-day, IST; safe to re-run)
+INSERT INTO lead_tasks (user_id, lead_id, kind, title, due_at, all_day, timezone, remind_before, remind_at, notified_at, completed_at, legacy_id, created_at)
+SELECT l.user_id, l.id, 'task', LEFT(COALESCE(NULLIF(TRIM(t->>'title'), ''), 'Task'), 200), d.due_at, TRUE, 'Asia/Kolkata', 0,
+       d.due_at + INTERVAL '9 hours',
+       CASE WHEN d.due_at + INTERVAL '9 hours' <= NOW() THEN NOW() END,
+       CASE WHEN t->>'done' = 'true' THEN NOW() END,
+       LEFT(t->>'id', 128),
+       CASE WHEN t->>'ts' ~ '^\d{10,13}$' THEN to_timestamp((t->>'ts')::bigint / 1000.0) ELSE NOW() END
+FROM leads l
+CROSS JOIN LATERAL jsonb_array_elements(CASE WHEN jsonb_typeof(l.data->'tasks') = 'array' THEN l.data->'tasks' ELSE '[]'::jsonb END) t
+CROSS JOIN LATERAL (SELECT CASE WHEN t->>'due' ~ '^\d{4}-\d{2}-\d{2}$' THEN (t->>'due')::timestamp AT TIME ZONE 'Asia/Kolkata' END AS due_at) d
+WHERE jsonb_typeof(t) = 'object' AND t->>'id' IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM lead_tasks x WHERE x.user_id = l.user_id AND x.lead_id = l.id AND (x.id::text = t->>'id' OR x.legacy_id = t->>'id'))
+ON CONFLICT DO NOTHING;
+
+INSERT INTO lead_tasks (user_id, lead_id, kind, title, due_at, all_day, timezone, remind_before, remind_at, notified_at, completed_at, legacy_id)
+SELECT l.user_id, l.id, 'reminder', 'Follow up', d.due_at, TRUE, 'Asia/Kolkata', 0,
+       d.due_at + INTERVAL '9 hours',
+       CASE WHEN d.due_at + INTERVAL '9 hours' <= NOW() THEN NOW() END,
+       CASE WHEN l.data->'reminder'->>'done' = 'true' THEN NOW() END,
+       'reminder'
+FROM leads l
+CROSS JOIN LATERAL (SELECT (l.data->'reminder'->>'date')::timestamp AT TIME ZONE 'Asia/Kolkata' AS due_at) d
+WHERE jsonb_typeof(l.data->'reminder') = 'object' AND l.data->'reminder'->>'date' ~ '^\d{4}-\d{2}-\d{2}$'
+  AND l.data->'reminder'->>'taskId' IS NULL
+ON CONFLICT DO NOTHING;
+
+-- Calendar subscription feeds (ical.js): one secret token per user
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id VARCHAR(128) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_fetched_at TIMESTAMPTZ
+);
+
+-- Workflow sequences (sequences.js): per-sequence stop rules and per-enrollment state
+-- settings: { stop_on_close, stop_on_reply }; state: { start_status, stop_reason }
+-- Enrollment status gains 'stopped' (a stop rule ended it)
+ALTER TABLE sequences ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE sequence_enrollments ADD COLUMN IF NOT EXISTS state JSONB NOT NULL DEFAULT '{}';
+
+-- Sequence email engagement (tracking.js): sends, opens, clicks and unsubscribes per enrollment step
+CREATE TABLE IF NOT EXISTS sequence_events (
+    id BIGSERIAL PRIMARY KEY,
+    enrollment_id INTEGER NOT NULL REFERENCES sequence_enrollments(id) ON DELETE CASCADE,
+    sequence_id INTEGER NOT NULL REFERENCES sequences(id) ON DELETE CASCADE,
+    user_id VARCHAR(128) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    lead_id VARCHAR(128) NOT NULL,
+    step_id VARCHAR(40) NOT NULL,                -- sequences.steps[].id
+    step INTEGER,                                -- 1-based position when the email was sent
+    type VARCHAR(20) NOT NULL,                   -- sent | open | click | unsubscribe
+    url TEXT,                                    -- clicks only
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_sequence_events_user ON sequence_events(user_id, sequence_id);
+CREATE INDEX IF NOT EXISTS idx_sequence_events_enrollment ON sequence_events(enrollment_id, type);
+
+-- Mailbox connectors (mailbox.js): IMAP polling for replies to sequence emails
+CREATE TABLE IF NOT EXISTS mailbox_connections (
+    user_id VARCHAR(128) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    host VARCHAR(253) NOT NULL,
+    port INTEGER NOT NULL DEFAULT 993,
+    secure BOOLEAN NOT NULL DEFAULT true,
+    username VARCHAR(255) NOT NULL,
+    password_enc TEXT NOT NULL,                  -- AES-256-GCM, see mailbox.encryptSecret
+    address VARCHAR(255) NOT NULL,               -- mailbox address; sequence Reply-To plus-addresses use it
+    mailbox VARCHAR(200) NOT NULL DEFAULT 'INBOX',
+    on_reply VARCHAR(20) NOT NULL DEFAULT 'pause', -- pause | complete | continue
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    uid_validity VARCHAR(40),
+    last_uid BIGINT,
+    last_checked_at TIMESTAMPTZ,
+    last_error TEXT,
+    failures INTEGER NOT NULL DEFAULT 0,
+    replies_detected INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A/B variants of sequence email steps (sequences.steps[].variants[].id); events also gain type 'reply'
+ALTER TABLE sequence_events ADD COLUMN IF NOT EXISTS variant VARCHAR(20);
+
+-- Team sequence templates: published by team admins, cloned or used directly (linked) by members.
+-- Every edit bumps version and keeps the previous copy in team_sequence_template_versions.
+CREATE TABLE IF NOT EXISTS team_sequence_templates (
+    id SERIAL PRIMARY KEY,
+    team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500),
+    steps JSONB NOT NULL DEFAULT '[]',
+    settings JSONB NOT NULL DEFAULT '{}',
+    version INTEGER NOT NULL DEFAULT 1,
+    created_by VARCHAR(128) REFERENCES users(id) ON DELETE SET NULL,
+    updated_by VARCHAR(128) REFERENCES users(id) ON DELETE SET NULL,
+    archived_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_team_seq_templates_team ON team_sequence_templates(team_id) WHERE archived_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS team_sequence_template_versions (
+    template_id INTEGER NOT NULL REFERENCES team_sequence_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500),
+    steps JSONB NOT NULL,
+    settings JSONB NOT NULL DEFAULT '{}',
+    created_by VARCHAR(128) REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (template_id, version)
+);
+
+-- Member sequences made from a template. linked = follows the template (steps are replaced on each
+-- new version and can't be edited); unlinked copies are the member's own.
+ALTER TABLE sequences ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES team_sequence_templates(id) ON DELETE SET NULL;
+ALTER TABLE sequences ADD COLUMN IF NOT EXISTS template_version INTEGER;
+ALTER TABLE sequences ADD COLUMN IF NOT EXISTS linked BOOLEAN NOT NULL DEFAULT false;
+CREATE INDEX IF NOT EXISTS idx_sequences_template ON sequences(template_id) WHERE template_id IS NOT NULL;
+
+-- Email suppression list (suppression.js). user_id NULL = no sender may email the address (hard
+-- bounces, complaints, admin blocks); otherwise only that user's sequences (unsubscribes, manual blocks).
+CREATE TABLE IF NOT EXISTS email_suppressions (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,                 -- lowercased
+    user_id VARCHAR(128) REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('unsubscribe', 'bounce', 'complaint', 'manual')),
+    source VARCHAR(20),                          -- link, one_click, dsn, webhook, dashboard, admin
+    detail VARCHAR(500),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_suppressions_scope ON email_suppressions(email, COALESCE(user_id, ''));
+CREATE INDEX IF NOT EXISTS idx_email_suppressions_user ON email_suppressions(user_id, created_at DESC);
+
+-- Daily send caps count a user's sequence sends over the last 24 hours
+CREATE INDEX IF NOT EXISTS idx_sequence_events_sent ON sequence_events(user_id, created_at) WHERE type = 'sent';
+
+-- Email outbox (outbox.js): every email is queued here and sent by the worker with retries.
+-- status: pending → sending → sent; 'dead' after MAX_ATTEMPTS or a permanent rejection; 'discarded' by an admin
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    category VARCHAR(40) NOT NULL DEFAULT 'other',   -- otp, password_reset, sequence, daily_digest, ...
+    user_id VARCHAR(128) REFERENCES users(id) ON DELETE SET NULL,
+    priority SMALLINT NOT NULL DEFAULT 5,            -- lower first: 1 codes/resets, 5 notifications, 9 sequences
+    from_address VARCHAR(320) NOT NULL,
+    to_address VARCHAR(320) NOT NULL,
+    reply_to VARCHAR(320),
+    subject TEXT NOT NULL,
+    html TEXT NOT NULL,
+    headers JSONB NOT NULL DEFAULT '{}',
+    message_id VARCHAR(255),
+    status VARCHAR(12) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    last_error TEXT,
+    provider_message_id VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(priority, next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, created_at DESC);
+
+-- Custom sending domains: From: address on the customer's domain, DKIM-signed (sender.js).
+-- One per user or per team. The private key is encrypted like mailbox passwords.
+CREATE TABLE IF NOT EXISTS sending_domains (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(128) REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    domain VARCHAR(253) NOT NULL,
+    from_local VARCHAR(64) NOT NULL DEFAULT 'hello',
+    from_name VARCHAR(100),
+    dkim_selector VARCHAR(63) NOT NULL,
+    dkim_private_key TEXT NOT NULL,
+    dkim_public_key TEXT NOT NULL,
+    status VARCHAR(12) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'failed')),
+    checks JSONB NOT NULL DEFAULT '{}',              -- last DNS check: { dkim: { ok, error? }, spf, dmarc }
+    last_checked_at TIMESTAMPTZ,
+    verified_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK ((user_id IS NULL) <> (team_id IS NULL))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sending_domains_user ON sending_domains(user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sending_domains_team ON sending_domains(team_id) WHERE team_id IS NOT NULL;
+
+-- Email branding (logo, colours, footer) for mail sent on a user's or team's behalf
+CREATE TABLE IF NOT EXISTS email_brands (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(128) REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+    company_name VARCHAR(100),
+    logo_url VARCHAR(500),
+    primary_color VARCHAR(7),
+    accent_color VARCHAR(7),
+    footer_text VARCHAR(500),
+    physical_address VARCHAR(300),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK ((user_id IS NULL) <> (team_id IS NULL))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_brands_user ON email_brands(user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_brands_team ON email_brands(team_id) WHERE team_id IS NOT NULL;
+
+-- Outbox rows sent from a custom domain are DKIM-signed with its key at delivery
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS sending_domain_id INTEGER;
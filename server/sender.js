@@ -0,0 +1,305 @@
+// Sender identity for email sent on a user's behalf (sequence emails, lead notifications)
+// A user, or a team for all of its members, can set up:
+//   - a sending domain: mail comes From: <from_local>@<domain>, DKIM-signed with a key generated
+//     here. The domain is used once its DNS records (DKIM, SPF) check out and is re-checked daily.
+//   - a brand: logo, colours, footer text and postal address, applied by email.wrapHtml.
+// The user's own settings win over their team's. Settings only take effect on the Business plan
+// (for team settings, the team owner's plan).
+// DNS lookups use the system resolver, or DNS_SERVERS (comma-separated ip[:port]; a local stub in tests).
+
+const crypto = require('crypto');
+const dns = require('dns');
+const db = require('./db');
+const mailbox = require('./mailbox');
+
+var DEFAULT_FROM = '"CardFlow" <no-reply@cardflow.cloud>';
+var STATUSES = ['pending', 'verified', 'failed'];
+var DOMAIN_RE = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+var LOCAL_PART_RE = /^[a-z0-9]([a-z0-9._+-]{0,62}[a-z0-9])?$/i;
+var COLOR_RE = /^#[0-9a-f]{6}$/i;
+var RESERVED_DOMAINS = ['cardflow.cloud'];
+var DNS_TIMEOUT_MS = 5000;
+var BRAND_FIELDS = {
+    companyName: { column: 'company_name', max: 100 },
+    logoUrl: { column: 'logo_url', max: 500 },
+    primaryColor: { column: 'primary_color' },
+    accentColor: { column: 'accent_color' },
+    footerText: { column: 'footer_text', max: 500 },
+    physicalAddress: { column: 'physical_address', max: 300 }
+};
+
+// What the domain's SPF record must include for our outgoing servers
+function spfInclude() {
+    return process.env.SENDING_SPF_INCLUDE || (process.env.MAIL_TRANSPORT === 'ses' ? 'amazonses.com' : '_spf.mail.hostinger.com');
+}
+
+// owner: { userId } or { teamId } → the column that holds it
+function ownerColumn(owner) {
+    return owner.teamId ? 'team_id' : 'user_id';
+}
+
+function ownerValue(owner) {
+    return owner.teamId || owner.userId;
+}
+
+// ── Brand ──
+
+// Request body → { fields } or { error }. Empty strings clear a field.
+function parseBrandInput(body) {
+    body = body || {};
+    var fields = {};
+    var keys = Object.keys(BRAND_FIELDS);
+    for (var i = 0; i < keys.length; i++) {
+        var key = keys[i];
+        var value = body[key];
+        if (value === undefined || value === null || value === '') { fields[key] = null; continue; }
+        if (typeof value !== 'string') return { error: key + ' must be a string' };
+        value = value.trim();
+        if (BRAND_FIELDS[key].max && value.length > BRAND_FIELDS[key].max) return { error: key + ' max ' + BRAND_FIELDS[key].max + ' chars' };
+        if ((key === 'primaryColor' || key === 'accentColor') && !COLOR_RE.test(value)) return { error: key + ' must be a hex colour like #4f46e5' };
+        if (key === 'logoUrl' && !/^https:\/\/[^\s"'<>]+$/i.test(value)) return { error: 'logoUrl must be an https:// image URL' };
+        fields[key] = value || null;
+    }
+    return { fields: fields };
+}
+
+function formatBrand(row) {
+    if (!row) return null;
+    var brand = {};
+    Object.keys(BRAND_FIELDS).forEach(function (key) { brand[key] = row[BRAND_FIELDS[key].column]; });
+    brand.updated_at = row.updated_at;
+    return brand;
+}
+
+async function getBrand(owner) {
+    var result = await db.query('SELECT * FROM email_brands WHERE ' + ownerColumn(owner) + ' = $1', [ownerValue(owner)]);
+    return result.rows[0] || null;
+}
+
+async function saveBrand(owner, fields) {
+    var col = ownerColumn(owner);
+    var result = await db.query(
+        'INSERT INTO email_brands (' + col + ', company_name, logo_url, primary_color, accent_color, footer_text, physical_address) ' +
+        'VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (' + col + ') WHERE ' + col + ' IS NOT NULL DO UPDATE SET ' +
+        'company_name = $2, logo_url = $3, primary_color = $4, accent_color = $5, footer_text = $6, physical_address = $7, updated_at = NOW() RETURNING *',
+        [ownerValue(owner), fields.companyName, fields.logoUrl, fields.primaryColor, fields.accentColor, fields.footerText, fields.physicalAddress]
+    );
+    return result.rows[0];
+}
+
+async function deleteBrand(owner) {
+    await db.query('DELETE FROM email_brands WHERE ' + ownerColumn(owner) + ' = $1', [ownerValue(owner)]);
+}
+
+// ── Sending domains ──
+
+function parseDomainInput(body) {
+    body = body || {};
+    var domain = typeof body.domain === 'string' ? body.domain.trim().toLowerCase().replace(/\.$/, '') : '';
+    if (!DOMAIN_RE.test(domain)) return { error: 'domain must be a domain name, e.g. mail.example.com' };
+    if (RESERVED_DOMAINS.some(function (d) { return domain === d || domain.endsWith('.' + d); })) return { error: 'That domain cannot be used' };
+    var fromLocal = typeof body.fromLocal === 'string' && body.fromLocal.trim() ? body.fromLocal.trim().toLowerCase() : 'hello';
+    if (!LOCAL_PART_RE.test(fromLocal)) return { error: 'fromLocal must be the part before the @, e.g. hello' };
+    var fromName = typeof body.fromName === 'string' ? body.fromName.trim().replace(/["\\\r\n]/g, '') : '';
+    if (fromName.length > 100) return { error: 'fromName max 100 chars' };
+    return { fields: { domain: domain, fromLocal: fromLocal, fromName: fromName || null } };
+}
+
+// New 2048-bit RSA key: { privateKey (PEM), publicKey (base64 DER, as published in DNS) }
+function generateDkimKey() {
+    var pair = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'der' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    return { privateKey: pair.privateKey, publicKey: pair.publicKey.toString('base64') };
+}
+
+// Records the customer publishes. DKIM and SPF are required; DMARC is recommended.
+function dnsRecords(row) {
+    return [
+        { purpose: 'dkim', type: 'TXT', host: row.dkim_selector + '._domainkey.' + row.domain, value: 'v=DKIM1; k=rsa; p=' + row.dkim_public_key, required: true },
+        { purpose: 'spf', type: 'TXT', host: row.domain, value: 'v=spf1 include:' + spfInclude() + ' ~all', required: true,
+            note: 'If the domain already has an SPF record (v=spf1 ...), add include:' + spfInclude() + ' to it instead of adding a second one' },
+        { purpose: 'dmarc', type: 'TXT', host: '_dmarc.' + row.domain, value: 'v=DMARC1; p=none', required: false }
+    ];
+}
+
+function formatDomain(row) {
+    if (!row) return null;
+    return {
+        domain: row.domain, fromLocal: row.from_local, fromName: row.from_name, fromAddress: row.from_local + '@' + row.domain,
+        status: row.status, checks: row.checks || {}, records: dnsRecords(row),
+        lastCheckedAt: row.last_checked_at, verifiedAt: row.verified_at, created_at: row.created_at
+    };
+}
+
+async function getDomain(owner) {
+    var result = await db.query('SELECT * FROM sending_domains WHERE ' + ownerColumn(owner) + ' = $1', [ownerValue(owner)]);
+    return result.rows[0] || null;
+}
+
+// Set up (or change) the domain. A new domain gets a new key and starts unverified; changing only
+// the From: address keeps the key and the verification.
+async function saveDomain(owner, fields) {
+    var existing = await getDomain(owner);
+    var col = ownerColumn(owner);
+    if (existing && existing.domain === fields.domain) {
+        var updated = await db.query(
+            'UPDATE sending_domains SET from_local = $1, from_name = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
+            [fields.fromLocal, fields.fromName, existing.id]
+        );
+        return updated.rows[0];
+    }
+    var key = generateDkimKey();
+    var selector = 'cf' + Date.now().toString(36);
+    var result = await db.query(
+        'INSERT INTO sending_domains (' + col + ', domain, from_local, from_name, dkim_selector, dkim_private_key, dkim_public_key) ' +
+        'VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (' + col + ') WHERE ' + col + ' IS NOT NULL DO UPDATE SET ' +
+        "domain = $2, from_local = $3, from_name = $4, dkim_selector = $5, dkim_private_key = $6, dkim_public_key = $7, status = 'pending', " +
+        "checks = '{}', last_checked_at = NULL, verified_at = NULL, updated_at = NOW() RETURNING *",
+        [ownerValue(owner), fields.domain, fields.fromLocal, fields.fromName, selector, mailbox.encryptSecret(key.privateKey), key.publicKey]
+    );
+    return result.rows[0];
+}
+
+async function deleteDomain(owner) {
+    await db.query('DELETE FROM sending_domains WHERE ' + ownerColumn(owner) + ' = $1', [ownerValue(owner)]);
+}
+
+function resolver() {
+    var r = new dns.promises.Resolver({ timeout: DNS_TIMEOUT_MS, tries: 2 });
+    if (process.env.DNS_SERVERS) r.setServers(process.env.DNS_SERVERS.split(',').map(function (s) { return s.trim(); }).filter(Boolean));
+    return r;
+}
+
+// TXT records at a name (each joined from its character-strings); [] when there are none
+async function lookupTxt(r, name) {
+    try {
+        var records = await r.resolveTxt(name);
+        return records.map(function (chunks) { return chunks.join(''); });
+    } catch (err) {
+        if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return [];
+        throw err;
+    }
+}
+
+// Look up the domain's records → { dkim, spf, dmarc }, each { ok, error? }
+async function checkDns(row) {
+    var r = resolver();
+    var checks = {};
+    async function check(purpose, name, test, missing) {
+        try {
+            var found = await lookupTxt(r, name);
+            var ok = found.some(test);
+            checks[purpose] = ok ? { ok: true } : { ok: false, error: found.length ? missing : 'No TXT record found at ' + name };
+        } catch (err) {
+            checks[purpose] = { ok: false, error: 'DNS lookup failed (' + (err.code || err.message) + ')' };
+        }
+    }
+    var include = 'include:' + spfInclude().toLowerCase();
+    await check('dkim', row.dkim_selector + '._domainkey.' + row.domain, function (txt) {
+        return /(^|;)\s*p=/.test(txt) && txt.replace(/\s+/g, '').indexOf('p=' + row.dkim_public_key) !== -1;
+    }, 'The DKIM record does not contain the current public key');
+    await check('spf', row.domain, function (txt) {
+        return /^v=spf1\s/i.test(txt) && txt.toLowerCase().split(/\s+/).some(function (term) { return term.replace(/^[+~?]/, '') === include; });
+    }, 'The SPF record does not include ' + spfInclude());
+    await check('dmarc', '_dmarc.' + row.domain, function (txt) { return /^v=DMARC1\s*(;|$)/i.test(txt); }, 'No DMARC policy found');
+    return checks;
+}
+
+// Check DNS and record the result. Pending domains become verified once DKIM and SPF check out;
+// verified ones that stop checking out are marked failed (and not used) until they are fixed.
+async function verifyDomain(row) {
+    var checks = await checkDns(row);
+    var ok = checks.dkim.ok && checks.spf.ok;
+    var status = ok ? 'verified' : row.status === 'pending' ? 'pending' : 'failed';
+    var result = await db.query(
+        'UPDATE sending_domains SET status = $1, checks = $2, last_checked_at = NOW(), ' +
+        "verified_at = CASE WHEN $4 THEN COALESCE(verified_at, NOW()) ELSE verified_at END, updated_at = NOW() WHERE id = $3 RETURNING *",
+        [status, JSON.stringify(checks), row.id, ok]
+    );
+    if (status === 'failed' && row.status === 'verified') console.log('Sending domain ' + row.domain + ' failed its DNS check, falling back to the default sender');
+    return result.rows[0] || row;
+}
+
+// Daily cron: re-check domains in use (and failed ones, which recover once fixed)
+async function recheckDomains() {
+    var result = await db.query("SELECT * FROM sending_domains WHERE status IN ('verified', 'failed') ORDER BY last_checked_at NULLS FIRST LIMIT 500");
+    for (var i = 0; i < result.rows.length; i++) {
+        try {
+            await verifyDomain(result.rows[i]);
+        } catch (err) {
+            console.error('Sending domain check error (' + result.rows[i].domain + '):', err.message);
+        }
+    }
+    return result.rows.length;
+}
+
+// DKIM options for nodemailer, or null when the domain is gone or no longer verified
+async function signingKey(domainId) {
+    var result = await db.query("SELECT domain, dkim_selector, dkim_private_key FROM sending_domains WHERE id = $1 AND status = 'verified'", [domainId]);
+    if (!result.rows.length) return null;
+    var row = result.rows[0];
+    return { domainName: row.domain, keySelector: row.dkim_selector, privateKey: mailbox.decryptSecret(row.dkim_private_key) };
+}
+
+// ── Resolution ──
+
+function formatFrom(name, address) {
+    var safeName = String(name || '').replace(/["\\\r\n]/g, '').trim();
+    return safeName ? '"' + safeName + '" <' + address + '>' : address;
+}
+
+// How email on this user's behalf looks and who it comes from:
+// { from, sendingDomainId, brand } (brand as formatBrand), or null for the CardFlow defaults.
+async function forUser(userId) {
+    if (!userId) return null;
+    var result = await db.query(
+        "SELECT u.name, u.plan, u.team_id, o.plan AS team_plan FROM users u LEFT JOIN teams t ON t.id = u.team_id " +
+        'LEFT JOIN users o ON o.id = t.owner_id WHERE u.id = $1',
+        [userId]
+    );
+    if (!result.rows.length) return null;
+    var user = result.rows[0];
+    var ownOk = user.plan === 'business';
+    var teamOk = !!user.team_id && user.team_plan === 'business';
+    if (!ownOk && !teamOk) return null;
+
+    // Own rows sort before the team's
+    var params = [ownOk ? userId : null, teamOk ? user.team_id : null];
+    var where = '(user_id = $1 OR team_id = $2)';
+    var brands = await db.query('SELECT * FROM email_brands WHERE ' + where + ' ORDER BY user_id NULLS LAST LIMIT 1', params);
+    var domains = await db.query("SELECT * FROM sending_domains WHERE " + where + " AND status = 'verified' ORDER BY user_id NULLS LAST LIMIT 1", params);
+    var brand = formatBrand(brands.rows[0]);
+    var domain = domains.rows[0];
+    if (!brand && !domain) return null;
+    return {
+        from: domain ? formatFrom(domain.from_name || (brand && brand.companyName) || user.name, domain.from_local + '@' + domain.domain) : DEFAULT_FROM,
+        sendingDomainId: domain ? domain.id : null,
+        brand: brand
+    };
+}
+
+module.exports = {
+    DEFAULT_FROM: DEFAULT_FROM,
+    STATUSES: STATUSES,
+    spfInclude: spfInclude,
+    parseBrandInput: parseBrandInput,
+    formatBrand: formatBrand,
+    getBrand: getBrand,
+    saveBrand: saveBrand,
+    deleteBrand: deleteBrand,
+    parseDomainInput: parseDomainInput,
+    generateDkimKey: generateDkimKey,
+    dnsRecords: dnsRecords,
+    formatDomain: formatDomain,
+    getDomain: getDomain,
+    saveDomain: saveDomain,
+    deleteDomain: deleteDomain,
+    checkDns: checkDns,
+    verifyDomain: verifyDomain,
+    recheckDomains: recheckDomains,
+    signingKey: signingKey,
+    forUser: forUser
+};
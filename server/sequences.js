@@ -0,0 +1,639 @@
+// Sequence workflow engine
+// A sequence is an ordered list of steps run per enrollment (sequence_enrollments.current_step
+// is the index of the next step to run, next_send_at when to run it). Steps:
+//   email   { subject, body, delay_days? }        delay_days = days after enrollment (original linear sequences)
+//           or { variants: [{ id, subject, body, weight }], auto_promote?: { metric, min_sends }, winner? }
+//           A/B test: each enrollment gets a weighted, deterministic variant until a winner is set
+//           (by hand, or by promoteWinners once every variant has min_sends sends).
+//   wait    { days?, hours?, until?: { weekdays: [0-6], time: 'HH:MM' } }   in the lead's timezone
+//   branch  { condition, then?, else? }           targets are later step ids or 'end'; omitted = next step
+//   task    { title, due_in_days? }               lead task for the owner
+//   status  { status }                            move the lead to a pipeline stage
+//   notify  { to: 'owner' | teammate user id, title, body? }   web-push
+// Conditions: status_changed (since enrollment), status_is { status }, replied (an email_replied or
+// sequence_reply timeline action since enrollment), category_is { category }.
+// Subjects, bodies and titles are templates (templates.js): checked when saving, rendered with the
+// lead, sender card and event variables when the step runs. Email bodies are Markdown.
+// Sequence settings: stop_on_close (stop when the lead reaches a won/lost stage), stop_on_reply.
+// Emails to suppressed addresses stop the enrollment; past the owner's daily send cap they wait.
+// processDue() runs from the 5-minute cron in index.js; instant steps run back to back until
+// an email is sent or a wait is reached.
+
+const crypto = require('crypto');
+const db = require('./db');
+const email = require('./email');
+const push = require('./push');
+const pipeline = require('./pipeline');
+const tasks = require('./tasks');
+const webhooks = require('./webhooks');
+const crm = require('./crm');
+const tracking = require('./tracking');
+const mailbox = require('./mailbox');
+const templates = require('./templates');
+
+var BASE_URL = process.env.BASE_URL || 'https://card.cardflow.cloud';
+var MAX_STEPS = 20;
+var MAX_SUBJECT = 200;
+var MAX_BODY = 5000;
+var MAX_TITLE = 200;
+var MAX_WAIT_DAYS = 365;
+var RETRY_MS = 10 * 60 * 1000;      // after a step error
+var CAP_RETRY_MS = 60 * 60 * 1000;  // after hitting the daily send cap
+var DAILY_SEND_CAPS = { pro: 300, business: 2000 };   // sequence emails per user per rolling 24h
+var BATCH_SIZE = 50;
+var STEP_TYPES = ['email', 'wait', 'branch', 'task', 'status', 'notify'];
+var CONDITION_TYPES = ['status_changed', 'status_is', 'replied', 'category_is'];
+var STEP_ID_RE = /^[a-z0-9_-]{1,40}$/;
+var MAX_VARIANTS = 5;
+var VARIANT_ID_RE = /^[a-z0-9_-]{1,20}$/;
+var PROMOTE_METRICS = ['open', 'click', 'reply'];
+var MIN_PROMOTE_SENDS = 10;
+var MAX_PROMOTE_SENDS = 100000;
+var TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Steps saved before the workflow engine are { delay_days, subject, body } emails
+function normalizeStep(step) {
+    if (step && !step.type) return Object.assign({ type: 'email' }, step);
+    return step;
+}
+
+// Stored steps, with the type and positional id older sequences lack
+function normalizeSteps(steps) {
+    return (Array.isArray(steps) ? steps : []).map(function (step, i) {
+        step = normalizeStep(step);
+        if (step && !step.id) step = Object.assign({ id: 's' + (i + 1) }, step);
+        return step;
+    });
+}
+
+function isInt(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function validateCondition(cond, stages) {
+    if (!cond || typeof cond !== 'object' || !CONDITION_TYPES.includes(cond.type)) {
+        return 'condition.type must be one of: ' + CONDITION_TYPES.join(', ');
+    }
+    if (cond.type === 'status_is') {
+        if (!pipeline.findStage(stages, cond.status)) return 'condition.status must be one of your pipeline stages';
+        return { type: cond.type, status: cond.status };
+    }
+    if (cond.type === 'category_is') {
+        if (typeof cond.category !== 'string' || !cond.category.trim() || cond.category.length > 100) return 'condition.category required';
+        return { type: cond.type, category: cond.category.trim() };
+    }
+    return { type: cond.type };
+}
+
+// A/B variants of an email step → { variants, auto_promote?, winner? } or { error }
+function validateVariants(step, label) {
+    if (!Array.isArray(step.variants) || step.variants.length < 2 || step.variants.length > MAX_VARIANTS) {
+        return { error: label + 'variants needs 2-' + MAX_VARIANTS + ' entries' };
+    }
+    var out = { variants: [] };
+    var seen = {};
+    for (var i = 0; i < step.variants.length; i++) {
+        var v = step.variants[i] || {};
+        var vLabel = label + 'variant ' + (i + 1) + ': ';
+        var id = v.id === undefined || v.id === null || v.id === '' ? String.fromCharCode(97 + i) : v.id;
+        if (typeof id !== 'string' || !VARIANT_ID_RE.test(id) || seen[id]) return { error: vLabel + 'invalid or duplicate id' };
+        seen[id] = true;
+        if (typeof v.subject !== 'string' || !v.subject.trim() || v.subject.length > MAX_SUBJECT) return { error: vLabel + 'subject required (max ' + MAX_SUBJECT + ' chars)' };
+        if (typeof v.body !== 'string' || !v.body.trim() || v.body.length > MAX_BODY) return { error: vLabel + 'body required (max ' + MAX_BODY + ' chars)' };
+        var vTemplate = templateError(vLabel, [v.subject, v.body]);
+        if (vTemplate) return vTemplate;
+        var weight = v.weight === undefined || v.weight === null ? 1 : v.weight;
+        if (!isInt(weight, 0, 100)) return { error: vLabel + 'weight must be 0-100' };
+        out.variants.push({ id: id, subject: v.subject, body: v.body, weight: weight });
+    }
+    if (!out.variants.some(function (v) { return v.weight > 0; })) return { error: label + 'at least one variant needs a weight above 0' };
+    if (step.auto_promote !== undefined && step.auto_promote !== null) {
+        var ap = step.auto_promote;
+        if (typeof ap !== 'object' || !PROMOTE_METRICS.includes(ap.metric)) return { error: label + 'auto_promote.metric must be one of: ' + PROMOTE_METRICS.join(', ') };
+        if (!isInt(ap.min_sends, MIN_PROMOTE_SENDS, MAX_PROMOTE_SENDS)) return { error: label + 'auto_promote.min_sends must be ' + MIN_PROMOTE_SENDS + '-' + MAX_PROMOTE_SENDS };
+        out.auto_promote = { metric: ap.metric, min_sends: ap.min_sends };
+    }
+    if (step.winner !== undefined && step.winner !== null && step.winner !== '') {
+        if (!seen[step.winner]) return { error: label + 'winner must be one of the variant ids' };
+        out.winner = step.winner;
+        if (step.promoted_at) out.promoted_at = step.promoted_at;
+    }
+    return out;
+}
+
+// First template syntax error among the strings, as { error } — null when all parse
+function templateError(label, strings) {
+    for (var i = 0; i < strings.length; i++) {
+        var err = strings[i] ? templates.validate(strings[i]) : null;
+        if (err) return { error: label + err };
+    }
+    return null;
+}
+
+// Variant an enrollment gets for a step: the winner once set, otherwise a weighted pick that
+// hashes (enrollment, step) so retries and re-runs always choose the same copy
+function pickVariant(step, enrollmentId) {
+    if (!step.variants) return null;
+    if (step.winner) {
+        var winner = step.variants.find(function (v) { return v.id === step.winner; });
+        if (winner) return winner;
+    }
+    var total = step.variants.reduce(function (sum, v) { return sum + v.weight; }, 0);
+    var hash = crypto.createHash('sha256').update(enrollmentId + ':' + step.id).digest().readUInt32BE(0);
+    var point = hash / 0x100000000 * total;
+    for (var i = 0; i < step.variants.length; i++) {
+        point -= step.variants[i].weight;
+        if (point < 0) return step.variants[i];
+    }
+    return step.variants[step.variants.length - 1];
+}
+
+// Validate and normalize steps + settings for a user's sequence.
+// Returns { steps, settings } or { error }.
+async function validateSequence(userId, steps, settings) {
+    if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+        return { error: 'A sequence needs 1-' + MAX_STEPS + ' steps' };
+    }
+    if (settings !== undefined && settings !== null && (typeof settings !== 'object' || Array.isArray(settings))) {
+        return { error: 'settings must be an object' };
+    }
+    settings = settings || {};
+    var stages = (await pipeline.getPipeline(userId)).stages;
+
+    // Ids first, so branches can point forward
+    var ids = {};
+    var out = [];
+    for (var i = 0; i < steps.length; i++) {
+        var s = normalizeStep(steps[i]);
+        if (!s || typeof s !== 'object') return { error: 'Step ' + (i + 1) + ': invalid step' };
+        var id = s.id === undefined || s.id === null || s.id === '' ? 's' + (i + 1) : s.id;
+        if (typeof id !== 'string' || !STEP_ID_RE.test(id)) return { error: 'Step ' + (i + 1) + ': invalid id' };
+        if (ids[id] !== undefined) return { error: 'Step ' + (i + 1) + ': duplicate id "' + id + '"' };
+        ids[id] = i;
+        out.push({ id: id, type: s.type });
+    }
+
+    var linear = true;
+    var teamChecked = {};
+    for (var j = 0; j < steps.length; j++) {
+        var step = normalizeStep(steps[j]);
+        var o = out[j];
+        var label = 'Step ' + (j + 1) + ': ';
+        if (!STEP_TYPES.includes(step.type)) return { error: label + 'type must be one of: ' + STEP_TYPES.join(', ') };
+        if (step.type !== 'email') linear = false;
+
+        if (step.type === 'email') {
+            if (step.delay_days !== undefined && step.delay_days !== null) {
+                if (typeof step.delay_days !== 'number' || step.delay_days < 0 || step.delay_days > MAX_WAIT_DAYS) return { error: label + 'invalid delay_days' };
+                o.delay_days = step.delay_days;
+            }
+            if (step.variants !== undefined && step.variants !== null) {
+                var variants = validateVariants(step, label);
+                if (variants.error) return variants;
+                Object.assign(o, variants);
+            } else {
+                if (typeof step.subject !== 'string' || !step.subject.trim() || step.subject.length > MAX_SUBJECT) return { error: label + 'subject required (max ' + MAX_SUBJECT + ' chars)' };
+                if (typeof step.body !== 'string' || !step.body.trim() || step.body.length > MAX_BODY) return { error: label + 'body required (max ' + MAX_BODY + ' chars)' };
+                var emailTemplate = templateError(label, [step.subject, step.body]);
+                if (emailTemplate) return emailTemplate;
+                o.subject = step.subject;
+                o.body = step.body;
+            }
+        } else if (step.type === 'wait') {
+            var days = step.days === undefined ? 0 : step.days;
+            var hours = step.hours === undefined ? 0 : step.hours;
+            if (!isInt(days, 0, MAX_WAIT_DAYS)) return { error: label + 'days must be 0-' + MAX_WAIT_DAYS };
+            if (!isInt(hours, 0, 23)) return { error: label + 'hours must be 0-23' };
+            o.days = days;
+            o.hours = hours;
+            if (step.until !== undefined && step.until !== null) {
+                var u = step.until;
+                if (typeof u !== 'object') return { error: label + 'until must be an object' };
+                var weekdays = u.weekdays === undefined ? [0, 1, 2, 3, 4, 5, 6] : u.weekdays;
+                if (!Array.isArray(weekdays) || weekdays.length === 0 || !weekdays.every(function (d) { return isInt(d, 0, 6); })) {
+                    return { error: label + 'until.weekdays must be days 0 (Sun) - 6 (Sat)' };
+                }
+                var time = u.time === undefined ? '09:00' : u.time;
+                if (typeof time !== 'string' || !TIME_RE.test(time)) return { error: label + 'until.time must be HH:MM' };
+                o.until = { weekdays: weekdays.filter(function (d, k) { return weekdays.indexOf(d) === k; }).sort(), time: time };
+            } else if (days === 0 && hours === 0) {
+                return { error: label + 'wait needs days, hours or until' };
+            }
+        } else if (step.type === 'branch') {
+            var cond = validateCondition(step.condition, stages);
+            if (typeof cond === 'string') return { error: label + cond };
+            o.condition = cond;
+            var targets = ['then', 'else'];
+            for (var t = 0; t < targets.length; t++) {
+                var target = step[targets[t]];
+                if (target === undefined || target === null || target === '') continue;
+                if (target !== 'end' && (ids[target] === undefined || ids[target] <= j)) {
+                    return { error: label + targets[t] + ' must be a later step or "end"' };
+                }
+                o[targets[t]] = target;
+            }
+        } else if (step.type === 'task') {
+            if (typeof step.title !== 'string' || !step.title.trim() || step.title.length > MAX_TITLE) return { error: label + 'title required (max ' + MAX_TITLE + ' chars)' };
+            var due = step.due_in_days === undefined || step.due_in_days === null ? null : step.due_in_days;
+            if (due !== null && !isInt(due, 0, MAX_WAIT_DAYS)) return { error: label + 'due_in_days must be 0-' + MAX_WAIT_DAYS };
+            var taskTemplate = templateError(label, [step.title]);
+            if (taskTemplate) return taskTemplate;
+            o.title = step.title.trim();
+            o.due_in_days = due;
+        } else if (step.type === 'status') {
+            if (!pipeline.findStage(stages, step.status)) return { error: label + 'status must be one of your pipeline stages' };
+            o.status = step.status;
+        } else if (step.type === 'notify') {
+            var to = step.to === undefined || step.to === null || step.to === '' ? 'owner' : step.to;
+            if (typeof to !== 'string' || to.length > 128) return { error: label + 'invalid recipient' };
+            if (to !== 'owner' && to !== userId && !teamChecked[to]) {
+                var member = await db.query(
+                    'SELECT 1 FROM users a JOIN users o ON o.team_id = a.team_id WHERE a.id = $1 AND o.id = $2 AND a.team_id IS NOT NULL',
+                    [to, userId]
+                );
+                if (!member.rows.length) return { error: label + 'recipient must be you or a member of your team' };
+                teamChecked[to] = true;
+            }
+            if (typeof step.title !== 'string' || !step.title.trim() || step.title.length > MAX_TITLE) return { error: label + 'title required (max ' + MAX_TITLE + ' chars)' };
+            if (step.body !== undefined && step.body !== null && (typeof step.body !== 'string' || step.body.length > 500)) return { error: label + 'body max 500 chars' };
+            var notifyTemplate = templateError(label, [step.title, step.body]);
+            if (notifyTemplate) return notifyTemplate;
+            o.to = to === userId ? 'owner' : to;
+            o.title = step.title.trim();
+            if (step.body) o.body = step.body;
+        }
+    }
+
+    // Original linear sequences: email days must not go backwards
+    if (linear) {
+        for (var k = 1; k < out.length; k++) {
+            if ((out[k].delay_days || 0) < (out[k - 1].delay_days || 0)) return { error: 'Step ' + (k + 1) + ': delay_days must not be less than the previous step' };
+        }
+    }
+
+    return {
+        steps: out,
+        settings: { stop_on_close: settings.stop_on_close === true, stop_on_reply: settings.stop_on_reply === true }
+    };
+}
+
+// ── Scheduling ──
+
+function emailSendAt(step, enrolledAt) {
+    return new Date(new Date(enrolledAt).getTime() + (step.delay_days || 0) * 86400000);
+}
+
+// When an enrollment at stepIndex should next run (enrollment and resume)
+function runAt(steps, stepIndex, enrolledAt) {
+    var step = normalizeSteps(steps)[stepIndex];
+    if (step && step.type === 'email' && step.delay_days) {
+        return new Date(Math.max(Date.now(), emailSendAt(step, enrolledAt).getTime()));
+    }
+    return new Date();
+}
+
+// End of a wait step, starting now, in the given timezone
+function waitUntil(step, tz, now) {
+    var base = new Date((now || Date.now()) + (step.days || 0) * 86400000 + (step.hours || 0) * 3600000);
+    if (!step.until) return base;
+    var hm = step.until.time.split(':').map(Number);
+    var p = tasks.zonedParts(base, tz);
+    for (var offset = 0; offset <= 7; offset++) {
+        var weekday = new Date(Date.UTC(p.year, p.month - 1, p.day + offset)).getUTCDay();
+        if (!step.until.weekdays.includes(weekday)) continue;
+        var candidate = tasks.zonedTime(p.year, p.month, p.day + offset, hm[0], hm[1], tz);
+        if (candidate.getTime() >= base.getTime()) return candidate;
+    }
+    return base;
+}
+
+// Lead's own timezone (data.timezone), else the owner's setting, else the default
+function leadTimezone(leadData, ownerTimezone) {
+    if (leadData && tasks.isValidTimezone(leadData.timezone)) return leadData.timezone;
+    if (tasks.isValidTimezone(ownerTimezone)) return ownerTimezone;
+    return tasks.DEFAULT_TIMEZONE;
+}
+
+// ── Conditions ──
+
+// email_replied is logged by hand from the dashboard, sequence_reply by mailbox.js
+function hasReplied(leadData, since) {
+    var sinceTs = new Date(since).getTime();
+    return (Array.isArray(leadData.actions) ? leadData.actions : []).some(function (a) {
+        return a && (a.action === 'email_replied' || a.action === 'sequence_reply') && (Number(a.ts) || 0) >= sinceTs;
+    });
+}
+
+function evaluateCondition(cond, ctx) {
+    var lead = ctx.lead;
+    if (cond.type === 'status_changed') return (lead.status || ctx.initial) !== (ctx.state.start_status || ctx.initial);
+    if (cond.type === 'status_is') return (lead.status || ctx.initial) === cond.status;
+    if (cond.type === 'replied') return hasReplied(lead, ctx.enrolledAt);
+    if (cond.type === 'category_is') return String(lead.category || '').toLowerCase() === cond.category.toLowerCase();
+    return false;
+}
+
+function isClosed(stages, status) {
+    var stage = pipeline.findStage(stages, status);
+    return !!stage && (stage.kind === 'won' || stage.kind === 'lost');
+}
+
+// ── Actions ──
+
+async function appendActions(userId, leadId, entries) {
+    await db.query(
+        "UPDATE leads SET data = jsonb_set(COALESCE(data, '{}'), '{actions}', " +
+        "COALESCE(data->'actions', '[]'::jsonb) || $1::jsonb), updated_at = NOW() " +
+        'WHERE user_id = $2 AND id = $3',
+        [JSON.stringify(entries), userId, leadId]
+    );
+}
+
+// Template variables, loaded once per run of an enrollment
+async function templateVars(row, ctx) {
+    if (!ctx.vars) ctx.vars = await templates.buildVars(row.user_id, ctx.lead);
+    return ctx.vars;
+}
+
+async function sendEmailStep(row, step, stepIndex, ctx) {
+    var leadEmail = Array.isArray(ctx.lead.email) ? ctx.lead.email[0] : ctx.lead.email;
+    if (!leadEmail) return 'no_email';
+    var variant = pickVariant(step, row.id);
+    var copy = variant || step;
+    var vars = await templateVars(row, ctx);
+    var subject = templates.renderText(copy.subject, vars);
+    var ref = { enrollmentId: row.id, stepId: step.id, step: stepIndex + 1 };
+    var bodyHtml = tracking.trackLinks(templates.renderHtml(copy.body, vars), ref);
+    var unsubToken = email.generateUnsubscribeToken(row.user_id, row.lead_id, row.id);
+    var unsubUrl = BASE_URL + '/api/public/unsubscribe/' + unsubToken;
+    // With a connected mailbox, replies go to a plus-address that identifies the enrollment
+    var replyTo = row.reply_mailbox ? mailbox.replyAddress(row.reply_mailbox, row.id) : row.owner_email;
+    var outcome = await email.sendSequenceEmail(leadEmail, subject, bodyHtml, replyTo, unsubUrl, {
+        userId: row.user_id,
+        openPixelUrl: tracking.pixelUrl(ref),
+        messageId: mailbox.messageId(row.id, stepIndex + 1)
+    });
+    if (outcome !== 'queued') return outcome; // queued counts as sent: the outbox retries delivery
+    await tracking.recordEvent(row.id, step.id, stepIndex + 1, 'sent', null, variant ? variant.id : null);
+    var entry = { type: 'system', action: 'sequence_email', ts: Date.now(), step: stepIndex + 1, sequence: row.seq_name, subject: subject };
+    if (variant) entry.variant = variant.id;
+    await appendActions(row.user_id, row.lead_id, [entry]);
+    webhooks.emit(row.user_id, 'sequence.email_sent', {
+        lead_id: row.lead_id, sequence_id: row.sequence_id, sequence: row.seq_name,
+        enrollment_id: row.id, step: stepIndex + 1, subject: subject, to: leadEmail
+    });
+    return 'sent';
+}
+
+async function createTaskStep(row, step, ctx) {
+    var body = { title: templates.renderText(step.title, await templateVars(row, ctx)), timezone: ctx.timezone };
+    if (step.due_in_days !== null && step.due_in_days !== undefined) {
+        var p = tasks.zonedParts(new Date(Date.now() + step.due_in_days * 86400000), ctx.timezone);
+        body.dueDate = p.year + '-' + (p.month < 10 ? '0' : '') + p.month + '-' + (p.day < 10 ? '0' : '') + p.day;
+    }
+    var parsed = tasks.parseTaskInput(body, null);
+    if (parsed.error) throw new Error(parsed.error);
+    var result = await tasks.createTask(row.user_id, row.lead_id, row.user_id, parsed.fields);
+    if (result.error) throw new Error(result.error);
+    await appendActions(row.user_id, row.lead_id, [{ type: 'system', action: 'task_added', ts: Date.now(), taskTitle: body.title, sequence: row.seq_name }]);
+}
+
+async function changeStatusStep(row, step, ctx) {
+    var from = ctx.lead.status || ctx.initial;
+    if (from === step.status) return;
+    if (!pipeline.findStage(ctx.stages, step.status)) {
+        console.error('Sequence ' + row.sequence_id + ': stage "' + step.status + '" no longer exists, skipping');
+        return;
+    }
+    var entry = { type: 'system', action: 'status_changed', ts: Date.now(), from: from, to: step.status, auto: true, sequence: row.seq_name };
+    await db.query(
+        "UPDATE leads SET data = jsonb_set(jsonb_set(COALESCE(data, '{}'), '{status}', to_jsonb($1::text)), '{actions}', " +
+        "COALESCE(data->'actions', '[]'::jsonb) || $2::jsonb), updated_at = NOW() WHERE user_id = $3 AND id = $4",
+        [step.status, JSON.stringify([entry]), row.user_id, row.lead_id]
+    );
+    ctx.lead.status = step.status;
+    pipeline.recordTransition(row.user_id, row.lead_id, from, step.status, row.user_id, ctx.lead);
+    var payload = webhooks.leadPayload(row.lead_id, ctx.lead);
+    payload.changed = ['status'];
+    webhooks.emit(row.user_id, 'lead.updated', payload);
+    crm.syncLead(row.user_id, row.lead_id, ctx.lead);
+}
+
+async function notifyStep(row, step, ctx) {
+    var recipient = step.to === 'owner' ? row.user_id : step.to;
+    var leadLabel = (ctx.lead.name || 'A lead') + (ctx.lead.company ? ' (' + ctx.lead.company + ')' : '');
+    var vars = await templateVars(row, ctx);
+    push.sendPush(recipient, {
+        title: templates.renderText(step.title, vars),
+        body: step.body ? templates.renderText(step.body, vars) : leadLabel + ' · ' + row.seq_name,
+        url: '/dashboard#leads'
+    });
+}
+
+// ── Daily send caps ──
+
+// The plan's cap, lowered by the user's own setting (user_settings.data.sequenceDailyCap) if set
+function dailyCap(plan, userCap) {
+    var cap = DAILY_SEND_CAPS[plan] || 0;
+    var own = parseInt(userCap);
+    return own > 0 && own < cap ? own : cap;
+}
+
+async function sentLast24h(userId) {
+    var result = await db.query(
+        "SELECT COUNT(*) AS cnt FROM sequence_events WHERE user_id = $1 AND type = 'sent' AND created_at > NOW() - INTERVAL '24 hours'",
+        [userId]
+    );
+    return parseInt(result.rows[0].cnt);
+}
+
+// quota: { userId: sends in the last 24h }, shared by one processDue run
+async function underDailyCap(row, quota) {
+    if (quota[row.user_id] === undefined) quota[row.user_id] = await sentLast24h(row.user_id);
+    return quota[row.user_id] < dailyCap(row.owner_plan, row.owner_daily_cap);
+}
+
+// ── Processor ──
+
+async function saveEnrollment(row, fields) {
+    await db.query(
+        'UPDATE sequence_enrollments SET current_step = $1, status = $2, next_send_at = $3, state = $4, ' +
+        'last_sent_at = CASE WHEN $5 THEN NOW() ELSE last_sent_at END WHERE id = $6',
+        [fields.current_step, fields.status, fields.next_send_at, JSON.stringify(fields.state), !!fields.sent, row.id]
+    );
+}
+
+// Run one due enrollment until it sends an email, waits, or finishes
+async function runEnrollment(row, quota) {
+    var steps = normalizeSteps(row.steps);
+    var settings = row.settings || {};
+    var state = row.state || {};
+    var stages = (await pipeline.getPipeline(row.user_id)).stages;
+    var ctx = {
+        lead: row.lead_data || {},
+        state: state,
+        stages: stages,
+        initial: pipeline.initialStage(stages),
+        enrolledAt: row.enrolled_at,
+        timezone: leadTimezone(row.lead_data, row.owner_timezone)
+    };
+
+    if (settings.stop_on_close && isClosed(stages, ctx.lead.status)) {
+        state.stop_reason = 'closed';
+        return saveEnrollment(row, { current_step: row.current_step, status: 'stopped', next_send_at: null, state: state });
+    }
+    if (settings.stop_on_reply && hasReplied(ctx.lead, row.enrolled_at)) {
+        state.stop_reason = 'replied';
+        return saveEnrollment(row, { current_step: row.current_step, status: 'stopped', next_send_at: null, state: state });
+    }
+
+    var index = row.current_step;
+    var sent = false;
+    var ids = {};
+    steps.forEach(function (s, i) { if (s.id) ids[s.id] = i; });
+
+    // Branches only jump forward, so this ends within steps.length iterations
+    while (index < steps.length) {
+        var step = steps[index];
+        if (step.type === 'email') {
+            if (sent) break; // one email per run; the next goes out on the following run
+            var sendAt = emailSendAt(step, row.enrolled_at);
+            if (sendAt.getTime() > Date.now()) {
+                return saveEnrollment(row, { current_step: index, status: 'active', next_send_at: sendAt, state: state });
+            }
+            if (!(await underDailyCap(row, quota))) {
+                return saveEnrollment(row, { current_step: index, status: 'active', next_send_at: new Date(Date.now() + CAP_RETRY_MS), state: state });
+            }
+            var outcome = await sendEmailStep(row, step, index, ctx);
+            if (outcome === 'no_email') {
+                return saveEnrollment(row, { current_step: index, status: 'paused', next_send_at: null, state: state });
+            }
+            if (outcome === 'suppressed') {
+                // Unsubscribed, bounced or blocked address (suppression.js)
+                state.stop_reason = 'suppressed';
+                return saveEnrollment(row, { current_step: index, status: 'stopped', next_send_at: null, state: state });
+            }
+            if (outcome === 'failed') {
+                // Retried on the next run
+                return saveEnrollment(row, { current_step: index, status: 'active', next_send_at: new Date(), state: state });
+            }
+            quota[row.user_id]++;
+            sent = true;
+            index++;
+            // Saved before the steps after it run: if one throws, the retry starts there, not at the email
+            await saveEnrollment(row, { current_step: index, status: 'active', next_send_at: new Date(), state: state, sent: true });
+        } else if (step.type === 'wait') {
+            return saveEnrollment(row, { current_step: index + 1, status: 'active', next_send_at: waitUntil(step, ctx.timezone), state: state, sent: sent });
+        } else if (step.type === 'branch') {
+            var target = evaluateCondition(step.condition, ctx) ? step.then : step['else'];
+            if (!target) index++;
+            else if (target === 'end') index = steps.length;
+            else index = ids[target] !== undefined && ids[target] > index ? ids[target] : index + 1;
+        } else {
+            if (step.type === 'task') await createTaskStep(row, step, ctx);
+            else if (step.type === 'status') await changeStatusStep(row, step, ctx);
+            else if (step.type === 'notify') await notifyStep(row, step, ctx);
+            index++;
+        }
+    }
+
+    if (index >= steps.length) {
+        return saveEnrollment(row, { current_step: steps.length, status: 'completed', next_send_at: null, state: state, sent: sent });
+    }
+    // Stopped after an email with another email next: run again once its delay allows
+    return saveEnrollment(row, { current_step: index, status: 'active', next_send_at: runAt(steps, index, row.enrolled_at), state: state, sent: sent });
+}
+
+// Set the winner of A/B steps whose every variant has reached auto_promote.min_sends.
+// Best rate for the metric wins; ties go to the earlier variant.
+async function promoteWinners() {
+    var pending = await db.query(
+        'SELECT id, user_id, steps FROM sequences s WHERE active = true AND EXISTS (' +
+        "SELECT 1 FROM jsonb_array_elements(s.steps) st WHERE st ? 'auto_promote' AND NOT st ? 'winner')"
+    );
+    for (var i = 0; i < pending.rows.length; i++) {
+        var seq = pending.rows[i];
+        var stats = (await tracking.stepStats(seq.user_id, seq.id))[seq.id] || {};
+        var changed = false;
+        var steps = seq.steps.map(function (step) {
+            if (!step.auto_promote || step.winner || !step.variants) return step;
+            var byVariant = (stats[step.id] && stats[step.id].variants) || {};
+            var ready = step.variants.every(function (v) { return byVariant[v.id] && byVariant[v.id].sent >= step.auto_promote.min_sends; });
+            if (!ready) return step;
+            var best = null;
+            step.variants.forEach(function (v) {
+                var s = byVariant[v.id];
+                var hits = { open: s.opened, click: s.clicked, reply: s.replied }[step.auto_promote.metric];
+                var score = hits / s.sent;
+                if (!best || score > best.score) best = { id: v.id, score: score };
+            });
+            changed = true;
+            return Object.assign({}, step, { winner: best.id, promoted_at: new Date().toISOString() });
+        });
+        if (!changed) continue;
+        // Skip if the sequence was edited meanwhile; the next run re-evaluates it
+        await db.query('UPDATE sequences SET steps = $1, updated_at = NOW() WHERE id = $2 AND steps = $3::jsonb',
+            [JSON.stringify(steps), seq.id, JSON.stringify(seq.steps)]);
+    }
+}
+
+var processing = false;
+
+async function processDue() {
+    if (processing) return;
+    processing = true;
+    try {
+        await promoteWinners().catch(function (err) { console.error('Variant promotion error:', err.message); });
+        var due = await db.query(
+            "SELECT e.id, e.sequence_id, e.user_id, e.lead_id, e.current_step, e.enrolled_at, e.state, " +
+            "s.steps, s.settings, s.name as seq_name, " +
+            "l.data as lead_data, u.email as owner_email, u.plan as owner_plan, us.data->>'timezone' as owner_timezone, " +
+            "us.data->>'sequenceDailyCap' as owner_daily_cap, mc.address as reply_mailbox " +
+            "FROM sequence_enrollments e " +
+            "JOIN sequences s ON s.id = e.sequence_id " +
+            "JOIN leads l ON l.user_id = e.user_id AND l.id = e.lead_id " +
+            "JOIN users u ON u.id = e.user_id " +
+            "LEFT JOIN user_settings us ON us.user_id = e.user_id " +
+            "LEFT JOIN mailbox_connections mc ON mc.user_id = e.user_id AND mc.enabled = true " +
+            "WHERE e.status = 'active' AND e.next_send_at <= NOW() " +
+            "AND s.active = true AND u.plan != 'free' " +
+            "ORDER BY e.next_send_at ASC LIMIT $1",
+            [BATCH_SIZE]
+        );
+        var quota = {};
+        for (var i = 0; i < due.rows.length; i++) {
+            var row = due.rows[i];
+            try {
+                await runEnrollment(row, quota);
+                // Small delay between sends
+                await new Promise(function (r) { setTimeout(r, 200); });
+            } catch (stepErr) {
+                console.error('Sequence step error for enrollment ' + row.id + ':', stepErr.message);
+                // Try again later rather than on every run
+                await db.query('UPDATE sequence_enrollments SET next_send_at = $1 WHERE id = $2', [new Date(Date.now() + RETRY_MS), row.id]).catch(function () {});
+            }
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+module.exports = {
+    MAX_STEPS: MAX_STEPS,
+    STEP_TYPES: STEP_TYPES,
+    CONDITION_TYPES: CONDITION_TYPES,
+    normalizeSteps: normalizeSteps,
+    validateSequence: validateSequence,
+    MAX_VARIANTS: MAX_VARIANTS,
+    PROMOTE_METRICS: PROMOTE_METRICS,
+    pickVariant: pickVariant,
+    promoteWinners: promoteWinners,
+    DAILY_SEND_CAPS: DAILY_SEND_CAPS,
+    dailyCap: dailyCap,
+    sentLast24h: sentLast24h,
+    runAt: runAt,
+    waitUntil: waitUntil,
+    leadTimezone: leadTimezone,
+    evaluateCondition: evaluateCondition,
+    processDue: processDue
+};
@@ -5,6 +5,7 @@ const { URL } = require('url');
 const dns = require('dns');
 const http = require('http');
 const https = require('https');
+const { Readable } = require('stream');
 
 function isPrivateIP(ip) {
     // IPv6 checks
@@ -51,6 +52,8 @@ async function validateUrl(urlStr) {
 // Create a DNS-pinned fetch that uses pre-resolved IPs to prevent DNS rebinding.
 // This resolves DNS once, validates the IPs, then forces the connection to use
 // the validated IP address so a second DNS lookup can't return a different (private) IP.
+// Redirects are not followed (a redirect could point at an internal address).
+// Resolves to a standard fetch Response.
 async function safeFetch(urlStr, options) {
     var parsed = new URL(urlStr);
     if (!['http:', 'https:'].includes(parsed.protocol)) {
@@ -58,45 +61,45 @@ async function safeFetch(urlStr, options) {
     }
 
     var resolved = await resolveAndValidate(parsed.hostname);
-    if (!resolved.valid) {
+    if (!resolved.valid || resolved.addresses.length === 0) {
         throw new Error('SSRF: URL resolves to private/internal address');
     }
 
-    // Pin the DNS resolution by creating a custom agent with a lookup override
     var pinnedIP = resolved.addresses[0];
-    var isHttps = parsed.protocol === 'https:';
-    var AgentClass = isHttps ? https.Agent : http.Agent;
-    var agent = new AgentClass({
-        lookup: function(hostname, opts, cb) {
-            // Return the pre-resolved IP instead of doing another DNS lookup
-            cb(null, pinnedIP, 4);
-        }
-    });
-
-    // Merge the agent into fetch options, preserving the original Host header
-    var fetchOpts = Object.assign({}, options || {});
-    fetchOpts.dispatcher = undefined; // ensure no conflict
-    // Node 18+ fetch doesn't support agent directly, so use the undici-compatible approach
-    // For broad compatibility, we set the hostname in the URL to the IP and pass Host header
-    var pinnedUrl = parsed.protocol + '//' + pinnedIP + ':' + (parsed.port || (isHttps ? '443' : '80')) + parsed.pathname + parsed.search;
-    if (!fetchOpts.headers) fetchOpts.headers = {};
-    // Preserve original Host header for TLS SNI and virtual hosting
-    if (typeof fetchOpts.headers === 'object' && !Array.isArray(fetchOpts.headers)) {
-        fetchOpts.headers['Host'] = parsed.host;
-    }
+    var opts = options || {};
+    var method = (opts.method || 'GET').toUpperCase();
+    var transport = parsed.protocol === 'https:' ? https : http;
 
-    // For HTTPS, we need to disable hostname verification since we're connecting to an IP
-    // but we still validate the certificate chain. This is safe because we already validated
-    // the DNS resolution points to a public IP.
-    if (isHttps) {
-        var origAgent = new https.Agent({
-            servername: parsed.hostname, // SNI still uses the real hostname
-            rejectUnauthorized: true
+    return new Promise(function (resolve, reject) {
+        // Connect through node's http(s) with a lookup override: the socket goes to the
+        // validated IP while TLS SNI and certificate checks still use the real hostname.
+        var request = transport.request(parsed, {
+            method: method,
+            headers: opts.headers || {},
+            signal: opts.signal,
+            lookup: function (hostname, lookupOpts, cb) {
+                if (lookupOpts && lookupOpts.all) return cb(null, [{ address: pinnedIP, family: 4 }]);
+                cb(null, pinnedIP, 4);
+            }
+        }, function (res) {
+            var headers = new Headers();
+            Object.keys(res.headers).forEach(function (key) {
+                var val = res.headers[key];
+                if (Array.isArray(val)) val.forEach(function (v) { headers.append(key, v); });
+                else if (val !== undefined) headers.set(key, val);
+            });
+            var noBody = method === 'HEAD' || [204, 205, 304].includes(res.statusCode);
+            if (noBody) res.resume();
+            resolve(new Response(noBody ? null : Readable.toWeb(res), {
+                status: res.statusCode,
+                statusText: res.statusMessage,
+                headers: headers
+            }));
         });
-        // Use Node's native https request through a custom agent for TLS
-    }
-
-    return fetch(pinnedUrl, fetchOpts);
+        request.on('error', reject);
+        if (opts.body) request.write(opts.body);
+        request.end();
+    });
 }
 
 module.exports = { isPrivateIP, validateUrl, safeFetch, resolveAndValidate };
@@ -0,0 +1,193 @@
+// Email suppression list: recipient addresses we must not email
+// Rows are keyed by lowercased address. user_id NULL means every sender (hard bounces, spam
+// complaints, admin blocks); otherwise the row only stops that user's sequence emails (unsubscribes
+// and their own manual blocks). email.js consults the list before every send except messages the
+// recipient has just asked for (login codes, verification, password reset).
+// Bounces arrive through POST /api/public/bounces or from DSNs (delivery status notifications) in
+// the mailbox that receives bounces for our sending address (BOUNCE_IMAP_*), polled from index.js.
+
+const crypto = require('crypto');
+const db = require('./db');
+const mailbox = require('./mailbox');
+
+var REASONS = ['unsubscribe', 'bounce', 'complaint', 'manual'];
+var EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+var MAX_DETAIL = 500;
+var FIRST_SCAN_DAYS = 3;            // first poll of the bounce mailbox looks back this far
+var MAX_MESSAGES_PER_POLL = 200;
+var MAX_SOURCE_BYTES = 200000;      // DSNs are small; the original message is cut off
+
+function normalizeEmail(value) {
+    if (typeof value !== 'string') return null;
+    var address = value.trim().replace(/^<|>$/g, '').toLowerCase();
+    return address.length <= 255 && EMAIL_RE.test(address) ? address : null;
+}
+
+// The suppression that applies to sending to this address ({ reason, user_id }), or null.
+// Without userId only the global list is checked.
+async function check(address, userId) {
+    var normalized = normalizeEmail(address);
+    if (!normalized) return null;
+    var result = await db.query(
+        'SELECT reason, user_id FROM email_suppressions WHERE email = $1 AND (user_id IS NULL OR user_id = $2) ORDER BY user_id NULLS FIRST LIMIT 1',
+        [normalized, userId || null]
+    );
+    return result.rows[0] || null;
+}
+
+// Add an address. opts: { userId (null = global), reason, source, detail }.
+// Returns the new row, or null when the address was already suppressed in that scope.
+async function suppress(address, opts) {
+    var normalized = normalizeEmail(address);
+    if (!normalized) return null;
+    var result = await db.query(
+        'INSERT INTO email_suppressions (email, user_id, reason, source, detail) VALUES ($1, $2, $3, $4, $5) ' +
+        "ON CONFLICT (email, COALESCE(user_id, '')) DO NOTHING RETURNING *",
+        [normalized, opts.userId || null, opts.reason, opts.source || null, opts.detail ? String(opts.detail).substring(0, MAX_DETAIL) : null]
+    );
+    return result.rows[0] || null;
+}
+
+function formatSuppression(row) {
+    return {
+        id: row.id, email: row.email, reason: row.reason, source: row.source, detail: row.detail,
+        scope: row.user_id ? 'account' : 'global', created_at: row.created_at
+    };
+}
+
+// ── Bounces ──
+
+// Hard bounces in a raw DSN (RFC 3464 multipart/report): [{ email, status, detail }].
+// Soft (4.x.x) and delayed notices are ignored.
+function parseDsn(source) {
+    var text = String(source).replace(/\r\n/g, '\n');
+    var start = text.search(/content-type:\s*message\/(global-)?delivery-status/i);
+    if (start === -1) return [];
+    var part = text.substring(start);
+    var bodyStart = part.indexOf('\n\n');
+    if (bodyStart === -1) return [];
+    part = part.substring(bodyStart + 2);
+    var end = part.search(/\n--\S/);
+    if (end !== -1) part = part.substring(0, end);
+    part = part.replace(/\n[ \t]+/g, ' ');
+
+    var bounces = [];
+    part.split(/\n\s*\n/).forEach(function (block) {
+        var fields = {};
+        block.split('\n').forEach(function (line) {
+            var m = line.match(/^([a-z-]+):\s*(.*)$/i);
+            if (m) fields[m[1].toLowerCase()] = m[2].trim();
+        });
+        if (!/^failed$/i.test(fields.action || '') || !/^5\.\d+\.\d+/.test(fields.status || '')) return;
+        var recipient = (fields['final-recipient'] || fields['original-recipient'] || '').replace(/^[a-z0-9-]+;\s*/i, '');
+        var address = normalizeEmail(recipient);
+        if (address && !bounces.some(function (b) { return b.email === address; })) {
+            bounces.push({ email: address, status: fields.status.split(/\s/)[0], detail: fields['diagnostic-code'] || null });
+        }
+    });
+    return bounces;
+}
+
+// Webhook body → [{ email, reason, detail }]. Accepts one event, an array, or { events: [...] };
+// each { email, type: 'bounce' | 'complaint', bounce_type?: 'hard' | 'soft', reason? }.
+// Soft bounces are dropped.
+function parseWebhookEvents(body) {
+    var list = Array.isArray(body) ? body : body && Array.isArray(body.events) ? body.events : body ? [body] : [];
+    var out = [];
+    list.slice(0, 500).forEach(function (ev) {
+        if (!ev || typeof ev !== 'object') return;
+        var type = String(ev.type || '').toLowerCase();
+        if (type !== 'bounce' && type !== 'complaint') return;
+        if (type === 'bounce' && ['soft', 'transient'].includes(String(ev.bounce_type || '').toLowerCase())) return;
+        var address = normalizeEmail(ev.email);
+        if (!address) return;
+        out.push({ email: address, reason: type, detail: typeof ev.reason === 'string' ? ev.reason : null });
+    });
+    return out;
+}
+
+function webhookSecretMatches(given) {
+    var secret = process.env.BOUNCE_WEBHOOK_SECRET;
+    if (!secret || typeof given !== 'string') return false;
+    var a = crypto.createHash('sha256').update(given).digest();
+    var b = crypto.createHash('sha256').update(secret).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Record bounces/complaints ([{ email, reason?, status?, detail }]) on the global list.
+// Returns how many addresses were newly suppressed.
+async function recordBounces(bounces, source) {
+    var added = 0;
+    for (var i = 0; i < bounces.length; i++) {
+        var b = bounces[i];
+        var row = await suppress(b.email, {
+            reason: b.reason || 'bounce', source: source,
+            detail: [b.status, b.detail].filter(Boolean).join(' ') || null
+        });
+        if (row) added++;
+    }
+    return added;
+}
+
+function bounceMailboxConfig() {
+    if (!process.env.BOUNCE_IMAP_HOST || !process.env.BOUNCE_IMAP_USER || !process.env.BOUNCE_IMAP_PASS) return null;
+    var port = parseInt(process.env.BOUNCE_IMAP_PORT || '993');
+    return {
+        host: process.env.BOUNCE_IMAP_HOST, port: port, secure: port === 993,
+        username: process.env.BOUNCE_IMAP_USER, password: process.env.BOUNCE_IMAP_PASS,
+        mailbox: process.env.BOUNCE_IMAP_MAILBOX || 'INBOX'
+    };
+}
+
+// Last UID read from the bounce mailbox. Kept in memory: after a restart the last few days are
+// read again, which is harmless because suppressing an address twice is a no-op.
+var bounceCursor = null;
+var pollingBounces = false;
+
+// Cron entry point: read new DSNs from the bounce mailbox. Returns the number of new suppressions.
+async function pollBounces() {
+    var config = bounceMailboxConfig();
+    if (!config || pollingBounces) return 0;
+    pollingBounces = true;
+    var client;
+    try {
+        client = await mailbox.openClient(config);
+        var box = await client.mailboxOpen(config.mailbox, { readOnly: true });
+        var validity = String(box.uidValidity);
+        var fresh = !bounceCursor || bounceCursor.validity !== validity;
+        var uids = fresh
+            ? await client.search({ since: new Date(Date.now() - FIRST_SCAN_DAYS * 86400000) }, { uid: true })
+            : await client.search({ uid: (bounceCursor.uid + 1) + ':*' }, { uid: true });
+        uids = (uids || []).filter(function (u) { return fresh || u > bounceCursor.uid; }).sort(function (a, b) { return a - b; });
+        if (uids.length > MAX_MESSAGES_PER_POLL) uids = uids.slice(-MAX_MESSAGES_PER_POLL);
+
+        var lastUid = fresh ? 0 : bounceCursor.uid;
+        var bounces = [];
+        if (uids.length) {
+            for await (var msg of client.fetch(uids.join(','), { uid: true, source: { maxLength: MAX_SOURCE_BYTES } }, { uid: true })) {
+                lastUid = Math.max(lastUid, msg.uid);
+                if (msg.source) bounces = bounces.concat(parseDsn(msg.source.toString('utf8')));
+            }
+        }
+        if (fresh) lastUid = Math.max(lastUid, (box.uidNext || 1) - 1);
+        var added = await recordBounces(bounces, 'dsn');
+        bounceCursor = { validity: validity, uid: lastUid };
+        return added;
+    } finally {
+        pollingBounces = false;
+        if (client) await client.logout().catch(function () {});
+    }
+}
+
+module.exports = {
+    REASONS: REASONS,
+    normalizeEmail: normalizeEmail,
+    check: check,
+    suppress: suppress,
+    formatSuppression: formatSuppression,
+    parseDsn: parseDsn,
+    parseWebhookEvents: parseWebhookEvents,
+    webhookSecretMatches: webhookSecretMatches,
+    recordBounces: recordBounces,
+    pollBounces: pollBounces
+};
@@ -0,0 +1,529 @@
+// Lead tasks and reminders — rows in lead_tasks (kind 'task' or 'reminder')
+// A task belongs to a lead (user_id/lead_id = the lead's owner and id) and may be assigned
+// to the owner's teammate. Due times are stored as instants plus the IANA timezone they were
+// entered in, so recurrences keep their wall-clock time across DST. leads.data.tasks and
+// leads.data.reminder are a read-only summary kept in step by refreshLeadCache() for the
+// code that reads lead data (dashboard list, exports, digest).
+// The scheduler sends web-push and email when a task's remind_at passes: it arms one timer
+// for the earliest pending reminder (re-checking at least every minute).
+
+const db = require('./db');
+const push = require('./push');
+const email = require('./email');
+
+var DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+var ALL_DAY_REMIND_HOUR = 9;    // all-day tasks remind at 09:00 local time
+var MAX_TITLE_LENGTH = 200;
+var MAX_NOTES_LENGTH = 2000;
+var MAX_TASKS_PER_LEAD = 100;
+var MAX_REMIND_BEFORE = 7 * 24 * 60; // minutes
+var MAX_AGENDA_LIMIT = 200;
+var SCHEDULER_MAX_WAIT_MS = 60 * 1000;
+var NOTIFY_BATCH = 100;
+var KINDS = ['task', 'reminder'];
+var FREQS = ['daily', 'weekly', 'monthly', 'yearly'];
+var DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+var TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ── Timezones ──
+
+function isValidTimezone(tz) {
+    if (typeof tz !== 'string' || tz.length > 64) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Wall-clock parts of an instant in a timezone
+function zonedParts(date, tz) {
+    var parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(date).forEach(function (p) {
+        if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+    });
+    return parts;
+}
+
+// Instant of a wall-clock time in a timezone (day/month overflow is normalized like Date.UTC)
+function zonedTime(year, month, day, hour, minute, tz) {
+    var target = Date.UTC(year, month - 1, day, hour, minute);
+    var guess = target;
+    for (var i = 0; i < 2; i++) {
+        var p = zonedParts(new Date(guess), tz);
+        guess += target - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    }
+    return new Date(guess);
+}
+
+function pad(n) {
+    return (n < 10 ? '0' : '') + n;
+}
+
+function localDate(date, tz) {
+    var p = zonedParts(date, tz);
+    return p.year + '-' + pad(p.month) + '-' + pad(p.day);
+}
+
+function localTime(date, tz) {
+    var p = zonedParts(date, tz);
+    return pad(p.hour) + ':' + pad(p.minute);
+}
+
+// ── Input ──
+
+// YYYY-MM-DD naming a real day (rejects 2026-02-30)
+function isCalendarDate(value) {
+    if (typeof value !== 'string' || !DATE_RE.test(value)) return false;
+    var d = new Date(value + 'T00:00:00Z');
+    return !isNaN(d.getTime()) && d.toISOString().substring(0, 10) === value;
+}
+
+// Due instant and reminder time for a local date (+ optional HH:MM) in a timezone.
+// All-day tasks are due at local midnight and remind at ALL_DAY_REMIND_HOUR.
+function schedule(dueDate, dueTime, tz, remindBefore) {
+    var d = dueDate.split('-').map(Number);
+    var t = dueTime ? dueTime.split(':').map(Number) : null;
+    var dueAt = zonedTime(d[0], d[1], d[2], t ? t[0] : 0, t ? t[1] : 0, tz);
+    var remindBase = t ? dueAt : zonedTime(d[0], d[1], d[2], ALL_DAY_REMIND_HOUR, 0, tz);
+    var remindAt = remindBefore === null ? null : new Date(remindBase.getTime() - remindBefore * 60000);
+    return { dueAt: dueAt, allDay: !t, remindAt: remindAt };
+}
+
+function parseRecurrence(value) {
+    if (value === null) return { recurrence: null };
+    if (typeof value !== 'object' || Array.isArray(value)) return { error: 'recurrence must be an object or null' };
+    if (!FREQS.includes(value.freq)) return { error: 'recurrence.freq must be one of: ' + FREQS.join(', ') };
+    var interval = value.interval === undefined ? 1 : value.interval;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) return { error: 'recurrence.interval must be 1-365' };
+    if (value.until !== undefined && value.until !== null && !isCalendarDate(value.until)) {
+        return { error: 'recurrence.until must be a date (YYYY-MM-DD)' };
+    }
+    var recurrence = { freq: value.freq, interval: interval };
+    if (value.until) recurrence.until = value.until;
+    return { recurrence: recurrence };
+}
+
+// Validate task fields from a request body. With existing (a lead_tasks row) only the given
+// fields change. Returns { fields } (column values) or { error }.
+function parseTaskInput(body, existing) {
+    body = body || {};
+    var fields = {};
+
+    if (!existing || body.title !== undefined) {
+        var title = typeof body.title === 'string' ? body.title.trim() : '';
+        if (!title) return { error: 'title required' };
+        fields.title = title.substring(0, MAX_TITLE_LENGTH);
+    }
+    if (body.notes !== undefined) {
+        if (body.notes !== null && typeof body.notes !== 'string') return { error: 'notes must be a string' };
+        fields.notes = body.notes ? body.notes.substring(0, MAX_NOTES_LENGTH) : null;
+    }
+    if (body.kind !== undefined) {
+        if (existing) return { error: 'kind cannot be changed' };
+        if (!KINDS.includes(body.kind)) return { error: 'kind must be task or reminder' };
+        fields.kind = body.kind;
+    }
+    if (body.assigneeId !== undefined) {
+        if (body.assigneeId !== null && (typeof body.assigneeId !== 'string' || body.assigneeId.length > 128)) return { error: 'Invalid assigneeId' };
+        fields.assignee_id = body.assigneeId || null;
+    }
+    if (body.done !== undefined) {
+        if (typeof body.done !== 'boolean') return { error: 'done must be true or false' };
+        fields.done = body.done;
+    }
+
+    // Schedule: dueDate (YYYY-MM-DD, null clears), dueTime (HH:MM, null = all day), timezone, remindBefore (minutes, null = no notification)
+    var scheduleChanged = ['dueDate', 'dueTime', 'timezone', 'remindBefore'].some(function (k) { return body[k] !== undefined; });
+    if (body.dueDate !== undefined && body.dueDate !== null && !isCalendarDate(body.dueDate)) {
+        return { error: 'dueDate must be a date (YYYY-MM-DD)' };
+    }
+    if (body.dueTime !== undefined && body.dueTime !== null && (typeof body.dueTime !== 'string' || !TIME_RE.test(body.dueTime))) {
+        return { error: 'dueTime must be HH:MM (24h)' };
+    }
+    if (body.timezone !== undefined && !isValidTimezone(body.timezone)) return { error: 'Unknown timezone' };
+    if (body.remindBefore !== undefined && body.remindBefore !== null &&
+        (!Number.isInteger(body.remindBefore) || body.remindBefore < 0 || body.remindBefore > MAX_REMIND_BEFORE)) {
+        return { error: 'remindBefore must be 0-' + MAX_REMIND_BEFORE + ' minutes or null' };
+    }
+    if (scheduleChanged || !existing) {
+        var tz = body.timezone || (existing && existing.timezone) || DEFAULT_TIMEZONE;
+        var dueDate = body.dueDate !== undefined ? body.dueDate : (existing && existing.due_at ? localDate(existing.due_at, existing.timezone) : null);
+        var dueTime = body.dueTime !== undefined ? body.dueTime : (existing && existing.due_at && !existing.all_day ? localTime(existing.due_at, existing.timezone) : null);
+        var remindBefore = body.remindBefore !== undefined ? body.remindBefore : (existing ? existing.remind_before : 0);
+        fields.timezone = tz;
+        fields.remind_before = remindBefore;
+        if (dueDate) {
+            var s = schedule(dueDate, dueTime, tz, remindBefore);
+            fields.due_at = s.dueAt;
+            fields.all_day = s.allDay;
+            fields.remind_at = s.remindAt;
+        } else {
+            if (dueTime) return { error: 'dueTime needs a dueDate' };
+            fields.due_at = null;
+            fields.all_day = true;
+            fields.remind_at = null;
+        }
+    }
+
+    if (body.recurrence !== undefined) {
+        var rec = parseRecurrence(body.recurrence);
+        if (rec.error) return { error: rec.error };
+        fields.recurrence = rec.recurrence;
+    }
+    var hasDue = fields.due_at !== undefined ? !!fields.due_at : !!(existing && existing.due_at);
+    var recurring = fields.recurrence !== undefined ? !!fields.recurrence : !!(existing && existing.recurrence);
+    if (recurring && !hasDue) return { error: 'A recurring task needs a dueDate' };
+
+    return { fields: fields };
+}
+
+// ── Rows ──
+
+function formatTask(row) {
+    var overdue = false;
+    if (row.due_at && !row.completed_at) {
+        var end = row.all_day ? new Date(row.due_at).getTime() + 86400000 : new Date(row.due_at).getTime();
+        overdue = end < Date.now();
+    }
+    var task = {
+        id: row.id,
+        leadId: row.lead_id,
+        leadUserId: row.user_id,
+        kind: row.kind,
+        title: row.title,
+        notes: row.notes || '',
+        dueAt: row.due_at,
+        dueDate: row.due_at ? localDate(row.due_at, row.timezone) : null,
+        dueTime: row.due_at && !row.all_day ? localTime(row.due_at, row.timezone) : null,
+        allDay: row.all_day,
+        timezone: row.timezone,
+        remindBefore: row.remind_before,
+        remindAt: row.remind_at,
+        recurrence: row.recurrence || null,
+        assigneeId: row.assignee_id,
+        createdBy: row.created_by,
+        done: !!row.completed_at,
+        completedAt: row.completed_at,
+        completedBy: row.completed_by,
+        overdue: overdue,
+        createdAt: row.created_at
+    };
+    if (row.lead_name !== undefined) {
+        task.leadName = row.lead_name || '';
+        task.leadCompany = row.lead_company || '';
+    }
+    return task;
+}
+
+// Reminders already in the past when written are marked as sent so they never fire late
+function notifiedAtFor(remindAt) {
+    return remindAt && new Date(remindAt).getTime() <= Date.now() ? new Date() : null;
+}
+
+// Assignee must be the lead owner or on the owner's team
+async function checkAssignee(ownerId, assigneeId) {
+    if (!assigneeId || assigneeId === ownerId) return null;
+    var result = await db.query(
+        'SELECT 1 FROM users a JOIN users o ON o.team_id = a.team_id WHERE a.id = $1 AND o.id = $2 AND a.team_id IS NOT NULL',
+        [assigneeId, ownerId]
+    );
+    return result.rows.length ? null : 'Assignee must be you or a member of your team';
+}
+
+// Rewrite leads.data.tasks / data.reminder from lead_tasks. q is db or a transaction client.
+async function refreshLeadCache(q, userId, leadId) {
+    await q.query(
+        "UPDATE leads SET data = jsonb_set(COALESCE(data, '{}') - 'reminder', '{tasks}', COALESCE((" +
+        "SELECT jsonb_agg(jsonb_build_object('id', t.id, 'title', t.title, " +
+        "'due', to_char(t.due_at AT TIME ZONE t.timezone, 'YYYY-MM-DD'), 'dueTime', CASE WHEN t.all_day THEN NULL ELSE to_char(t.due_at AT TIME ZONE t.timezone, 'HH24:MI') END, " +
+        "'dueAt', t.due_at, 'assigneeId', t.assignee_id, 'recurring', t.recurrence IS NOT NULL, 'done', t.completed_at IS NOT NULL, " +
+        "'ts', (EXTRACT(EPOCH FROM t.created_at) * 1000)::bigint) ORDER BY t.created_at) " +
+        "FROM lead_tasks t WHERE t.user_id = $1 AND t.lead_id = $2 AND t.kind = 'task'), '[]'::jsonb)) || COALESCE((" +
+        "SELECT jsonb_build_object('reminder', jsonb_build_object('taskId', r.id, 'date', to_char(r.due_at AT TIME ZONE r.timezone, 'YYYY-MM-DD'), " +
+        "'time', CASE WHEN r.all_day THEN NULL ELSE to_char(r.due_at AT TIME ZONE r.timezone, 'HH24:MI') END, 'done', false)) " +
+        "FROM lead_tasks r WHERE r.user_id = $1 AND r.lead_id = $2 AND r.kind = 'reminder' AND r.completed_at IS NULL AND r.due_at IS NOT NULL " +
+        "ORDER BY r.due_at LIMIT 1), '{}'::jsonb) " +
+        'WHERE user_id = $1 AND id = $2',
+        [userId, leadId]
+    );
+}
+
+// Look up a task of a lead by id (or by the id it had in the old data.tasks array)
+async function getLeadTask(userId, leadId, taskId) {
+    var result = await db.query(
+        'SELECT * FROM lead_tasks WHERE user_id = $1 AND lead_id = $2 AND (id::text = $3 OR legacy_id = $3)',
+        [userId, leadId, String(taskId).substring(0, 128)]
+    );
+    return result.rows[0] || null;
+}
+
+async function getTask(taskId) {
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(taskId)) return null;
+    var result = await db.query('SELECT * FROM lead_tasks WHERE id = $1', [taskId]);
+    return result.rows[0] || null;
+}
+
+async function listLeadTasks(userId, leadId) {
+    var result = await db.query(
+        'SELECT * FROM lead_tasks WHERE user_id = $1 AND lead_id = $2 ORDER BY completed_at IS NOT NULL, due_at ASC NULLS LAST, created_at ASC',
+        [userId, leadId]
+    );
+    return result.rows.map(formatTask);
+}
+
+// Create a task on a lead. fields come from parseTaskInput(). Returns { task } or { error, status }.
+async function createTask(ownerId, leadId, createdBy, fields) {
+    var assigneeError = await checkAssignee(ownerId, fields.assignee_id);
+    if (assigneeError) return { error: assigneeError, status: 400 };
+    var count = await db.query('SELECT COUNT(*) AS cnt FROM lead_tasks WHERE user_id = $1 AND lead_id = $2', [ownerId, leadId]);
+    if (parseInt(count.rows[0].cnt) >= MAX_TASKS_PER_LEAD) return { error: 'Maximum ' + MAX_TASKS_PER_LEAD + ' tasks per lead', status: 400 };
+
+    var result = await db.query(
+        'INSERT INTO lead_tasks (user_id, lead_id, created_by, assignee_id, kind, title, notes, due_at, all_day, timezone, remind_before, remind_at, notified_at, recurrence) ' +
+        'VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *',
+        [ownerId, leadId, createdBy, fields.assignee_id || null, fields.kind || 'task', fields.title, fields.notes || null,
+            fields.due_at, fields.all_day, fields.timezone, fields.remind_before, fields.remind_at, notifiedAtFor(fields.remind_at),
+            fields.recurrence ? JSON.stringify(fields.recurrence) : null]
+    );
+    if (fields.done) {
+        var completed = await updateTask(result.rows[0], { done: true }, createdBy);
+        return completed;
+    }
+    await refreshLeadCache(db, ownerId, leadId);
+    wake();
+    return { task: formatTask(result.rows[0]) };
+}
+
+// Next due date of a recurring task, or null when the recurrence has ended
+function nextOccurrence(row) {
+    var rec = row.recurrence;
+    if (!rec || !row.due_at) return null;
+    var p = zonedParts(new Date(row.due_at), row.timezone);
+    var y = p.year, m = p.month, d = p.day;
+    if (rec.freq === 'daily') d += rec.interval;
+    else if (rec.freq === 'weekly') d += 7 * rec.interval;
+    else {
+        // Monthly/yearly keep the day of month, clamped to the target month's length (31st → 30th, Feb 29 → 28)
+        if (rec.freq === 'monthly') m += rec.interval;
+        else y += rec.interval;
+        var first = new Date(Date.UTC(y, m - 1, 1));
+        y = first.getUTCFullYear();
+        m = first.getUTCMonth() + 1;
+        d = Math.min(d, new Date(Date.UTC(y, m, 0)).getUTCDate());
+    }
+    var next = new Date(Date.UTC(y, m - 1, d));
+    var nextDate = next.getUTCFullYear() + '-' + pad(next.getUTCMonth() + 1) + '-' + pad(next.getUTCDate());
+    if (rec.until && nextDate > rec.until) return null;
+    return schedule(nextDate, row.all_day ? null : pad(p.hour) + ':' + pad(p.minute), row.timezone, row.remind_before);
+}
+
+// Apply parsed fields to a task. Completing a recurring task creates its next occurrence.
+// Returns { task, next? } or { error, status }.
+async function updateTask(row, fields, actorId) {
+    if (fields.assignee_id !== undefined) {
+        var assigneeError = await checkAssignee(row.user_id, fields.assignee_id);
+        if (assigneeError) return { error: assigneeError, status: 400 };
+    }
+    var sets = [];
+    var values = [];
+    function set(column, value) {
+        values.push(value);
+        sets.push(column + ' = $' + values.length);
+    }
+    ['title', 'notes', 'assignee_id', 'due_at', 'all_day', 'timezone', 'remind_before', 'remind_at'].forEach(function (c) {
+        if (fields[c] !== undefined) set(c, fields[c]);
+    });
+    if (fields.recurrence !== undefined) set('recurrence', fields.recurrence ? JSON.stringify(fields.recurrence) : null);
+    if (fields.remind_at !== undefined) set('notified_at', notifiedAtFor(fields.remind_at));
+
+    var completing = fields.done === true && !row.completed_at;
+    if (completing) {
+        set('completed_at', new Date());
+        set('completed_by', actorId);
+    } else if (fields.done === false && row.completed_at) {
+        set('completed_at', null);
+        set('completed_by', null);
+        if (fields.remind_at === undefined) set('notified_at', notifiedAtFor(row.remind_at));
+    }
+    if (!sets.length) return { task: formatTask(row) };
+    sets.push('updated_at = NOW()');
+    values.push(row.id);
+
+    var client = await db.connect();
+    var updated, next = null;
+    try {
+        await client.query('BEGIN');
+        var result = await client.query('UPDATE lead_tasks SET ' + sets.join(', ') + ' WHERE id = $' + values.length + ' RETURNING *', values);
+        updated = result.rows[0];
+        var occurrence = completing ? nextOccurrence(updated) : null;
+        if (occurrence) {
+            var created = await client.query(
+                'INSERT INTO lead_tasks (user_id, lead_id, created_by, assignee_id, kind, title, notes, due_at, all_day, timezone, remind_before, remind_at, notified_at, recurrence) ' +
+                'VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *',
+                [updated.user_id, updated.lead_id, updated.created_by, updated.assignee_id, updated.kind, updated.title, updated.notes,
+                    occurrence.dueAt, occurrence.allDay, updated.timezone, updated.remind_before, occurrence.remindAt, notifiedAtFor(occurrence.remindAt),
+                    JSON.stringify(updated.recurrence)]
+            );
+            next = created.rows[0];
+        }
+        await refreshLeadCache(client, updated.user_id, updated.lead_id);
+        await client.query('COMMIT');
+    } catch (err) {
+        try { await client.query('ROLLBACK'); } catch (e) {}
+        throw err;
+    } finally {
+        client.release();
+    }
+    wake();
+    var out = { task: formatTask(updated) };
+    if (next) out.next = formatTask(next);
+    return out;
+}
+
+async function deleteTask(row) {
+    await db.query('DELETE FROM lead_tasks WHERE id = $1', [row.id]);
+    await refreshLeadCache(db, row.user_id, row.lead_id);
+}
+
+// "My agenda": tasks assigned to the user, plus unassigned tasks on their own leads.
+// options: { from, to (dates, on due_at), status: 'open'|'done'|'all', limit }
+async function listAgenda(userId, options) {
+    var values = [userId];
+    var where = ['(t.assignee_id = $1 OR (t.assignee_id IS NULL AND t.user_id = $1))'];
+    if (options.status === 'done') where.push('t.completed_at IS NOT NULL');
+    else if (options.status !== 'all') where.push('t.completed_at IS NULL');
+    if (options.from) { values.push(options.from); where.push('t.due_at >= $' + values.length); }
+    if (options.to) { values.push(options.to); where.push('t.due_at < $' + values.length); }
+    values.push(Math.min(options.limit || 100, MAX_AGENDA_LIMIT));
+    var result = await db.query(
+        "SELECT t.*, l.data->>'name' AS lead_name, l.data->>'company' AS lead_company FROM lead_tasks t " +
+        'JOIN leads l ON l.user_id = t.user_id AND l.id = t.lead_id ' +
+        'WHERE ' + where.join(' AND ') + ' ORDER BY t.due_at ASC NULLS LAST, t.created_at ASC LIMIT $' + values.length,
+        values
+    );
+    return result.rows.map(formatTask);
+}
+
+// Open tasks past due for a user (assigned to them, or unassigned on their leads)
+async function countOverdue(userId) {
+    var result = await db.query(
+        'SELECT COUNT(*) AS cnt FROM lead_tasks WHERE (assignee_id = $1 OR (assignee_id IS NULL AND user_id = $1)) ' +
+        "AND completed_at IS NULL AND kind = 'task' AND (CASE WHEN all_day THEN due_at + INTERVAL '1 day' ELSE due_at END) < NOW()",
+        [userId]
+    );
+    return parseInt(result.rows[0].cnt) || 0;
+}
+
+// ── Scheduler ──
+
+var timer = null;
+var running = false;
+var rerun = false;
+
+function dueText(row) {
+    if (!row.due_at) return '';
+    var opts = row.all_day ? { timeZone: row.timezone, dateStyle: 'medium' } : { timeZone: row.timezone, dateStyle: 'medium', timeStyle: 'short' };
+    return new Intl.DateTimeFormat('en-IN', opts).format(new Date(row.due_at));
+}
+
+async function notify(row) {
+    var recipient = row.assignee_id || row.user_id;
+    var info = await db.query(
+        "SELECT u.email, u.name, s.data->>'taskEmailReminders' AS email_pref, l.data->>'name' AS lead_name, l.data->>'company' AS lead_company " +
+        'FROM users u LEFT JOIN user_settings s ON s.user_id = u.id LEFT JOIN leads l ON l.user_id = $2 AND l.id = $3 WHERE u.id = $1',
+        [recipient, row.user_id, row.lead_id]
+    );
+    if (!info.rows.length) return;
+    var r = info.rows[0];
+    var leadLabel = (r.lead_name || 'a lead') + (r.lead_company ? ' (' + r.lead_company + ')' : '');
+    var when = dueText(row);
+    push.sendPush(recipient, {
+        title: (row.kind === 'reminder' ? 'Reminder: ' : 'Task due: ') + row.title,
+        body: leadLabel + (when ? ' · ' + when : ''),
+        url: '/dashboard#leads'
+    });
+    if (r.email && r.email_pref !== 'false') {
+        await email.sendTaskReminder(r.email, r.name, {
+            kind: row.kind, title: row.title, notes: row.notes, leadName: r.lead_name, leadCompany: r.lead_company, due: when
+        });
+    }
+}
+
+// Claim and send every reminder whose time has come
+async function processDue() {
+    var sent = 0;
+    while (true) {
+        var due = await db.query(
+            'UPDATE lead_tasks SET notified_at = NOW() WHERE id IN (' +
+            'SELECT id FROM lead_tasks WHERE completed_at IS NULL AND notified_at IS NULL AND remind_at <= NOW() ' +
+            'ORDER BY remind_at LIMIT $1 FOR UPDATE SKIP LOCKED) RETURNING *',
+            [NOTIFY_BATCH]
+        );
+        for (var i = 0; i < due.rows.length; i++) {
+            try {
+                await notify(due.rows[i]);
+                sent++;
+            } catch (err) {
+                console.error('Task reminder error for task ' + due.rows[i].id + ':', err.message);
+            }
+        }
+        if (due.rows.length < NOTIFY_BATCH) return sent;
+    }
+}
+
+async function runScheduler() {
+    if (running) { rerun = true; return; }
+    running = true;
+    clearTimeout(timer);
+    var wait = SCHEDULER_MAX_WAIT_MS;
+    try {
+        await processDue();
+        var next = await db.query('SELECT MIN(remind_at) AS next FROM lead_tasks WHERE completed_at IS NULL AND notified_at IS NULL AND remind_at IS NOT NULL');
+        if (next.rows[0].next) wait = Math.max(250, Math.min(wait, new Date(next.rows[0].next).getTime() - Date.now()));
+    } catch (err) {
+        console.error('Task scheduler error:', err.message);
+    } finally {
+        running = false;
+    }
+    if (rerun) { rerun = false; wait = 0; }
+    timer = setTimeout(runScheduler, wait);
+}
+
+// Re-plan after a write (a new reminder may be due before the armed timer)
+function wake() {
+    if (timer === null) return; // scheduler not started in this process
+    clearTimeout(timer);
+    timer = setTimeout(runScheduler, 0);
+}
+
+function startScheduler() {
+    if (timer !== null) return;
+    timer = setTimeout(runScheduler, 0);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE: DEFAULT_TIMEZONE,
+    KINDS: KINDS,
+    FREQS: FREQS,
+    isValidTimezone: isValidTimezone,
+    zonedParts: zonedParts,
+    zonedTime: zonedTime,
+    parseTaskInput: parseTaskInput,
+    nextOccurrence: nextOccurrence,
+    formatTask: formatTask,
+    refreshLeadCache: refreshLeadCache,
+    getLeadTask: getLeadTask,
+    getTask: getTask,
+    listLeadTasks: listLeadTasks,
+    createTask: createTask,
+    updateTask: updateTask,
+    deleteTask: deleteTask,
+    listAgenda: listAgenda,
+    countOverdue: countOverdue,
+    processDue: processDue,
+    startScheduler: startScheduler
+};
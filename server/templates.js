@@ -0,0 +1,264 @@
+// Templating for sequence emails, task titles and teammate notifications
+// Syntax:
+//   {{first_name|there}}               the value, or the text after | when it's empty
+//   {{#if company}}…{{else}}…{{/if}}   also {{#unless var}}…{{/unless}}; blocks nest
+//   {name} {company} {email}           legacy single-brace tokens, same defaults as before
+// Variables come from the lead, the sender's card (the card that captured the lead, else their
+// latest active card) and the event the lead was scanned at. Email bodies are Markdown rendered to
+// HTML; variable values are always escaped and never read as Markdown. Subjects, task titles and
+// push notifications render as plain text.
+
+const db = require('./db');
+
+var BASE_URL = process.env.BASE_URL || 'https://card.cardflow.cloud';
+var MAX_DEPTH = 5;
+var TAG_RE = /\{\{\s*(#if|#unless|else|\/if|\/unless)?\s*([^{}]*?)\s*\}\}/g;
+var LEGACY_RE = /(^|[^{])\{(name|company|email)\}(?!\})/g;
+var LEGACY_DEFAULTS = { name: 'there', company: 'your company', email: '' };
+var LINKABLE_RE = /<a\s[^>]*>[\s\S]*?<\/a>|<[^>]*>|https?:\/\/[^\s<>"']+/g;
+var TRAILING_PUNCT_RE = /[.,;:!?)\]]+$/;
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+var VARIABLES = {
+    'name': 'Lead first name',
+    'first_name': 'Lead first name',
+    'full_name': 'Lead full name',
+    'company': 'Lead company',
+    'title': 'Lead job title',
+    'email': 'Lead email',
+    'phone': 'Lead phone',
+    'sender.name': 'Your name (from your card)',
+    'sender.first_name': 'Your first name',
+    'sender.title': 'Your job title',
+    'sender.company': 'Your company',
+    'sender.email': 'Your email',
+    'sender.phone': 'Your phone',
+    'sender.website': 'Your website',
+    'sender.card_url': 'Link to your digital card',
+    'sender.calendly': 'Your booking link',
+    'event.name': 'Event the lead was met at',
+    'event.date': 'Event start date',
+    'event.venue': 'Event venue',
+    'event.city': 'Event city',
+    'event.url': 'Event page',
+    'event.booth': 'Your booth number'
+};
+
+function escapeHtml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function firstValue(v) {
+    return Array.isArray(v) ? (v[0] || '') : (v || '');
+}
+
+// ── Parsing ──
+
+// Template → { nodes } or { error }. Nodes: text, var { name, fallback }, if { name, negate, then, else }
+function parse(str) {
+    str = String(str || '').replace(/[\u0000\u0001]/g, '').replace(LEGACY_RE, function (m, pre, name) {
+        return pre + '{{' + name + (LEGACY_DEFAULTS[name] ? '|' + LEGACY_DEFAULTS[name] : '') + '}}';
+    });
+    var root = { nodes: [] };
+    var stack = [root];
+    var last = 0;
+    var m;
+    TAG_RE.lastIndex = 0;
+    function text(t) {
+        if (t.indexOf('{{') !== -1) return false;
+        if (t) stack[stack.length - 1].nodes.push({ t: 'text', v: t });
+        return true;
+    }
+    while ((m = TAG_RE.exec(str))) {
+        if (!text(str.substring(last, m.index))) return { error: 'Unclosed {{ — tags look like {{first_name}}' };
+        last = TAG_RE.lastIndex;
+        var keyword = m[1];
+        var top = stack[stack.length - 1];
+        if (keyword === '#if' || keyword === '#unless') {
+            if (!VARIABLES[m[2]]) return { error: 'Unknown variable in {{' + keyword + ' ' + m[2] + '}}' };
+            if (stack.length > MAX_DEPTH) return { error: 'Conditions can nest at most ' + MAX_DEPTH + ' deep' };
+            var block = { t: 'if', name: m[2], negate: keyword === '#unless', then: [], else: [], close: keyword === '#if' ? '/if' : '/unless' };
+            top.nodes.push(block);
+            stack.push({ block: block, nodes: block.then });
+        } else if (keyword === 'else') {
+            if (m[2]) return { error: '{{else}} takes no condition — nest another {{#if}} instead' };
+            if (!top.block || top.nodes === top.block.else) return { error: '{{else}} without a matching {{#if}}' };
+            top.nodes = top.block.else;
+        } else if (keyword) {
+            if (!top.block || top.block.close !== keyword) return { error: 'Unexpected {{' + keyword + '}}' };
+            stack.pop();
+        } else {
+            var bar = m[2].indexOf('|');
+            var name = (bar === -1 ? m[2] : m[2].substring(0, bar)).trim();
+            if (!VARIABLES[name]) return { error: 'Unknown variable {{' + name + '}}' };
+            top.nodes.push({ t: 'var', name: name, fallback: bar === -1 ? '' : m[2].substring(bar + 1).trim() });
+        }
+    }
+    if (!text(str.substring(last))) return { error: 'Unclosed {{ — tags look like {{first_name}}' };
+    if (stack.length > 1) return { error: 'Missing {{' + stack[stack.length - 1].block.close + '}}' };
+    return { nodes: root.nodes };
+}
+
+// Save-time check: error message or null
+function validate(str) {
+    return parse(str).error || null;
+}
+
+function renderNodes(nodes, vars, value) {
+    return nodes.map(function (n) {
+        if (n.t === 'text') return n.v;
+        if (n.t === 'var') return value(vars[n.name] || n.fallback);
+        var truthy = !!vars[n.name];
+        return renderNodes(truthy !== n.negate ? n.then : n.else, vars, value);
+    }).join('');
+}
+
+// ── Rendering ──
+
+function renderText(str, vars) {
+    var parsed = parse(str);
+    if (parsed.error) return String(str || '');
+    return renderNodes(parsed.nodes, vars || {}, function (v) { return v; });
+}
+
+function inline(escaped) {
+    return escaped
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+// Markdown subset: paragraphs, line breaks, # headings, - / 1. lists, **bold**, *italic*, [text](url)
+function markdown(text) {
+    var links = [];
+    text = text.replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, function (m, label, url) {
+        links.push({ label: label, url: url });
+        return '\u0001' + (links.length - 1) + '\u0001';
+    });
+    var html = [];
+    var group = null;
+    function flush() {
+        if (!group) return;
+        if (group.kind === 'p') html.push('<p>' + group.items.join('<br>') + '</p>');
+        else html.push('<' + group.kind + '>' + group.items.map(function (i) { return '<li>' + i + '</li>'; }).join('') + '</' + group.kind + '>');
+        group = null;
+    }
+    text.split('\n').forEach(function (line) {
+        var kind, content, m;
+        if (!line.trim()) { flush(); return; }
+        if ((m = line.match(/^\s*(#{1,3})\s+(.*)$/))) {
+            flush();
+            html.push('<h' + (m[1].length + 1) + '>' + inline(escapeHtml(m[2])) + '</h' + (m[1].length + 1) + '>');
+            return;
+        }
+        if ((m = line.match(/^\s*[-*]\s+(.*)$/))) { kind = 'ul'; content = m[1]; }
+        else if ((m = line.match(/^\s*\d+[.)]\s+(.*)$/))) { kind = 'ol'; content = m[1]; }
+        else { kind = 'p'; content = line; }
+        if (!group || group.kind !== kind) { flush(); group = { kind: kind, items: [] }; }
+        group.items.push(inline(escapeHtml(content)));
+    });
+    flush();
+    return html.join('\n').replace(/\u0001(\d+)\u0001/g, function (m, i) {
+        var link = links[i];
+        var label = inline(escapeHtml(link.label));
+        if (!/^(https?:\/\/|mailto:)/i.test(link.url)) return label;
+        return '<a href="' + escapeHtml(link.url) + '" style="color:#818cf8">' + label + '</a>';
+    });
+}
+
+// Link bare URLs in text, leaving existing links and tags alone
+function autolink(html) {
+    return html.replace(LINKABLE_RE, function (match) {
+        if (match.charAt(0) === '<') return match;
+        var trailing = (match.match(TRAILING_PUNCT_RE) || [''])[0];
+        var shown = trailing ? match.substring(0, match.length - trailing.length) : match;
+        return '<a href="' + shown + '" style="color:#818cf8">' + shown + '</a>' + trailing;
+    });
+}
+
+// Email body → HTML. Values are substituted as placeholders so Markdown never sees them
+// (a "[link](…)" in a lead's company name stays text), except inside link URLs.
+function renderHtml(str, vars) {
+    var parsed = parse(str);
+    var values = [];
+    var text = parsed.error ? String(str || '').replace(/[\u0000\u0001]/g, '') : renderNodes(parsed.nodes, vars || {}, function (v) {
+        values.push(String(v).replace(/[\u0000\u0001]/g, ''));
+        return '\u0000' + (values.length - 1) + '\u0000';
+    });
+    // Values used as a link target are inlined before Markdown sees the link
+    text = text.replace(/\]\(([^)\s]*)\)/g, function (m, url) {
+        return '](' + url.replace(/\u0000(\d+)\u0000/g, function (p, i) { return values[i].replace(/[\s()]/g, encodeURIComponent); }) + ')';
+    });
+    var html = markdown(text).replace(/\u0000(\d+)\u0000/g, function (m, i) {
+        return escapeHtml(values[i]).replace(/\n/g, '<br>');
+    });
+    return autolink(html);
+}
+
+// ── Variables ──
+
+function formatEventDate(date) {
+    if (!date) return '';
+    var d = new Date(date);
+    if (isNaN(d.getTime())) return '';
+    return d.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function leadVars(lead) {
+    var fullName = String(lead.name || '').trim();
+    var first = fullName.split(/\s+/)[0] || '';
+    return {
+        name: first, first_name: first, full_name: fullName,
+        company: lead.company || '', title: lead.title || '',
+        email: firstValue(lead.email), phone: firstValue(lead.phone)
+    };
+}
+
+// Variables for a lead of userId: lead fields plus sender card and event
+async function buildVars(userId, lead) {
+    lead = lead || {};
+    var vars = leadVars(lead);
+    var sender = await db.query(
+        'SELECT u.username, u.name AS user_name, u.email AS user_email, c.id AS card_id, c.data AS card ' +
+        'FROM users u LEFT JOIN LATERAL (SELECT id, data FROM cards WHERE user_id = u.id AND active = true ' +
+        'ORDER BY (id = $2) DESC, updated_at DESC LIMIT 1) c ON true WHERE u.id = $1',
+        [userId, String(lead.card || '')]
+    );
+    var s = sender.rows[0];
+    if (s) {
+        var card = s.card || {};
+        var senderName = card.name || s.user_name || '';
+        Object.assign(vars, {
+            'sender.name': senderName,
+            'sender.first_name': senderName.trim().split(/\s+/)[0] || '',
+            'sender.title': card.title || '',
+            'sender.company': card.company || '',
+            'sender.email': firstValue(card.email) || s.user_email || '',
+            'sender.phone': card.phoneDisplay || firstValue(card.phone),
+            'sender.website': card.website || '',
+            'sender.card_url': s.card_id ? BASE_URL + '/' + s.username + '/' + s.card_id : '',
+            'sender.calendly': card.calendly || ''
+        });
+    }
+    if (lead.event_id && UUID_RE.test(String(lead.event_id))) {
+        var ev = await db.query('SELECT name, slug, venue, city, start_date FROM events WHERE id = $1', [lead.event_id]);
+        if (ev.rows.length) {
+            Object.assign(vars, {
+                'event.name': ev.rows[0].name, 'event.date': formatEventDate(ev.rows[0].start_date),
+                'event.venue': ev.rows[0].venue || '', 'event.city': ev.rows[0].city || '',
+                'event.url': BASE_URL + '/e/' + ev.rows[0].slug, 'event.booth': lead.booth_number || ''
+            });
+        }
+    }
+    return vars;
+}
+
+module.exports = {
+    VARIABLES: VARIABLES,
+    parse: parse,
+    validate: validate,
+    renderText: renderText,
+    renderHtml: renderHtml,
+    leadVars: leadVars,
+    buildVars: buildVars
+};
@@ -7,6 +7,25 @@
  * Prerequisites:
  *   - SSH tunnel: ssh -i ~/.ssh/id_hostinger -L 5433:localhost:5432 -fN root@62.72.12.197
  *   - Server: PORT=3333 node index.js
+ *
+ * CRM sync against a local HubSpot stub (optional):
+ *   HUBSPOT_API_URL=http://127.0.0.1:4599 PORT=3333 node index.js
+ *   CRM_STUB_PORT=4599 node test-api.js
+ *
+ * Reply detection against a local IMAP server (optional):
+ *   MAILBOX_ALLOW_PRIVATE_HOSTS=true PORT=3333 node index.js
+ *   IMAP_TEST_HOST=127.0.0.1 IMAP_TEST_PORT=1143 IMAP_TEST_USER=me@example.com IMAP_TEST_PASS=secret node test-api.js
+ *
+ * Email outbox through the maildir transport (optional):
+ *   MAIL_TRANSPORT=maildir MAIL_DIR=/tmp/cardflow-mail PORT=3333 node index.js
+ *   MAIL_DIR=/tmp/cardflow-mail DATABASE_URL=... node test-api.js
+ *
+ * Paid event registration against a Razorpay client stub (optional; runs in this process):
+ *   DATABASE_URL=... JWT_SECRET=... node test-api.js   (the server's database and secret)
+ *
+ * Sending domain verification against a local DNS stub (optional):
+ *   DNS_SERVERS=127.0.0.1:5399 PORT=3333 node index.js
+ *   DNS_STUB_PORT=5399 node test-api.js
  */
 
 var BASE = process.env.TEST_URL || 'http://localhost:3333';
@@ -19,6 +38,7 @@ var TEST_PASS = 'TestPass123!';
 var TEST_USERNAME = 'testapiuser' + TS;
 var createdLeadId = 'test-lead-' + TS;
 var createdTeamId = null;
+var outboxTestDir = null;
 
 async function req(method, path, body, token) {
     var url = BASE + path;
@@ -27,6 +47,11 @@ async function req(method, path, body, token) {
     if (body) opts.body = JSON.stringify(body);
     try {
         var res = await fetch(url, opts);
+        // The suite makes more than the API's 300 requests a minute: wait for the next window
+        if (res.status === 429 && res.headers.get('ratelimit-limit') === '300') {
+            await new Promise(function (resolve) { setTimeout(resolve, (parseInt(res.headers.get('ratelimit-reset')) + 1) * 1000); });
+            res = await fetch(url, opts);
+        }
         var text = await res.text();
         var json = null;
         try { json = JSON.parse(text); } catch (e) {}
@@ -36,6 +61,45 @@ async function req(method, path, body, token) {
     }
 }
 
+// Raw (non-JSON) upload, e.g. lead import files
+async function upload(path, contentType, body, token) {
+    try {
+        var res = await fetch(BASE + path, { method: 'POST', headers: { 'Content-Type': contentType, 'Authorization': 'Bearer ' + token }, body: body });
+        var text = await res.text();
+        var json = null;
+        try { json = JSON.parse(text); } catch (e) {}
+        return { status: res.status, json: json, text: text, ok: res.ok };
+    } catch (err) {
+        return { status: 0, json: null, text: err.message, ok: false, error: err };
+    }
+}
+
+// Minimal UDP DNS server answering TXT queries from records ({ name: [txt, ...] }); other names → NXDOMAIN
+function startDnsStub(port, records) {
+    var sock = require('dgram').createSocket('udp4');
+    sock.on('message', function (msg, rinfo) {
+        var labels = [], off = 12;
+        while (msg[off]) { labels.push(msg.toString('utf8', off + 1, off + 1 + msg[off])); off += msg[off] + 1; }
+        var name = labels.join('.').toLowerCase();
+        var txts = msg.readUInt16BE(off + 1) === 16 ? records[name] || [] : [];
+        var answers = txts.map(function (txt) {
+            var data = Buffer.from(txt), chunks = [];
+            for (var i = 0; i < data.length; i += 255) chunks.push(Buffer.from([Math.min(255, data.length - i)]), data.subarray(i, i + 255));
+            var rdata = Buffer.concat(chunks);
+            var rr = Buffer.alloc(12);
+            rr.writeUInt16BE(0xc00c, 0); rr.writeUInt16BE(16, 2); rr.writeUInt16BE(1, 4); rr.writeUInt32BE(60, 6); rr.writeUInt16BE(rdata.length, 10);
+            return Buffer.concat([rr, rdata]);
+        });
+        var header = Buffer.alloc(12);
+        msg.copy(header, 0, 0, 2);
+        header.writeUInt16BE(records[name] ? 0x8180 : 0x8183, 2);
+        header.writeUInt16BE(1, 4);
+        header.writeUInt16BE(answers.length, 6);
+        sock.send(Buffer.concat([header, msg.subarray(12, off + 5)].concat(answers)), rinfo.port, rinfo.address);
+    });
+    return new Promise(function (resolve) { sock.bind(port, '127.0.0.1', function () { resolve(sock); }); });
+}
+
 function assert(name, condition, detail) {
     if (condition) {
         passed++;
@@ -161,6 +225,116 @@ async function run() {
     r = await req('GET', '/api/leads/month-count', null, TOKEN);
     assert('GET /leads/month-count → 200 + count', r.status === 200 && r.json && typeof r.json.count === 'number', 'count=' + (r.json && r.json.count));
 
+    // Paginated / filtered listing
+    r = await req('PUT', '/api/leads/' + createdLeadId + '-2', { name: 'Jane Roe', company: 'Globex', ts: Date.now() }, TOKEN);
+    r = await req('GET', '/api/leads?limit=1', null, TOKEN);
+    assert('GET /leads?limit=1 → 1 lead + nextCursor', r.status === 200 && r.json && r.json.leads.length === 1 && !!r.json.nextCursor, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+    var firstPageId = r.json && r.json.leads[0] && r.json.leads[0].id;
+    if (r.json && r.json.nextCursor) {
+        r = await req('GET', '/api/leads?limit=1&cursor=' + encodeURIComponent(r.json.nextCursor), null, TOKEN);
+        assert('GET /leads cursor → next page differs', r.status === 200 && r.json.leads.length === 1 && r.json.leads[0].id !== firstPageId, 'status=' + r.status);
+    }
+
+    r = await req('GET', '/api/leads?q=acm&includeTotal=1', null, TOKEN);
+    assert('GET /leads?q= prefix search → finds ACME lead', r.status === 200 && r.json.leads.some(function (l) { return l.id === createdLeadId; }) && r.json.total >= 1, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+    r = await req('GET', '/api/leads?status=contacted&hasEmail=true', null, TOKEN);
+    assert('GET /leads?status=contacted&hasEmail=true → filtered', r.status === 200 && r.json.leads.every(function (l) { return l.data.status === 'contacted'; }), 'status=' + r.status);
+
+    r = await req('GET', '/api/leads?sort=bogus', null, TOKEN);
+    assert('GET /leads?sort=bogus → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('GET', '/api/leads?cursor=not-a-cursor', null, TOKEN);
+    assert('GET /leads bad cursor → 400', r.status === 400, 'status=' + r.status);
+
+    // Duplicate detection & merge
+    var dupLeadId = createdLeadId + '-dup';
+    r = await req('PUT', '/api/leads/' + dupLeadId, { name: 'John Doe', email: 'JOHN@example.com', phone: '98765 43210', notes: 'Met again at expo', ts: Date.now() }, TOKEN);
+    r = await req('GET', '/api/leads/duplicates', null, TOKEN);
+    assert('GET /leads/duplicates → finds email/phone pair', r.status === 200 && r.json && r.json.pairs.some(function (p) {
+        var ids = p.leads.map(function (l) { return l.id; });
+        return ids.indexOf(createdLeadId) !== -1 && ids.indexOf(dupLeadId) !== -1 && p.reasons.indexOf('email') !== -1;
+    }), 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+    r = await req('GET', '/api/leads/duplicates?minScore=2', null, TOKEN);
+    assert('GET /leads/duplicates bad minScore → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/leads/merge', { primaryId: createdLeadId, duplicateIds: [createdLeadId] }, TOKEN);
+    assert('POST /leads/merge into itself → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/leads/merge', { primaryId: createdLeadId, duplicateIds: [dupLeadId] }, TOKEN);
+    assert('POST /leads/merge → 200 + merged timeline', r.status === 200 && r.json && r.json.data.actions.some(function (a) { return a.action === 'lead_merged'; }), 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+    assert('POST /leads/merge → notes unioned', r.json && r.json.data && /Met again at expo/.test(r.json.data.notes || ''), 'notes=' + (r.json && r.json.data && r.json.data.notes));
+
+    r = await req('GET', '/api/leads/' + dupLeadId, null, TOKEN);
+    assert('GET merged duplicate → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('POST', '/api/leads/merge', { primaryId: createdLeadId, duplicateIds: [dupLeadId] }, TOKEN);
+    assert('POST /leads/merge missing lead → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('PATCH', '/api/settings', { data: { autoMergeDuplicates: true } }, TOKEN);
+    r = await req('POST', '/api/public/user/' + USER_ID + '/leads', { id: createdLeadId + '-form', data: { name: 'John D', email: 'john@example.com', source: 'form', ts: Date.now() } });
+    assert('POST /public/user/:uid/leads repeat email → auto-merged into existing lead', r.status === 200 && r.json && r.json.id === createdLeadId, 'status=' + r.status + ' body=' + r.text);
+    r = await req('GET', '/api/leads/' + createdLeadId + '-form', null, TOKEN);
+    assert('GET auto-merged form lead → 404', r.status === 404, 'status=' + r.status);
+    r = await req('PATCH', '/api/settings', { data: { autoMergeDuplicates: false } }, TOKEN);
+
+    // File import (dry run, then background job)
+    var importCsv = 'Full Name,Work Email,Mobile,Designation\n' +
+        'Import Person,import-' + TS + '@example.com,+91 90000 11111,CTO\n' +
+        'John Doe,john@example.com,,\n' +
+        ',,,\n' +
+        ',not-an-email,12,Nobody\n';
+    r = await upload('/api/leads/import?dryRun=1&filename=leads.csv', 'text/csv', importCsv, TOKEN);
+    assert('POST /leads/import dry run → 200 + detected mapping', r.status === 200 && r.json && r.json.mapping['Work Email'] === 'email' && r.json.mapping['Designation'] === 'title', 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+    assert('POST /leads/import dry run → reports errors + duplicates', r.json && r.json.errorCount === 1 && r.json.duplicates.some(function (d) { return d.leadId === createdLeadId; }) && r.json.toImport === 1, 'body=' + r.text.slice(0, 300));
+
+    r = await upload('/api/leads/import?dryRun=1&mapping=' + encodeURIComponent(JSON.stringify({ 'Nope': 'name' })), 'text/csv', importCsv, TOKEN);
+    assert('POST /leads/import unknown mapping column → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/leads/import', { rows: [] }, TOKEN);
+    assert('POST /leads/import JSON body → 400', r.status === 400, 'status=' + r.status);
+
+    r = await upload('/api/leads/import?filename=leads.csv', 'text/csv', importCsv, TOKEN);
+    assert('POST /leads/import → 202 + jobId', r.status === 202 && r.json && r.json.jobId && r.json.total === 1, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+    if (r.json && r.json.jobId) {
+        var importJob = null;
+        for (var attempt = 0; attempt < 20; attempt++) {
+            var jr = await req('GET', '/api/leads/import/' + r.json.jobId, null, TOKEN);
+            importJob = jr.json;
+            if (!importJob || importJob.status !== 'running') break;
+            await new Promise(function (resolve) { setTimeout(resolve, 250); });
+        }
+        assert('GET /leads/import/:jobId → completed, 1 inserted', importJob && importJob.status === 'completed' && importJob.inserted === 1, 'job=' + JSON.stringify(importJob));
+    }
+
+    // Unified export
+    r = await req('GET', '/api/leads/export?profile=salesforce&q=' + encodeURIComponent('Import Person'), null, TOKEN);
+    assert('GET /leads/export salesforce → CRM headers + filtered row', r.status === 200 && r.text.indexOf('"First Name","Last Name","Company"') !== -1 && r.text.indexOf('"Import","Person"') !== -1 && r.text.indexOf('"John","Doe"') === -1, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+    r = await req('GET', '/api/leads/export?profile=hubspot', null, TOKEN);
+    assert('GET /leads/export hubspot → 200', r.status === 200 && r.text.indexOf('"Lifecycle Stage"') !== -1, 'status=' + r.status);
+    r = await req('GET', '/api/leads/export?profile=vcf', null, TOKEN);
+    assert('GET /leads/export vcf → multi-contact vCard', r.status === 200 && (r.text.match(/BEGIN:VCARD/g) || []).length >= 2, 'status=' + r.status);
+    r = await req('GET', '/api/leads/export?profile=jsonl', null, TOKEN);
+    var exportLines = r.text.trim().split('\n').map(function (line) { try { return JSON.parse(line); } catch (e) { return null; } });
+    assert('GET /leads/export jsonl → one lead per line', r.status === 200 && exportLines.length >= 2 && exportLines.every(function (l) { return l && l.id && l.data; }), 'status=' + r.status);
+    r = await req('GET', '/api/leads/export?profile=excel', null, TOKEN);
+    assert('GET /leads/export unknown profile → 400', r.status === 400, 'status=' + r.status);
+
+    // Activity dates come from the client (and older task mirrors may hold anything): one that
+    // doesn't parse exports as blank instead of cutting the export off
+    var badDateLeadId = 'test-bad-date-lead-' + TS;
+    r = await req('PUT', '/api/leads/' + badDateLeadId, { name: 'Bad Dates', category: 'Other', ts: Date.now(), actions: [{ type: 'note', action: 'note_added', ts: 'yesterday' }] }, TOKEN);
+    var badDateTasks = '';
+    if (process.env.DATABASE_URL) {
+        await require('./db').query('UPDATE leads SET data = jsonb_set(data, \'{tasks}\', $1::jsonb) WHERE user_id = $2 AND id = $3',
+            [JSON.stringify([{ title: 'Call back', due: 'next tuesday' }, { title: 'Send deck', due: '2026-03-01' }]), USER_ID, badDateLeadId]);
+        badDateTasks = 'Call back; Send deck (due 2026-03-01)';
+    }
+    r = await req('GET', '/api/leads/export?profile=csv&q=' + encodeURIComponent('Bad Dates'), null, TOKEN);
+    assert('GET /leads/export with unparseable dates → complete CSV, dates blank', r.status === 200 && r.text.indexOf('"' + badDateTasks + '","note added",""\r\n') !== -1, 'status=' + r.status + ' body=' + r.text.slice(-300));
+    await req('DELETE', '/api/leads/' + badDateLeadId, null, TOKEN);
+
     // Large lead ID → 400
     r = await req('PUT', '/api/leads/' + 'a'.repeat(200), { name: 'Test' }, TOKEN);
     assert('PUT /leads/:id ID too long → 400', r.status === 400, 'status=' + r.status);
@@ -213,6 +387,531 @@ async function run() {
     r = await req('PUT', '/api/settings/nfc-token', {}, TOKEN);
     assert('PUT /settings/nfc-token → 200 + success', r.status === 200 && r.json && r.json.success, 'status=' + r.status + ' body=' + r.text);
 
+    // API keys
+    r = await req('POST', '/api/settings/api-keys', { name: 'Test key', scopes: ['leads:read', 'cards:read'] }, TOKEN);
+    assert('POST /settings/api-keys → 200 + cf_live_ key', r.status === 200 && r.json && /^cf_live_/.test(r.json.key), 'status=' + r.status + ' body=' + r.text);
+    var API_KEY = r.json && r.json.key;
+    var API_KEY_ID = r.json && r.json.id;
+
+    r = await req('POST', '/api/settings/api-keys', { name: 'Bad scope', scopes: ['admin:all'] }, TOKEN);
+    assert('POST /settings/api-keys unknown scope → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('GET', '/api/settings/api-keys', null, TOKEN);
+    assert('GET /settings/api-keys → lists key without secret', r.status === 200 && r.json && r.json.keys.some(function (k) { return k.id === API_KEY_ID && !k.key; }), 'status=' + r.status);
+
+    if (API_KEY) {
+        r = await req('GET', '/api/leads', null, API_KEY);
+        assert('GET /leads with API key (leads:read) → 200', r.status === 200, 'status=' + r.status);
+
+        r = await req('PUT', '/api/leads/apikey-lead-' + TS, { name: 'Nope' }, API_KEY);
+        assert('PUT /leads with read-only API key → 403', r.status === 403, 'status=' + r.status);
+
+        r = await req('GET', '/api/settings', null, API_KEY);
+        assert('GET /settings with API key → 403', r.status === 403, 'status=' + r.status);
+
+        r = await req('DELETE', '/api/settings/api-keys/' + API_KEY_ID, null, TOKEN);
+        assert('DELETE /settings/api-keys/:id → 200', r.status === 200, 'status=' + r.status);
+
+        r = await req('GET', '/api/leads', null, API_KEY);
+        assert('GET /leads with revoked API key → 401', r.status === 401, 'status=' + r.status);
+    } else {
+        skip('API key auth checks', 'key creation failed');
+    }
+
+    // ═══════════════════════════════════════
+    // WEBHOOKS
+    // ═══════════════════════════════════════
+    section('WEBHOOKS — /api/webhooks');
+
+    r = await req('GET', '/api/webhooks', null, TOKEN);
+    assert('GET /webhooks → 200 + endpoints + eventTypes', r.status === 200 && r.json && Array.isArray(r.json.endpoints) && r.json.eventTypes.indexOf('lead.created') !== -1, 'status=' + r.status);
+
+    r = await req('POST', '/api/webhooks', { url: 'http://127.0.0.1:8080/hook', events: ['lead.created'] }, TOKEN);
+    assert('POST /webhooks private URL → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/webhooks', { url: 'not a url', events: ['lead.created'] }, TOKEN);
+    assert('POST /webhooks invalid URL → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/webhooks', { url: 'https://example.com/hook', events: ['lead.exploded'] }, TOKEN);
+    assert('POST /webhooks unknown event → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('GET', '/api/webhooks/deliveries', null, TOKEN);
+    assert('GET /webhooks/deliveries → 200 + array', r.status === 200 && r.json && Array.isArray(r.json.deliveries), 'status=' + r.status);
+
+    r = await req('GET', '/api/webhooks/deliveries?status=bogus', null, TOKEN);
+    assert('GET /webhooks/deliveries bad status → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/webhooks/deliveries/00000000-0000-4000-8000-000000000000/replay', null, TOKEN);
+    assert('POST /webhooks/deliveries/:id/replay unknown → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('GET', '/api/webhooks');
+    assert('GET /webhooks no auth → 401', r.status === 401, 'status=' + r.status);
+
+    // ═══════════════════════════════════════
+    // CRM SYNC
+    // ═══════════════════════════════════════
+    section('CRM SYNC — /api/crm');
+
+    r = await req('GET', '/api/crm/connections', null, TOKEN);
+    assert('GET /crm/connections → 200 + providers', r.status === 200 && r.json && Array.isArray(r.json.connections) && r.json.providers.some(function (p) { return p.id === 'hubspot'; }), 'status=' + r.status);
+
+    r = await req('POST', '/api/crm/connections', { provider: 'salesforce', accessToken: 'x' }, TOKEN);
+    assert('POST /crm/connections unknown provider → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/crm/connections', { provider: 'hubspot' }, TOKEN);
+    assert('POST /crm/connections no token → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PATCH', '/api/crm/connections/00000000-0000-4000-8000-000000000000', { active: false }, TOKEN);
+    assert('PATCH /crm/connections/:id unknown → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('GET', '/api/crm/hubspot/callback?code=x&state=forged');
+    assert('GET /crm/:provider/callback bad state → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('GET', '/api/crm/hubspot/callback?code=x&state=' + TOKEN);
+    assert('GET /crm/:provider/callback session token as state → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('GET', '/api/crm/hubspot/authorize', null, TOKEN);
+    if (r.status === 400) {
+        skip('CRM OAuth state is not a session token', 'server needs HUBSPOT_CLIENT_ID');
+    } else {
+        var oauthState = r.json && r.json.url ? new URL(r.json.url).searchParams.get('state') : null;
+        assert('GET /crm/:provider/authorize → 200 + URL with state', r.status === 200 && !!oauthState, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+        r = await req('GET', '/api/crm/connections', null, oauthState);
+        assert('GET /crm/connections with OAuth state as bearer → 401', r.status === 401, 'status=' + r.status);
+    }
+
+    r = await req('GET', '/api/crm/connections');
+    assert('GET /crm/connections no auth → 401', r.status === 401, 'status=' + r.status);
+
+    if (!process.env.CRM_STUB_PORT) {
+        skip('CRM push against HubSpot stub', 'set CRM_STUB_PORT (server needs HUBSPOT_API_URL pointing at it)');
+    } else {
+        var stubCalls = [];
+        var stubFail = false;
+        var stub = require('http').createServer(function (sreq, sres) {
+            var body = '';
+            sreq.on('data', function (c) { body += c; });
+            sreq.on('end', function () {
+                var form = sreq.headers['content-type'] === 'application/x-www-form-urlencoded';
+                stubCalls.push({ method: sreq.method, url: sreq.url, auth: sreq.headers.authorization, body: !body ? null : form ? Object.fromEntries(new URLSearchParams(body)) : JSON.parse(body) });
+                sres.setHeader('Content-Type', 'application/json');
+                if (sreq.url === '/oauth/v1/token') return sres.end(JSON.stringify({ access_token: 'stub-token-2', expires_in: 1800 }));
+                if (stubFail) { sres.statusCode = 400; return sres.end(JSON.stringify({ message: 'Property values were not valid' })); }
+                if (sreq.url === '/crm/v3/objects/contacts/search') return sres.end(JSON.stringify({ results: [] }));
+                if (sreq.url === '/crm/v3/objects/contacts' && sreq.method === 'POST') return sres.end(JSON.stringify({ id: '5001' }));
+                sres.end('{}');
+            });
+        });
+        await new Promise(function (resolve) { stub.listen(parseInt(process.env.CRM_STUB_PORT), '127.0.0.1', resolve); });
+        var waitFor = async function (check) {
+            for (var i = 0; i < 20 && !check(); i++) await new Promise(function (resolve) { setTimeout(resolve, 150); });
+            return check();
+        };
+
+        // Expires inside the refresh margin: the first push refreshes it
+        r = await req('POST', '/api/crm/connections', { provider: 'hubspot', accessToken: 'stub-token', refreshToken: 'stub-refresh', expiresIn: 30 }, TOKEN);
+        assert('POST /crm/connections (stub token) → 200', r.status === 200 && r.json && r.json.provider === 'hubspot' && !r.json.accessToken, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+        assert('POST /crm/connections → token verified with the provider', stubCalls.length === 1 && stubCalls[0].auth === 'Bearer stub-token', JSON.stringify(stubCalls).slice(0, 300));
+        var crmConnId = r.json && r.json.id;
+        if (process.env.DATABASE_URL && crmConnId) {
+            var storedConn = (await require('./db').query('SELECT access_token, refresh_token FROM crm_connections WHERE id = $1', [crmConnId])).rows[0];
+            assert('CRM tokens stored encrypted', storedConn.access_token.indexOf('stub-token') === -1 && storedConn.refresh_token.indexOf('stub-refresh') === -1, JSON.stringify(storedConn));
+        }
+
+        var crmLeadId = 'test-crm-lead-' + TS;
+        stubCalls = [];
+        await req('PUT', '/api/leads/' + crmLeadId, { name: 'Crm Person', email: 'crm-' + TS + '@example.com', company: 'Stub Inc', category: 'Technology', status: 'new', ts: Date.now() }, TOKEN);
+        var created = await waitFor(function () { return stubCalls.some(function (c) { return c.method === 'POST' && c.url === '/crm/v3/objects/contacts'; }); });
+        assert('New lead → HubSpot contact created', created && stubCalls.filter(function (c) { return c.url === '/crm/v3/objects/contacts'; })[0].body.properties.lastname === 'Person', JSON.stringify(stubCalls).slice(0, 300));
+        assert('Expiring token → refreshed, then used for the push', stubCalls[0].url === '/oauth/v1/token' && stubCalls[0].body.refresh_token === 'stub-refresh' &&
+            stubCalls.slice(1).every(function (c) { return c.auth === 'Bearer stub-token-2'; }), JSON.stringify(stubCalls).slice(0, 300));
+
+        stubCalls = [];
+        await req('PATCH', '/api/leads/' + crmLeadId, { status: 'qualified' }, TOKEN);
+        var patched = await waitFor(function () { return stubCalls.length > 0; });
+        assert('PATCH status → incremental update of hs_lead_status only', patched && stubCalls[0].method === 'PATCH' && stubCalls[0].url === '/crm/v3/objects/contacts/5001' &&
+            JSON.stringify(stubCalls[0].body) === JSON.stringify({ properties: { hs_lead_status: 'OPEN_DEAL' } }), JSON.stringify(stubCalls).slice(0, 300));
+
+        stubFail = true;
+        await req('PATCH', '/api/leads/' + crmLeadId, { notes: 'Wants a demo' }, TOKEN);
+        var failedAction = null;
+        for (var attempt = 0; attempt < 20 && !failedAction; attempt++) {
+            r = await req('GET', '/api/leads/' + crmLeadId, null, TOKEN);
+            failedAction = r.json && (r.json.actions || []).filter(function (a) { return a.action === 'crm_sync_failed'; })[0];
+            if (!failedAction) await new Promise(function (resolve) { setTimeout(resolve, 150); });
+        }
+        assert('Sync error → crm_sync_failed on lead timeline', failedAction && failedAction.provider === 'hubspot' && /not valid/.test(failedAction.error), JSON.stringify(failedAction));
+        stubFail = false;
+
+        if (crmConnId) {
+            r = await req('PATCH', '/api/crm/connections/' + crmConnId, { fieldMapping: { notes: 'not a property!' } }, TOKEN);
+            assert('PATCH /crm/connections bad mapping → 400', r.status === 400, 'status=' + r.status);
+            r = await req('DELETE', '/api/crm/connections/' + crmConnId, null, TOKEN);
+            assert('DELETE /crm/connections/:id → 200', r.status === 200, 'status=' + r.status);
+        }
+        await req('DELETE', '/api/leads/' + crmLeadId, null, TOKEN);
+        stub.close();
+    }
+
+    // ═══════════════════════════════════════
+    // PIPELINE
+    // ═══════════════════════════════════════
+    section('PIPELINE — /api/pipeline');
+
+    r = await req('GET', '/api/pipeline/stages', null, TOKEN);
+    assert('GET /pipeline/stages → default stages', r.status === 200 && r.json && r.json.initial === 'new' && r.json.stages.some(function (s) { return s.key === 'won' && s.kind === 'won'; }), 'status=' + r.status);
+
+    r = await req('PUT', '/api/pipeline/stages', { stages: [{ label: 'Only', kind: 'won' }, { label: 'Lost', kind: 'lost' }] }, TOKEN);
+    assert('PUT /pipeline/stages no open stage → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PUT', '/api/pipeline/stages', { stages: [{ label: 'New' }, { label: 'New' }] }, TOKEN);
+    assert('PUT /pipeline/stages duplicate → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PATCH', '/api/leads/' + createdLeadId, { status: 'hot' }, TOKEN);
+    assert('PATCH /leads/:id unknown stage → 400', r.status === 400, 'status=' + r.status);
+
+    var customStages = [
+        { key: 'new', label: 'New', color: '#60a5fa' },
+        { key: 'contacted', label: 'Contacted', color: '#fbbf24' },
+        { label: 'Demo Booked', color: '#22d3ee' },
+        { key: 'won', label: 'Won', color: '#4ade80', kind: 'won' },
+        { key: 'lost', label: 'Lost', color: '#f87171', kind: 'lost' }
+    ];
+    r = await req('PUT', '/api/pipeline/stages', { stages: customStages }, TOKEN);
+    assert('PUT /pipeline/stages custom → 200 + generated key', r.status === 200 && r.json && r.json.stages[2].key === 'demo_booked', 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+    r = await req('PATCH', '/api/leads/' + createdLeadId, { status: 'demo_booked' }, TOKEN);
+    assert('PATCH /leads/:id custom stage → 200', r.status === 200, 'status=' + r.status);
+
+    await new Promise(function(resolve) { setTimeout(resolve, 300); });
+    r = await req('GET', '/api/pipeline/stats', null, TOKEN);
+    var demoStats = r.json && r.json.stages && r.json.stages.filter(function (s) { return s.key === 'demo_booked'; })[0];
+    var contactedStats = r.json && r.json.stages && r.json.stages.filter(function (s) { return s.key === 'contacted'; })[0];
+    assert('GET /pipeline/stats → counts per stage', r.status === 200 && demoStats && demoStats.count >= 1 && r.json.totals.leads >= 1, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+    assert('GET /pipeline/stats → time in stage from history', contactedStats && contactedStats.avgDaysInStage !== null, 'contacted=' + JSON.stringify(contactedStats));
+    assert('GET /pipeline/stats → conversion rate', contactedStats && contactedStats.conversionRate > 0, 'contacted=' + JSON.stringify(contactedStats));
+
+    r = await req('GET', '/api/pipeline/stats?from=yesterday', null, TOKEN);
+    assert('GET /pipeline/stats bad date → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PUT', '/api/pipeline/stages', { stages: customStages.filter(function (s) { return s.label !== 'Demo Booked'; }) }, TOKEN);
+    assert('PUT /pipeline/stages removing used stage → 409', r.status === 409 && r.json && r.json.stranded && r.json.stranded[0].stage === 'demo_booked', 'status=' + r.status);
+
+    r = await req('PUT', '/api/pipeline/stages', { stages: customStages.filter(function (s) { return s.label !== 'Demo Booked'; }), reassign: { demo_booked: 'contacted' } }, TOKEN);
+    assert('PUT /pipeline/stages with reassign → 200', r.status === 200, 'status=' + r.status);
+
+    r = await req('GET', '/api/leads/' + createdLeadId, null, TOKEN);
+    assert('Reassigned lead moved to contacted', r.json && r.json.status === 'contacted', 'status=' + (r.json && r.json.status));
+
+    r = await req('DELETE', '/api/pipeline/stages', null, TOKEN);
+    assert('DELETE /pipeline/stages → 200', r.status === 200, 'status=' + r.status);
+
+    r = await req('GET', '/api/pipeline/stages', null, TOKEN);
+    assert('GET /pipeline/stages after reset → default scope', r.status === 200 && r.json.scope === 'default', 'scope=' + (r.json && r.json.scope));
+
+    r = await req('GET', '/api/pipeline/stats');
+    assert('GET /pipeline/stats no auth → 401', r.status === 401, 'status=' + r.status);
+
+    // ═══════════════════════════════════════
+    // TASKS
+    // ═══════════════════════════════════════
+    section('TASKS — /api/leads/:id/tasks, /api/tasks');
+
+    r = await req('POST', '/api/leads/' + createdLeadId + '/tasks', { title: '' }, TOKEN);
+    assert('POST /leads/:id/tasks no title → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/leads/' + createdLeadId + '/tasks', { title: 'Call', dueDate: '2030-02-30' }, TOKEN);
+    assert('POST /leads/:id/tasks invalid date → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/leads/' + createdLeadId + '/tasks', { title: 'Call', recurrence: { freq: 'weekly' } }, TOKEN);
+    assert('POST /leads/:id/tasks recurring without date → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/leads/' + createdLeadId + '/tasks', {
+        title: 'Monthly check-in', dueDate: '2030-01-31', dueTime: '10:30', timezone: 'Asia/Kolkata', remindBefore: 15,
+        recurrence: { freq: 'monthly' }
+    }, TOKEN);
+    var recurringTask = r.json && r.json.task;
+    assert('POST /leads/:id/tasks → 201', r.status === 201 && recurringTask && recurringTask.dueTime === '10:30' && recurringTask.dueAt === '2030-01-31T05:00:00.000Z', 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+    assert('Task reminder time = due - remindBefore', recurringTask && recurringTask.remindAt === '2030-01-31T04:45:00.000Z', 'remindAt=' + (recurringTask && recurringTask.remindAt));
+
+    r = await req('GET', '/api/tasks', null, TOKEN);
+    assert('GET /tasks agenda includes task', r.status === 200 && r.json && r.json.tasks.some(function (t) { return recurringTask && t.id === recurringTask.id && t.leadName !== undefined; }), 'status=' + r.status);
+
+    r = await req('GET', '/api/leads/' + createdLeadId, null, TOKEN);
+    assert('Lead data.tasks mirrors the task', r.json && Array.isArray(r.json.tasks) && r.json.tasks.some(function (t) { return recurringTask && t.id === recurringTask.id && t.due === '2030-01-31'; }), 'tasks=' + JSON.stringify(r.json && r.json.tasks).slice(0, 200));
+
+    r = await req('PATCH', '/api/leads/' + createdLeadId, { tasks: [] }, TOKEN);
+    r = await req('GET', '/api/leads/' + createdLeadId, null, TOKEN);
+    assert('PATCH /leads/:id cannot overwrite tasks', r.json && Array.isArray(r.json.tasks) && r.json.tasks.length > 0, 'tasks=' + JSON.stringify(r.json && r.json.tasks).slice(0, 100));
+
+    r = await req('PATCH', '/api/leads/' + createdLeadId + '/tasks/' + (recurringTask && recurringTask.id), { done: true }, TOKEN);
+    assert('Completing recurring task → next occurrence (month end clamped)', r.status === 200 && r.json && r.json.task.done && r.json.next && r.json.next.dueDate === '2030-02-28' && r.json.next.dueTime === '10:30', 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+    var nextTaskId = r.json && r.json.next && r.json.next.id;
+
+    r = await req('GET', '/api/tasks?status=done', null, TOKEN);
+    assert('GET /tasks?status=done includes completed task', r.status === 200 && r.json.tasks.some(function (t) { return recurringTask && t.id === recurringTask.id; }), 'status=' + r.status);
+
+    r = await req('GET', '/api/tasks?status=later', null, TOKEN);
+    assert('GET /tasks invalid status → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PATCH', '/api/tasks/' + nextTaskId, { dueTime: '25:00' }, TOKEN);
+    assert('PATCH /tasks/:id invalid time → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PATCH', '/api/tasks/' + nextTaskId, { title: 'Quarterly check-in', recurrence: null }, TOKEN);
+    assert('PATCH /tasks/:id → 200', r.status === 200 && r.json.task.title === 'Quarterly check-in' && r.json.task.recurrence === null, 'status=' + r.status);
+
+    r = await req('DELETE', '/api/tasks/' + nextTaskId, null, TOKEN);
+    assert('DELETE /tasks/:id → 200', r.status === 200, 'status=' + r.status);
+
+    r = await req('DELETE', '/api/leads/' + createdLeadId + '/tasks/' + (recurringTask && recurringTask.id), null, TOKEN);
+    assert('DELETE /leads/:id/tasks/:taskId → 200', r.status === 200, 'status=' + r.status);
+
+    r = await req('GET', '/api/leads/' + createdLeadId + '/tasks', null, TOKEN);
+    assert('GET /leads/:id/tasks empty after deletes', r.status === 200 && r.json.tasks.length === 0, 'count=' + (r.json && r.json.tasks && r.json.tasks.length));
+
+    r = await req('GET', '/api/tasks');
+    assert('GET /tasks no auth → 401', r.status === 401, 'status=' + r.status);
+
+    // ═══════════════════════════════════════
+    // CALENDAR FEED
+    // ═══════════════════════════════════════
+    section('CALENDAR — /api/calendar, /api/public/calendar');
+
+    r = await req('POST', '/api/leads/' + createdLeadId + '/tasks', { title: 'Send proposal', dueDate: '2030-03-10', dueTime: '15:00', timezone: 'Asia/Kolkata' }, TOKEN);
+    var calendarTaskId = r.json && r.json.task && r.json.task.id;
+
+    r = await req('GET', '/api/calendar/feed', null, TOKEN);
+    assert('GET /calendar/feed → url', r.status === 200 && r.json && /\/api\/public\/calendar\/[a-f0-9]{48}\.ics$/.test(r.json.url), 'status=' + r.status);
+    var feedPath = r.json && r.json.url ? new URL(r.json.url).pathname : '/api/public/calendar/none.ics';
+
+    r = await req('GET', '/api/calendar/feed', null, TOKEN);
+    assert('GET /calendar/feed is stable', r.json && new URL(r.json.url).pathname === feedPath, 'url=' + (r.json && r.json.url));
+
+    r = await req('GET', feedPath);
+    assert('GET feed .ics → VCALENDAR with the task', r.status === 200 && r.text.indexOf('BEGIN:VCALENDAR') === 0 && r.text.indexOf('UID:task-' + calendarTaskId + '@') !== -1 && r.text.indexOf('DTSTART:20300310T093000Z') !== -1, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+    r = await req('POST', '/api/calendar/feed/rotate', null, TOKEN);
+    assert('POST /calendar/feed/rotate → new url', r.status === 200 && r.json && new URL(r.json.url).pathname !== feedPath, 'status=' + r.status);
+    var rotatedPath = r.json && r.json.url ? new URL(r.json.url).pathname : feedPath;
+
+    r = await req('GET', feedPath);
+    assert('Old feed url → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('DELETE', '/api/calendar/feed', null, TOKEN);
+    assert('DELETE /calendar/feed → 200', r.status === 200, 'status=' + r.status);
+
+    r = await req('GET', rotatedPath);
+    assert('Feed url after disabling → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('GET', '/api/calendar/feed');
+    assert('GET /calendar/feed no auth → 401', r.status === 401, 'status=' + r.status);
+
+    if (calendarTaskId) await req('DELETE', '/api/tasks/' + calendarTaskId, null, TOKEN);
+
+    // ═══════════════════════════════════════
+    // MAILBOX (sequence reply detection)
+    // ═══════════════════════════════════════
+    section('MAILBOX — /api/mailbox');
+
+    r = await req('GET', '/api/mailbox', null, TOKEN);
+    assert('GET /mailbox → 200 + no connection', r.status === 200 && r.json && r.json.connection === null, 'status=' + r.status + ' body=' + r.text);
+
+    r = await req('PUT', '/api/mailbox', { username: 'me@example.com', password: 'x' }, TOKEN);
+    assert('PUT /mailbox no host → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PUT', '/api/mailbox', { host: 'imap://bad host', username: 'me@example.com', password: 'x' }, TOKEN);
+    assert('PUT /mailbox invalid host → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PUT', '/api/mailbox', { host: 'imap.example.com', username: 'me@example.com' }, TOKEN);
+    assert('PUT /mailbox no password → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PUT', '/api/mailbox', { host: 'imap.example.com', username: 'me@example.com', password: 'x', onReply: 'explode' }, TOKEN);
+    assert('PUT /mailbox bad onReply → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/mailbox/check', null, TOKEN);
+    assert('POST /mailbox/check without mailbox → 404', r.status === 404, 'status=' + r.status);
+
+    if (!process.env.IMAP_TEST_HOST) {
+        skip('Mailbox connect against local IMAP server', 'set IMAP_TEST_HOST (server needs MAILBOX_ALLOW_PRIVATE_HOSTS=true)');
+    } else {
+        var imap = { host: process.env.IMAP_TEST_HOST, port: parseInt(process.env.IMAP_TEST_PORT) || 143, secure: false, username: process.env.IMAP_TEST_USER, password: process.env.IMAP_TEST_PASS };
+        r = await req('PUT', '/api/mailbox', Object.assign({}, imap, { password: 'wrong-' + TS }), TOKEN);
+        assert('PUT /mailbox wrong password → 400', r.status === 400, 'status=' + r.status);
+
+        r = await req('PUT', '/api/mailbox', imap, TOKEN);
+        assert('PUT /mailbox → 200 + connection', r.status === 200 && r.json && r.json.connection && r.json.connection.password === undefined, 'status=' + r.status + ' body=' + r.text);
+
+        r = await req('POST', '/api/mailbox/check', null, TOKEN);
+        assert('POST /mailbox/check → 200', r.status === 200 && r.json && typeof r.json.matched === 'number', 'status=' + r.status + ' body=' + r.text);
+
+        r = await req('DELETE', '/api/mailbox', null, TOKEN);
+        assert('DELETE /mailbox → 200', r.status === 200, 'status=' + r.status);
+    }
+
+    r = await req('GET', '/api/mailbox');
+    assert('GET /mailbox no auth → 401', r.status === 401, 'status=' + r.status);
+
+    // ═══════════════════════════════════════
+    // SUPPRESSIONS
+    // ═══════════════════════════════════════
+    section('SUPPRESSIONS — /api/suppressions');
+
+    r = await req('POST', '/api/suppressions', { email: 'not-an-email' }, TOKEN);
+    assert('POST /suppressions invalid email → 400', r.status === 400, 'status=' + r.status);
+
+    var blockedEmail = 'Blocked-' + TS + '@Example.com';
+    r = await req('POST', '/api/suppressions', { email: blockedEmail, note: 'asked by phone' }, TOKEN);
+    var suppressionId = r.json && r.json.suppression && r.json.suppression.id;
+    assert('POST /suppressions → 200 + lowercased manual block', r.status === 200 && r.json.suppression.email === blockedEmail.toLowerCase() && r.json.suppression.reason === 'manual' && r.json.suppression.scope === 'account', 'status=' + r.status + ' body=' + r.text);
+
+    r = await req('POST', '/api/suppressions', { email: blockedEmail.toLowerCase() }, TOKEN);
+    assert('POST /suppressions duplicate → 409', r.status === 409, 'status=' + r.status);
+
+    r = await req('GET', '/api/suppressions?q=blocked-' + TS, null, TOKEN);
+    assert('GET /suppressions?q= → 200 + the block', r.status === 200 && r.json.suppressions.length === 1 && r.json.suppressions[0].id === suppressionId, 'status=' + r.status + ' body=' + r.text);
+
+    r = await req('DELETE', '/api/suppressions/' + suppressionId, null, TOKEN);
+    assert('DELETE /suppressions/:id → 200', r.status === 200, 'status=' + r.status);
+
+    r = await req('DELETE', '/api/suppressions/' + suppressionId, null, TOKEN);
+    assert('DELETE /suppressions/:id again → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('GET', '/api/suppressions');
+    assert('GET /suppressions no auth → 401', r.status === 401, 'status=' + r.status);
+
+    r = await req('GET', '/api/admin/outbox?status=dead', null, TOKEN);
+    assert('GET /admin/outbox as regular user → 403', r.status === 403, 'status=' + r.status);
+
+    // Outbox through the maildir transport: the server's queue and worker, then this process's own
+    // worker against a directory it can break for retries and dead-lettering
+    if (process.env.MAIL_DIR && process.env.DATABASE_URL) {
+        var fs = require('fs'), path = require('path');
+        var serverNewDir = path.join(process.env.MAIL_DIR, 'new');
+        var listMail = function (dir) { return fs.existsSync(dir) ? fs.readdirSync(dir) : []; };
+        var mailBefore = listMail(serverNewDir);
+        r = await req('POST', '/api/auth/forgot-password', { email: TEST_EMAIL });
+        var resetMail = null;
+        for (var mailWait = 0; mailWait < 50 && !resetMail; mailWait++) {
+            await new Promise(function (resolve) { setTimeout(resolve, 100); });
+            resetMail = listMail(serverNewDir).filter(function (f) { return mailBefore.indexOf(f) === -1; })
+                .map(function (f) { return fs.readFileSync(path.join(serverNewDir, f), 'utf8'); })
+                .find(function (raw) { return raw.indexOf('To: ' + TEST_EMAIL) !== -1; }) || null;
+        }
+        assert('Password reset email queued and written to MAIL_DIR/new', !!resetMail && /^Subject: Reset your CardFlow password/m.test(resetMail), 'found=' + !!resetMail);
+
+        process.env.MAIL_TRANSPORT = 'maildir';
+        process.env.MAIL_DIR = path.join(process.env.MAIL_DIR, 'outbox-test-' + TS);
+        var outbox = require('./outbox');
+        var outboxDb = require('./db');
+        var testTmpDir = path.join(process.env.MAIL_DIR, 'tmp');
+        require('./mail-transport').getTransport();
+        // A file where tmp/ should be: every write fails until it is put back
+        fs.rmSync(testTmpDir, { recursive: true });
+        fs.writeFileSync(testTmpDir, '');
+
+        var outboxId = await outbox.enqueue({ from: 'CardFlow <noreply@cardflow.cloud>', to: 'outbox-' + TS + '@example.com', subject: 'Outbox test ' + TS, html: '<p>Hello</p>' }, { category: 'test' });
+        // enqueue() and retry() also start the worker here shortly after: while that run is busy,
+        // processOutbox() returns at once, so wait for the row to get where it should
+        var outboxRowWhen = async function (check) {
+            var row;
+            for (var n = 0; n < 20; n++) {
+                await outbox.processOutbox();
+                row = (await outboxDb.query('SELECT * FROM email_outbox WHERE id = $1', [outboxId])).rows[0];
+                if (check(row)) break;
+                await new Promise(function (resolve) { setTimeout(resolve, 100); });
+            }
+            return row;
+        };
+        var outboxRow = await outboxRowWhen(function (row) { return row.attempts === 1 && row.status !== 'sending'; });
+        assert('Outbox failed send → pending with backoff', outboxRow.status === 'pending' && outboxRow.attempts === 1 && !!outboxRow.last_error && new Date(outboxRow.next_attempt_at) > new Date(), 'row=' + JSON.stringify(outboxRow && { status: outboxRow.status, attempts: outboxRow.attempts, error: outboxRow.last_error }));
+
+        await outboxDb.query('UPDATE email_outbox SET attempts = $1, next_attempt_at = NOW() WHERE id = $2', [outbox.MAX_ATTEMPTS - 1, outboxId]);
+        outboxRow = await outboxRowWhen(function (row) { return row.status === 'dead' || row.status === 'sent'; });
+        assert('Outbox last attempt fails → dead-lettered', outboxRow.status === 'dead' && outboxRow.attempts === outbox.MAX_ATTEMPTS && outboxRow.next_attempt_at === null, 'status=' + outboxRow.status + ' attempts=' + outboxRow.attempts);
+
+        fs.rmSync(testTmpDir);
+        fs.mkdirSync(testTmpDir);
+        assert('Outbox retry of a dead letter → accepted', await outbox.retry(outboxId) === true);
+        outboxRow = await outboxRowWhen(function (row) { return row.status === 'dead' || row.status === 'sent'; });
+        var sentFiles = listMail(path.join(process.env.MAIL_DIR, 'new'));
+        assert('Outbox retried dead letter → sent to MAIL_DIR/new', outboxRow.status === 'sent' && outboxRow.attempts === 1 && sentFiles.length === 1 &&
+            fs.readFileSync(path.join(process.env.MAIL_DIR, 'new', sentFiles[0]), 'utf8').indexOf('Subject: Outbox test ' + TS) !== -1, 'status=' + outboxRow.status + ' files=' + sentFiles.length);
+
+        assert('Outbox retry of a sent email → refused', await outbox.retry(outboxId) === false);
+        await outboxDb.query('DELETE FROM email_outbox WHERE id = $1', [outboxId]);
+        // Removed at cleanup: modules loaded here later (paid registration) send mail through it too
+        outboxTestDir = process.env.MAIL_DIR;
+    } else {
+        skip('Outbox through the maildir transport', 'set MAIL_DIR and DATABASE_URL (server started with MAIL_TRANSPORT=maildir and the same MAIL_DIR)');
+    }
+
+    // ═══════════════════════════════════════
+    // SENDER (custom domain, branding)
+    // ═══════════════════════════════════════
+    section('SENDER — /api/sender');
+
+    r = await req('GET', '/api/sender', null, TOKEN);
+    assert('GET /sender → 200 (inactive on free plan)', r.status === 200 && r.json && r.json.scope === 'user' && r.json.active === false && r.json.domain === null, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+    r = await req('PUT', '/api/sender/brand', { primaryColor: 'blue' }, TOKEN);
+    assert('PUT /sender/brand bad colour → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PUT', '/api/sender/brand', { logoUrl: 'http://example.com/logo.png' }, TOKEN);
+    assert('PUT /sender/brand non-https logo → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PUT', '/api/sender/brand', { companyName: 'Acme', primaryColor: '#0f766e', physicalAddress: '1 Main St, Pune' }, TOKEN);
+    assert('PUT /sender/brand → 200', r.status === 200 && r.json && r.json.brand.companyName === 'Acme' && r.json.brand.logoUrl === null, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+    r = await req('PUT', '/api/sender/domain', { domain: 'not a domain' }, TOKEN);
+    assert('PUT /sender/domain invalid → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PUT', '/api/sender/domain', { domain: 'mail.cardflow.cloud' }, TOKEN);
+    assert('PUT /sender/domain reserved → 400', r.status === 400, 'status=' + r.status);
+
+    var sendingDomain = 'mail-' + TS + '.example.com';
+    r = await req('PUT', '/api/sender/domain', { domain: sendingDomain, fromLocal: 'sales' }, TOKEN);
+    var domainInfo = r.json && r.json.domain;
+    assert('PUT /sender/domain → 200 + DNS records', r.status === 200 && domainInfo && domainInfo.status === 'pending' && domainInfo.fromAddress === 'sales@' + sendingDomain &&
+        domainInfo.records.length === 3 && /^v=DKIM1; k=rsa; p=/.test(domainInfo.records[0].value), 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+    if (!process.env.DNS_STUB_PORT) {
+        skip('Sending domain verification against DNS stub', 'set DNS_STUB_PORT (server needs DNS_SERVERS pointing at it)');
+    } else if (domainInfo) {
+        var published = {};
+        var dns = await startDnsStub(parseInt(process.env.DNS_STUB_PORT), published);
+        var spfRecord = domainInfo.records.filter(function (rec) { return rec.purpose === 'spf'; })[0];
+        published[spfRecord.host] = [spfRecord.value];
+
+        r = await req('POST', '/api/sender/domain/verify', null, TOKEN);
+        assert('POST /sender/domain/verify without DKIM record → pending', r.status === 200 && r.json.domain.status === 'pending' &&
+            r.json.domain.checks.spf.ok && !r.json.domain.checks.dkim.ok, 'status=' + r.status + ' body=' + r.text.slice(0, 300));
+
+        var dkimRecord = domainInfo.records[0];
+        published[dkimRecord.host] = [dkimRecord.value];
+        r = await req('POST', '/api/sender/domain/verify', null, TOKEN);
+        assert('POST /sender/domain/verify with records → verified', r.status === 200 && r.json.domain.status === 'verified' && r.json.domain.verifiedAt, 'status=' + r.status + ' body=' + r.text.slice(0, 300));
+
+        delete published[dkimRecord.host];
+        r = await req('POST', '/api/sender/domain/verify', null, TOKEN);
+        assert('POST /sender/domain/verify after record removed → failed', r.status === 200 && r.json.domain.status === 'failed', 'status=' + r.status + ' body=' + r.text.slice(0, 300));
+        dns.close();
+    }
+
+    r = await req('GET', '/api/sender?scope=team', null, TOKEN);
+    assert('GET /sender?scope=team without team → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('DELETE', '/api/sender/domain', null, TOKEN);
+    assert('DELETE /sender/domain → 200', r.status === 200, 'status=' + r.status);
+
+    r = await req('POST', '/api/sender/domain/verify', null, TOKEN);
+    assert('POST /sender/domain/verify without domain → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('DELETE', '/api/sender/brand', null, TOKEN);
+    assert('DELETE /sender/brand → 200', r.status === 200, 'status=' + r.status);
+
+    r = await req('GET', '/api/sender');
+    assert('GET /sender no auth → 401', r.status === 401, 'status=' + r.status);
+
     // ═══════════════════════════════════════
     // ACCOUNT
     // ═══════════════════════════════════════
@@ -248,10 +947,114 @@ async function run() {
 
     r = await req('GET', '/api/sequences', null, TOKEN);
     assert('GET /sequences → 200 + array', r.status === 200 && Array.isArray(r.json), 'status=' + r.status + ' type=' + (r.json && typeof r.json));
+    assert('GET /sequences → per-step stats', Array.isArray(r.json) && r.json.every(function (s) { return s.stats && Array.isArray(s.stats.steps); }));
 
     r = await req('POST', '/api/sequences', { name: 'Test Seq', steps: [{ delay_days: 1, subject: 'Hi', body: 'Hello {name}!' }] }, TOKEN);
     assert('POST /sequences → 403 (free plan limit)', r.status === 403, 'status=' + r.status);
 
+    r = await req('POST', '/api/sequences', { name: 'Bad Branch', steps: [
+        { id: 'a', type: 'email', subject: 'Hi', body: 'Hello' },
+        { id: 'b', type: 'branch', condition: { type: 'replied' }, then: 'a' }
+    ] }, TOKEN);
+    assert('POST /sequences backward branch → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/sequences', { name: 'Bad Wait', steps: [{ type: 'wait', until: { weekdays: [9], time: '25:00' } }] }, TOKEN);
+    assert('POST /sequences invalid wait → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/sequences', { name: 'Bad Status', steps: [{ type: 'status', status: 'not_a_stage' }] }, TOKEN);
+    assert('POST /sequences unknown stage → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/sequences', { name: 'Workflow ' + TS, steps: [
+        { id: 'a', type: 'email', subject: 'Hi', body: 'Hello' },
+        { id: 'b', type: 'wait', days: 2 },
+        { id: 'c', type: 'branch', condition: { type: 'replied' }, then: 'e' },
+        { id: 'd', type: 'email', subject: 'Following up', body: 'Any thoughts?' },
+        { id: 'e', type: 'status', status: 'contacted' }
+    ] }, TOKEN);
+    assert('POST /sequences branching workflow → 200', r.status === 200 && r.json && !!r.json.id, 'status=' + r.status + ' body=' + r.text);
+    if (r.json && r.json.id) await req('DELETE', '/api/sequences/' + r.json.id, null, TOKEN);
+
+    r = await req('POST', '/api/sequences', { name: 'One Variant', steps: [{ type: 'email', variants: [{ subject: 'Hi', body: 'Hello' }] }] }, TOKEN);
+    assert('POST /sequences single A/B variant → 400', r.status === 400, 'status=' + r.status);
+
+    var abVariants = [{ id: 'a', subject: 'Hi {name}', body: 'Hello', weight: 50 }, { id: 'b', subject: 'Quick question', body: 'Hello', weight: 150 }];
+    r = await req('POST', '/api/sequences', { name: 'Bad Weight', steps: [{ type: 'email', variants: abVariants }] }, TOKEN);
+    assert('POST /sequences variant weight > 100 → 400', r.status === 400, 'status=' + r.status);
+
+    abVariants[1].weight = 50;
+    r = await req('POST', '/api/sequences', { name: 'Bad Promote', steps: [{ type: 'email', variants: abVariants, auto_promote: { metric: 'open', min_sends: 1 } }] }, TOKEN);
+    assert('POST /sequences auto_promote below minimum sample → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/sequences', { name: 'A/B ' + TS, steps: [{ type: 'email', variants: abVariants, auto_promote: { metric: 'open', min_sends: 20 } }] }, TOKEN);
+    assert('POST /sequences A/B step → 200', r.status === 200 && r.json && !!r.json.id, 'status=' + r.status + ' body=' + r.text);
+    var abSeqId = r.json && r.json.id;
+    r = await req('GET', '/api/sequences', null, TOKEN);
+    var abSeq = Array.isArray(r.json) && r.json.find(function (s) { return s.id === abSeqId; });
+    assert('GET /sequences → per-variant stats for A/B step', !!abSeq && abSeq.stats.steps[0].variants.map(function (v) { return v.id; }).join() === 'a,b' && abSeq.stats.steps[0].winner === null, 'seq=' + JSON.stringify(abSeq && abSeq.stats));
+    if (abSeqId) await req('DELETE', '/api/sequences/' + abSeqId, null, TOKEN);
+
+    r = await req('POST', '/api/sequences', { name: 'Bad Template', steps: [{ type: 'email', subject: 'Hi {{firstname}}', body: 'Hello' }] }, TOKEN);
+    assert('POST /sequences unknown template variable → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/sequences', { name: 'Open If', steps: [{ type: 'email', subject: 'Hi', body: '{{#if company}}Hello {{company}}' }] }, TOKEN);
+    assert('POST /sequences unclosed {{#if}} → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/sequences', { name: 'Template ' + TS, steps: [{ type: 'email', subject: 'Hi {{first_name|there}}', body: '{{#if company}}How is **{{company}}**?{{else}}Hello!{{/if}} {{sender.name}}' }] }, TOKEN);
+    assert('POST /sequences fallbacks, conditionals and sender variables → 200', r.status === 200 && r.json && !!r.json.id, 'status=' + r.status + ' body=' + r.text);
+    if (r.json && r.json.id) await req('DELETE', '/api/sequences/' + r.json.id, null, TOKEN);
+
+    r = await req('POST', '/api/sequences/preview', { subject: 'Hi' }, TOKEN);
+    assert('POST /sequences/preview without leadId → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/sequences/preview', { leadId: 'no-such-lead-' + TS, subject: 'Hi' }, TOKEN);
+    assert('POST /sequences/preview unknown lead → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('POST', '/api/sequences/preview', { leadId: createdLeadId, subject: 'Hi {{first_name|there}} at {{company}}', body: '**Quick** note{{#unless title}} for you{{/unless}}' }, TOKEN);
+    assert('POST /sequences/preview renders variables + Markdown', r.status === 200 && r.json.subject === 'Hi John at ACME Corp' && r.json.html.indexOf('<strong>Quick</strong> note for you') !== -1, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+    r = await req('GET', '/api/sequences/limits', null, TOKEN);
+    assert('GET /sequences/limits → 200 + cap and usage', r.status === 200 && typeof r.json.daily_cap === 'number' && typeof r.json.sent_24h === 'number', 'status=' + r.status + ' body=' + r.text);
+
+    r = await req('PUT', '/api/sequences/limits', { daily_cap: 0 }, TOKEN);
+    assert('PUT /sequences/limits cap 0 → 400', r.status === 400, 'status=' + r.status);
+
+    // A step that fails after an email went out: the retry resumes after the email instead of sending it again
+    if (process.env.DATABASE_URL) {
+        var sequences = require('./sequences');
+        var seqDb = require('./db');
+        var seqLeadId = 'test-seq-lead-' + TS;
+        await seqDb.query("UPDATE users SET plan = 'pro' WHERE id = $1", [USER_ID]);
+        await req('PUT', '/api/leads/' + seqLeadId, { name: 'No Company', email: 'seq-' + TS + '@example.com', ts: Date.now() }, TOKEN);
+        r = await req('POST', '/api/sequences', { name: 'Task After Email ' + TS, steps: [
+            { type: 'email', subject: 'Hi', body: 'Hello' },
+            { type: 'task', title: '{{company}}' }
+        ] }, TOKEN);
+        var taskSeqId = r.json && r.json.id;
+        r = await req('POST', '/api/sequences/' + taskSeqId + '/enroll', { leadId: seqLeadId }, TOKEN);
+        assert('POST /sequences/:id/enroll email then task → 200', r.status === 200, 'status=' + r.status + ' body=' + r.text);
+
+        var enrollmentState = async function () {
+            var row = (await seqDb.query('SELECT id, current_step, status, next_send_at FROM sequence_enrollments WHERE sequence_id = $1', [taskSeqId])).rows[0];
+            if (row) row.sent = parseInt((await seqDb.query("SELECT COUNT(*) AS cnt FROM sequence_events WHERE enrollment_id = $1 AND type = 'sent'", [row.id])).rows[0].cnt);
+            return row || {};
+        };
+        await sequences.processDue();
+        var enrollment = await enrollmentState();
+        assert('Sequence task step fails after the email → kept past the email, retried later', enrollment.sent === 1 && enrollment.current_step === 1 &&
+            enrollment.status === 'active' && new Date(enrollment.next_send_at) > new Date(), 'enrollment=' + JSON.stringify(enrollment));
+
+        await seqDb.query('UPDATE sequence_enrollments SET next_send_at = NOW() WHERE id = $1', [enrollment.id]);
+        await sequences.processDue();
+        enrollment = await enrollmentState();
+        assert('Sequence retry of the failing task step → email not sent again', enrollment.sent === 1 && enrollment.current_step === 1, 'enrollment=' + JSON.stringify(enrollment));
+
+        await req('DELETE', '/api/sequences/' + taskSeqId, null, TOKEN);
+        await req('DELETE', '/api/leads/' + seqLeadId, null, TOKEN);
+        await seqDb.query("UPDATE users SET plan = 'free' WHERE id = $1", [USER_ID]);
+    } else {
+        skip('Sequence step failing after an email', 'set DATABASE_URL (the server\'s database)');
+    }
+
     // ═══════════════════════════════════════
     // TEAMS (feature-flagged: teams_enabled)
     // ═══════════════════════════════════════
@@ -309,6 +1112,39 @@ async function run() {
                 r = await req('PATCH', '/api/teams/leads/' + USER_ID + '/' + createdLeadId + '/assign', { assignTo: null }, TOKEN);
                 assert('PATCH /teams/leads unassign → 200', r.status === 200, 'status=' + r.status);
 
+                // Team sequence templates (owner is an admin)
+                var tplSteps = [{ id: 's1', type: 'email', subject: 'Hi {{first_name|there}}', body: 'Great meeting you at the expo' }];
+                r = await req('POST', '/api/sequence-templates', { name: 'Post-Expo', steps: tplSteps }, TOKEN);
+                assert('POST /sequence-templates publish → v1', r.status === 200 && r.json.version === 1, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+                var tplId = r.json && r.json.id;
+
+                r = await req('POST', '/api/sequence-templates/' + tplId + '/use', { mode: 'link' }, TOKEN);
+                assert('POST /sequence-templates/:id/use link → 200', r.status === 200 && r.json.linked === true, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+                var linkedSeqId = r.json && r.json.id;
+
+                r = await req('POST', '/api/sequence-templates/' + tplId + '/use', { mode: 'link' }, TOKEN);
+                assert('POST /sequence-templates/:id/use link twice → 409', r.status === 409, 'status=' + r.status);
+
+                r = await req('PUT', '/api/sequences/' + linkedSeqId, { name: 'Mine', steps: tplSteps }, TOKEN);
+                assert('PUT /sequences/:id on linked sequence → 409', r.status === 409, 'status=' + r.status);
+
+                tplSteps[0].body = 'Great meeting you at {{event.name|the expo}}';
+                r = await req('PUT', '/api/sequence-templates/' + tplId, { name: 'Post-Expo', steps: tplSteps, version: 1 }, TOKEN);
+                assert('PUT /sequence-templates/:id → v2, linked sequence synced', r.status === 200 && r.json.version === 2 && r.json.synced === 1, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+                r = await req('PUT', '/api/sequence-templates/' + tplId, { name: 'Post-Expo', steps: tplSteps, version: 1 }, TOKEN);
+                assert('PUT /sequence-templates/:id stale version → 409', r.status === 409, 'status=' + r.status);
+
+                r = await req('GET', '/api/sequence-templates/' + tplId, null, TOKEN);
+                assert('GET /sequence-templates/:id → version history', r.status === 200 && r.json.versions.length === 2, 'status=' + r.status);
+
+                r = await req('GET', '/api/sequence-templates/' + tplId + '/stats', null, TOKEN);
+                assert('GET /sequence-templates/:id/stats → team totals', r.status === 200 && r.json.totals.members === 1 && Array.isArray(r.json.steps), 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+                r = await req('DELETE', '/api/sequence-templates/' + tplId, null, TOKEN);
+                assert('DELETE /sequence-templates/:id archive → 200', r.status === 200, 'status=' + r.status);
+                await req('DELETE', '/api/sequences/' + linkedSeqId, null, TOKEN);
+
                 // Role change on owner → should fail
                 r = await req('PATCH', '/api/teams/members/' + USER_ID + '/role', { role: 'member' }, TOKEN);
                 assert('PATCH /teams/members role on owner → 403', r.status === 403, 'status=' + r.status);
@@ -323,6 +1159,568 @@ async function run() {
         }
     }
 
+    // ═══════════════════════════════════════
+    // EXHIBITOR & BADGES (feature-flagged: events_enabled)
+    // ═══════════════════════════════════════
+    section('EXHIBITOR & BADGES — /api/exhibitor, /api/events, /api/public');
+
+    r = await req('GET', '/api/events', null, TOKEN);
+    if (r.status === 503) {
+        skip('All event endpoints', 'events_enabled flag disabled');
+    } else {
+        assert('GET /events → 200', r.status === 200, 'status=' + r.status);
+
+        r = await req('GET', '/api/exhibitor/event/999999/roster', null, TOKEN);
+        assert('GET /exhibitor/event/:id/roster not an exhibitor → 403', r.status === 403, 'status=' + r.status);
+
+        r = await req('POST', '/api/exhibitor/event/999999/scans/batch', { scans: [{ client_scan_id: 'test-scan-' + TS, badge_code: 'ABCD1234', scanned_at: new Date().toISOString() }] }, TOKEN);
+        assert('POST /exhibitor/event/:id/scans/batch not an exhibitor → 403', r.status === 403, 'status=' + r.status);
+
+        r = await req('POST', '/api/exhibitor/event/999999/scans/batch', { scans: [] });
+        assert('POST /exhibitor/event/:id/scans/batch no auth → 401', r.status === 401, 'status=' + r.status);
+
+        // A live event with ourselves as an approved exhibitor
+        var eventStart = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+        r = await req('POST', '/api/events', { name: 'Test Expo ' + TS, start_date: eventStart, end_date: eventStart, status: 'live' }, TOKEN);
+        assert('POST /events → 201', r.status === 201 && r.json && r.json.id, 'status=' + r.status + ' body=' + r.text);
+        var testEvent = r.json && r.json.id ? r.json : null;
+        var eventAttendees = [];
+
+        if (testEvent) {
+            r = await req('POST', '/api/events/' + testEvent.id + '/exhibitors/invite', { email: TEST_EMAIL, company_name: 'Test Booth', auto_approve: true }, TOKEN);
+            assert('POST /events/:id/exhibitors/invite auto_approve → 201', r.status === 201 && r.json && r.json.status === 'approved', 'status=' + r.status + ' body=' + r.text);
+
+            for (var ai = 0; ai < 2; ai++) {
+                r = await req('POST', '/api/public/event/' + testEvent.slug + '/register', { name: 'Attendee ' + ai, email: 'attendee' + ai + '-' + TS + '@example.com', company: 'Acme' });
+                assert('POST /public/event/:slug/register #' + (ai + 1) + ' → 201 registered', r.status === 201 && r.json && r.json.status === 'registered', 'status=' + r.status + ' body=' + r.text);
+                if (r.json && r.json.attendee) eventAttendees.push(Object.assign({ badge_token: r.json.badge_token }, r.json.attendee));
+            }
+
+            r = await req('POST', '/api/public/event/' + testEvent.slug + '/register', { name: 'Attendee 0', email: 'ATTENDEE0-' + TS + '@example.com' });
+            assert('POST /public/event/:slug/register same email → 409', r.status === 409, 'status=' + r.status);
+
+            // Offline scanning: signed roster, then batch uploads that are safe to retry
+            r = await req('GET', '/api/exhibitor/event/' + testEvent.id + '/roster', null, TOKEN);
+            var roster = r.json || {};
+            var rosterCodes = (roster.attendees || []).map(function (a) { return a.badge_code; });
+            assert('GET /exhibitor/event/:id/roster → 200 signed', r.status === 200 && typeof roster.signature === 'string' && roster.event_id === testEvent.id, 'status=' + r.status + ' body=' + r.text);
+            assert('GET /exhibitor/event/:id/roster lists the attendees', roster.count === eventAttendees.length && eventAttendees.every(function (a) { return rosterCodes.indexOf(a.badge_code) !== -1; }), 'codes=' + JSON.stringify(rosterCodes));
+            assert('GET /exhibitor/event/:id/roster has no contact details', (roster.attendees || []).every(function (a) { return !('email' in a) && !('phone' in a); }));
+            var rosterRef = { event_id: roster.event_id, exhibitor_id: roster.exhibitor_id, issued_at: roster.issued_at, expires_at: roster.expires_at, digest: roster.digest, signature: roster.signature };
+
+            if (eventAttendees.length === 2) {
+                var scannedAt = new Date(Date.now() - 60000).toISOString();
+                var batch = [
+                    { client_scan_id: 'scan-a-' + TS, badge_code: eventAttendees[0].badge_code, scanned_at: scannedAt, notes: 'Met at the booth' },
+                    { client_scan_id: 'scan-b-' + TS, badge_code: eventAttendees[1].badge_code, scanned_at: scannedAt },
+                    { client_scan_id: 'scan-c-' + TS, badge_code: 'ZZZZ0000', scanned_at: scannedAt },
+                    { client_scan_id: 'bad', badge_code: eventAttendees[0].badge_code, scanned_at: scannedAt }
+                ];
+                r = await req('POST', '/api/exhibitor/event/' + testEvent.id + '/scans/batch', { roster: rosterRef, scans: batch }, TOKEN);
+                var results = (r.json && r.json.results) || [];
+                assert('POST /exhibitor/event/:id/scans/batch → 200', r.status === 200 && results.length === 4, 'status=' + r.status + ' body=' + r.text);
+                assert('POST /scans/batch known badges → created with leads', results.slice(0, 2).every(function (x) { return x.status === 'created' && x.lead_id; }), JSON.stringify(results.slice(0, 2)));
+                assert('POST /scans/batch unknown code → not_found', results[2] && results[2].status === 'not_found', JSON.stringify(results[2]));
+                assert('POST /scans/batch bad client_scan_id → invalid', results[3] && results[3].status === 'invalid', JSON.stringify(results[3]));
+                assert('POST /scans/batch summary', r.json && r.json.summary && r.json.summary.created === 2 && r.json.summary.not_found === 1 && r.json.roster_stale === false, JSON.stringify(r.json && r.json.summary));
+                var firstVisit = results[0] || {};
+
+                // Retrying the same batch, plus a rescan of the first attendee under a new id
+                r = await req('POST', '/api/exhibitor/event/' + testEvent.id + '/scans/batch', { roster: rosterRef, scans: batch.slice(0, 2).concat([
+                    { client_scan_id: 'scan-d-' + TS, badge_code: eventAttendees[0].badge_code, scanned_at: new Date().toISOString() }
+                ]) }, TOKEN);
+                results = (r.json && r.json.results) || [];
+                assert('POST /scans/batch retry → already_synced, same visit', results[0] && results[0].status === 'already_synced' && results[0].visit_id === firstVisit.visit_id && results[1] && results[1].status === 'already_synced', JSON.stringify(results));
+                assert('POST /scans/batch rescan within 5 min → duplicate', results[2] && results[2].status === 'duplicate' && results[2].conflict && results[2].conflict.client_scan_id === 'scan-a-' + TS, JSON.stringify(results[2]));
+                assert('POST /scans/batch retry creates nothing', r.json && r.json.summary && r.json.summary.created === 0, JSON.stringify(r.json && r.json.summary));
+
+                r = await req('GET', '/api/exhibitor/event/' + testEvent.id + '/leads', null, TOKEN);
+                assert('GET /exhibitor/event/:id/leads → one visit per attendee', r.status === 200 && Array.isArray(r.json) && r.json.length === 2, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+            }
+
+            r = await req('POST', '/api/exhibitor/event/' + testEvent.id + '/scans/batch', { roster: Object.assign({}, rosterRef, { digest: '0'.repeat(64) }), scans: [{ client_scan_id: 'scan-e-' + TS, badge_code: 'ZZZZ0000', scanned_at: new Date().toISOString() }] }, TOKEN);
+            assert('POST /scans/batch tampered roster → 400', r.status === 400 && r.json && r.json.error === 'Invalid roster signature', 'status=' + r.status + ' body=' + r.text);
+
+            r = await req('POST', '/api/exhibitor/event/' + testEvent.id + '/scans/batch', { roster: Object.assign({}, rosterRef, { exhibitor_id: 'someone-else' }), scans: [{ client_scan_id: 'scan-e-' + TS, badge_code: 'ZZZZ0000', scanned_at: new Date().toISOString() }] }, TOKEN);
+            assert('POST /scans/batch roster of another exhibitor → 400', r.status === 400, 'status=' + r.status);
+
+            r = await req('POST', '/api/exhibitor/event/' + testEvent.id + '/scans/batch', { scans: [] }, TOKEN);
+            assert('POST /scans/batch empty → 400', r.status === 400, 'status=' + r.status);
+        }
+
+        // Signed badges: Ed25519 tokens that can be checked offline with the published key
+        if (eventAttendees.length === 2) {
+            var signedBadge = eventAttendees[0];
+            r = await req('GET', '/api/public/event/' + testEvent.slug + '/badge-key');
+            assert('GET /public/event/:slug/badge-key → 200 Ed25519', r.status === 200 && r.json && r.json.algorithm === 'Ed25519' && r.json.event_id === testEvent.id, 'status=' + r.status + ' body=' + r.text);
+            var tokenParts = (signedBadge.badge_token || '').split('.');
+            var tokenPayload = Buffer.from(tokenParts[0] || '', 'base64url');
+            var verified = false;
+            try {
+                var crypto = require('crypto');
+                var badgeKey = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: r.json.public_key }, format: 'jwk' });
+                verified = crypto.verify(null, tokenPayload, badgeKey, Buffer.from(tokenParts[1], 'base64url'));
+            } catch (e) {}
+            assert('Badge token verifies against the published key', verified, 'token=' + signedBadge.badge_token);
+            assert('Badge token names the event and attendee', tokenPayload.length === 39 && tokenPayload[0] === r.json.format &&
+                tokenPayload.subarray(1, 17).toString('hex') === testEvent.id.replace(/-/g, '') && tokenPayload.subarray(17, 33).toString('hex') === signedBadge.id.replace(/-/g, ''));
+
+            r = await req('GET', '/api/exhibitor/badge/' + signedBadge.badge_token, null, TOKEN);
+            assert('GET /exhibitor/badge/:token → 200 signed', r.status === 200 && r.json && r.json.signed === true && r.json.email === signedBadge.email, 'status=' + r.status + ' body=' + r.text);
+
+            r = await req('GET', '/api/exhibitor/badge/' + encodeURIComponent('https://card.cardflow.cloud/e/' + testEvent.slug + '/b/' + signedBadge.badge_token), null, TOKEN);
+            assert('GET /exhibitor/badge/:url (scanned QR) → 200', r.status === 200 && r.json && r.json.signed === true, 'status=' + r.status);
+
+            r = await req('GET', '/api/exhibitor/badge/' + signedBadge.badge_code, null, TOKEN);
+            assert('GET /exhibitor/badge/:code → 200 unsigned', r.status === 200 && r.json && r.json.signed === false, 'status=' + r.status);
+
+            var forgedSig = Buffer.from(tokenParts[1], 'base64url');
+            forgedSig[0] ^= 1;
+            r = await req('GET', '/api/exhibitor/badge/' + tokenParts[0] + '.' + forgedSig.toString('base64url'), null, TOKEN);
+            assert('GET /exhibitor/badge/:token bad signature → 400', r.status === 400, 'status=' + r.status);
+
+            r = await req('GET', '/api/public/badge/' + signedBadge.badge_token);
+            assert('GET /public/badge/:token → 200 with token, no contact details', r.status === 200 && r.json && r.json.badge_token === signedBadge.badge_token && !('email' in r.json), 'status=' + r.status + ' body=' + r.text);
+
+            r = await req('GET', '/api/public/badge/' + signedBadge.badge_code);
+            assert('GET /public/badge/:code → 200 without token', r.status === 200 && r.json && r.json.badge_token === null, 'status=' + r.status);
+
+            // Signed-only events refuse plain codes at the booth
+            r = await req('PATCH', '/api/events/' + testEvent.id, { settings: { signed_badges_only: true } }, TOKEN);
+            assert('PATCH /events/:id signed_badges_only → 200', r.status === 200, 'status=' + r.status + ' body=' + r.text);
+            r = await req('GET', '/api/exhibitor/badge/' + signedBadge.badge_code, null, TOKEN);
+            assert('GET /exhibitor/badge/:code signed-only event → 403', r.status === 403, 'status=' + r.status);
+            r = await req('GET', '/api/exhibitor/badge/' + signedBadge.badge_token, null, TOKEN);
+            assert('GET /exhibitor/badge/:token signed-only event → 200', r.status === 200, 'status=' + r.status);
+            await req('PATCH', '/api/events/' + testEvent.id, { settings: {} }, TOKEN);
+
+            // Revoke, then reissue: a new code and token, the old ones stay dead
+            var revokedBadge = eventAttendees[1];
+            r = await req('POST', '/api/events/' + testEvent.id + '/attendees/' + revokedBadge.id + '/badge/revoke', {}, TOKEN);
+            assert('POST /events/:id/attendees/:aid/badge/revoke → 200', r.status === 200 && r.json && r.json.attendee && r.json.attendee.badge_revoked_at, 'status=' + r.status + ' body=' + r.text);
+
+            r = await req('GET', '/api/exhibitor/badge/' + revokedBadge.badge_token, null, TOKEN);
+            assert('GET /exhibitor/badge/:token revoked → 403', r.status === 403 && r.json && /revoked/.test(r.json.error), 'status=' + r.status + ' body=' + r.text);
+
+            r = await req('GET', '/api/exhibitor/event/' + testEvent.id + '/roster', null, TOKEN);
+            assert('GET /exhibitor/event/:id/roster leaves revoked badges out', r.status === 200 && r.json && r.json.attendees.every(function (a) { return a.id !== revokedBadge.id; }), 'status=' + r.status);
+
+            r = await req('POST', '/api/exhibitor/event/' + testEvent.id + '/scans/batch', { scans: [{ client_scan_id: 'scan-r-' + TS, badge_code: revokedBadge.badge_token, scanned_at: new Date().toISOString() }] }, TOKEN);
+            assert('POST /scans/batch revoked badge → revoked', r.status === 200 && r.json.results[0].status === 'revoked', 'status=' + r.status + ' body=' + r.text);
+
+            r = await req('POST', '/api/events/' + testEvent.id + '/attendees/' + revokedBadge.id + '/badge/reissue', { notify: false }, TOKEN);
+            var reissued = r.json || {};
+            assert('POST /events/:id/attendees/:aid/badge/reissue → 200 new badge', r.status === 200 && reissued.badge_token && reissued.badge_token !== revokedBadge.badge_token &&
+                reissued.attendee.badge_code !== revokedBadge.badge_code && reissued.attendee.badge_revision === revokedBadge.badge_revision + 1 && !reissued.attendee.badge_revoked_at, 'status=' + r.status + ' body=' + r.text);
+            assert('Reissued badge_url carries the new token', reissued.badge_url === '/e/' + testEvent.slug + '/b/' + reissued.badge_token, 'url=' + reissued.badge_url);
+
+            r = await req('GET', '/api/exhibitor/badge/' + reissued.badge_token, null, TOKEN);
+            assert('GET /exhibitor/badge/:token reissued → 200', r.status === 200 && r.json && r.json.badge_code === reissued.attendee.badge_code, 'status=' + r.status);
+
+            r = await req('GET', '/api/exhibitor/badge/' + revokedBadge.badge_token, null, TOKEN);
+            assert('GET /exhibitor/badge/:token replaced → 403', r.status === 403 && r.json && /replaced/.test(r.json.error), 'status=' + r.status + ' body=' + r.text);
+
+            r = await req('GET', '/api/exhibitor/badge/' + revokedBadge.badge_code, null, TOKEN);
+            assert('GET /exhibitor/badge/:code old code → 404', r.status === 404, 'status=' + r.status);
+        }
+
+        // Printable badges: the saved template, then ZPL labels and PDFs
+        r = await req('GET', '/api/events/' + testEvent.id + '/badges/template', null, TOKEN);
+        assert('GET /events/:id/badges/template → 200 defaults', r.status === 200 && r.json && r.json.template && r.json.template.size === '4x3' && r.json.sizes && r.json.sizes.cr80, 'status=' + r.status + ' body=' + r.text);
+
+        r = await req('PUT', '/api/events/' + testEvent.id + '/badges/template', { size: '9x9' }, TOKEN);
+        assert('PUT /events/:id/badges/template unknown size → 400', r.status === 400, 'status=' + r.status);
+
+        r = await req('PUT', '/api/events/' + testEvent.id + '/badges/template', { color: 'red' }, TOKEN);
+        assert('PUT /events/:id/badges/template bad colour → 400', r.status === 400, 'status=' + r.status);
+
+        r = await req('PUT', '/api/events/' + testEvent.id + '/badges/template', { dpi: 600 }, TOKEN);
+        assert('PUT /events/:id/badges/template bad dpi → 400', r.status === 400, 'status=' + r.status);
+
+        r = await req('PUT', '/api/events/' + testEvent.id + '/badges/template', { size: '3x4', label: 'Visitor', color: '#112233', show_title: false, dpi: 300 }, TOKEN);
+        assert('PUT /events/:id/badges/template → 200', r.status === 200 && r.json && r.json.template.size === '3x4' && r.json.template.dpi === 300, 'status=' + r.status + ' body=' + r.text);
+
+        r = await req('GET', '/api/events/' + testEvent.id + '/badges/template', null, TOKEN);
+        assert('GET /events/:id/badges/template returns the saved template', r.status === 200 && r.json && r.json.template.size === '3x4' && r.json.template.label === 'Visitor' &&
+            r.json.template.color === '#112233' && r.json.template.show_title === false, 'body=' + r.text);
+
+        r = await req('GET', '/api/events/' + testEvent.id + '/badges?format=zpl', null, TOKEN);
+        var labels = r.text.split('^XZ').filter(function (l) { return l.trim(); });
+        assert('GET /events/:id/badges?format=zpl → one label per badge', r.status === 200 && r.text.indexOf('^XA') === 0 && labels.length === eventAttendees.length, 'status=' + r.status + ' labels=' + labels.length);
+        assert('ZPL labels use the saved template (3x4 in at 300 dpi)', labels.length > 0 && labels.every(function (l) { return l.indexOf('^PW900') !== -1 && l.indexOf('^LL1200') !== -1 && l.indexOf('^FDVisitor^FS') !== -1; }), labels[0]);
+        var qrUrl = (labels[0] || '').match(/\^FDMA,([^^]+)\^FS/);
+        var printedToken = qrUrl ? qrUrl[1].replace(/_([0-9A-F]{2})/g, function (m, hex) { return String.fromCharCode(parseInt(hex, 16)); }).split('/b/')[1] : '';
+        r = await req('GET', '/api/exhibitor/badge/' + printedToken, null, TOKEN);
+        assert('ZPL QR carries a signed badge token that scans', r.status === 200 && r.json && r.json.signed === true, 'status=' + r.status + ' token=' + printedToken);
+
+        r = await req('GET', '/api/events/' + testEvent.id + '/badges?format=zpl&size=cr80&dpi=203&label=', null, TOKEN);
+        assert('GET /events/:id/badges query overrides the template', r.status === 200 && r.text.indexOf('^PW685') !== -1 && r.text.indexOf('Visitor') === -1, 'status=' + r.status);
+
+        r = await req('GET', '/api/events/' + testEvent.id + '/badges', null, TOKEN);
+        assert('GET /events/:id/badges → PDF', r.status === 200 && r.text.indexOf('%PDF') === 0, 'status=' + r.status + ' head=' + r.text.slice(0, 20));
+
+        r = await req('GET', '/api/events/' + testEvent.id + '/badges?format=svg', null, TOKEN);
+        assert('GET /events/:id/badges bad format → 400', r.status === 400, 'status=' + r.status);
+
+        if (eventAttendees.length) {
+            r = await req('GET', '/api/events/' + testEvent.id + '/badges?format=zpl&ids=' + eventAttendees[0].id, null, TOKEN);
+            assert('GET /events/:id/badges?ids= → only those badges', r.status === 200 && r.text.split('^XA').length === 2 && r.text.indexOf(eventAttendees[0].name) !== -1, 'status=' + r.status);
+
+            r = await req('GET', '/api/events/' + testEvent.id + '/badges/' + eventAttendees[0].id, null, TOKEN);
+            assert('GET /events/:id/badges/:aid → PDF', r.status === 200 && r.text.indexOf('%PDF') === 0, 'status=' + r.status);
+
+            r = await req('GET', '/api/events/' + testEvent.id + '/badges/' + eventAttendees[0].id + '?format=zpl', null, TOKEN);
+            assert('GET /events/:id/badges/:aid?format=zpl → one label', r.status === 200 && r.text.split('^XA').length === 2, 'status=' + r.status);
+
+            r = await req('GET', '/api/events/' + testEvent.id + '/badges/00000000-0000-4000-8000-000000000000', null, TOKEN);
+            assert('GET /events/:id/badges/:aid unknown → 404', r.status === 404, 'status=' + r.status);
+        }
+
+        // Signed badges: a well-formed token for an event that doesn't exist
+        var fakeBadgeToken = Buffer.concat([Buffer.from([1]), Buffer.alloc(38, 7)]).toString('base64url') + '.' + Buffer.alloc(64, 9).toString('base64url');
+
+        r = await req('GET', '/api/exhibitor/badge/' + fakeBadgeToken, null, TOKEN);
+        assert('GET /exhibitor/badge/:token unknown event → 404', r.status === 404, 'status=' + r.status);
+
+        r = await req('GET', '/api/public/badge/' + fakeBadgeToken);
+        assert('GET /public/badge/:token unknown event → 404', r.status === 404, 'status=' + r.status);
+
+        r = await req('GET', '/api/public/event/no-such-event-' + TS + '/badge-key');
+        assert('GET /public/event/:slug/badge-key unknown → 404', r.status === 404, 'status=' + r.status);
+
+        r = await req('POST', '/api/events/00000000-0000-4000-8000-000000000000/attendees/00000000-0000-4000-8000-000000000000/badge/revoke', {}, TOKEN);
+        assert('POST /events/:id/attendees/:aid/badge/revoke unknown event → 404', r.status === 404, 'status=' + r.status);
+
+        // Printable badges
+        r = await req('GET', '/api/events/00000000-0000-4000-8000-000000000000/badges?format=zpl', null, TOKEN);
+        assert('GET /events/:id/badges unknown event → 404', r.status === 404, 'status=' + r.status);
+
+        r = await req('PUT', '/api/events/00000000-0000-4000-8000-000000000000/badges/template', { size: '4x3' }, TOKEN);
+        assert('PUT /events/:id/badges/template unknown event → 404', r.status === 404, 'status=' + r.status);
+
+        r = await req('GET', '/api/events/00000000-0000-4000-8000-000000000000/badges/template');
+        assert('GET /events/:id/badges/template no auth → 401', r.status === 401, 'status=' + r.status);
+
+        // Ticket types, waitlist and cancellation
+        r = await req('POST', '/api/public/event/no-such-event-' + TS + '/register', { name: 'Test', email: 'reg-' + TS + '@example.com', ticket_type: 'visitor', answers: {} });
+        assert('POST /public/event/:slug/register unknown → 404', r.status === 404, 'status=' + r.status);
+
+        r = await req('POST', '/api/public/badge/ABCD2345/cancel', {});
+        assert('POST /public/badge/:code/cancel plain code → 403', r.status === 403, 'status=' + r.status);
+
+        r = await req('POST', '/api/events/00000000-0000-4000-8000-000000000000/attendees/00000000-0000-4000-8000-000000000000/cancel', {}, TOKEN);
+        assert('POST /events/:id/attendees/:aid/cancel unknown event → 404', r.status === 404, 'status=' + r.status);
+
+        // Paid registration
+        r = await req('POST', '/api/public/badge/ABCD2345/pay', {});
+        assert('POST /public/badge/:code/pay plain code → 403', r.status === 403, 'status=' + r.status);
+
+        r = await req('POST', '/api/public/badge/ABCD2345/pay/verify', { razorpay_order_id: 'order_x', razorpay_payment_id: 'pay_x', razorpay_signature: 'x' });
+        assert('POST /public/badge/:code/pay/verify plain code → 403', r.status === 403, 'status=' + r.status);
+
+        r = await req('POST', '/api/events/00000000-0000-4000-8000-000000000000/attendees/00000000-0000-4000-8000-000000000000/refund', {}, TOKEN);
+        assert('POST /events/:id/attendees/:aid/refund unknown event → 404', r.status === 404, 'status=' + r.status);
+
+        // Ticket types with capacity, sales windows and a waitlist, and registration questions
+        var dayMs = 86400000;
+        var summitSettings = {
+            ticket_types: [
+                { id: 'visitor', name: 'Visitor', capacity: 1 },
+                { id: 'press', name: 'Press', capacity: 1, waitlist: false },
+                { id: 'early', name: 'Early bird', closes_at: new Date(Date.now() - dayMs).toISOString() },
+                { id: 'late', name: 'Late', opens_at: new Date(Date.now() + dayMs).toISOString() }
+            ],
+            registration_form: [
+                { id: 'role', label: 'Role', type: 'select', options: ['Buyer', 'Seller'], required: true },
+                { id: 'team_size', label: 'Team size', type: 'number' },
+                { id: 'outlet', label: 'Outlet', type: 'text', required: true, ticket_types: ['press'] }
+            ]
+        };
+        r = await req('POST', '/api/events', { name: 'Test Summit ' + TS, start_date: eventStart, end_date: eventStart, status: 'live', settings: { ticket_types: [{ id: 'visitor', name: 'Visitor', capacity: -1 }] } }, TOKEN);
+        assert('POST /events negative capacity → 400', r.status === 400, 'status=' + r.status);
+
+        r = await req('POST', '/api/events', { name: 'Test Summit ' + TS, start_date: eventStart, end_date: eventStart, status: 'live', settings: { registration_form: [{ id: 'x', label: 'X', type: 'select', options: [] }] } }, TOKEN);
+        assert('POST /events select question without options → 400', r.status === 400, 'status=' + r.status);
+
+        r = await req('POST', '/api/events', { name: 'Test Summit ' + TS, start_date: eventStart, end_date: eventStart, status: 'live', settings: summitSettings }, TOKEN);
+        assert('POST /events with ticket types and questions → 201', r.status === 201 && r.json && r.json.settings.ticket_types.length === 4, 'status=' + r.status + ' body=' + r.text);
+        var summit = r.json && r.json.id ? r.json : null;
+
+        if (summit) {
+            var summitPath = '/api/public/event/' + summit.slug + '/register';
+            var summitReg = function (n, ticketType, answers) {
+                return req('POST', summitPath, { name: 'Summit ' + n, email: 'summit-' + n + '-' + TS + '@example.com', ticket_type: ticketType, answers: answers });
+            };
+
+            r = await summitReg('early', 'early', { role: 'Buyer' });
+            assert('POST /register after sales close → 400', r.status === 400 && /closed/.test(r.json && r.json.error), 'status=' + r.status + ' body=' + r.text);
+
+            r = await summitReg('late', 'late', { role: 'Buyer' });
+            assert('POST /register before sales open → 400', r.status === 400 && /opens/.test(r.json && r.json.error), 'status=' + r.status + ' body=' + r.text);
+
+            r = await summitReg('norole', 'visitor', {});
+            assert('POST /register missing required answer → 400 with field', r.status === 400 && r.json && r.json.field === 'role', 'status=' + r.status + ' body=' + r.text);
+
+            r = await summitReg('badrole', 'visitor', { role: 'Manager', team_size: '12' });
+            assert('POST /register answer not an option → 400 with field', r.status === 400 && r.json && r.json.field === 'role', 'status=' + r.status + ' body=' + r.text);
+
+            r = await summitReg('v1', 'visitor', { role: 'Buyer', team_size: '12', outlet: 'ignored' });
+            var firstVisitor = r.json && r.json.attendee;
+            assert('POST /register within capacity → registered', r.status === 201 && r.json.status === 'registered' && r.json.waitlist_position === null, 'status=' + r.status + ' body=' + r.text);
+            assert('Registration answers are normalised', firstVisitor && firstVisitor.answers.role === 'Buyer' && firstVisitor.answers.team_size === 12 && !('outlet' in firstVisitor.answers), JSON.stringify(firstVisitor && firstVisitor.answers));
+
+            r = await summitReg('v2', 'visitor', { role: 'Seller' });
+            var secondVisitor = r.json && r.json.attendee;
+            assert('POST /register over capacity → waitlisted #1', r.status === 201 && r.json.status === 'waitlisted' && r.json.waitlist_position === 1 && !r.json.payment, 'status=' + r.status + ' body=' + r.text);
+
+            r = await summitReg('v3', 'visitor', { role: 'Seller' });
+            var thirdVisitor = r.json && r.json.attendee;
+            var thirdLink = r.json && r.json.registration_token;
+            assert('POST /register over capacity → waitlisted #2', r.status === 201 && r.json.status === 'waitlisted' && r.json.waitlist_position === 2, 'status=' + r.status + ' body=' + r.text);
+            assert('Waitlisted registration gets a registration link, no badge', thirdLink && r.json.registration_url === '/e/' + summit.slug + '/b/' + thirdLink &&
+                r.json.badge_token === null && r.json.badge_url === null && thirdVisitor.badge_code === null, 'body=' + r.text);
+
+            r = await summitReg('p0', 'press', { role: 'Buyer' });
+            assert('POST /register missing answer for the type → 400 with field', r.status === 400 && r.json && r.json.field === 'outlet', 'status=' + r.status + ' body=' + r.text);
+
+            r = await summitReg('p1', 'press', { role: 'Buyer', outlet: 'Daily News' });
+            assert('POST /register press → registered', r.status === 201 && r.json.status === 'registered', 'status=' + r.status + ' body=' + r.text);
+
+            r = await summitReg('p2', 'press', { role: 'Buyer', outlet: 'Evening Post' });
+            assert('POST /register full type without waitlist → 400 sold out', r.status === 400 && /sold out/.test(r.json && r.json.error), 'status=' + r.status + ' body=' + r.text);
+
+            r = await req('GET', '/api/public/event/' + summit.slug);
+            var typeStates = {};
+            ((r.json && r.json.ticket_types) || []).forEach(function (t) { typeStates[t.id] = t.state; });
+            assert('GET /public/event/:slug ticket type states', r.status === 200 && typeStates.visitor === 'waitlist' && typeStates.press === 'sold_out' && typeStates.early === 'closed' && typeStates.late === 'not_open', JSON.stringify(typeStates));
+            assert('GET /public/event/:slug questions', r.json && r.json.registration_form && r.json.registration_form.length === 3, 'form=' + JSON.stringify(r.json && r.json.registration_form));
+
+            r = await req('GET', '/api/events/' + summit.id + '/attendees?status=waitlisted', null, TOKEN);
+            assert('GET /events/:id/attendees?status=waitlisted → 2', r.status === 200 && Array.isArray(r.json) && r.json.length === 2, 'status=' + r.status + ' body=' + r.text.slice(0, 200));
+
+            r = await req('GET', '/api/events/' + summit.id + '/attendees?status=maybe', null, TOKEN);
+            assert('GET /events/:id/attendees bad status → 400', r.status === 400, 'status=' + r.status);
+
+            if (firstVisitor && secondVisitor && thirdVisitor) {
+                // Cancelling gives the place to the first person waiting
+                r = await req('POST', '/api/events/' + summit.id + '/attendees/' + firstVisitor.id + '/cancel', {}, TOKEN);
+                assert('POST /events/:id/attendees/:aid/cancel → 200', r.status === 200 && r.json && r.json.attendee.status === 'cancelled', 'status=' + r.status + ' body=' + r.text);
+
+                r = await req('GET', '/api/events/' + summit.id + '/attendees?ticket_type=visitor', null, TOKEN);
+                var visitorStatus = {};
+                (Array.isArray(r.json) ? r.json : []).forEach(function (a) { visitorStatus[a.id] = a; });
+                assert('Cancelling promotes the first waitlisted attendee', visitorStatus[secondVisitor.id] && visitorStatus[secondVisitor.id].status === 'registered' && visitorStatus[secondVisitor.id].promoted_at, JSON.stringify(visitorStatus[secondVisitor.id]));
+                assert('The next attendee stays waitlisted', visitorStatus[thirdVisitor.id] && visitorStatus[thirdVisitor.id].status === 'waitlisted', JSON.stringify(visitorStatus[thirdVisitor.id]));
+
+                r = await req('GET', '/api/exhibitor/badge/' + visitorStatus[secondVisitor.id].badge_code, null, TOKEN);
+                assert('Promoted attendee badge → 200', r.status === 200, 'status=' + r.status);
+
+                r = await req('GET', '/api/public/badge/' + thirdLink);
+                assert('GET /public/badge/:link waitlisted → next in line, no badge', r.status === 200 && r.json.status === 'waitlisted' && r.json.waitlist_position === 1 && r.json.badge_token === null, 'status=' + r.status + ' body=' + r.text);
+
+                r = await req('GET', '/api/exhibitor/badge/' + thirdLink, null, TOKEN);
+                assert('Waitlisted registration link at the booth → 400', r.status === 400, 'status=' + r.status + ' body=' + r.text);
+
+                // The organizer can take someone in over capacity
+                r = await req('POST', '/api/events/' + summit.id + '/attendees/' + thirdVisitor.id + '/promote', {}, TOKEN);
+                assert('POST /events/:id/attendees/:aid/promote → registered', r.status === 200 && r.json && r.json.attendee.status === 'registered', 'status=' + r.status + ' body=' + r.text);
+
+                r = await req('GET', '/api/public/badge/' + thirdLink);
+                assert('GET /public/badge/:link once promoted → badge issued', r.status === 200 && r.json.status === 'registered' && r.json.badge_token && r.json.badge_code, 'status=' + r.status + ' body=' + r.text);
+
+                r = await req('POST', '/api/events/' + summit.id + '/attendees/' + thirdVisitor.id + '/promote', {}, TOKEN);
+                assert('POST /events/:id/attendees/:aid/promote not waitlisted → 404', r.status === 404, 'status=' + r.status);
+
+                r = await req('POST', '/api/events/' + summit.id + '/attendees/' + firstVisitor.id + '/promote', {}, TOKEN);
+                assert('POST /events/:id/attendees/:aid/promote cancelled → 404', r.status === 404, 'status=' + r.status);
+            }
+
+            r = await req('POST', '/api/events/' + summit.id + '/attendees/00000000-0000-4000-8000-000000000000/cancel', {}, TOKEN);
+            assert('POST /events/:id/attendees/:aid/cancel unknown attendee → 404', r.status === 404, 'status=' + r.status);
+
+            r = await req('DELETE', '/api/events/' + summit.id, null, TOKEN);
+            assert('DELETE /events/:id (ticket types) → 200', r.status === 200, 'status=' + r.status);
+        }
+
+        // Paid registration, run here against a Razorpay client stub: the order, Checkout's
+        // signature, the badge once paid, a late payment for a place that's gone, and refunds
+        if (process.env.DATABASE_URL && process.env.JWT_SECRET) {
+            r = await req('POST', '/api/events', { name: 'Test Gala ' + TS, start_date: eventStart, end_date: eventStart, status: 'live',
+                settings: { currency: 'INR', ticket_types: [{ id: 'pass', name: 'Pass', capacity: 1, price: 49900 }] } }, TOKEN);
+            assert('POST /events with a paid ticket type → 201', r.status === 201 && r.json && r.json.settings.ticket_types[0].price === 49900, 'status=' + r.status + ' body=' + r.text);
+            var gala = r.json && r.json.id ? r.json : null;
+        } else {
+            skip('Paid registration against a Razorpay client stub', 'set DATABASE_URL and JWT_SECRET (the same database and secret as the server)');
+        }
+        if (gala) {
+            process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'test-secret-' + TS;
+            var eventPayments = require('./event-payments');
+            var registration = require('./registration');
+            var badges = require('./badges');
+            var paymentsDb = require('./db');
+            var rzp = { orders: {}, payments: {}, refunds: [], captured: [] };
+            eventPayments.setClient({
+                orders: {
+                    create: async function (o) {
+                        var id = 'order_test' + TS + Object.keys(rzp.orders).length;
+                        rzp.orders[id] = o;
+                        return { id: id, amount: o.amount, currency: o.currency, status: 'created' };
+                    },
+                    fetchPayments: async function (orderId) {
+                        return { items: Object.keys(rzp.payments).map(function (id) { return rzp.payments[id]; }).filter(function (p) { return p.order_id === orderId; }) };
+                    }
+                },
+                payments: {
+                    fetch: async function (id) { return Object.assign({}, rzp.payments[id]); },
+                    capture: async function (id) {
+                        rzp.captured.push(id);
+                        rzp.payments[id].status = 'captured';
+                        return Object.assign({}, rzp.payments[id]);
+                    },
+                    refund: async function (id, o) {
+                        if (rzp.declineRefunds) throw { statusCode: 400, error: { description: 'The payment is too old to refund' } };
+                        // Slow enough for two refunds to overlap
+                        await new Promise(function (resolve) { setTimeout(resolve, 100); });
+                        var refund = { id: 'rfnd_test' + TS + rzp.refunds.length, payment_id: id, amount: o.amount, status: 'processed' };
+                        rzp.refunds.push(refund);
+                        return refund;
+                    },
+                    fetchRefund: async function (paymentId, refundId) {
+                        return rzp.refunds.find(function (x) { return x.id === refundId; });
+                    }
+                }
+            });
+            // What Checkout does: Razorpay takes the payment, the browser gets the signed response
+            var checkoutPay = function (payment, id) {
+                rzp.payments[id] = { id: id, order_id: payment.razorpay_order_id, amount: payment.amount, currency: payment.currency, status: 'authorized', fee: 1180, tax: 180, method: 'upi' };
+                return {
+                    razorpay_order_id: payment.razorpay_order_id, razorpay_payment_id: id,
+                    razorpay_signature: require('crypto').createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(payment.razorpay_order_id + '|' + id).digest('hex')
+                };
+            };
+            var galaAttendee = async function (id) {
+                return (await paymentsDb.query('SELECT * FROM event_attendees WHERE id = $1', [id])).rows[0];
+            };
+            var galaPayment = async function (attendeeId) {
+                return (await paymentsDb.query('SELECT * FROM event_payments WHERE attendee_id = $1 ORDER BY created_at DESC LIMIT 1', [attendeeId])).rows[0];
+            };
+
+            // A hold released before its payment arrives, and the place taken meanwhile
+            var late = await registration.register(gala, { name: 'Late Payer', email: 'late-' + TS + '@example.com' });
+            assert('Paid ticket registers as pending_payment', late.attendee && late.attendee.status === 'pending_payment' && late.attendee.payment_due_at, JSON.stringify(late));
+            var lateOrder = late.attendee ? await eventPayments.createOrder(gala, late.attendee) : {};
+            assert('createOrder → Razorpay order for the ticket price', lateOrder.payment && rzp.orders[lateOrder.payment.razorpay_order_id] &&
+                rzp.orders[lateOrder.payment.razorpay_order_id].amount === 49900 && rzp.orders[lateOrder.payment.razorpay_order_id].notes.attendeeId === late.attendee.id, JSON.stringify(lateOrder));
+            if (lateOrder.payment) {
+                r = await req('POST', '/api/events/' + gala.id + '/attendees/' + late.attendee.id + '/cancel', {}, TOKEN);
+                assert('Organizer releases the unpaid place', r.status === 200 && r.json.attendee.status === 'cancelled', 'status=' + r.status);
+                var taker = await registration.register(gala, { name: 'Gala Guest', email: 'gala-' + TS + '@example.com' });
+                assert('Released place goes to the next registration', taker.attendee && taker.attendee.status === 'pending_payment', JSON.stringify(taker));
+                var lateResult = await eventPayments.confirm(late.attendee, checkoutPay(lateOrder.payment, 'pay_late' + TS));
+                var latePayment = await galaPayment(late.attendee.id);
+                assert('Late payment for a taken place → 409', lateResult.status === 409, JSON.stringify(lateResult));
+                assert('Late payment is refunded in full and the registration stays cancelled', (await galaAttendee(late.attendee.id)).status === 'cancelled' &&
+                    latePayment.status === 'refunded' && latePayment.amount_refunded === 49900 && rzp.refunds.some(function (x) { return x.payment_id === 'pay_late' + TS && x.amount === 49900; }), JSON.stringify(latePayment));
+            }
+
+            // Pay for a held place: a registration link until paid, then the badge
+            var guest = taker && taker.attendee;
+            if (guest) {
+                var linkToken = await badges.issueLinkToken(guest);
+                r = await req('GET', '/api/public/badge/' + linkToken);
+                assert('GET /public/badge/:link unpaid → pending, no badge', r.status === 200 && r.json.status === 'pending_payment' && r.json.badge_token === null && r.json.badge_code === null && r.json.amount_due === 49900, 'status=' + r.status + ' body=' + r.text);
+                r = await req('GET', '/api/exhibitor/badge/' + linkToken, null, TOKEN);
+                assert('GET /exhibitor/badge/:link → 400 (not a badge)', r.status === 400, 'status=' + r.status + ' body=' + r.text);
+
+                var order = await eventPayments.createOrder(gala, guest);
+                var again = await eventPayments.createOrder(gala, guest);
+                assert('createOrder reuses the open order', order.payment && again.payment && again.payment.id === order.payment.id, JSON.stringify(again));
+                var response = checkoutPay(order.payment, 'pay_guest' + TS);
+
+                var bad = await eventPayments.confirm(guest, Object.assign({}, response, { razorpay_signature: response.razorpay_signature.replace(/^./, function (c) { return c === '0' ? '1' : '0'; }) }));
+                assert('confirm with a bad signature → 400', bad.status === 400 && (await galaAttendee(guest.id)).status === 'pending_payment', JSON.stringify(bad));
+
+                var paidResult = await eventPayments.confirm(guest, response);
+                var guestPayment = await galaPayment(guest.id);
+                assert('confirm → registered, payment captured', paidResult.confirmed === true && paidResult.attendee.status === 'registered' && !paidResult.attendee.payment_due_at &&
+                    rzp.captured.indexOf('pay_guest' + TS) !== -1, JSON.stringify(paidResult));
+                assert('Payment recorded with Razorpay\'s fee', guestPayment.status === 'paid' && guestPayment.paid_at && guestPayment.fee === 1180 && guestPayment.razorpay_payment_id === 'pay_guest' + TS, JSON.stringify(guestPayment));
+                var repeat = await eventPayments.confirm(guest, response);
+                assert('confirm again → already recorded', repeat.attendee && repeat.attendee.status === 'registered' && repeat.confirmed === false, JSON.stringify(repeat));
+
+                r = await req('GET', '/api/public/badge/' + linkToken);
+                var paidBadge = r.json && r.json.badge_token;
+                assert('GET /public/badge/:link once paid → a new badge token', r.status === 200 && r.json.status === 'registered' && paidBadge && paidBadge !== linkToken && r.json.paid === true, 'status=' + r.status + ' body=' + r.text);
+                r = await req('GET', '/api/exhibitor/badge/' + paidBadge, null, TOKEN);
+                assert('GET /exhibitor/badge/:token paid badge → 200', r.status === 200 && r.json.signed === true, 'status=' + r.status + ' body=' + r.text);
+
+                var refundBad = await eventPayments.refund(gala, guest.id, { amount: 50000 });
+                assert('Refund more than was paid → 400', refundBad.status === 400, JSON.stringify(refundBad));
+                var partial = await eventPayments.refund(gala, guest.id, { amount: 9900, reason: 'Parking not available', userId: USER_ID });
+                assert('Partial refund → partially_refunded', partial.payment && partial.payment.status === 'partially_refunded' && partial.payment.amount_refunded === 9900 &&
+                    partial.refund.razorpay_refund_id && partial.attendee.status === 'registered', JSON.stringify(partial));
+
+                // Two refunds of what's left at once: the second waits for the first and finds nothing left
+                var refundsBefore = rzp.refunds.length;
+                var both = await Promise.all([eventPayments.refund(gala, guest.id, { cancel: true }), eventPayments.refund(gala, guest.id, { cancel: true })]);
+                var won = both.filter(function (x) { return x.refund; });
+                guestPayment = await galaPayment(guest.id);
+                assert('Concurrent refunds → exactly one goes through', won.length === 1 && both.some(function (x) { return x.status === 400; }) && rzp.refunds.length === refundsBefore + 1, JSON.stringify(both));
+                assert('Payment fully refunded, registration cancelled', guestPayment.status === 'refunded' && guestPayment.amount_refunded === 49900 && (await galaAttendee(guest.id)).status === 'cancelled', JSON.stringify(guestPayment));
+
+                r = await req('GET', '/api/exhibitor/badge/' + paidBadge, null, TOKEN);
+                assert('GET /exhibitor/badge/:token refunded and cancelled → 403', r.status === 403, 'status=' + r.status);
+
+                // A released place that's still free is given back when its payment turns up
+                var back = await registration.register(gala, { name: 'Second Chance', email: 'back-' + TS + '@example.com' });
+                var backOrder = back.attendee ? await eventPayments.createOrder(gala, back.attendee) : {};
+                if (backOrder.payment) {
+                    r = await req('POST', '/api/events/' + gala.id + '/attendees/' + back.attendee.id + '/cancel', {}, TOKEN);
+                    var backResult = await eventPayments.confirm(back.attendee, checkoutPay(backOrder.payment, 'pay_back' + TS));
+                    assert('Late payment for a place still free → registered', backResult.confirmed === true && backResult.attendee.status === 'registered', JSON.stringify(backResult));
+                } else {
+                    assert('Registration for the freed place', false, JSON.stringify(back));
+                }
+
+                r = await req('GET', '/api/events/' + gala.id + '/analytics', null, TOKEN);
+                var revenue = r.json && r.json.revenue;
+                assert('GET /events/:id/analytics revenue', r.status === 200 && revenue && revenue.gross === 49900 * 3 && revenue.refunded === 49900 * 2 && revenue.fees === 1180 * 3, 'status=' + r.status + ' revenue=' + JSON.stringify(revenue));
+
+                // Attendee cancels with refund_on_cancel, through the public routes mounted here (they use the stub client)
+                if (backResult.confirmed) {
+                    var publicApp = require('express')();
+                    publicApp.use(require('express').json());
+                    publicApp.use('/api/public', require('./routes/public'));
+                    var publicServer = publicApp.listen(0, '127.0.0.1');
+                    await new Promise(function (resolve) { publicServer.once('listening', resolve); });
+                    var cancelUrl = 'http://127.0.0.1:' + publicServer.address().port + '/api/public/badge/' + (await badges.issueToken(await galaAttendee(back.attendee.id))) + '/cancel';
+                    await paymentsDb.query('UPDATE events SET settings = settings || \'{"refund_on_cancel": true}\'::jsonb WHERE id = $1', [gala.id]);
+
+                    rzp.declineRefunds = true;
+                    var declined = await fetch(cancelUrl, { method: 'POST' });
+                    var declinedBody = await declined.json();
+                    assert('POST /public/badge/:token/cancel refund declined → 400, registration kept', declined.status === 400 && /declined/.test(declinedBody.error) &&
+                        (await galaAttendee(back.attendee.id)).status === 'registered' && (await galaPayment(back.attendee.id)).amount_refunded === 0, 'status=' + declined.status + ' body=' + JSON.stringify(declinedBody));
+
+                    rzp.declineRefunds = false;
+                    var cancelled = await fetch(cancelUrl, { method: 'POST' });
+                    var cancelledBody = await cancelled.json();
+                    assert('POST /public/badge/:token/cancel → refunded and cancelled', cancelled.status === 200 && cancelledBody.status === 'cancelled' && cancelledBody.refunded === 49900 &&
+                        (await galaPayment(back.attendee.id)).status === 'refunded', 'status=' + cancelled.status + ' body=' + JSON.stringify(cancelledBody));
+                    publicServer.close();
+                }
+            }
+
+            r = await req('DELETE', '/api/events/' + gala.id, null, TOKEN);
+            assert('DELETE /events/:id with paid registrations → 409', r.status === 409, 'status=' + r.status);
+        }
+
+        if (testEvent) {
+            r = await req('DELETE', '/api/events/' + testEvent.id, null, TOKEN);
+            assert('DELETE /events/:id → 200', r.status === 200, 'status=' + r.status + ' body=' + r.text);
+        }
+    }
+
     // ═══════════════════════════════════════
     // PUBLIC
     // ═══════════════════════════════════════
@@ -334,10 +1732,44 @@ async function run() {
     r = await req('GET', '/api/public/user/nonexistent-uid/cards/nonexistent-card');
     assert('GET /public/user/:uid/cards/:id not found → 200 null', r.status === 200 && r.json === null, 'status=' + r.status + ' body=' + r.text);
 
+    // vCard export
+    r = await req('GET', '/api/public/user/' + USER_ID + '/cards/test-card-1/vcard');
+    assert('GET /public/user/:uid/cards/:id/vcard → 3.0 vCard', r.status === 200 && r.text.indexOf('VERSION:3.0') !== -1 && r.text.indexOf('FN:Test Card') !== -1, 'status=' + r.status);
+    assert('vCard has canonical URL', r.text.indexOf('X-CARDFLOW-URL:') !== -1 && r.text.indexOf('/' + TEST_USERNAME + '/test-card-1') !== -1);
+
+    r = await req('GET', '/api/public/user/' + USER_ID + '/cards/test-card-1/vcard?version=4.0');
+    assert('GET /vcard?version=4.0 → 4.0 vCard', r.status === 200 && r.text.indexOf('VERSION:4.0') !== -1 && r.text.indexOf('tel:+919876543210') !== -1, 'status=' + r.status);
+
+    r = await req('GET', '/api/public/user/' + USER_ID + '/cards/test-card-1/vcard?version=2.1');
+    assert('GET /vcard bad version → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('PATCH', '/api/cards/test-card-1', { vcardAdr: ';;1 Main St\\, Apt 2;Pune\r\nX-INJECTED:adr;;;', website: 'https://example.com\r\nX-INJECTED:url' }, TOKEN);
+    r = await req('GET', '/api/public/user/' + USER_ID + '/cards/test-card-1/vcard');
+    assert('vCard strips line breaks from ADR and URL', r.status === 200 && r.text.indexOf('\r\nX-INJECTED') === -1 && r.text.indexOf('ADR;TYPE=WORK:;;1 Main St\\, Apt 2;Pune\\nX-INJECTED:adr;;;') !== -1, 'body=' + r.text);
+
+    r = await req('GET', '/api/public/user/nonexistent-uid/cards/nonexistent-card/vcard');
+    assert('GET /vcard not found → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('GET', '/api/public/user/' + USER_ID + '/analytics/test-card-1/saves/count');
+    assert('vCard download counted as save', r.status === 200 && r.json && r.json.count >= 1, 'count=' + (r.json && r.json.count));
+
     // Public username lookup
     r = await req('GET', '/api/public/resolve/' + TEST_USERNAME);
     assert('GET /public/resolve/:username → 200 or 404', r.status === 200 || r.status === 404, 'status=' + r.status);
 
+    // Sequence email tracking
+    r = await req('GET', '/api/public/t/o/not-a-token.gif');
+    assert('GET /public/t/o/:token.gif bad token → 200 gif', r.status === 200, 'status=' + r.status);
+
+    r = await req('GET', '/api/public/t/c/eyJlIjoxLCJzIjoiczEiLCJ1IjoiaHR0cHM6Ly9ldmlsLmV4YW1wbGUifQ.forged');
+    assert('GET /public/t/c/:token forged → 404', r.status === 404, 'status=' + r.status);
+
+    r = await req('POST', '/api/public/unsubscribe/not-a-token');
+    assert('POST /public/unsubscribe/:token (one-click) bad token → 400', r.status === 400, 'status=' + r.status);
+
+    r = await req('POST', '/api/public/bounces?secret=wrong-' + TS, { email: 'x@example.com', type: 'bounce' });
+    assert('POST /public/bounces wrong secret → 401 (404 when not configured)', r.status === 401 || r.status === 404, 'status=' + r.status);
+
     // ═══════════════════════════════════════
     // AUTH EDGE CASES
     // ═══════════════════════════════════════
@@ -378,6 +1810,8 @@ async function run() {
     r = await req('GET', '/api/cards/test-card-1', null, TOKEN);
     assert('GET /cards/:id after delete → 404', r.status === 404, 'status=' + r.status);
 
+    if (outboxTestDir) require('fs').rmSync(outboxTestDir, { recursive: true, force: true });
+
     r = await req('DELETE', '/api/auth/account', { password: TEST_PASS }, TOKEN);
     assert('DELETE /auth/account → 200', r.status === 200, 'status=' + r.status + ' body=' + r.text);
 
@@ -0,0 +1,209 @@
+// Open/click tracking for sequence emails
+// Each sent email gets an open pixel and has its links rewritten to /api/public/t/c/:token, which
+// records the click and redirects. Tokens are base64url JSON signed with an HMAC so the redirect
+// only goes to URLs we put in the email. Events land in sequence_events (one row per sent, open,
+// click, unsubscribe or reply, keyed by enrollment, step and A/B variant) and roll up into per-step
+// and per-variant rates.
+
+const crypto = require('crypto');
+const db = require('./db');
+
+var BASE_URL = process.env.BASE_URL || 'https://card.cardflow.cloud';
+var EVENT_TYPES = ['sent', 'open', 'click', 'unsubscribe', 'reply'];
+var MAX_URL_LENGTH = 2000;
+var LINKABLE_RE = /<a href="([^"]*)"[^>]*>[\s\S]*?<\/a>|<[^>]*>|https?:\/\/[^\s<>"']+/g;
+var TRAILING_PUNCT_RE = /[.,;:!?)\]]+$/;
+
+var PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+function sign(payload) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('track.' + payload).digest('base64url').substring(0, 22);
+}
+
+function encodeToken(data) {
+    var payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return payload + '.' + sign(payload);
+}
+
+// Token → { e: enrollmentId, s: stepId, n: step number, u?: url } or null when forged/garbled
+function decodeToken(token) {
+    if (typeof token !== 'string' || token.length > 4000) return null;
+    var dot = token.lastIndexOf('.');
+    if (dot < 1) return null;
+    var payload = token.substring(0, dot);
+    var expected = Buffer.from(sign(payload));
+    var given = Buffer.from(token.substring(dot + 1));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+        var data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!data || !Number.isInteger(data.e) || typeof data.s !== 'string') return null;
+        return data;
+    } catch (e) {
+        return null;
+    }
+}
+
+function isTrackableUrl(url) {
+    return typeof url === 'string' && url.length <= MAX_URL_LENGTH && /^https?:\/\//i.test(url);
+}
+
+function pixelUrl(ref) {
+    return BASE_URL + '/api/public/t/o/' + encodeToken({ e: ref.enrollmentId, s: ref.stepId, n: ref.step }) + '.gif';
+}
+
+function clickUrl(ref, url) {
+    return BASE_URL + '/api/public/t/c/' + encodeToken({ e: ref.enrollmentId, s: ref.stepId, n: ref.step, u: url });
+}
+
+// Point the links of a rendered HTML body at the click tracker; bare URLs are linked too.
+// ref: { enrollmentId, stepId, step } — step is the 1-based position shown on the timeline.
+function trackLinks(bodyHtml, ref) {
+    return bodyHtml.replace(LINKABLE_RE, function (match, href) {
+        if (href !== undefined) {
+            var target = href.replace(/&amp;/g, '&');
+            if (!isTrackableUrl(target)) return match;
+            return match.replace(href, function () { return clickUrl(ref, target).replace(/&/g, '&amp;'); });
+        }
+        if (match.charAt(0) === '<') return match;
+        var trailing = (match.match(TRAILING_PUNCT_RE) || [''])[0];
+        var shown = trailing ? match.substring(0, match.length - trailing.length) : match;
+        var url = shown.replace(/&amp;/g, '&');
+        if (!isTrackableUrl(url)) return match;
+        return '<a href="' + clickUrl(ref, url).replace(/&/g, '&amp;') + '" style="color:#818cf8">' + shown + '</a>' + trailing;
+    });
+}
+
+// Record an event against an enrollment. Returns the enrollment (user, lead, sequence) or null.
+// variant is given for sends; opens, clicks etc. inherit it from the send of the same step.
+async function recordEvent(enrollmentId, stepId, step, type, url, variant) {
+    var result = await db.query(
+        'INSERT INTO sequence_events (enrollment_id, sequence_id, user_id, lead_id, step_id, step, type, url, variant) ' +
+        'SELECT e.id, e.sequence_id, e.user_id, e.lead_id, $2::text, $3, $4, $5, COALESCE($6, ' +
+        "(SELECT x.variant FROM sequence_events x WHERE x.enrollment_id = e.id AND x.step_id = $2::text AND x.type = 'sent' ORDER BY x.id DESC LIMIT 1)) " +
+        'FROM sequence_enrollments e WHERE e.id = $1 RETURNING sequence_id, user_id, lead_id',
+        [enrollmentId, stepId, step || null, type, url || null, variant || null]
+    );
+    return result.rows[0] || null;
+}
+
+// Unsubscribes and replies are charged to the last email the lead received
+async function recordAgainstLastSent(enrollmentId, type) {
+    var last = await db.query(
+        "SELECT step_id, step FROM sequence_events WHERE enrollment_id = $1 AND type = 'sent' ORDER BY created_at DESC LIMIT 1",
+        [enrollmentId]
+    );
+    if (!last.rows.length) return null;
+    return recordEvent(enrollmentId, last.rows[0].step_id, last.rows[0].step, type);
+}
+
+function recordUnsubscribe(enrollmentId) {
+    return recordAgainstLastSent(enrollmentId, 'unsubscribe');
+}
+
+function recordReply(enrollmentId) {
+    return recordAgainstLastSent(enrollmentId, 'reply');
+}
+
+function rate(count, sent) {
+    return sent ? Math.round(count / sent * 1000) / 10 : null;
+}
+
+var COUNT_KEYS = { sent: 'sent', open: 'opened', click: 'clicked', unsubscribe: 'unsubscribed', reply: 'replied' };
+
+function emptyCounts() {
+    return { sent: 0, opened: 0, clicked: 0, unsubscribed: 0, replied: 0 };
+}
+
+// Rows of { step_id, variant, type, cnt } → { stepId: { sent, …, variants: { variantId: counts } } }
+function foldStepCounts(rows, into) {
+    rows.forEach(function (r) {
+        var key = COUNT_KEYS[r.type];
+        if (!key) return;
+        var s = into[r.step_id] = into[r.step_id] || Object.assign(emptyCounts(), { variants: {} });
+        s[key] += parseInt(r.cnt);
+        if (r.variant) {
+            var v = s.variants[r.variant] = s.variants[r.variant] || emptyCounts();
+            v[key] += parseInt(r.cnt);
+        }
+    });
+    return into;
+}
+
+// Engagement for a user's sequences (optionally one sequence):
+// { sequenceId: { stepId: { sent, opened, clicked, unsubscribed, replied, variants: { variantId: counts } } } }.
+// Counts are distinct enrollments, so repeat opens or clicks by one lead count once.
+async function stepStats(userId, sequenceId) {
+    var params = [userId];
+    if (sequenceId) params.push(sequenceId);
+    var result = await db.query(
+        'SELECT sequence_id, step_id, variant, type, COUNT(DISTINCT enrollment_id) AS cnt FROM sequence_events ' +
+        'WHERE user_id = $1' + (sequenceId ? ' AND sequence_id = $2' : '') + ' GROUP BY sequence_id, step_id, variant, type',
+        params
+    );
+    var stats = {};
+    result.rows.forEach(function (r) {
+        foldStepCounts([r], stats[r.sequence_id] = stats[r.sequence_id] || {});
+    });
+    return stats;
+}
+
+// Engagement summed over the given users' sequences built from a team template (same shape as one
+// sequence in stepStats; step ids are shared because copies keep the template's ids)
+async function templateStepStats(templateId, userIds) {
+    var result = await db.query(
+        'SELECT ev.step_id, ev.variant, ev.type, COUNT(DISTINCT ev.enrollment_id) AS cnt FROM sequence_events ev ' +
+        'JOIN sequences s ON s.id = ev.sequence_id WHERE s.template_id = $1 AND s.user_id = ANY($2) ' +
+        'GROUP BY ev.step_id, ev.variant, ev.type',
+        [templateId, userIds]
+    );
+    return foldStepCounts(result.rows, {});
+}
+
+function withRates(counts) {
+    return Object.assign(counts, {
+        open_rate: rate(counts.opened, counts.sent), click_rate: rate(counts.clicked, counts.sent),
+        reply_rate: rate(counts.replied, counts.sent), unsubscribe_rate: rate(counts.unsubscribed, counts.sent)
+    });
+}
+
+// Rates for each email step of a sequence, in step order; A/B steps list each variant too
+function emailStepStats(steps, seqStats) {
+    var out = [];
+    steps.forEach(function (step, i) {
+        if (step.type !== 'email') return;
+        var s = (seqStats && seqStats[step.id]) || Object.assign(emptyCounts(), { variants: {} });
+        var entry = withRates({
+            step_id: step.id, step: i + 1, subject: step.variants ? step.variants[0].subject : step.subject,
+            sent: s.sent, opened: s.opened, clicked: s.clicked, unsubscribed: s.unsubscribed, replied: s.replied
+        });
+        if (step.variants) {
+            entry.winner = step.winner || null;
+            entry.variants = step.variants.map(function (v) {
+                var c = s.variants[v.id] || emptyCounts();
+                return withRates({
+                    id: v.id, subject: v.subject, weight: v.weight,
+                    sent: c.sent, opened: c.opened, clicked: c.clicked, unsubscribed: c.unsubscribed, replied: c.replied
+                });
+            });
+        }
+        out.push(entry);
+    });
+    return out;
+}
+
+module.exports = {
+    EVENT_TYPES: EVENT_TYPES,
+    PIXEL_GIF: PIXEL_GIF,
+    encodeToken: encodeToken,
+    decodeToken: decodeToken,
+    isTrackableUrl: isTrackableUrl,
+    pixelUrl: pixelUrl,
+    clickUrl: clickUrl,
+    trackLinks: trackLinks,
+    recordEvent: recordEvent,
+    recordUnsubscribe: recordUnsubscribe,
+    recordReply: recordReply,
+    stepStats: stepStats,
+    templateStepStats: templateStepStats,
+    emailStepStats: emailStepStats
+};
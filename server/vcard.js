@@ -0,0 +1,210 @@
+// vCard 3.0 / 4.0 builder for public card downloads
+// Mirrors the fields the card page renders so NFC tags and integrations can link
+// straight to a contact file instead of relying on the browser-side generator.
+
+const { safeFetch } = require('./ssrf');
+
+var BASE_URL = process.env.BASE_URL || 'https://card.cardflow.cloud';
+var SUPPORTED_VERSIONS = ['3.0', '4.0'];
+var MAX_IMAGE_BYTES = 512 * 1024;
+var IMAGE_FETCH_TIMEOUT = 5000;
+
+// Social / link fields rendered on the card, in display order
+var SOCIAL_FIELDS = ['linkedin', 'github', 'calendly', 'twitter', 'instagram', 'facebook', 'youtube', 'tiktok'];
+
+function escapeText(s) {
+    if (s === undefined || s === null) return '';
+    return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Split a structured value (";;street;;;;") on its unescaped semicolons and re-escape each
+// component, so a stored ADR can't carry line breaks or extra properties into the card
+function structuredText(value) {
+    return String(value).split(/(?<!\\);/).map(function (part) {
+        return escapeText(part.replace(/\\([\\;,nN])/g, function (m, c) { return c === 'n' || c === 'N' ? '\n' : c; }));
+    }).join(';');
+}
+
+// URI values aren't text-escaped, but a line break in one would start a new property
+function uriValue(s) {
+    return String(s).replace(/[\r\n]+/g, '');
+}
+
+// Fold content lines at 75 octets (RFC 6350 §3.2 / RFC 2425 §5.8.1)
+function foldLine(line) {
+    var buf = Buffer.from(line, 'utf8');
+    if (buf.length <= 75) return line;
+    var out = [];
+    var start = 0;
+    var limit = 75;
+    while (start < buf.length) {
+        var end = Math.min(start + limit, buf.length);
+        // Don't split a multi-byte UTF-8 sequence
+        while (end < buf.length && (buf[end] & 0xC0) === 0x80) end--;
+        out.push(buf.slice(start, end).toString('utf8'));
+        start = end;
+        limit = 74; // continuation lines lose one octet to the leading space
+    }
+    return out.join('\r\n ');
+}
+
+// Accept a string, comma-separated string, or array and return unique trimmed values
+function toList(value) {
+    if (!value) return [];
+    var list = Array.isArray(value) ? value : String(value).split(',');
+    var seen = {};
+    return list.map(function (v) {
+        if (v && typeof v === 'object') v = v.value || v.number || v.email || '';
+        return String(v || '').trim();
+    }).filter(function (v) {
+        if (!v || seen[v.toLowerCase()]) return false;
+        seen[v.toLowerCase()] = true;
+        return true;
+    });
+}
+
+function isHttpUrl(s) {
+    return typeof s === 'string' && /^https?:\/\//i.test(s);
+}
+
+function parseDataUri(s) {
+    var m = /^data:(image\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=\s]+)$/i.exec(s || '');
+    if (!m) return null;
+    return { mime: m[1].toLowerCase(), base64: m[2].replace(/\s/g, '') };
+}
+
+// Resolve a photo/logo value to inline base64. Remote images are fetched through
+// safeFetch; anything too large or unreachable falls back to a URI reference.
+async function resolveImage(value) {
+    if (!value || typeof value !== 'string') return null;
+    var inline = parseDataUri(value);
+    if (inline) return inline;
+    if (!isHttpUrl(value)) return null;
+
+    var controller = new AbortController();
+    var timeout = setTimeout(function () { controller.abort(); }, IMAGE_FETCH_TIMEOUT);
+    try {
+        var res = await safeFetch(value, { signal: controller.signal });
+        var mime = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        var length = parseInt(res.headers.get('content-length') || '0', 10);
+        if (!res.ok || mime.indexOf('image/') !== 0 || length > MAX_IMAGE_BYTES) {
+            if (res.body) res.body.cancel().catch(function () {});
+            return { uri: value };
+        }
+        var buf = Buffer.from(await res.arrayBuffer());
+        if (buf.length > MAX_IMAGE_BYTES) return { uri: value };
+        return { mime: mime, base64: buf.toString('base64') };
+    } catch (err) {
+        return { uri: value };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+function imageLine(prop, image, version) {
+    if (!image) return null;
+    if (image.uri) {
+        return version === '4.0' ? prop + ':' + image.uri : prop + ';VALUE=uri:' + image.uri;
+    }
+    if (version === '4.0') return prop + ':data:' + image.mime + ';base64,' + image.base64;
+    var type = image.mime.split('/')[1].toUpperCase().replace('JPG', 'JPEG');
+    return prop + ';ENCODING=b;TYPE=' + type + ':' + image.base64;
+}
+
+function typeParam(version, types) {
+    if (version === '4.0') return ';TYPE=' + (types.length > 1 ? '"' + types.join(',') + '"' : types[0]);
+    return ';TYPE=' + types.join(',').toUpperCase();
+}
+
+function canonicalUrl(username, cardId, card) {
+    if (username) return BASE_URL + '/' + encodeURIComponent(username) + '/' + encodeURIComponent(cardId);
+    if (card && card.token) return BASE_URL + '/?c=' + encodeURIComponent(card.token);
+    return null;
+}
+
+// Build a vCard string for a card. Images are expected pre-resolved via resolveImage.
+// opts: { version, username, cardId, photo, logo, rev }
+function buildVCard(card, opts) {
+    opts = opts || {};
+    var version = SUPPORTED_VERSIONS.includes(opts.version) ? opts.version : '3.0';
+    var v4 = version === '4.0';
+    var name = (card.name || 'Contact').trim();
+    var parts = name.split(/\s+/);
+    var last = parts.length > 1 ? parts.pop() : '';
+    var first = parts.join(' ');
+
+    var lines = ['BEGIN:VCARD', 'VERSION:' + version];
+    lines.push('FN:' + escapeText(name));
+    lines.push('N:' + escapeText(last) + ';' + escapeText(first) + ';;;');
+    if (v4) lines.push('KIND:individual');
+    if (card.company) lines.push('ORG:' + escapeText(card.company));
+    if (card.title) lines.push('TITLE:' + escapeText(card.title));
+
+    var phones = toList(card.phones || card.phone);
+    phones.forEach(function (p, i) {
+        var num = p.replace(/[^0-9+\-() ]/g, '');
+        if (!num) return;
+        var types = i === 0 ? ['cell', 'voice'] : ['voice'];
+        var pref = i === 0 ? (v4 ? ';PREF=1' : '') : '';
+        if (!v4 && i === 0) types.push('pref');
+        lines.push(v4
+            ? 'TEL;VALUE=uri' + pref + typeParam(version, types) + ':tel:' + num.replace(/[\s()]/g, '')
+            : 'TEL' + typeParam(version, types) + ':' + num);
+    });
+
+    var emails = toList(card.emails || card.email);
+    emails.forEach(function (e, i) {
+        if (v4) lines.push('EMAIL' + (i === 0 ? ';PREF=1' : '') + typeParam(version, ['work']) + ':' + escapeText(e));
+        else lines.push('EMAIL' + typeParam(version, i === 0 ? ['internet', 'work', 'pref'] : ['internet', 'work']) + ':' + escapeText(e));
+    });
+
+    // vcardAdr is already in structured ADR form (";;street;;;;"); otherwise fall back to the free-text address
+    if (card.vcardAdr) lines.push('ADR' + typeParam(version, ['work']) + ':' + structuredText(card.vcardAdr));
+    else if (card.address) lines.push('ADR' + typeParam(version, ['work']) + ':;;' + escapeText(card.address) + ';;;;');
+
+    if (card.website && isHttpUrl(card.website)) lines.push('URL' + typeParam(version, ['work']) + ':' + uriValue(card.website));
+    SOCIAL_FIELDS.forEach(function (field) {
+        var url = card[field];
+        if (!isHttpUrl(url)) return;
+        lines.push(v4
+            ? 'URL;TYPE=' + field + ':' + uriValue(url)
+            : 'X-SOCIALPROFILE;TYPE=' + field + ':' + uriValue(url));
+    });
+    if (card.whatsapp) {
+        var wa = String(card.whatsapp).replace(/[^0-9]/g, '');
+        if (wa) lines.push((v4 ? 'URL;TYPE=whatsapp:' : 'X-SOCIALPROFILE;TYPE=whatsapp:') + 'https://wa.me/' + wa);
+    }
+
+    if (card.bio) lines.push('NOTE:' + escapeText(card.bio));
+
+    var photoLine = imageLine('PHOTO', opts.photo, version);
+    if (photoLine) lines.push(photoLine);
+    var logoLine = imageLine('LOGO', opts.logo, version);
+    if (logoLine) lines.push(logoLine);
+
+    var url = canonicalUrl(opts.username, opts.cardId, card);
+    if (url) {
+        lines.push('SOURCE:' + url);
+        lines.push('X-CARDFLOW-URL:' + url);
+    }
+    lines.push('REV:' + (opts.rev || new Date()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''));
+    lines.push('PRODID:-//CardFlow//vCard Export//EN');
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Filename-safe version of the card holder's name
+function vcardFilename(card) {
+    var base = String((card && card.name) || 'contact').replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '');
+    return (base || 'contact').slice(0, 80) + '.vcf';
+}
+
+module.exports = {
+    SUPPORTED_VERSIONS: SUPPORTED_VERSIONS,
+    escapeText: escapeText,
+    foldLine: foldLine,
+    resolveImage: resolveImage,
+    buildVCard: buildVCard,
+    vcardFilename: vcardFilename
+};
@@ -0,0 +1,214 @@
+// Outbound webhooks — signed, persisted, retried deliveries
+// Each user can register several endpoints, each subscribed to a set of event types.
+// Every delivery is stored in webhook_deliveries; failures are retried with exponential
+// backoff by processRetries() (cron in index.js) until MAX_ATTEMPTS, then marked failed.
+// The cron claims the rows it sends ('sending') so an overlapping run can't deliver them twice.
+
+const crypto = require('crypto');
+const db = require('./db');
+const { safeFetch } = require('./ssrf');
+
+var EVENT_TYPES = [
+    'lead.created',
+    'lead.updated',
+    'tap.created',
+    'exchange.created',
+    'badge.scanned',
+    'sequence.email_sent',
+    'card.verified'
+];
+
+var MAX_ATTEMPTS = 8;
+var BASE_BACKOFF_MS = 30 * 1000;        // 30s, 1m, 2m, 4m ... capped below
+var MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+var DELIVERY_TIMEOUT_MS = 10000;
+var MAX_ERROR_LENGTH = 500;
+var RETRY_BATCH = 50;
+// A claimed row still 'sending' after this was abandoned (restart mid-batch) and is claimed again
+var STALE_SENDING_MS = 15 * 60 * 1000;
+
+function generateSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+// Signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+// Receivers recompute the HMAC with their endpoint secret and reject stale timestamps.
+function signPayload(secret, body, timestamp) {
+    var t = timestamp || Math.floor(Date.now() / 1000);
+    var sig = crypto.createHmac('sha256', secret).update(t + '.' + body).digest('hex');
+    return 't=' + t + ',v1=' + sig;
+}
+
+function backoffDelay(attempts) {
+    var delay = BASE_BACKOFF_MS * Math.pow(2, Math.max(0, attempts - 1));
+    // ±10% jitter so a recovering endpoint isn't hit by every retry at once
+    delay = delay + Math.round(delay * 0.1 * (Math.random() * 2 - 1));
+    return Math.min(delay, MAX_BACKOFF_MS);
+}
+
+// Lead fields sent in lead.* / exchange / badge payloads (no photos or internal fields)
+function leadPayload(leadId, data) {
+    data = data || {};
+    return {
+        id: leadId,
+        name: data.name || '',
+        email: data.email || '',
+        phone: data.phone || '',
+        company: data.company || '',
+        title: data.title || '',
+        source: data.source || 'unknown',
+        card: data.card || '',
+        status: data.status || null,
+        category: data.category || null,
+        notes: data.notes || '',
+        ts: data.ts || null
+    };
+}
+
+// POST one delivery to its endpoint and record the outcome. Returns the updated status.
+// maxAttempts lets one-off sends (test pings) fail straight away instead of retrying.
+async function attemptDelivery(delivery, endpoint, maxAttempts) {
+    var body = JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        created_at: new Date(delivery.created_at || Date.now()).toISOString(),
+        data: delivery.payload
+    });
+    var attempts = (delivery.attempts || 0) + 1;
+    var responseStatus = null;
+    var error = null;
+
+    var controller = new AbortController();
+    var timeout = setTimeout(function () { controller.abort(); }, DELIVERY_TIMEOUT_MS);
+    try {
+        var res = await safeFetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'CardFlow-Webhook/2.0',
+                'X-CardFlow-Event': delivery.event,
+                'X-CardFlow-Delivery': delivery.id,
+                'X-CardFlow-Signature': signPayload(endpoint.secret, body)
+            },
+            body: body,
+            signal: controller.signal
+        });
+        responseStatus = res.status;
+        // Discard response body without consuming it
+        if (res.body) { res.body.cancel().catch(function () {}); }
+        if (!res.ok) error = 'HTTP ' + res.status;
+    } catch (err) {
+        error = err.name === 'AbortError' ? 'Timed out after ' + (DELIVERY_TIMEOUT_MS / 1000) + 's' : (err.message || 'Request failed');
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    var status;
+    if (!error) {
+        status = 'delivered';
+        await db.query(
+            "UPDATE webhook_deliveries SET status = 'delivered', attempts = $1, response_status = $2, last_error = NULL, next_attempt_at = NULL, delivered_at = NOW(), updated_at = NOW() WHERE id = $3",
+            [attempts, responseStatus, delivery.id]
+        );
+    } else if (attempts >= (maxAttempts || MAX_ATTEMPTS)) {
+        status = 'failed';
+        await db.query(
+            "UPDATE webhook_deliveries SET status = 'failed', attempts = $1, response_status = $2, last_error = $3, next_attempt_at = NULL, updated_at = NOW() WHERE id = $4",
+            [attempts, responseStatus, error.substring(0, MAX_ERROR_LENGTH), delivery.id]
+        );
+    } else {
+        status = 'retrying';
+        await db.query(
+            "UPDATE webhook_deliveries SET status = 'retrying', attempts = $1, response_status = $2, last_error = $3, next_attempt_at = $4, updated_at = NOW() WHERE id = $5",
+            [attempts, responseStatus, error.substring(0, MAX_ERROR_LENGTH), new Date(Date.now() + backoffDelay(attempts)), delivery.id]
+        );
+    }
+    return { status: status, attempts: attempts, responseStatus: responseStatus, error: error };
+}
+
+// Queue an event for every active endpoint of the user subscribed to it and attempt
+// first delivery immediately. Fire-and-forget: never throws.
+async function emit(userId, event, data) {
+    try {
+        if (!userId || !EVENT_TYPES.includes(event)) return;
+        var endpoints = await db.query(
+            'SELECT id, url, secret FROM webhook_endpoints WHERE user_id = $1 AND active = true AND $2 = ANY(events)',
+            [userId, event]
+        );
+        for (var i = 0; i < endpoints.rows.length; i++) {
+            var endpoint = endpoints.rows[i];
+            var inserted = await db.query(
+                "INSERT INTO webhook_deliveries (endpoint_id, user_id, event, payload, status, next_attempt_at) VALUES ($1, $2, $3, $4, 'pending', NOW()) RETURNING id, event, payload, attempts, created_at",
+                [endpoint.id, userId, event, JSON.stringify(data || {})]
+            );
+            attemptDelivery(inserted.rows[0], endpoint).catch(function (err) {
+                console.error('Webhook delivery error:', err.message);
+            });
+        }
+    } catch (err) {
+        console.error('Webhook emit failed for user ' + userId + ':', err.message);
+    }
+}
+
+// Retry due deliveries. Deliveries left 'pending' (e.g. the process restarted mid-send)
+// are picked up once they are a minute old. Rows are claimed before sending, so a slow batch
+// isn't picked up again by the next run.
+async function processRetries() {
+    var due = await db.query(
+        "WITH due AS (SELECT d.id FROM webhook_deliveries d JOIN webhook_endpoints e ON e.id = d.endpoint_id " +
+        "WHERE e.active = true AND ((d.status = 'retrying' AND d.next_attempt_at <= NOW()) " +
+        "OR (d.status = 'pending' AND d.created_at < NOW() - INTERVAL '1 minute') " +
+        "OR (d.status = 'sending' AND d.updated_at < $2)) " +
+        "ORDER BY d.next_attempt_at ASC NULLS FIRST LIMIT $1 FOR UPDATE OF d SKIP LOCKED) " +
+        "UPDATE webhook_deliveries d SET status = 'sending', updated_at = NOW() FROM due, webhook_endpoints e " +
+        "WHERE d.id = due.id AND e.id = d.endpoint_id " +
+        "RETURNING d.id, d.event, d.payload, d.attempts, d.created_at, d.next_attempt_at, e.url, e.secret",
+        [RETRY_BATCH, new Date(Date.now() - STALE_SENDING_MS)]
+    );
+    var rows = due.rows.sort(function (a, b) { return (a.next_attempt_at || 0) - (b.next_attempt_at || 0); });
+    for (var i = 0; i < rows.length; i++) {
+        var row = rows[i];
+        try {
+            await attemptDelivery(row, { url: row.url, secret: row.secret });
+        } catch (err) {
+            console.error('Webhook retry error for delivery ' + row.id + ':', err.message);
+        }
+    }
+    return rows.length;
+}
+
+// Send a signed 'ping' to one endpoint and wait for the result (no retries).
+async function sendTest(userId, endpoint) {
+    var inserted = await db.query(
+        "INSERT INTO webhook_deliveries (endpoint_id, user_id, event, payload, status) VALUES ($1, $2, 'ping', $3, 'pending') RETURNING id, event, payload, attempts, created_at",
+        [endpoint.id, userId, JSON.stringify({ message: 'This is a test webhook from CardFlow', endpoint_id: endpoint.id })]
+    );
+    return attemptDelivery(inserted.rows[0], endpoint, 1);
+}
+
+// Re-send a stored delivery now (manual replay from the delivery log).
+async function replayDelivery(userId, deliveryId) {
+    var result = await db.query(
+        "SELECT d.id, d.event, d.payload, d.created_at, e.url, e.secret FROM webhook_deliveries d " +
+        "JOIN webhook_endpoints e ON e.id = d.endpoint_id WHERE d.id = $1 AND d.user_id = $2",
+        [deliveryId, userId]
+    );
+    if (result.rows.length === 0) return null;
+    var row = result.rows[0];
+    // A replay gets a fresh retry budget
+    row.attempts = 0;
+    return attemptDelivery(row, { url: row.url, secret: row.secret });
+}
+
+module.exports = {
+    EVENT_TYPES: EVENT_TYPES,
+    MAX_ATTEMPTS: MAX_ATTEMPTS,
+    generateSecret: generateSecret,
+    leadPayload: leadPayload,
+    signPayload: signPayload,
+    backoffDelay: backoffDelay,
+    emit: emit,
+    sendTest: sendTest,
+    processRetries: processRetries,
+    replayDelivery: replayDelivery
+};